@@ -0,0 +1,88 @@
+import initSqlJs from 'sql.js'
+import { Model, ConnectionResolver, NodeSQLiteConnection, Migration, Migrator } from '../index'
+
+class CreateUsersTable extends Migration {
+  async up (schema) {
+    await schema.create('users', (table) => {
+      table.increments('id')
+      table.string('name')
+    })
+  }
+
+  async down (schema) {
+    await schema.dropIfExists('users')
+  }
+}
+
+class CreatePostsTable extends Migration {
+  async up (schema) {
+    await schema.create('posts', (table) => {
+      table.increments('id')
+      table.integer('user_id').unsigned()
+
+      table.foreign('user_id').references('id').on('users')
+    })
+  }
+
+  async down (schema) {
+    await schema.dropIfExists('posts')
+  }
+}
+
+class InsertOrphanPost extends Migration {
+  async up (schema) {
+    await schema.getConnection().table('posts').insert({ user_id: 42 })
+  }
+}
+
+const migrations = [
+  { name: '2019_08_19_000000_create_users_table', default: CreateUsersTable },
+  { name: '2019_08_19_000001_create_posts_table', default: CreatePostsTable },
+]
+
+let SQL
+let connection
+
+beforeAll(async () => {
+  SQL = await initSqlJs()
+})
+
+beforeEach(() => {
+  connection = new NodeSQLiteConnection(NodeSQLiteConnection.connect({ driver: SQL }))
+
+  Model.setConnectionResolver(new ConnectionResolver({ testing: connection }))
+})
+
+test('runs and records the pending migrations', async () => {
+  const migrator = new Migrator(migrations)
+
+  expect(await migrator.run()).toEqual(migrations.map((migration) => migration.name))
+  expect(await connection.getSchemaBuilder().hasTable('posts')).toBe(true)
+  expect(await migrator.run()).toEqual([])
+
+  const status = await migrator.status()
+
+  expect(status.map((migration) => [migration.ran, migration.batch])).toEqual([[true, 1], [true, 1]])
+})
+
+test('rolls back the last batch', async () => {
+  await new Migrator(migrations.slice(0, 1)).run()
+  await new Migrator(migrations).run()
+
+  const migrator = new Migrator(migrations)
+
+  expect(await migrator.rollback()).toEqual(['2019_08_19_000001_create_posts_table'])
+  expect(await connection.getSchemaBuilder().hasTable('posts')).toBe(false)
+  expect(await connection.getSchemaBuilder().hasTable('users')).toBe(true)
+})
+
+test('rolls back a migration leaving rows violating foreign keys', async () => {
+  const migrator = new Migrator([
+    ...migrations, { name: '2019_08_19_000002_insert_orphan_post', default: InsertOrphanPost },
+  ])
+
+  await expect(migrator.run()).rejects.toThrow(/posts/)
+
+  expect(await connection.table('posts').count()).toBe(0)
+  expect(await migrator.getRepository().getRan()).toEqual(migrations.map((migration) => migration.name))
+})
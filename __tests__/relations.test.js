@@ -0,0 +1,117 @@
+import initSqlJs from 'sql.js'
+import { Model, ConnectionResolver, NodeSQLiteConnection } from '../index'
+
+class User extends Model {
+  posts () {
+    return this.hasMany(Post)
+  }
+
+  roles () {
+    return this.belongsToMany(Role)
+  }
+}
+
+class Post extends Model {
+  // Jest maps the frames of stack traces to the calls within them, which the name
+  // of the relation is otherwise guessed from.
+  user () {
+    return this.belongsTo(User, null, null, 'user')
+  }
+}
+
+class Role extends Model {}
+
+let SQL
+
+beforeAll(async () => {
+  SQL = await initSqlJs()
+})
+
+beforeEach(async () => {
+  const connection = new NodeSQLiteConnection(NodeSQLiteConnection.connect({ driver: SQL }))
+
+  Model.setConnectionResolver(new ConnectionResolver({ testing: connection }))
+
+  const schema = connection.getSchemaBuilder()
+
+  await schema.create('users', (table) => {
+    table.increments('id')
+    table.string('name')
+    table.timestamps()
+  })
+
+  await schema.create('posts', (table) => {
+    table.increments('id')
+    table.integer('user_id').unsigned()
+    table.string('title')
+    table.timestamps()
+
+    table.foreign('user_id').references('id').on('users')
+  })
+
+  await schema.create('roles', (table) => {
+    table.increments('id')
+    table.string('name')
+    table.timestamps()
+  })
+
+  await schema.create('role_user', (table) => {
+    table.integer('user_id').unsigned()
+    table.integer('role_id').unsigned()
+
+    table.primary(['user_id', 'role_id'])
+  })
+})
+
+test('has many and belongs to', async () => {
+  const user = await User.create({ name: 'Taylor' })
+
+  await user.posts().create({ title: 'First' })
+  await user.posts().create({ title: 'Second' })
+
+  const posts = await user.posts().orderBy('id').get()
+
+  expect(posts.map((post) => post.title)).toEqual(['First', 'Second'])
+  expect((await posts[0].user().first()).name).toBe('Taylor')
+})
+
+test('eager loads and counts relations', async () => {
+  const user = await User.create({ name: 'Taylor' })
+
+  await user.posts().create({ title: 'First' })
+
+  const users = await User.with('posts').withCount('posts').get()
+
+  expect(users[0].getRelation('posts').map((post) => post.title)).toEqual(['First'])
+  expect(Number(users[0].posts_count)).toBe(1)
+})
+
+test('casts the existence of relations to booleans', async () => {
+  const user = await User.create({ name: 'Taylor' })
+
+  await User.create({ name: 'Abigail' })
+  await user.posts().create({ title: 'First' })
+
+  const users = await User.withExists('posts').orderBy('id').get()
+
+  expect(users.map((user) => user.posts_exists)).toEqual([true, false])
+})
+
+test('syncs and toggles the pivot table', async () => {
+  const user = await User.create({ name: 'Taylor' })
+
+  for (const name of ['admin', 'editor', 'viewer']) {
+    await Role.create({ name })
+  }
+
+  expect(await user.roles().sync([1, 2])).toEqual({ attached: [1, 2], detached: [], updated: [] })
+  expect(await user.roles().toggle([2, 3])).toEqual({ attached: [3], detached: [2] })
+
+  const roles = await user.roles().orderBy('roles.id').get()
+
+  expect(roles.map((role) => role.name)).toEqual(['admin', 'viewer'])
+})
+
+test('rejects rows violating foreign keys', async () => {
+  await expect(Post.create({ user_id: 42, title: 'Orphan' })).rejects.toThrow(/FOREIGN KEY/)
+})
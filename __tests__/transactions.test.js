@@ -0,0 +1,74 @@
+import initSqlJs from 'sql.js'
+import { Model, ConnectionResolver, NodeSQLiteConnection } from '../index'
+
+class User extends Model {}
+
+let SQL
+let connection
+
+beforeAll(async () => {
+  SQL = await initSqlJs()
+})
+
+beforeEach(async () => {
+  connection = new NodeSQLiteConnection(NodeSQLiteConnection.connect({ driver: SQL }))
+
+  Model.setConnectionResolver(new ConnectionResolver({ testing: connection }))
+
+  await connection.getSchemaBuilder().create('users', (table) => {
+    table.increments('id')
+    table.string('name').unique()
+    table.timestamps()
+  })
+})
+
+test('commits the statements of the callback', async () => {
+  const result = await connection.transaction(async (connection) => {
+    await User.on(connection).create({ name: 'Taylor' })
+    await connection.table('users').insert({ name: 'Abigail' })
+
+    return 'done'
+  })
+
+  expect(result).toBe('done')
+  expect(await User.query().count()).toBe(2)
+  expect(connection.transactionLevel()).toBe(0)
+})
+
+test('rolls the statements back when the callback throws', async () => {
+  await expect(connection.transaction(async (connection) => {
+    await User.on(connection).create({ name: 'Taylor' })
+    await User.on(connection).create({ name: 'Taylor' })
+  })).rejects.toThrow(/UNIQUE/)
+
+  expect(await User.query().count()).toBe(0)
+  expect(connection.transactionLevel()).toBe(0)
+})
+
+test('rolls a nested transaction back to its savepoint', async () => {
+  await connection.transaction(async (connection) => {
+    await connection.table('users').insert({ name: 'Taylor' })
+
+    await expect(connection.transaction(async (connection) => {
+      await connection.table('users').insert({ name: 'Abigail' })
+
+      throw new Error('Nested failure.')
+    })).rejects.toThrow('Nested failure.')
+  })
+
+  expect(await connection.table('users').pluck('name')).toEqual(['Taylor'])
+})
+
+test('runs the statements outside the transaction after it', async () => {
+  let outside
+
+  await connection.transaction(async (transaction) => {
+    await transaction.table('users').insert({ name: 'Taylor' })
+
+    outside = connection.table('users').count()
+
+    await transaction.table('users').insert({ name: 'Abigail' })
+  })
+
+  expect(await outside).toBe(2)
+})
@@ -1,6 +1,29 @@
 'use strict'
 
 import Model from './src/model/Model'
+import Pivot from './src/model/relations/Pivot'
+import MorphPivot from './src/model/relations/MorphPivot'
+import Collection from './src/model/Collection'
+import SoftDeletes from './src/model/SoftDeletes'
+import LengthAwarePaginator from './src/pagination/LengthAwarePaginator'
+import Paginator from './src/pagination/Paginator'
+import CursorPaginator from './src/pagination/CursorPaginator'
+import Cursor from './src/pagination/Cursor'
+import Schema from './src/schema/Schema'
+import Blueprint from './src/schema/Blueprint'
+import Migration from './src/migrations/Migration'
+import Migrator from './src/migrations/Migrator'
+import DatabaseMigrationRepository from './src/migrations/DatabaseMigrationRepository'
+import QueryError from './src/QueryError'
+import ConnectionResolver from './src/ConnectionResolver'
+import SQLiteConnection from './src/SQLiteConnection'
+import RNSQLiteConnection from './src/RNSQLiteConnection'
+import NodeSQLiteConnection from './src/NodeSQLiteConnection'
 
-export { Model }
+export {
+  Model, Pivot, MorphPivot, Collection, SoftDeletes,
+  LengthAwarePaginator, Paginator, CursorPaginator, Cursor,
+  Schema, Blueprint, Migration, Migrator, DatabaseMigrationRepository,
+  QueryError, ConnectionResolver, SQLiteConnection, RNSQLiteConnection, NodeSQLiteConnection
+}
 export default Model
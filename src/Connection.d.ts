@@ -2,7 +2,10 @@ import QueryGrammar from "./query/grammars/Grammar";
 import QueryProcessor from "./query/processors/Processor";
 import Builder from "./query/Builder";
 import Expression from "./query/Expression";
+import QueryError from "./QueryError";
 import Grammar from "./Grammar";
+import SchemaBuilder from "./schema/Builder";
+import SchemaGrammar from "./schema/grammars/Grammar";
 
 /**
  * @mixes DetectsDeadlocks
@@ -57,7 +60,7 @@ export default class Connection {
      *
      * @var {SchemaGrammar}
      */
-    _schemaGrammar: any;
+    _schemaGrammar: SchemaGrammar;
     /**
      * The query post processor implementation.
      *
@@ -71,17 +74,24 @@ export default class Connection {
      */
     _events: any;
     /**
-     * The default fetch mode of the connection.
+     * The number of active transactions.
      *
      * @var {Number}
      */
-    _fetchMode: number;
+    _transactions: number;
     /**
-     * The number of active transactions.
+     * Indicates if this is the connection handed to a transaction's callback, whose
+     * statements run inside the transaction instead of waiting for it.
      *
-     * @var {Number}
+     * @var {Boolean}
      */
-    _transactions: number;
+    _withinTransaction: boolean;
+    /**
+     * The statements waiting to run, one at a time, on the connection.
+     *
+     * @var {Promise}
+     */
+    _queue: Promise<any>;
     /**
      * Indicates if changes have been made to the database.
      *
@@ -166,7 +176,7 @@ export default class Connection {
      *
      * @return {SchemaGrammar}
      */
-    _getDefaultSchemaGrammar(): any;
+    _getDefaultSchemaGrammar(): SchemaGrammar;
     /**
      * Set the query post processor to the default implementation.
      *
@@ -184,7 +194,7 @@ export default class Connection {
      *
      * @return {SchemaBuilder}
      */
-    getSchemaBuilder(): any;
+    getSchemaBuilder(): SchemaBuilder;
     /**
      * Begin a fluent query against a database table.
      *
@@ -204,39 +214,38 @@ export default class Connection {
      * @param  {String}  query
      * @param  {Array}   bindings
      * @param  {Boolean}  useReadPdo
-     * @return {*}
+     * @return {Promise<Object|undefined>}
      */
-    selectOne(query: string, bindings?: any[], useReadPdo?: boolean): any;
+    selectOne(query: string, bindings?: any[], useReadPdo?: boolean): Promise<any>;
     /**
      * Run a select statement against the database.
      *
      * @param  {String}  query
      * @param  {Array}   bindings
-     * @return {Array}
+     * @return {Promise<Array>}
      */
-    selectFromWriteConnection(query: string, bindings?: any[]): any[];
+    selectFromWriteConnection(query: string, bindings?: any[]): Promise<any[]>;
     /**
      * Run a select statement against the database.
      *
      * @param  {String}  query
      * @param  {Array}   bindings
      * @param  {Boolean}  useReadPdo
-     * @return {Array}
+     * @return {Promise<Array>}
      */
-    select(query: string, bindings?: any[], useReadPdo?: boolean): any[];
+    select(query: string, bindings?: any[], useReadPdo?: boolean): Promise<any[]>;
     /**
-     * Run a select statement against the database and returns a generator.
+     * Run a select statement against the database and returns an async generator.
+     *
+     * The driver hands back the whole result set at once, so the rows are loaded
+     * before the first one is yielded.
      *
      * @param  {String}  query
      * @param  {Array}  bindings
      * @param  {Boolean}  useReadPdo
-     * @return {Generator}
+     * @return {AsyncGenerator}
      */
-    cursor(query: string, bindings?: any[], useReadPdo?: boolean): any;
-    /**
-     * Configure the PDO prepared statement.
-     */
-    _prepared(statement: any): any;
+    cursor(query: string, bindings?: any[], useReadPdo?: boolean): AsyncGenerator<any>;
     /**
      * Get the PDO connection to use for a select query.
      *
@@ -249,70 +258,84 @@ export default class Connection {
      *
      * @param  {String}  query
      * @param  {Array}   bindings
-     * @return {Boolean}
+     * @return {Promise<Boolean>}
      */
-    insert(query: string, bindings?: any[]): boolean;
+    insert(query: string, bindings?: any[]): Promise<boolean>;
+    /**
+     * Run an insert statement against the database and get the ID of the new row.
+     *
+     * @param  {String}  query
+     * @param  {Array}   bindings
+     * @return {Promise<Number|null>}
+     */
+    insertGetId(query: string, bindings?: any[]): Promise<number | null>;
     /**
      * Run an update statement against the database.
      *
      * @param  {String}  query
      * @param  {Array}   bindings
-     * @return int
+     * @return {Promise<Number>}
      */
-    update(query: string, bindings?: any[]): any;
+    update(query: string, bindings?: any[]): Promise<number>;
     /**
      * Run a delete statement against the database.
      *
      * @param  {String}  query
      * @param  {Array}   bindings
-     * @return int
+     * @return {Promise<Number>}
      */
-    delete(query: string, bindings?: any[]): any;
+    delete(query: string, bindings?: any[]): Promise<number>;
     /**
      * Execute an SQL statement and return the boolean result.
      *
      * @param  {String}  query
      * @param  {Array}   bindings
-     * @return bool
+     * @return {Promise<Boolean>}
      */
-    statement(query: string, bindings?: any[]): any;
+    statement(query: string, bindings?: any[]): Promise<boolean>;
     /**
      * Run an SQL statement and get the number of rows affected.
      *
      * @param  {String}  query
      * @param  {Array}   bindings
-     * @return int
+     * @return {Promise<Number>}
      */
-    affectingStatement(query: string, bindings?: any[]): any;
+    affectingStatement(query: string, bindings?: any[]): Promise<number>;
     /**
      * Run a raw, unprepared query against the PDO connection.
      *
      * @param  {String}  query
-     * @return bool
+     * @return {Promise<Boolean>}
      */
-    unprepared(query: string): any;
+    unprepared(query: string): Promise<boolean>;
     /**
-     * Execute the given callback in "dry run" mode.
+     * Execute a statement through the database driver.
      *
-     * @param  {Function}  callback
-     * @return {Array}
+     * This is the one method a driver has to implement: it resolves with the rows
+     * as plain objects, the number of rows affected and the last inserted ID.
+     *
+     * @param  {String}  query
+     * @param  {Array}  bindings
+     * @param  {Boolean}  useReadPdo
+     * @return {Promise<{rows: Array<Object>, rowsAffected: Number, insertId: Number|null}>}
+     *
+     * @throws Error
      */
-    pretend(callback: Function): any[];
+    _execute(query: string, bindings: any[], useReadPdo?: boolean): Promise<{ rows: any[], rowsAffected: number, insertId: number | null }>;
     /**
      * Execute the given callback in "dry run" mode.
      *
      * @param  {Function}  callback
-     * @return {Array}
+     * @return {Promise<Array>}
      */
-    _withFreshQueryLog(callback: Function): any[];
+    pretend(callback: Function): Promise<any[]>;
     /**
-     * Bind values to their parameters in the given statement.
+     * Execute the given callback in "dry run" mode.
      *
-     * @param  {PDOStatement} statement
-     * @param  {Object}  bindings
-     * @return void
+     * @param  {Function}  callback
+     * @return {Promise<Array>}
      */
-    bindValues(statement: any, bindings: any): void;
+    _withFreshQueryLog(callback: Function): Promise<any[]>;
     /**
      * Prepare the query bindings for execution.
      *
@@ -326,22 +349,32 @@ export default class Connection {
      * @param  {String}    query
      * @param  {Object|Array}     bindings
      * @param  {Function}  callback
-     * @return {*}
+     * @return {Promise<*>}
+     *
+     * @throws {QueryError}
+     */
+    _run(query: string, bindings: any | any[], callback: Function): Promise<any>;
+    /**
+     * Run the callback once the statements queued before it have finished.
+     *
+     * Statements from a transaction's callback skip the queue, since the transaction
+     * itself is holding it until it has been committed or rolled back.
      *
-     * @throws {QueryException}
+     * @param  {Function}  callback
+     * @return {Promise<*>}
      */
-    _run(query: string, bindings: any | any[], callback: Function): any;
+    _serialize(callback: Function): Promise<any>;
     /**
      * Run a SQL statement.
      *
      * @param  {String}    query
      * @param  {Object|Array}     bindings
      * @param  {Function}  callback
-     * @return {*}
+     * @return {Promise<*>}
      *
-     * @throws \Illuminate\Database\QueryException
+     * @throws {QueryError}
      */
-    _runQueryCallback(query: string, bindings: any | any[], callback: Function): any;
+    _runQueryCallback(query: string, bindings: any | any[], callback: Function): Promise<any>;
     /**
      * Log a query in the connection's query log.
      *
@@ -361,33 +394,33 @@ export default class Connection {
     /**
      * Handle a query exception.
      *
-     * @param  {QueryException}  e
+     * @param  {QueryError}  e
      * @param  {String}  query
      * @param  {Array}  bindings
      * @param  {Function}  callback
-     * @return {*}
+     * @return {Promise<*>}
      *
-     * @throws \Illuminate\Database\QueryException
+     * @throws {QueryError}
      */
-    _handleQueryException(e: Error, query: string, bindings: any[], callback: Function): any;
+    _handleQueryException(e: QueryError, query: string, bindings: any[], callback: Function): Promise<any>;
     /**
      * Handle a query exception that occurred during query execution.
      *
-     * @param  {QueryException}  e
+     * @param  {QueryError}  e
      * @param  {String}    query
      * @param  {Object|Array}     bindings
      * @param  {Function}  callback
-     * @return {*}
+     * @return {Promise<*>}
      *
-     * @throws {QueryException}
+     * @throws {QueryError}
      */
-    _tryAgainIfCausedByLostConnection(e: Error, query: string, bindings: any | any[], callback: Function): any;
+    _tryAgainIfCausedByLostConnection(e: QueryError, query: string, bindings: any | any[], callback: Function): Promise<any>;
     /**
      * Reconnect to the database.
      *
      * @return void
      *
-     * @throws {LogicException}
+     * @throws {Error}
      */
     reconnect(): any;
     /**
@@ -502,6 +535,13 @@ export default class Connection {
      * @return {String|null}
      */
     getName(): string | null;
+    /**
+     * Set the database connection name.
+     *
+     * @param  {String}  name
+     * @return {Connection}
+     */
+    setName(name: string): Connection;
     /**
      * Get an option from the configuration options.
      *
@@ -533,14 +573,14 @@ export default class Connection {
      *
      * @return {SchemaGrammar}
      */
-    getSchemaGrammar(): any;
+    getSchemaGrammar(): SchemaGrammar;
     /**
      * Set the schema grammar used by the connection.
      *
      * @param  {SchemaGrammar}  grammar
      * @return {Connection}
      */
-    setSchemaGrammar(grammar: any): Connection;
+    setSchemaGrammar(grammar: SchemaGrammar): Connection;
     /**
      * Get the query post processor used by the connection.
      *
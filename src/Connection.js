@@ -5,8 +5,14 @@ import DetectsLostConnections from './DetectsLostConnections'
 import ManagesTransactions from './concerns/ManagesTransactions'
 import Builder from './query/Builder'
 import Expression from './query/Expression'
+import QueryError from './QueryError'
+import QueryExecuted from './events/QueryExecuted'
+import TransactionBeginning from './events/TransactionBeginning'
+import TransactionCommitted from './events/TransactionCommitted'
+import TransactionRolledBack from './events/TransactionRolledBack'
 import QueryGrammar from './query/grammars/Grammar'
 import QueryProcessor from './query/processors/Processor'
+import SchemaBuilder from './schema/Builder'
 
 /**
  * @mixes DetectsDeadlocks
@@ -85,18 +91,26 @@ class Connection {
   _events;
 
   /**
-   * The default fetch mode of the connection.
+   * The number of active transactions.
    *
    * @var {Number}
    */
-  _fetchMode = 0;
+  _transactions = 0;
 
   /**
-   * The number of active transactions.
+   * Indicates if this is the connection handed to a transaction's callback, whose
+   * statements run inside the transaction instead of waiting for it.
    *
-   * @var {Number}
+   * @var {Boolean}
    */
-  _transactions = 0;
+  _withinTransaction = false;
+
+  /**
+   * The statements waiting to run, one at a time, on the connection.
+   *
+   * @var {Promise}
+   */
+  _queue = Promise.resolve();
 
   /**
    * Indicates if changes have been made to the database.
@@ -251,7 +265,7 @@ class Connection {
    * @return {Builder}
    */
   table(table) {
-    return this.query().from(table);
+    return this.query().table(table);
   }
 
   /**
@@ -272,10 +286,10 @@ class Connection {
    * @param  {String}  query
    * @param  {Array}   bindings
    * @param  {Boolean}  useReadPdo
-   * @return {*}
+   * @return {Promise<Object|undefined>}
    */
-  selectOne(query, bindings = [], useReadPdo = true) {
-    let records = this.select(query, bindings, useReadPdo);
+  async selectOne(query, bindings = [], useReadPdo = true) {
+    let records = await this.select(query, bindings, useReadPdo);
 
     return records.shift();
   }
@@ -285,7 +299,7 @@ class Connection {
    *
    * @param  {String}  query
    * @param  {Array}   bindings
-   * @return {Array}
+   * @return {Promise<Array>}
    */
   selectFromWriteConnection(query, bindings = [])
   {
@@ -298,78 +312,44 @@ class Connection {
    * @param  {String}  query
    * @param  {Array}   bindings
    * @param  {Boolean}  useReadPdo
-   * @return {Array}
+   * @return {Promise<Array>}
    */
   select(query, bindings = [], useReadPdo = true) {
-    return this._run(query, bindings, (query, binding) => {
+    return this._run(query, bindings, async (query, bindings) => {
       if (this.pretending()) {
         return [];
       }
 
       // For select statements, we'll simply execute the query and return an array
       // of the database result set. Each element in the array will be a single
-      // row from the database table, and will either be an array or objects.
-      let statement = this._prepared(this.getPdoForSelect(useReadPdo).prepare(query))
-
-      this.bindValues(statement, this.prepareBindings(bindings));
-
-      statement.execute();
+      // row from the database table, as a plain object keyed by column name.
+      let result = await this._execute(
+        query, this.prepareBindings(bindings), useReadPdo
+      );
 
-      return statement.fetchAll();
+      return result.rows;
     });
   }
 
   /**
-   * Run a select statement against the database and returns a generator.
+   * Run a select statement against the database and returns an async generator.
+   *
+   * The driver hands back the whole result set at once, so the rows are loaded
+   * before the first one is yielded.
    *
    * @param  {String}  query
    * @param  {Array}  bindings
    * @param  {Boolean}  useReadPdo
-   * @return {Generator}
+   * @return {AsyncGenerator}
    */
-  *cursor(query, bindings = [], useReadPdo = true) {
-    let statement = this.run(query, bindings, (query, binding) => {
-      if (this.pretending()) {
-        return [];
-      }
-
-      // First we will create a statement for the query. Then, we will set the fetch
-      // mode and prepare the bindings for the query. Once that's done we will be
-      // ready to execute the query against the database and return the cursor.
-      let statement = this._prepared(this.getPdoForSelect(useReadPdo).prepare(query));
-
-      this.bindValues(
-        statement, this.prepareBindings(bindings)
-      );
+  async *cursor(query, bindings = [], useReadPdo = true) {
+    let records = await this.select(query, bindings, useReadPdo);
 
-      // Next, we'll execute the query against the database and return the statement
-      // so we can return the cursor. The cursor will use a PHP generator to give
-      // back one row at a time without using a bunch of memory to render them.
-      statement.execute();
-
-      return statement;
-    });
-
-    let record;
-    while (record = statement.fetch()) {
+    for (let record of records) {
       yield record;
     }
   }
 
-  /**
-   * Configure the PDO prepared statement.
-   */
-  _prepared(statement)
-  {
-    statement.setFetchMode(this._fetchMode);
-
-    // this.event(new Events\StatementPrepared(
-    //   this, statement
-    // ))
-
-    return statement;
-  }
-
   /**
    * Get the PDO connection to use for a select query.
    *
@@ -386,18 +366,39 @@ class Connection {
    *
    * @param  {String}  query
    * @param  {Array}   bindings
-   * @return {Boolean}
+   * @return {Promise<Boolean>}
    */
   insert(query, bindings = []) {
     return this.statement(query, bindings);
   }
 
+  /**
+   * Run an insert statement against the database and get the ID of the new row.
+   *
+   * @param  {String}  query
+   * @param  {Array}   bindings
+   * @return {Promise<Number|null>}
+   */
+  insertGetId(query, bindings = []) {
+    return this._run(query, bindings, async (query, bindings) => {
+      if (this.pretending()) {
+        return null;
+      }
+
+      let result = await this._execute(query, this.prepareBindings(bindings));
+
+      this.recordsHaveBeenModified();
+
+      return result.insertId;
+    });
+  }
+
   /**
    * Run an update statement against the database.
    *
    * @param  {String}  query
    * @param  {Array}   bindings
-   * @return int
+   * @return {Promise<Number>}
    */
   update(query, bindings = []) {
     return this.affectingStatement(query, bindings);
@@ -408,7 +409,7 @@ class Connection {
    *
    * @param  {String}  query
    * @param  {Array}   bindings
-   * @return int
+   * @return {Promise<Number>}
    */
   delete(query, bindings = []) {
     return this.affectingStatement(query, bindings);
@@ -419,21 +420,19 @@ class Connection {
    *
    * @param  {String}  query
    * @param  {Array}   bindings
-   * @return bool
+   * @return {Promise<Boolean>}
    */
   statement(query, bindings = []) {
-    return this.run(query, bindings, (query, bindings) => {
+    return this._run(query, bindings, async (query, bindings) => {
       if (this.pretending()) {
         return true;
       }
 
-      let statement = this.getPdo().prepare(query);
-
-      this.bindValues(statement, this.prepareBindings(bindings));
+      await this._execute(query, this.prepareBindings(bindings));
 
       this.recordsHaveBeenModified();
 
-      return statement.execute();
+      return true;
     });
   }
 
@@ -442,27 +441,20 @@ class Connection {
    *
    * @param  {String}  query
    * @param  {Array}   bindings
-   * @return int
+   * @return {Promise<Number>}
    */
   affectingStatement(query, bindings = []) {
-    return this.run(query, bindings, (query, bindings) => {
+    return this._run(query, bindings, async (query, bindings) => {
       if (this.pretending()) {
         return 0;
       }
 
       // For update or delete statements, we want to get the number of rows affected
-      // by the statement and return that back to the developer. We'll first need
-      // to execute the statement and then we'll use PDO to fetch the affected.
-      let statement = this.getPdo().prepare(query);
-
-      this.bindValues(statement, this.prepareBindings(bindings));
-
-      statement.execute();
+      // by the statement and return that back to the developer. The driver gives
+      // the count back along with the result of executing the statement itself.
+      let count = (await this._execute(query, this.prepareBindings(bindings))).rowsAffected;
 
-      let count;
-      this.recordsHaveBeenModified(
-        (count = statement.rowCount()) > 0
-      );
+      this.recordsHaveBeenModified(count > 0);
 
       return count;
     });
@@ -472,42 +464,61 @@ class Connection {
    * Run a raw, unprepared query against the PDO connection.
    *
    * @param  {String}  query
-   * @return bool
+   * @return {Promise<Boolean>}
    */
   unprepared(query) {
-    return this.run(query, [], (query) => {
+    return this._run(query, [], async (query) => {
       if (this.pretending()) {
         return true;
       }
 
-      let change;
-      this.recordsHaveBeenModified(
-        change = (this.getPdo().exec(query) !== false)
-      )
+      await this._execute(query, []);
+
+      this.recordsHaveBeenModified();
 
-      return change;
+      return true;
     });
   }
 
+  /**
+   * Execute a statement through the database driver.
+   *
+   * This is the one method a driver has to implement: it resolves with the rows
+   * as plain objects, the number of rows affected and the last inserted ID.
+   *
+   * @param  {String}  query
+   * @param  {Array}  bindings
+   * @param  {Boolean}  useReadPdo
+   * @return {Promise<{rows: Array<Object>, rowsAffected: Number, insertId: Number|null}>}
+   *
+   * @throws Error
+   */
+  async _execute(query, bindings, useReadPdo = false)
+  {
+    throw new Error('This database driver does not support executing statements.');
+  }
+
   /**
    * Execute the given callback in "dry run" mode.
    *
    * @param  {Function}  callback
-   * @return {Array}
+   * @return {Promise<Array>}
    */
   pretend(callback)
   {
-    return this.withFreshQueryLog(() => {
+    return this._withFreshQueryLog(async () => {
       this._pretending = true;
 
       // Basically to make the database connection "pretend", we will just return
       // the default values for all the query methods, then we will return an
       // array of queries that were "executed" within the Closure callback.
-      callback(this);
-
-      this._pretending = false;
+      try {
+        await callback(this);
+      } finally {
+        this._pretending = false;
+      }
 
-      return this._queryLog;
+      return [...this._queryLog];
     });
   }
 
@@ -515,9 +526,9 @@ class Connection {
    * Execute the given callback in "dry run" mode.
    *
    * @param  {Function}  callback
-   * @return {Array}
+   * @return {Promise<Array>}
    */
-  _withFreshQueryLog(callback)
+  async _withFreshQueryLog(callback)
   {
     let loggingQueries = this._loggingQueries;
 
@@ -531,28 +542,11 @@ class Connection {
     // Now we'll execute this callback and capture the result. Once it has been
     // executed we will restore the value of query logging and give back the
     // value of the callback so the original callers can have the results.
-    let result = callback();
-
-    this._loggingQueries = loggingQueries;
-
-    return result;
-  }
-
-  /**
-   * Bind values to their parameters in the given statement.
-   *
-   * @param  {PDOStatement} statement
-   * @param  {Object}  bindings
-   * @return void
-   */
-  bindValues(statement, bindings)
-  {
-    _.forEach(bindings, (value, key) => {
-      statement.bindValue(
-        _.isNaN(key) ? key : key + 1, value,
-        _.isNaN(value) ? 1 : 2
-      );
-    })
+    try {
+      return await callback();
+    } finally {
+      this._loggingQueries = loggingQueries;
+    }
   }
 
   /**
@@ -574,6 +568,8 @@ class Connection {
         bindings[key] = moment.utc(value).format(grammar.getDateFormat());
       } else if (_.isBoolean(value)) {
         bindings[key] = Number(value);
+      } else if (value === undefined) {
+        bindings[key] = null;
       }
     })
 
@@ -586,33 +582,57 @@ class Connection {
    * @param  {String}    query
    * @param  {Object|Array}     bindings
    * @param  {Function}  callback
-   * @return {*}
+   * @return {Promise<*>}
    *
-   * @throws {QueryException}
+   * @throws {QueryError}
    */
   _run(query, bindings, callback) {
-    this._reconnectIfMissingConnection();
+    return this._serialize(async () => {
+      this._reconnectIfMissingConnection();
+
+      let start = Date.now();
+
+      // Here we will run this query. If an exception occurs we'll determine if it was
+      // caused by a connection that has been lost. If that is the cause, we'll try
+      // to re-establish connection and re-run the query with a fresh connection.
+      let result;
+      try {
+        result = await this._runQueryCallback(query, bindings, callback);
+      } catch (e) {
+        result = await this._handleQueryException(
+          e, query, bindings, callback
+        )
+      }
 
-    let start = moment.utc().milliseconds();
+      // Once we have run the query we will calculate the time that it took to run and
+      // then log the query, bindings, and execution time so we will report them on
+      // the event that the developer needs them. We'll log time in milliseconds.
+      this.logQuery(
+        query, bindings, this._getElapsedTime(start)
+      );
 
-    // Here we will run this query. If an exception occurs we'll determine if it was
-    // caused by a connection that has been lost. If that is the cause, we'll try
-    // to re-establish connection and re-run the query with a fresh connection.
-    let result;
-    try {
-      result = this._runQueryCallback(query, bindings, callback);
-    } catch (e) {
-      result = this._handleQueryException(
-        e, query, bindings, callback
-      )
+      return result;
+    });
+  }
+
+  /**
+   * Run the callback once the statements queued before it have finished.
+   *
+   * Statements from a transaction's callback skip the queue, since the transaction
+   * itself is holding it until it has been committed or rolled back.
+   *
+   * @param  {Function}  callback
+   * @return {Promise<*>}
+   */
+  _serialize(callback)
+  {
+    if (this._withinTransaction) {
+      return callback();
     }
 
-    // Once we have run the query we will calculate the time that it took to run and
-    // then log the query, bindings, and execution time so we will report them on
-    // the event that the developer needs them. We'll log time in milliseconds.
-    this.logQuery(
-      query, bindings, this._getElapsedTime(start)
-    );
+    let result = this._queue.then(() => callback());
+
+    this._queue = result.catch(() => {});
 
     return result;
   }
@@ -623,30 +643,27 @@ class Connection {
    * @param  {String}    query
    * @param  {Object|Array}     bindings
    * @param  {Function}  callback
-   * @return {*}
+   * @return {Promise<*>}
    *
-   * @throws \Illuminate\Database\QueryException
+   * @throws {QueryError}
    */
-  _runQueryCallback(query, bindings, callback)
+  async _runQueryCallback(query, bindings, callback)
   {
     // To execute the statement, we'll simply call the callback, which will actually
     // run the SQL against the PDO connection. Then we can calculate the time it
     // took to execute and log the query SQL, bindings and time in our memory.
-    let result;
     try {
-      result = callback(query, bindings);
+      return await callback(query, bindings);
     }
 
     // If an exception occurs when attempting to run a query, we'll format the error
     // message to include the bindings with SQL, which will make this exception a
     // lot more helpful to the developer instead of just the database's errors.
     catch (e) {
-      throw new QueryException(
+      throw new QueryError(
         query, this.prepareBindings(bindings), e
       );
     }
-
-    return result;
   }
 
   /**
@@ -659,7 +676,7 @@ class Connection {
    */
   logQuery(query, bindings, time = null)
   {
-    this.event(new QueryExecuted(query, bindings, time, this));
+    this._event(new QueryExecuted(query, bindings, time, this));
 
     if (this._loggingQueries) {
       this._queryLog.push({query, bindings, time});
@@ -674,19 +691,19 @@ class Connection {
    */
   _getElapsedTime(start)
   {
-    return _.round((moment.utc().milliseconds() - start), 2);
+    return _.round(Date.now() - start, 2);
   }
 
   /**
    * Handle a query exception.
    *
-   * @param  {QueryException}  e
+   * @param  {QueryError}  e
    * @param  {String}  query
    * @param  {Array}  bindings
    * @param  {Function}  callback
-   * @return {*}
+   * @return {Promise<*>}
    *
-   * @throws \Illuminate\Database\QueryException
+   * @throws {QueryError}
    */
   _handleQueryException(e, query, bindings, callback)
   {
@@ -702,15 +719,15 @@ class Connection {
   /**
    * Handle a query exception that occurred during query execution.
    *
-   * @param  {QueryException}  e
+   * @param  {QueryError}  e
    * @param  {String}    query
    * @param  {Object|Array}     bindings
    * @param  {Function}  callback
-   * @return {*}
+   * @return {Promise<*>}
    *
-   * @throws {QueryException}
+   * @throws {QueryError}
    */
-  _tryAgainIfCausedByLostConnection(e, query, bindings, callback) {
+  async _tryAgainIfCausedByLostConnection(e, query, bindings, callback) {
     if (this._causedByLostConnection(e.getPrevious())) {
       this.reconnect();
 
@@ -725,16 +742,16 @@ class Connection {
    *
    * @return void
    *
-   * @throws {LogicException}
+   * @throws {Error}
    */
   reconnect() {
     if (this._reconnector instanceof Function) {
       this._doctrineConnection = null;
 
-      return this._reconnector.call(this);
+      return this._reconnector.call(this, this);
     }
 
-    throw new LogicException('Lost connection and no reconnector available.');
+    throw new Error('Lost connection and no reconnector available.');
   }
 
   /**
@@ -786,11 +803,11 @@ class Connection {
 
     switch (event) {
       case 'beganTransaction':
-        return this._events.dispatch(new EventsTransactionBeginning(this));
+        return this._events.dispatch(new TransactionBeginning(this));
       case 'committed':
-        return this._events.dispatch(new EventsTransactionCommitted(this));
+        return this._events.dispatch(new TransactionCommitted(this));
       case 'rollingBack':
-        return this._events.dispatch(new EventsTransactionRolledBack(this));
+        return this._events.dispatch(new TransactionRolledBack(this));
     }
   }
 
@@ -974,6 +991,19 @@ class Connection {
     return this.getConfig('name');
   }
 
+  /**
+   * Set the database connection name.
+   *
+   * @param  {String}  name
+   * @return {Connection}
+   */
+  setName(name)
+  {
+    this._config = {...this._config, name};
+
+    return this;
+  }
+
   /**
    * Get an option from the configuration options.
    *
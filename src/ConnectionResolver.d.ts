@@ -16,13 +16,21 @@ export default class ConnectionResolver {
     /**
      * Create a new connection resolver instance.
      *
+     * Without a default connection name, the first of the given connections is used.
+     *
      * @return void
      * @param {Object} connections
+     * @param {String|null} defaultConnection
      */
-    constructor(connections?: any);
+    constructor(connections?: any, defaultConnection?: string | null);
     /**
      * Get a database connection instance.
      *
+     * The app's database is opened through react-native-sqlite-storage the first time
+     * the "rn-sqlite" connection is asked for, unless another one was added under it.
+     * The React Native connection is only loaded then, so the resolver also works
+     * outside of an app.
+     *
      * @return Connection
      * @param {String|null} name
      */
@@ -30,6 +38,9 @@ export default class ConnectionResolver {
     /**
      * Add a connection to the resolver.
      *
+     * The connection is named after its key, which is what the models store to find
+     * it again.
+     *
      * @return void
      * @param name
      * @param {Connection} connection
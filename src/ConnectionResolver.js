@@ -18,19 +18,27 @@ class ConnectionResolver {
   /**
    * Create a new connection resolver instance.
    *
+   * Without a default connection name, the first of the given connections is used.
+   *
    * @return void
    * @param {Object} connections
+   * @param {String|null} defaultConnection
    */
-  constructor (connections = {}) {
+  constructor (connections = {}, defaultConnection = null) {
     _.each(connections, (connection, key) => {
       this.addConnection(key, connection)
     })
-    this._default = 'rn-sqlite'
+    this._default = defaultConnection || _.head(_.keys(connections)) || 'rn-sqlite'
   }
 
   /**
    * Get a database connection instance.
    *
+   * The app's database is opened through react-native-sqlite-storage the first time
+   * the "rn-sqlite" connection is asked for, unless another one was added under it.
+   * The React Native connection is only loaded then, so the resolver also works
+   * outside of an app.
+   *
    * @return Connection
    * @param {String|null} name
    */
@@ -39,12 +47,21 @@ class ConnectionResolver {
       name = this.getDefaultConnection()
     }
 
+    if (name === 'rn-sqlite' && !this.hasConnection(name)) {
+      const RNSQLiteConnection = require('./RNSQLiteConnection').default
+
+      this.addConnection(name, new RNSQLiteConnection())
+    }
+
     return this._connections[name]
   }
 
   /**
    * Add a connection to the resolver.
    *
+   * The connection is named after its key, which is what the models store to find
+   * it again.
+   *
    * @return void
    * @param name
    * @param {Connection} connection
@@ -52,7 +69,7 @@ class ConnectionResolver {
   addConnection (name, connection) {
     this._connections = {
       ...this._connections,
-      [name]: connection
+      [name]: connection.setName(name)
     }
   }
 
@@ -10,14 +10,14 @@ const DetectsDeadlocks = function () {
   /**
    * Determine if the given exception was caused by a deadlock.
    *
-   * @param  {Exception}  e
+   * @param  {*}  e
    * @return bool
    */
   this._causedByDeadlock = function (e)
   {
-    let message = e.getMessage();
+    let message = String(_.get(e, 'message', e));
 
-    return _.contains(message, [
+    return _.some([
       'Deadlock found when trying to get lock',
       'deadlock detected',
       'The database file is locked',
@@ -27,7 +27,7 @@ const DetectsDeadlocks = function () {
       'has been chosen as the deadlock victim',
       'Lock wait timeout exceeded; try restarting transaction',
       'WSREP detected deadlock/conflict and aborted the transaction. Try restarting the transaction',
-    ]);
+    ], (needle) => _.includes(message, needle));
   }
 }
 
@@ -10,14 +10,14 @@ const DetectsLostConnections = function () {
   /**
    * Determine if the given exception was caused by a lost connection.
    *
-   * @param  {Throwable}  e
+   * @param  {*}  e
    * @return bool
    */
   this._causedByLostConnection = function(e)
   {
-    let message = e.getMessage();
+    let message = String(_.get(e, 'message', e));
 
-    return _.contains(message, [
+    return _.some([
       'server has gone away',
       'no connection to the server',
       'Lost connection',
@@ -38,7 +38,7 @@ const DetectsLostConnections = function () {
       'Packets out of order. Expected',
       'Adaptive Server connection failed',
       'Communication link failure',
-    ]);
+    ], (needle) => _.includes(message, needle));
   }
 }
 
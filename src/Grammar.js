@@ -17,7 +17,7 @@ export default class Grammar {
    */
   wrapArray(values)
   {
-    return _.map(values, this.wrap);
+    return _.map(values, (value) => this.wrap(value));
   }
 
   /**
@@ -29,8 +29,8 @@ export default class Grammar {
   wrapTable(table)
   {
     if (! this.isExpression(table)) {
-    return this.wrap(this._tablePrefix + table, true);
-  }
+      return this.wrap(this._tablePrefix + table, true);
+    }
 
     return this.getValue(table);
   }
@@ -52,10 +52,10 @@ export default class Grammar {
     // the pieces so we can wrap each of the segments of the expression on its
     // own, and then join these both back together using the "as" connector.
     if (_.includes(value, ' as ') !== false) {
-      return this.wrapAliasedValue(value, prefixAlias);
+      return this._wrapAliasedValue(value, prefixAlias);
     }
 
-    return this.wrapSegments(value.split('.'));
+    return this._wrapSegments(value.split('.'));
   }
 
   /**
@@ -103,7 +103,7 @@ export default class Grammar {
   _wrapValue(value)
   {
     if (value !== '*') {
-      return '"' + value.replace(/"/i, '""') + '"';
+      return '"' + value.replace(/"/g, '""') + '"';
     }
 
     return value;
@@ -117,7 +117,7 @@ export default class Grammar {
    */
   columnize(columns)
   {
-    return columns.map(columns, this.wrap).join(', ');
+    return _.map(columns, (column) => this.wrap(column)).join(', ');
   }
 
   /**
@@ -128,7 +128,7 @@ export default class Grammar {
    */
   parameterize(values)
   {
-    return values.map(values, this.parameter).join(', ');
+    return _.map(values, (value) => this.parameter(value)).join(', ');
   }
 
   /**
@@ -151,10 +151,10 @@ export default class Grammar {
   quoteString(value)
   {
     if (value instanceof Array) {
-      return value.map(value, this.quoteString).join(', ');
+      return value.map((value) => this.quoteString(value)).join(', ');
     }
 
-    return "'value'";
+    return "'" + value.replace(/'/g, "''") + "'";
   }
 
   /**
@@ -0,0 +1,52 @@
+import SQLiteConnection from "./SQLiteConnection";
+
+/**
+ * A SQLite connection for Node, running on the pure JavaScript sql.js engine, so
+ * the models, migrations and queries can run in Jest or CI without a device.
+ *
+ * sql.js is not a dependency of the ORM: the app initializes it and hands it over.
+ * The resolver names the connection after the key it is added under, which is the
+ * name models saved through it keep to query it again.
+ *
+ * @example
+ * import initSqlJs from 'sql.js'
+ *
+ * let SQL = await initSqlJs()
+ * let resolver = new ConnectionResolver({
+ *   testing: new NodeSQLiteConnection(NodeSQLiteConnection.connect({ driver: SQL })),
+ * }, 'testing')
+ *
+ * Model.setConnectionResolver(resolver)
+ */
+export default class NodeSQLiteConnection extends SQLiteConnection {
+    /**
+     * Create a new database connection instance.
+     *
+     * @param  {PDO|Function}     pdo
+     * @param  {String}   database
+     * @param  {String}   tablePrefix
+     * @param  {Object}    config
+     * @return void
+     */
+    constructor(pdo?: any | Function | null, database?: string, tablePrefix?: string, config?: { [key: string]: any });
+    /**
+     * Execute a statement through sql.js.
+     *
+     * @param  {String}  query
+     * @param  {Array}  bindings
+     * @param  {Boolean}  useReadPdo
+     * @return {Promise<{rows: Array<Object>, rowsAffected: Number, insertId: Number|null}>}
+     */
+    _execute(query: string, bindings: any[], useReadPdo?: boolean): Promise<{ rows: any[], rowsAffected: number, insertId: number | null }>;
+    /**
+     * Open an in-memory database, optionally loaded from the bytes of a database file.
+     *
+     * @param  {Object}  driver  The initialized sql.js module.
+     * @param  {Uint8Array|null}  data
+     * @return {Database}
+     */
+    static connect({ driver, data }: {
+        driver: any;
+        data?: Uint8Array | null;
+    }): any;
+}
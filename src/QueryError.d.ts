@@ -0,0 +1,59 @@
+export default class QueryError extends Error {
+    /**
+     * The SQL for the query.
+     *
+     * @var {String}
+     */
+    sql: string;
+    /**
+     * The bindings for the query.
+     *
+     * @var {Array}
+     */
+    bindings: any[];
+    /**
+     * The error thrown by the driver.
+     *
+     * @var {*}
+     */
+    previous: any;
+    /**
+     * Create a new query error instance.
+     *
+     * @param  {String}  sql
+     * @param  {Array}  bindings
+     * @param  {*}  previous
+     * @return void
+     */
+    constructor(sql: string, bindings: any[], previous: any);
+    /**
+     * Format the SQL error message.
+     *
+     * Native drivers reject with plain objects rather than errors, so the message is
+     * read off whatever they gave back.
+     *
+     * @param  {String}  sql
+     * @param  {Array}  bindings
+     * @param  {*}  previous
+     * @return {String}
+     */
+    static _formatMessage(sql: string, bindings: any[], previous: any): string;
+    /**
+     * Get the SQL for the query.
+     *
+     * @return {String}
+     */
+    getSql(): string;
+    /**
+     * Get the bindings for the query.
+     *
+     * @return {Array}
+     */
+    getBindings(): any[];
+    /**
+     * Get the error thrown by the driver.
+     *
+     * @return {*}
+     */
+    getPrevious(): any;
+}
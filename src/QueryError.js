@@ -0,0 +1,92 @@
+import _ from 'lodash'
+
+class QueryError extends Error {
+  /**
+   * The SQL for the query.
+   *
+   * @var {String}
+   */
+  sql;
+
+  /**
+   * The bindings for the query.
+   *
+   * @var {Array}
+   */
+  bindings;
+
+  /**
+   * The error thrown by the driver.
+   *
+   * @var {*}
+   */
+  previous;
+
+  /**
+   * Create a new query error instance.
+   *
+   * @param  {String}  sql
+   * @param  {Array}  bindings
+   * @param  {*}  previous
+   * @return void
+   */
+  constructor(sql, bindings, previous)
+  {
+    super(QueryError._formatMessage(sql, bindings, previous));
+
+    this.sql = sql;
+    this.bindings = bindings;
+    this.previous = previous;
+  }
+
+  /**
+   * Format the SQL error message.
+   *
+   * Native drivers reject with plain objects rather than errors, so the message is
+   * read off whatever they gave back.
+   *
+   * @param  {String}  sql
+   * @param  {Array}  bindings
+   * @param  {*}  previous
+   * @return {String}
+   */
+  static _formatMessage(sql, bindings, previous)
+  {
+    let message = _.get(previous, 'message', String(previous));
+
+    return `${message} (SQL: ${sql}) (Bindings: ${JSON.stringify(bindings)})`;
+  }
+
+  /**
+   * Get the SQL for the query.
+   *
+   * @return {String}
+   */
+  getSql()
+  {
+    return this.sql;
+  }
+
+  /**
+   * Get the bindings for the query.
+   *
+   * @return {Array}
+   */
+  getBindings()
+  {
+    return this.bindings;
+  }
+
+  /**
+   * Get the error thrown by the driver.
+   *
+   * @return {*}
+   */
+  getPrevious()
+  {
+    return this.previous;
+  }
+}
+
+export { QueryError }
+export default QueryError
@@ -1,29 +1,81 @@
 import Database from 'crane-query-builder/src/Database'
-import BaseRNSQLiteConnection from 'crane-query-builder/src/RNSQLiteConnection'
-import Connection from "./Connection";
+import SQLiteConnection from "./SQLiteConnection";
 
 /**
- * @mixes BaseRNSQLiteConnection
+ * A SQLite connection through react-native-sqlite-storage.
+ *
+ * Besides the connection name and `foreign_key_constraints`, the config takes the
+ * options the plugin opens the database file with: `location`, `createFromLocation`
+ * for a prepopulated asset and `readOnly`. The given config is merged over the
+ * defaults: the "rn-sqlite" name, and the database's file in the app's `www` assets
+ * to create it from.
+ *
+ * The plugin needs React Native, so it's only required once a connection opens the
+ * database itself, which leaves this module loadable outside of an app.
+ *
+ * @example
+ * Model.setConnectionResolver(new ConnectionResolver({
+ *   app: new RNSQLiteConnection(null, 'App.db', '', {
+ *     location: 'Library',
+ *     foreign_key_constraints: true,
+ *   }),
+ * }, 'app'))
  */
-export default class RNSQLiteConnection extends Connection {
+export default class RNSQLiteConnection extends SQLiteConnection {
+    /**
+     * Create a new database connection instance.
+     *
+     * @param  {PDO|Function}     pdo
+     * @param  {String}   database
+     * @param  {String}   tablePrefix
+     * @param  {Object}    config
+     * @return void
+     */
+    constructor(pdo?: Function|any, database?: string, tablePrefix?: string, config?: any);
+    /**
+     * Execute a statement through react-native-sqlite-storage.
+     *
+     * The plugin is used in its callback style, which it supports whether or not the
+     * app has enabled its promises.
+     *
+     * @param  {String}  query
+     * @param  {Array}  bindings
+     * @param  {Boolean}  useReadPdo
+     * @return {Promise<{rows: Array<Object>, rowsAffected: Number, insertId: Number|null}>}
+     */
+    _execute(query: string, bindings: any[], useReadPdo?: boolean): Promise<{ rows: any[], rowsAffected: number, insertId: number | null }>;
+    /**
+     * Attach another database file to the connection under the given schema name.
+     *
+     * The plugin attaches it natively, since it resolves the file in the same location
+     * as the main database, which a path in an ATTACH statement could not.
+     *
+     * @param  {String}  name
+     * @param  {String}  file
+     * @return {Promise<Boolean>}
+     */
+    attach(name: string, file: string): Promise<boolean>;
+    /**
+     * Detach a database attached under the given schema name.
+     *
+     * @param  {String}  name
+     * @return {Promise<Boolean>}
+     */
+    detach(name: string): Promise<boolean>;
     /**
      *
      * @param driver
      * @param name
      * @param location
      * @param createFromLocation
+     * @param readOnly
      * @returns {Database}
      */
-    static connect({ driver, name, location, createFromLocation }: {
+    static connect({ driver, name, location, createFromLocation, readOnly }: {
         driver: any;
         name: any;
         location: any;
         createFromLocation: any;
+        readOnly?: boolean;
     }): Database;
-    /**
-     * Get the database connection foreign key constraints configuration option.
-     *
-     * @return bool|null
-     */
-    _getForeignKeyConstraintsConfigurationValue(): any;
 }
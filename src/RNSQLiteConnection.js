@@ -1,17 +1,28 @@
 import _ from 'lodash'
 import BaseRNSQLiteConnection from 'crane-query-builder/src/RNSQLiteConnection'
-import Connection from './Connection'
-import QueryGrammar from './query/grammars/Grammar'
-import SQLiteGrammar from './query/grammars/SQLiteGrammar'
-import QueryProcessor from './query/processors/Processor'
-import SQLiteProcessor from './query/processors/SQLiteProcessor'
-import Database from 'crane-query-builder/src/Database'
-import SQLite from 'react-native-sqlite-storage'
+import SQLiteConnection from './SQLiteConnection'
 
 /**
- * @mixes BaseRNSQLiteConnection
+ * A SQLite connection through react-native-sqlite-storage.
+ *
+ * Besides the connection name and `foreign_key_constraints`, the config takes the
+ * options the plugin opens the database file with: `location`, `createFromLocation`
+ * for a prepopulated asset and `readOnly`. The given config is merged over the
+ * defaults: the "rn-sqlite" name, and the database's file in the app's `www` assets
+ * to create it from.
+ *
+ * The plugin needs React Native, so it's only required once a connection opens the
+ * database itself, which leaves this module loadable outside of an app.
+ *
+ * @example
+ * Model.setConnectionResolver(new ConnectionResolver({
+ *   app: new RNSQLiteConnection(null, 'App.db', '', {
+ *     location: 'Library',
+ *     foreign_key_constraints: true,
+ *   }),
+ * }, 'app'))
  */
-class RNSQLiteConnection extends Connection {
+class RNSQLiteConnection extends SQLiteConnection {
   /**
    * Create a new database connection instance.
    *
@@ -21,81 +32,77 @@ class RNSQLiteConnection extends Connection {
    * @param  {Object}    config
    * @return void
    */
-  constructor(pdo, database = '', tablePrefix = '', config = {name: 'rn-sqlite'})
+  constructor(pdo = null, database = 'Jala.db', tablePrefix = '', config = {})
   {
-    super(pdo, database, tablePrefix, config)
-    Database.Connection = RNSQLiteConnection
-    Database.Grammar = SQLiteGrammar
-    Database.database = Database.database || Database.Connection.connect({
-      driver: SQLite,
-      name: 'Jala.db',
-      location: 'default',
-      createFromLocation: '~www/Jala.db'
-    })
+    config = {name: 'rn-sqlite', createFromLocation: `~www/${database}`, ...config}
+
+    if (pdo == null) {
+      pdo = RNSQLiteConnection.connect({
+        driver: require('react-native-sqlite-storage'),
+        name: database,
+        location: _.get(config, 'location', 'default'),
+        createFromLocation: _.get(config, 'createFromLocation'),
+        readOnly: _.get(config, 'readOnly', false),
+      })
+    }
 
-    // let enableForeignKeyConstraints = this._getForeignKeyConstraintsConfigurationValue();
-    //
-    // if (enableForeignKeyConstraints === null) {
-    //   return;
-    // }
-    //
-    // enableForeignKeyConstraints
-    //   ? this.getSchemaBuilder().enableForeignKeyConstraints()
-    //   : this.getSchemaBuilder().disableForeignKeyConstraints();
+    super(pdo, database, tablePrefix, config)
   }
 
   /**
-   * Get the default query grammar instance.
+   * Execute a statement through react-native-sqlite-storage.
    *
-   * @return {QueryGrammar}
-   */
-  _getDefaultQueryGrammar()
-  {
-    return this.withTablePrefix(new SQLiteGrammar());
-  }
-
-  /**
-   * Get a schema builder instance for the connection.
+   * The plugin is used in its callback style, which it supports whether or not the
+   * app has enabled its promises.
    *
-   * @return {SchemaBuilder}
+   * @param  {String}  query
+   * @param  {Array}  bindings
+   * @param  {Boolean}  useReadPdo
+   * @return {Promise<{rows: Array<Object>, rowsAffected: Number, insertId: Number|null}>}
    */
-  getSchemaBuilder()
+  _execute(query, bindings, useReadPdo = false)
   {
-    if (this._schemaGrammar == null) {
-      this.useDefaultSchemaGrammar();
-    }
-
-    return new SQLiteBuilder(this);
+    let database = this._getPdoForSelect(useReadPdo)
+
+    return new Promise((resolve, reject) => {
+      database.executeSql(query, bindings, (results) => {
+        resolve({
+          rows: results.rows.raw(),
+          rowsAffected: results.rowsAffected || 0,
+          insertId: results.insertId == null ? null : results.insertId,
+        })
+      }, reject)
+    })
   }
 
   /**
-   * Get the default schema grammar instance.
+   * Attach another database file to the connection under the given schema name.
    *
-   * @return {SchemaGrammar}
-   */
-  _getDefaultSchemaGrammar()
-  {
-    return this.withTablePrefix(new SQLiteSchemaGrammar());
-  }
-
-  /**
-   * Get the default post processor instance.
+   * The plugin attaches it natively, since it resolves the file in the same location
+   * as the main database, which a path in an ATTACH statement could not.
    *
-   * @return {QueryProcessor}
+   * @param  {String}  name
+   * @param  {String}  file
+   * @return {Promise<Boolean>}
    */
-  _getDefaultPostProcessor()
+  attach(name, file)
   {
-    return new SQLiteProcessor();
+    return new Promise((resolve, reject) => {
+      this.getPdo().attach(file, name, () => resolve(true), reject)
+    })
   }
 
   /**
-   * Get the database connection foreign key constraints configuration option.
+   * Detach a database attached under the given schema name.
    *
-   * @return bool|null
+   * @param  {String}  name
+   * @return {Promise<Boolean>}
    */
-  _getForeignKeyConstraintsConfigurationValue()
+  detach(name)
   {
-    return this.getConfig('foreign_key_constraints');
+    return new Promise((resolve, reject) => {
+      this.getPdo().detach(name, () => resolve(true), reject)
+    })
   }
 
   /**
@@ -104,10 +111,11 @@ class RNSQLiteConnection extends Connection {
    * @param name
    * @param location
    * @param createFromLocation
+   * @param readOnly
    * @returns {Database}
    */
-  static connect ({ driver, name, location, createFromLocation }) {
-    const db = driver.openDatabase({ name, location, createFromLocation })
+  static connect ({ driver, name, location, createFromLocation, readOnly = false }) {
+    const db = driver.openDatabase({ name, location, createFromLocation, readOnly })
 
     db.executeSql('PRAGMA foreign_keys = ON;')
 
@@ -126,10 +134,5 @@ BaseRNSQLiteConnection.connect = function ({ driver, name, location, createFromL
   return db
 }
 
-_.forEach(Object.getOwnPropertyDescriptors(BaseRNSQLiteConnection.prototype), (value, key) => {
-  if (!['constructor'].includes(key))
-    RNSQLiteConnection.prototype[key] = value.value
-})
-
 export { RNSQLiteConnection }
 export default RNSQLiteConnection
@@ -0,0 +1,68 @@
+import Connection from "./Connection";
+import SQLiteGrammar from "./query/grammars/SQLiteGrammar";
+import SQLiteProcessor from "./query/processors/SQLiteProcessor";
+import SQLiteBuilder from "./schema/SQLiteBuilder";
+import SQLiteSchemaGrammar from "./schema/grammars/SQLiteGrammar";
+
+/**
+ * The grammars, processor and schema builder shared by the SQLite drivers, which
+ * only differ in how they open a database and execute statements.
+ */
+export default class SQLiteConnection extends Connection {
+    /**
+     * Create a new database connection instance.
+     *
+     * @param  {PDO|Function}     pdo
+     * @param  {String}   database
+     * @param  {String}   tablePrefix
+     * @param  {Object}    config
+     * @return void
+     */
+    constructor(pdo: Function|any, database?: string, tablePrefix?: string, config?: any);
+    /**
+     * Get the default query grammar instance.
+     *
+     * @return {QueryGrammar}
+     */
+    _getDefaultQueryGrammar(): SQLiteGrammar;
+    /**
+     * Get a schema builder instance for the connection.
+     *
+     * @return {SchemaBuilder}
+     */
+    getSchemaBuilder(): SQLiteBuilder;
+    /**
+     * Get the default schema grammar instance.
+     *
+     * @return {SchemaGrammar}
+     */
+    _getDefaultSchemaGrammar(): SQLiteSchemaGrammar;
+    /**
+     * Get the default post processor instance.
+     *
+     * @return {QueryProcessor}
+     */
+    _getDefaultPostProcessor(): SQLiteProcessor;
+    /**
+     * Attach another database file to the connection under the given schema name, so
+     * its tables can be used as "name.table" in the queries, joins included.
+     *
+     * @param  {String}  name
+     * @param  {String}  file
+     * @return {Promise<Boolean>}
+     */
+    attach(name: string, file: string): Promise<boolean>;
+    /**
+     * Detach a database attached under the given schema name.
+     *
+     * @param  {String}  name
+     * @return {Promise<Boolean>}
+     */
+    detach(name: string): Promise<boolean>;
+    /**
+     * Get the database connection foreign key constraints configuration option.
+     *
+     * @return bool|null
+     */
+    _getForeignKeyConstraintsConfigurationValue(): boolean | null;
+}
@@ -0,0 +1,126 @@
+import Connection from './Connection'
+import Database from 'crane-query-builder/src/Database'
+import SQLiteGrammar from './query/grammars/SQLiteGrammar'
+import SQLiteProcessor from './query/processors/SQLiteProcessor'
+import SQLiteBuilder from './schema/SQLiteBuilder'
+import SQLiteSchemaGrammar from './schema/grammars/SQLiteGrammar'
+
+/**
+ * The grammars, processor and schema builder shared by the SQLite drivers, which
+ * only differ in how they open a database and execute statements.
+ */
+class SQLiteConnection extends Connection {
+  /**
+   * Create a new database connection instance.
+   *
+   * @param  {PDO|Function}     pdo
+   * @param  {String}   database
+   * @param  {String}   tablePrefix
+   * @param  {Object}    config
+   * @return void
+   */
+  constructor(pdo, database = '', tablePrefix = '', config = {})
+  {
+    super(pdo, database, tablePrefix, config);
+
+    // crane's query builder makes a connection of its own in its constructor before
+    // ours replaces it, so it is handed the first connection instead of a new one.
+    if (Database.Connection == null) {
+      let connection = this;
+
+      Database.Connection = function () { return connection };
+      Database.Grammar = SQLiteGrammar;
+    }
+
+    let enableForeignKeyConstraints = this._getForeignKeyConstraintsConfigurationValue();
+
+    if (enableForeignKeyConstraints == null) {
+      return;
+    }
+
+    enableForeignKeyConstraints
+      ? this.getSchemaBuilder().enableForeignKeyConstraints()
+      : this.getSchemaBuilder().disableForeignKeyConstraints();
+  }
+
+  /**
+   * Get the default query grammar instance.
+   *
+   * @return {QueryGrammar}
+   */
+  _getDefaultQueryGrammar()
+  {
+    return this.withTablePrefix(new SQLiteGrammar());
+  }
+
+  /**
+   * Get a schema builder instance for the connection.
+   *
+   * @return {SchemaBuilder}
+   */
+  getSchemaBuilder()
+  {
+    if (this._schemaGrammar == null) {
+      this.useDefaultSchemaGrammar();
+    }
+
+    return new SQLiteBuilder(this);
+  }
+
+  /**
+   * Get the default schema grammar instance.
+   *
+   * @return {SchemaGrammar}
+   */
+  _getDefaultSchemaGrammar()
+  {
+    return this.withTablePrefix(new SQLiteSchemaGrammar());
+  }
+
+  /**
+   * Get the default post processor instance.
+   *
+   * @return {QueryProcessor}
+   */
+  _getDefaultPostProcessor()
+  {
+    return new SQLiteProcessor();
+  }
+
+  /**
+   * Attach another database file to the connection under the given schema name, so
+   * its tables can be used as "name.table" in the queries, joins included.
+   *
+   * @param  {String}  name
+   * @param  {String}  file
+   * @return {Promise<Boolean>}
+   */
+  attach(name, file)
+  {
+    return this.statement(`attach database ? as ${this._queryGrammar.wrap(name)}`, [file]);
+  }
+
+  /**
+   * Detach a database attached under the given schema name.
+   *
+   * @param  {String}  name
+   * @return {Promise<Boolean>}
+   */
+  detach(name)
+  {
+    return this.statement(`detach database ${this._queryGrammar.wrap(name)}`);
+  }
+
+  /**
+   * Get the database connection foreign key constraints configuration option.
+   *
+   * @return bool|null
+   */
+  _getForeignKeyConstraintsConfigurationValue()
+  {
+    return this.getConfig('foreign_key_constraints');
+  }
+}
+
+export { SQLiteConnection }
+export default SQLiteConnection
@@ -1,6 +1,9 @@
 import _ from 'lodash'
 import Builder from '../model/Builder'
 import Model from '../model/Model'
+import LengthAwarePaginator from '../pagination/LengthAwarePaginator'
+import Paginator from '../pagination/Paginator'
+import CursorPaginator from '../pagination/CursorPaginator'
 
 /**
  * BuildsQueries Trait
@@ -13,9 +16,9 @@ const BuildsQueries = function () {
    *
    * @param  {Number}  count
    * @param  {Function}  callback
-   * @return {Boolean}
+   * @return {Promise<Boolean>}
    */
-  this.chunk = function(count, callback)
+  this.chunk = async function(count, callback)
   {
     this._enforceOrderBy();
 
@@ -26,7 +29,7 @@ const BuildsQueries = function () {
       // We'll execute the query for the given page and get the results. If there are
       // no results we can just break and return from here. When there are results
       // we will call the callback with the current chunk of these results here.
-      let results = this.forPage(page, count).get();
+      let results = await this.forPage(page, count).get();
 
       countResults = results.length;
 
@@ -37,7 +40,7 @@ const BuildsQueries = function () {
       // On each chunk result set, we will pass them to the callback and then let the
       // developer take care of everything within the callback, which allows us to
       // keep the memory low for spinning through large result sets for working.
-      if (callback(results, page) === false) {
+      if ((await callback(results, page)) === false) {
         return false;
       }
 
@@ -54,13 +57,13 @@ const BuildsQueries = function () {
    *
    * @param  {Function}  callback
    * @param  {Number}  count
-   * @return {Boolean}
+   * @return {Promise<Boolean>}
    */
   this.each = function(callback, count = 1000)
   {
-    return this.chunk(count, function (results) {
-      for (let i = 0; i < results.count(); i++) {
-        if (callback(results[i], i) === false)
+    return this.chunk(count, async function (results) {
+      for (let i = 0; i < results.length; i++) {
+        if ((await callback(results[i], i)) === false)
           return false;
       }
     });
@@ -133,14 +136,12 @@ const BuildsQueries = function () {
    * @param  {Number}  total
    * @param  {Number}  perPage
    * @param  {Number}  currentPage
-   * @param  {Array}  options
-   * @return \Illuminate\Pagination\LengthAwarePaginator
+   * @param  {Object}  options
+   * @return {LengthAwarePaginator}
    */
   this._paginator = function(items, total, perPage, currentPage, options)
   {
-    return Container.getInstance().makeWith(LengthAwarePaginator.name, {
-      items, total, perPage, currentPage, options
-    });
+    return new LengthAwarePaginator(items, total, perPage, currentPage, options);
   }
 
   /**
@@ -149,14 +150,26 @@ const BuildsQueries = function () {
    * @param  {Array}  items
    * @param  {Number} perPage
    * @param  {Number} currentPage
-   * @param  {Array}  options
-   * @return \Illuminate\Pagination\Paginator
+   * @param  {Object}  options
+   * @return {Paginator}
    */
   this._simplePaginator = function(items, perPage, currentPage, options)
   {
-    return Container.getInstance().makeWith(Paginator.name, {
-      items, perPage, currentPage, options
-    });
+    return new Paginator(items, perPage, currentPage, options);
+  }
+
+  /**
+   * Create a new cursor paginator instance.
+   *
+   * @param  {Array}  items
+   * @param  {Number}  perPage
+   * @param  {Cursor|null}  cursor
+   * @param  {Object}  options
+   * @return {CursorPaginator}
+   */
+  this._cursorPaginator = function(items, perPage, cursor, options)
+  {
+    return new CursorPaginator(items, perPage, cursor, options);
   }
 }
 
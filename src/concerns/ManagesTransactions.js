@@ -10,40 +10,66 @@ const ManagesTransactions = function () {
   /**
    * Execute a Closure within a transaction.
    *
+   * The transaction holds the connection until it is committed or rolled back, so
+   * statements sent from elsewhere in the app meanwhile wait for it to finish. The
+   * callback is given the connection to run its own statements through: any sent
+   * through another one would be waiting on the transaction as well. Models are run
+   * through it with `Model.on(connection)` or `model.setConnection(connection)`.
+   *
    * @param  {Function}  callback
    * @param  {Number}  attempts
-   * @return {*}
+   * @return {Promise<*>}
    *
    * @throws {Error}
    */
-  this.transaction = async function (callback, attempts = 1) {
-    for (let currentAttempt = 1; currentAttempt <= attempts; currentAttempt++) {
-      this.beginTransaction();
+  this.transaction = function (callback, attempts = 1) {
+    return this._serialize(async () => {
+      let connection = this._transactionConnection();
 
-      // We'll simply execute the given callback within a try / catch block and if we
-      // catch any exception we can rollback this transaction so that none of this
-      // gets actually persisted to a database or stored in a permanent fashion.
-      try {
-        return _.tap(await callback(this), () => {
-          this.commit();
-        });
-      }
+      for (let currentAttempt = 1; currentAttempt <= attempts; currentAttempt++) {
+        await connection.beginTransaction();
+
+        // We'll simply execute the given callback within a try / catch block and if we
+        // catch any exception we can rollback this transaction so that none of this
+        // gets actually persisted to a database or stored in a permanent fashion.
+        try {
+          let result = await callback(connection);
+
+          await connection.commit();
+
+          return result;
+        }
 
         // If we catch an exception we'll rollback this transaction and try again if we
         // are not out of attempts. If we are out of attempts we will just throw the
         // exception back out and let the developer handle an uncaught exceptions.
-      catch (e) {
-        try {
-          this._handleTransactionException(
+        catch (e) {
+          await connection._handleTransactionException(
             e, currentAttempt, attempts
           );
-        } catch (e) {
-          this.rollBack();
-
-          throw e;
         }
       }
+    });
+  }
+
+  /**
+   * Get the connection the statements of a transaction's callback are run through.
+   *
+   * It is this connection, only its statements skip the queue the transaction holds.
+   *
+   * @return {Connection}
+   */
+  this._transactionConnection = function ()
+  {
+    if (this._withinTransaction) {
+      return this;
     }
+
+    return new Proxy(this, {
+      get: (target, key, receiver) => key === '_withinTransaction'
+        ? true
+        : Reflect.get(target, key, receiver),
+    });
   }
 
   /**
@@ -52,26 +78,26 @@ const ManagesTransactions = function () {
    * @param  {Error}  e
    * @param  {Number}  currentAttempt
    * @param  {Number}  maxAttempts
-   * @return void
+   * @return {Promise<void>}
    *
    * @throws {Error}
    */
-  this._handleTransactionException = function (e, currentAttempt, maxAttempts)
+  this._handleTransactionException = async function (e, currentAttempt, maxAttempts)
   {
     // On a deadlock, MySQL rolls back the entire transaction so we can't just
     // retry the query. We have to throw this exception all the way out and
     // let the developer handle it in another way. We will decrement too.
     if (this._causedByDeadlock(e) &&
       this._transactions > 1) {
-    this._transactions--;
+      this._transactions--;
 
-    throw e;
-  }
+      throw e;
+    }
 
     // If there was an exception we will rollback this transaction and then we
     // can check if we have exceeded the maximum attempt count for this and
     // if we haven't we will return and try this query again in our loop.
-    this.rollBack();
+    await this.rollBack();
 
     if (this._causedByDeadlock(e) &&
       currentAttempt < maxAttempts) {
@@ -84,13 +110,13 @@ const ManagesTransactions = function () {
   /**
    * Start a new database transaction.
    *
-   * @return void
+   * @return {Promise<void>}
    *
    * @throws {Error}
    */
-  this.beginTransaction = function ()
+  this.beginTransaction = async function ()
   {
-    this._createTransaction();
+    await this._createTransaction();
 
     this._transactions++;
 
@@ -100,29 +126,29 @@ const ManagesTransactions = function () {
   /**
    * Create a transaction within the database.
    *
-   * @return void
+   * @return {Promise<void>}
    */
-  this._createTransaction = function ()
+  this._createTransaction = async function ()
   {
     if (this._transactions === 0) {
       try {
-        this.getPdo().beginTransaction();
+        await this.unprepared('BEGIN');
       } catch (e) {
-        this._handleBeginTransactionException(e);
+        await this._handleBeginTransactionException(e);
       }
     } else if (this._transactions >= 1 && this._queryGrammar.supportsSavepoints()) {
-    this._createSavepoint();
-  }
+      await this._createSavepoint();
+    }
   }
 
   /**
    * Create a save point within the database.
    *
-   * @return void
+   * @return {Promise<void>}
    */
-  this._createSavepoint = function ()
+  this._createSavepoint = async function ()
   {
-    this.getPdo().exec(
+    await this.unprepared(
       this._queryGrammar.compileSavepoint('trans' + (this._transactions + 1))
     );
   }
@@ -131,16 +157,16 @@ const ManagesTransactions = function () {
    * Handle an exception from a transaction beginning.
    *
    * @param  {Error}  e
-   * @return void
+   * @return {Promise<void>}
    *
    * @throws {Error}
    */
-  this._handleBeginTransactionException = function (e)
+  this._handleBeginTransactionException = async function (e)
   {
     if (this._causedByLostConnection(e)) {
       this.reconnect();
 
-      this._pdo.beginTransaction();
+      await this.unprepared('BEGIN');
     } else {
       throw e;
     }
@@ -149,12 +175,19 @@ const ManagesTransactions = function () {
   /**
    * Commit the active database transaction.
    *
-   * @return void
+   * A nested transaction releases its save point, which keeps its changes as part
+   * of the transaction around it.
+   *
+   * @return {Promise<void>}
    */
-  this.commit = function ()
+  this.commit = async function ()
   {
     if (this._transactions === 1) {
-      this.getPdo().commit();
+      await this.unprepared('COMMIT');
+    } else if (this._transactions > 1 && this._queryGrammar.supportsSavepoints()) {
+      await this.unprepared(
+        this._queryGrammar.compileSavepointRelease('trans' + this._transactions)
+      );
     }
 
     this._transactions = _.max([0, this._transactions - 1]);
@@ -166,11 +199,11 @@ const ManagesTransactions = function () {
    * Rollback the active database transaction.
    *
    * @param  {Number|null}  toLevel
-   * @return void
+   * @return {Promise<void>}
    *
    * @throws {Error}
    */
-  this.rollBack = function (toLevel = null)
+  this.rollBack = async function (toLevel = null)
   {
     // We allow developers to rollback to a certain transaction level. We will verify
     // that this given transaction level is valid before attempting to rollback to
@@ -180,17 +213,17 @@ const ManagesTransactions = function () {
       : toLevel;
 
     if (toLevel < 0 || toLevel >= this._transactions) {
-    return;
-  }
+      return;
+    }
 
     // Next, we will actually perform this rollback within this database and fire the
     // rollback event. We will also set the current transaction level to the given
     // level that was passed into this method so it will be right from here out.
     try {
-      this._performRollBack(toLevel);
+      await this._performRollBack(toLevel);
     } catch (e) {
-    this._handleRollBackException(e);
-  }
+      this._handleRollBackException(e);
+    }
 
     this._transactions = toLevel;
 
@@ -201,17 +234,17 @@ const ManagesTransactions = function () {
    * Perform a rollback within the database.
    *
    * @param  {Number}  toLevel
-   * @return void
+   * @return {Promise<void>}
    */
-  this._performRollBack = function (toLevel)
+  this._performRollBack = async function (toLevel)
   {
     if (toLevel === 0) {
-      this.getPdo().rollBack();
+      await this.unprepared('ROLLBACK');
     } else if (this._queryGrammar.supportsSavepoints()) {
-    this.getPdo().exec(
-      this._queryGrammar.compileSavepointRollBack('trans' + (toLevel + 1))
-    );
-  }
+      await this.unprepared(
+        this._queryGrammar.compileSavepointRollBack('trans' + (toLevel + 1))
+      );
+    }
   }
 
   /**
@@ -0,0 +1,23 @@
+import Connection from "../Connection";
+
+export default class ConnectionEvent {
+    /**
+     * The database connection instance.
+     *
+     * @var {Connection}
+     */
+    connection: Connection;
+    /**
+     * The name of the connection.
+     *
+     * @var {String|null}
+     */
+    connectionName: string | null;
+    /**
+     * Create a new event instance.
+     *
+     * @param  {Connection}  connection
+     * @return void
+     */
+    constructor(connection: Connection);
+}
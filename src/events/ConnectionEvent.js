@@ -0,0 +1,31 @@
+class ConnectionEvent
+{
+  /**
+   * The database connection instance.
+   *
+   * @var {Connection}
+   */
+  connection;
+
+  /**
+   * The name of the connection.
+   *
+   * @var {String|null}
+   */
+  connectionName;
+
+  /**
+   * Create a new event instance.
+   *
+   * @param  {Connection}  connection
+   * @return void
+   */
+  constructor(connection)
+  {
+    this.connection = connection;
+    this.connectionName = connection.getName();
+  }
+}
+
+export { ConnectionEvent }
+export default ConnectionEvent
@@ -0,0 +1,44 @@
+import Connection from "../Connection";
+
+export default class QueryExecuted {
+    /**
+     * The SQL query that was executed.
+     *
+     * @var {String}
+     */
+    sql: string;
+    /**
+     * The array of query bindings.
+     *
+     * @var {Array}
+     */
+    bindings: any[];
+    /**
+     * The number of milliseconds it took to execute the query.
+     *
+     * @var {Number|null}
+     */
+    time: number | null;
+    /**
+     * The database connection instance.
+     *
+     * @var {Connection}
+     */
+    connection: Connection;
+    /**
+     * The database connection name.
+     *
+     * @var {String|null}
+     */
+    connectionName: string | null;
+    /**
+     * Create a new event instance.
+     *
+     * @param  {String}  sql
+     * @param  {Array}  bindings
+     * @param  {Number|null}  time
+     * @param  {Connection}  connection
+     * @return void
+     */
+    constructor(sql: string, bindings: any[], time: number | null, connection: Connection);
+}
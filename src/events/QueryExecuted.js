@@ -0,0 +1,58 @@
+class QueryExecuted
+{
+  /**
+   * The SQL query that was executed.
+   *
+   * @var {String}
+   */
+  sql;
+
+  /**
+   * The array of query bindings.
+   *
+   * @var {Array}
+   */
+  bindings;
+
+  /**
+   * The number of milliseconds it took to execute the query.
+   *
+   * @var {Number|null}
+   */
+  time;
+
+  /**
+   * The database connection instance.
+   *
+   * @var {Connection}
+   */
+  connection;
+
+  /**
+   * The database connection name.
+   *
+   * @var {String|null}
+   */
+  connectionName;
+
+  /**
+   * Create a new event instance.
+   *
+   * @param  {String}  sql
+   * @param  {Array}  bindings
+   * @param  {Number|null}  time
+   * @param  {Connection}  connection
+   * @return void
+   */
+  constructor(sql, bindings, time, connection)
+  {
+    this.sql = sql;
+    this.time = time;
+    this.bindings = bindings;
+    this.connection = connection;
+    this.connectionName = connection.getName();
+  }
+}
+
+export { QueryExecuted }
+export default QueryExecuted
@@ -0,0 +1,9 @@
+import ConnectionEvent from './ConnectionEvent'
+
+class TransactionBeginning extends ConnectionEvent
+{
+  //
+}
+
+export { TransactionBeginning }
+export default TransactionBeginning
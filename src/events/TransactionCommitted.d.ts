@@ -0,0 +1,4 @@
+import ConnectionEvent from "./ConnectionEvent";
+
+export default class TransactionCommitted extends ConnectionEvent {
+}
@@ -0,0 +1,9 @@
+import ConnectionEvent from './ConnectionEvent'
+
+class TransactionCommitted extends ConnectionEvent
+{
+  //
+}
+
+export { TransactionCommitted }
+export default TransactionCommitted
@@ -0,0 +1,9 @@
+import ConnectionEvent from './ConnectionEvent'
+
+class TransactionRolledBack extends ConnectionEvent
+{
+  //
+}
+
+export { TransactionRolledBack }
+export default TransactionRolledBack
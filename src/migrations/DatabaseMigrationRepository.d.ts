@@ -0,0 +1,113 @@
+import Connection from "../Connection";
+import Builder from "../query/Builder";
+
+export default class DatabaseMigrationRepository {
+    /**
+     * The name of the migration table.
+     *
+     * @var {String}
+     */
+    _table: string;
+    /**
+     * The name of the database connection to use.
+     *
+     * @var {String|null}
+     */
+    _connection: string | null;
+    /**
+     * Create a new database migration repository instance.
+     *
+     * @param  {String}  table
+     * @return void
+     */
+    constructor(table?: string);
+    /**
+     * Get the completed migrations.
+     *
+     * @return {Promise<Array<String>>}
+     */
+    getRan(): Promise<string[]>;
+    /**
+     * Get list of migrations.
+     *
+     * @param  {Number}  steps
+     * @return {Promise<Array<Object>>}
+     */
+    getMigrations(steps: number): Promise<{ [key: string]: any }[]>;
+    /**
+     * Get the last migration batch.
+     *
+     * @return {Promise<Array<Object>>}
+     */
+    getLast(): Promise<{ [key: string]: any }[]>;
+    /**
+     * Get the completed migrations with their batch numbers.
+     *
+     * @return {Promise<Object>}
+     */
+    getMigrationBatches(): Promise<{ [key: string]: any }>;
+    /**
+     * Log that a migration was run.
+     *
+     * @param  {String}  file
+     * @param  {Number}  batch
+     * @param  {Connection|null}  connection
+     * @return {Promise}
+     */
+    log(file: string, batch: number, connection?: Connection | null): Promise<any>;
+    /**
+     * Remove a migration from the log.
+     *
+     * @param  {Object}  migration
+     * @param  {Connection|null}  connection
+     * @return {Promise}
+     */
+    delete(migration: { [key: string]: any }, connection?: Connection | null): Promise<any>;
+    /**
+     * Get the next migration batch number.
+     *
+     * @return {Promise<Number>}
+     */
+    getNextBatchNumber(): Promise<number>;
+    /**
+     * Get the last migration batch number.
+     *
+     * @return {Promise<Number>}
+     */
+    getLastBatchNumber(): Promise<number>;
+    /**
+     * Create the migration repository data store.
+     *
+     * @return {Promise<void>}
+     */
+    createRepository(): Promise<void>;
+    /**
+     * Determine if the migration repository exists.
+     *
+     * @return {Promise<Boolean>}
+     */
+    repositoryExists(): Promise<boolean>;
+    /**
+     * Get a query builder for the migration table.
+     *
+     * It is run through the given connection, such as the one of a transaction, in
+     * place of the repository's own.
+     *
+     * @param  {Connection|null}  connection
+     * @return {Builder}
+     */
+    table(connection?: Connection | null): Builder;
+    /**
+     * Resolve the database connection instance.
+     *
+     * @return {Connection}
+     */
+    getConnection(): Connection;
+    /**
+     * Set the information source to gather data.
+     *
+     * @param  {String|null}  name
+     * @return void
+     */
+    setSource(name: string | null): void;
+}
@@ -0,0 +1,198 @@
+import Model from '../model/Model'
+
+class DatabaseMigrationRepository
+{
+  /**
+   * The name of the migration table.
+   *
+   * @var {String}
+   */
+  _table;
+
+  /**
+   * The name of the database connection to use.
+   *
+   * @var {String|null}
+   */
+  _connection = null;
+
+  /**
+   * Create a new database migration repository instance.
+   *
+   * @param  {String}  table
+   * @return void
+   */
+  constructor(table = 'migrations')
+  {
+    this._table = table;
+  }
+
+  /**
+   * Get the completed migrations.
+   *
+   * @return {Promise<Array<String>>}
+   */
+  getRan()
+  {
+    return this.table()
+      .orderBy('batch', 'asc')
+      .orderBy('id', 'asc')
+      .pluck('migration');
+  }
+
+  /**
+   * Get list of migrations.
+   *
+   * @param  {Number}  steps
+   * @return {Promise<Array<Object>>}
+   */
+  getMigrations(steps)
+  {
+    let query = this.table().where('batch', '>=', '1');
+
+    return query.orderBy('batch', 'desc')
+      .orderBy('id', 'desc')
+      .take(steps).get();
+  }
+
+  /**
+   * Get the last migration batch.
+   *
+   * @return {Promise<Array<Object>>}
+   */
+  async getLast()
+  {
+    let query = this.table().where('batch', await this.getLastBatchNumber());
+
+    return query.orderBy('id', 'desc').get();
+  }
+
+  /**
+   * Get the completed migrations with their batch numbers.
+   *
+   * @return {Promise<Object>}
+   */
+  getMigrationBatches()
+  {
+    return this.table()
+      .orderBy('batch', 'asc')
+      .orderBy('id', 'asc')
+      .pluck('batch', 'migration');
+  }
+
+  /**
+   * Log that a migration was run.
+   *
+   * @param  {String}  file
+   * @param  {Number}  batch
+   * @param  {Connection|null}  connection
+   * @return {Promise}
+   */
+  log(file, batch, connection = null)
+  {
+    let record = {migration: file, batch: batch};
+
+    return this.table(connection).insert(record);
+  }
+
+  /**
+   * Remove a migration from the log.
+   *
+   * @param  {Object}  migration
+   * @param  {Connection|null}  connection
+   * @return {Promise}
+   */
+  delete(migration, connection = null)
+  {
+    return this.table(connection).where('migration', migration.migration).delete();
+  }
+
+  /**
+   * Get the next migration batch number.
+   *
+   * @return {Promise<Number>}
+   */
+  async getNextBatchNumber()
+  {
+    return (await this.getLastBatchNumber()) + 1;
+  }
+
+  /**
+   * Get the last migration batch number.
+   *
+   * @return {Promise<Number>}
+   */
+  async getLastBatchNumber()
+  {
+    return Number(await this.table().max('batch')) || 0;
+  }
+
+  /**
+   * Create the migration repository data store.
+   *
+   * @return {Promise<void>}
+   */
+  createRepository()
+  {
+    let schema = this.getConnection().getSchemaBuilder();
+
+    return schema.create(this._table, (table) => {
+      // The migrations table is responsible for keeping track of which of the
+      // migrations have actually run for the application. We'll create the
+      // table to hold the migration file's path as well as the batch ID.
+      table.increments('id');
+      table.string('migration');
+      table.integer('batch');
+    });
+  }
+
+  /**
+   * Determine if the migration repository exists.
+   *
+   * @return {Promise<Boolean>}
+   */
+  repositoryExists()
+  {
+    let schema = this.getConnection().getSchemaBuilder();
+
+    return schema.hasTable(this._table);
+  }
+
+  /**
+   * Get a query builder for the migration table.
+   *
+   * It is run through the given connection, such as the one of a transaction, in
+   * place of the repository's own.
+   *
+   * @param  {Connection|null}  connection
+   * @return {Builder}
+   */
+  table(connection = null)
+  {
+    return (connection || this.getConnection()).table(this._table);
+  }
+
+  /**
+   * Resolve the database connection instance.
+   *
+   * @return {Connection}
+   */
+  getConnection()
+  {
+    return Model.resolveConnection(this._connection);
+  }
+
+  /**
+   * Set the information source to gather data.
+   *
+   * @param  {String|null}  name
+   * @return void
+   */
+  setSource(name)
+  {
+    this._connection = name;
+  }
+}
+
+export { DatabaseMigrationRepository }
+export default DatabaseMigrationRepository
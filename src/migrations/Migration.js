@@ -0,0 +1,50 @@
+/**
+ * Base class of the migrations given to the Migrator.
+ *
+ * A migration lives in its own module, which exports its name next to it. The
+ * name is stored in the migrations table, so it must never change once shipped.
+ * Its methods are given the schema builder to make their changes with, which runs
+ * them within the migration's transaction.
+ *
+ * @example
+ * export const name = '2019_08_19_000000_create_posts_table'
+ *
+ * export default class CreatePostsTable extends Migration {
+ *   async up (schema) {
+ *     await schema.create('posts', (table) => { table.increments('id') })
+ *   }
+ *
+ *   async down (schema) {
+ *     await schema.dropIfExists('posts')
+ *   }
+ * }
+ */
+class Migration
+{
+  /**
+   * The name of the database connection to use.
+   *
+   * @var {String|null}
+   */
+  _connection = null;
+
+  /**
+   * Enables, if supported, wrapping the migration within a transaction.
+   *
+   * @var {Boolean}
+   */
+  withinTransaction = true;
+
+  /**
+   * Get the migration connection name.
+   *
+   * @return {String|null}
+   */
+  getConnection()
+  {
+    return this._connection;
+  }
+}
+
+export { Migration }
+export default Migration
@@ -0,0 +1,219 @@
+import Connection from "../Connection";
+import Grammar from "../schema/grammars/Grammar";
+import Migration from "./Migration";
+import DatabaseMigrationRepository from "./DatabaseMigrationRepository";
+
+/**
+ * Runs the migrations of the app, keeping track of them in a migrations table.
+ *
+ * React Native bundles can't list a directory, so the migration modules are
+ * registered up front, in the order they have to run.
+ *
+ * @example
+ * import * as CreatePostsTable from './migrations/2019_08_19_000000_create_posts_table'
+ *
+ * await new Migrator([CreatePostsTable]).run()
+ */
+export default class Migrator {
+    /**
+     * The migration repository implementation.
+     *
+     * @var {DatabaseMigrationRepository}
+     */
+    _repository: DatabaseMigrationRepository;
+    /**
+     * The registered migration modules.
+     *
+     * @var {Array<Object>}
+     */
+    _migrations: { [key: string]: any }[];
+    /**
+     * The name of the default connection.
+     *
+     * @var {String|null}
+     */
+    _connection: string | null;
+    /**
+     * The notes for the current operation.
+     *
+     * @var {Array<String>}
+     */
+    _notes: string[];
+    /**
+     * Create a new migrator instance.
+     *
+     * @param  {Array<Object>}  migrations
+     * @param  {DatabaseMigrationRepository|null}  repository
+     * @return void
+     */
+    constructor(migrations?: { [key: string]: any }[], repository?: DatabaseMigrationRepository | null);
+    /**
+     * Run the pending migrations.
+     *
+     * @param  {Object}  options (step)
+     * @return {Promise<Array<String>>}
+     */
+    run(options?: { [key: string]: any }): Promise<string[]>;
+    /**
+     * Get the migration names that have not yet run.
+     *
+     * @param  {Array<String>}  names
+     * @param  {Array<String>}  ran
+     * @return {Array<String>}
+     */
+    _pendingMigrations(names: string[], ran: string[]): string[];
+    /**
+     * Run an array of migrations.
+     *
+     * @param  {Array<String>}  migrations
+     * @param  {Object}  options (step)
+     * @return {Promise<void>}
+     */
+    runPending(migrations: string[], options?: { [key: string]: any }): Promise<void>;
+    /**
+     * Run "up" a migration instance.
+     *
+     * @param  {String}  name
+     * @param  {Number}  batch
+     * @return {Promise<void>}
+     */
+    _runUp(name: string, batch: number): Promise<void>;
+    /**
+     * Rollback the last migration operation.
+     *
+     * @param  {Object}  options (step)
+     * @return {Promise<Array<String>>}
+     */
+    rollback(options?: { [key: string]: any }): Promise<string[]>;
+    /**
+     * Get the migrations for a rollback operation.
+     *
+     * @param  {Object}  options (step)
+     * @return {Promise<Array<Object>>}
+     */
+    _getMigrationsForRollback(options: { [key: string]: any }): Promise<{ [key: string]: any }[]>;
+    /**
+     * Rollback the given migrations.
+     *
+     * @param  {Array<Object>}  migrations
+     * @return {Promise<Array<String>>}
+     */
+    _rollbackMigrations(migrations: { [key: string]: any }[]): Promise<string[]>;
+    /**
+     * Rolls all of the currently applied migrations back.
+     *
+     * @return {Promise<Array<String>>}
+     */
+    reset(): Promise<string[]>;
+    /**
+     * Reset and re-run all of the migrations.
+     *
+     * @param  {Object}  options (step)
+     * @return {Promise<Array<String>>}
+     */
+    refresh(options?: { [key: string]: any }): Promise<string[]>;
+    /**
+     * Run "down" a migration instance.
+     *
+     * @param  {String}  name
+     * @param  {Object}  migration
+     * @return {Promise<void>}
+     */
+    _runDown(name: string, migration: { [key: string]: any }): Promise<void>;
+    /**
+     * Get the status of every registered migration.
+     *
+     * @return {Promise<Array<Object>>}
+     */
+    status(): Promise<{ [key: string]: any }[]>;
+    /**
+     * Run a migration inside a transaction if the database supports it.
+     *
+     * The migration is given the schema builder of the connection its statements are
+     * to be run through. The repository is updated by the given callback within the
+     * same transaction, when the repository is on the migration's connection, so an
+     * app stopped in between can't leave a migration run but not recorded.
+     *
+     * @param  {Migration}  migration
+     * @param  {String}  method
+     * @param  {Function}  record
+     * @return {Promise<void>}
+     */
+    _runMigration(migration: Migration, method: string, record: Function): Promise<void>;
+    /**
+     * Run a method of the migration with the schema builder of the given connection.
+     *
+     * @param  {Migration}  migration
+     * @param  {String}  method
+     * @param  {Connection}  connection
+     * @return {Promise<void>}
+     */
+    _runMigrationMethod(migration: Migration, method: string, connection: Connection): Promise<void>;
+    /**
+     * Resolve a migration instance from its name.
+     *
+     * @param  {String}  name
+     * @return {Migration}
+     */
+    _resolve(name: string): Migration;
+    /**
+     * Get the names of the registered migrations, in the order they run.
+     *
+     * @return {Array<String>}
+     *
+     * @throws Error
+     */
+    getMigrationNames(): string[];
+    /**
+     * Create the migrations table when it doesn't exist yet.
+     *
+     * @return {Promise<void>}
+     */
+    _prepareDatabase(): Promise<void>;
+    /**
+     * Set the default connection name.
+     *
+     * @param  {String|null}  name
+     * @return void
+     */
+    setConnection(name: string | null): void;
+    /**
+     * Resolve the database connection instance.
+     *
+     * @param  {String|null}  connection
+     * @return {Connection}
+     */
+    resolveConnection(connection: string | null): Connection;
+    /**
+     * Get the schema grammar out of a migration connection.
+     *
+     * @param  {Connection}  connection
+     * @return {SchemaGrammar}
+     */
+    _getSchemaGrammar(connection: Connection): Grammar;
+    /**
+     * Get the migration repository instance.
+     *
+     * @return {DatabaseMigrationRepository}
+     */
+    getRepository(): DatabaseMigrationRepository;
+    /**
+     * Determine if the migration repository exists.
+     *
+     * @return {Promise<Boolean>}
+     */
+    repositoryExists(): Promise<boolean>;
+    /**
+     * Raise a note event for the migrator.
+     *
+     * @param  {String}  message
+     * @return void
+     */
+    _note(message: string): void;
+    /**
+     * Get the notes for the last operation.
+     *
+     * @return {Array<String>}
+     */
+    getNotes(): string[];
+}
@@ -0,0 +1,512 @@
+import _ from 'lodash'
+import Model from '../model/Model'
+import DatabaseMigrationRepository from './DatabaseMigrationRepository'
+
+/**
+ * Runs the migrations of the app, keeping track of them in a migrations table.
+ *
+ * React Native bundles can't list a directory, so the migration modules are
+ * registered up front, in the order they have to run.
+ *
+ * @example
+ * import * as CreatePostsTable from './migrations/2019_08_19_000000_create_posts_table'
+ *
+ * await new Migrator([CreatePostsTable]).run()
+ */
+class Migrator
+{
+  /**
+   * The migration repository implementation.
+   *
+   * @var {DatabaseMigrationRepository}
+   */
+  _repository;
+
+  /**
+   * The registered migration modules.
+   *
+   * @var {Array<Object>}
+   */
+  _migrations = [];
+
+  /**
+   * The name of the default connection.
+   *
+   * @var {String|null}
+   */
+  _connection = null;
+
+  /**
+   * The notes for the current operation.
+   *
+   * @var {Array<String>}
+   */
+  _notes = [];
+
+  /**
+   * Create a new migrator instance.
+   *
+   * @param  {Array<Object>}  migrations
+   * @param  {DatabaseMigrationRepository|null}  repository
+   * @return void
+   */
+  constructor(migrations = [], repository = null)
+  {
+    this._migrations = migrations;
+    this._repository = repository || new DatabaseMigrationRepository();
+  }
+
+  /**
+   * Run the pending migrations.
+   *
+   * @param  {Object}  options (step)
+   * @return {Promise<Array<String>>}
+   */
+  async run(options = {})
+  {
+    this._notes = [];
+
+    await this._prepareDatabase();
+
+    // Once we have the registered migrations, we will compare them with the ones
+    // that have already been run for this app, then run each of the pending
+    // ones, which makes sure we never run one of them more than once.
+    let migrations = this._pendingMigrations(
+      this.getMigrationNames(), await this._repository.getRan()
+    );
+
+    await this.runPending(migrations, options);
+
+    return migrations;
+  }
+
+  /**
+   * Get the migration names that have not yet run.
+   *
+   * @param  {Array<String>}  names
+   * @param  {Array<String>}  ran
+   * @return {Array<String>}
+   */
+  _pendingMigrations(names, ran)
+  {
+    return names.filter((name) => ! ran.includes(name));
+  }
+
+  /**
+   * Run an array of migrations.
+   *
+   * @param  {Array<String>}  migrations
+   * @param  {Object}  options (step)
+   * @return {Promise<void>}
+   */
+  async runPending(migrations, options = {})
+  {
+    // First we will just make sure that there are any migrations to run. If there
+    // aren't, we will just make a note of it to the developer so they're aware
+    // that all of the migrations have been run against this database system.
+    if (migrations.length === 0) {
+      this._note('Nothing to migrate.');
+
+      return;
+    }
+
+    // Next, we will get the next batch number for the migrations so we can insert
+    // correct batch number in the database migrations repository when we store
+    // each migration's execution. We will also extract a few of the options.
+    let batch = await this._repository.getNextBatchNumber();
+
+    let step = options['step'] || false;
+
+    // Once we have the array of migrations, we will spin through them and run the
+    // migrations "up" so the changes are made to the databases. We'll then log
+    // that the migration was run so we don't repeat it next time we execute.
+    for (let name of migrations) {
+      await this._runUp(name, batch);
+
+      if (step) {
+        batch++;
+      }
+    }
+  }
+
+  /**
+   * Run "up" a migration instance.
+   *
+   * @param  {String}  name
+   * @param  {Number}  batch
+   * @return {Promise<void>}
+   */
+  async _runUp(name, batch)
+  {
+    // First we will resolve a "real" instance of the migration class from this
+    // migration module. Once we have the instances we can run the actual
+    // command such as "up" or "down", or we can just simulate the action.
+    let migration = this._resolve(name);
+
+    this._note(`Migrating: ${name}`);
+
+    // Once we have run a migrations class, we will log that it was run in this
+    // repository so that we don't try to run it next time we do a migration
+    // in the application. A migration repository keeps the migrate order.
+    await this._runMigration(migration, 'up', (connection) => {
+      return this._repository.log(name, batch, connection);
+    });
+
+    this._note(`Migrated:  ${name}`);
+  }
+
+  /**
+   * Rollback the last migration operation.
+   *
+   * @param  {Object}  options (step)
+   * @return {Promise<Array<String>>}
+   */
+  async rollback(options = {})
+  {
+    this._notes = [];
+
+    if (! await this._repository.repositoryExists()) {
+      this._note('Migration table not found.');
+
+      return [];
+    }
+
+    // We want to pull in the last batch of migrations that ran on the previous
+    // migration operation. We'll then reverse those migrations and run each
+    // of them "down" to reverse the last migration "operation" which ran.
+    let migrations = await this._getMigrationsForRollback(options);
+
+    if (migrations.length === 0) {
+      this._note('Nothing to rollback.');
+
+      return [];
+    }
+
+    return this._rollbackMigrations(migrations);
+  }
+
+  /**
+   * Get the migrations for a rollback operation.
+   *
+   * @param  {Object}  options (step)
+   * @return {Promise<Array<Object>>}
+   */
+  _getMigrationsForRollback(options)
+  {
+    let steps = options['step'] || 0;
+
+    if (steps > 0) {
+      return this._repository.getMigrations(steps);
+    }
+
+    return this._repository.getLast();
+  }
+
+  /**
+   * Rollback the given migrations.
+   *
+   * @param  {Array<Object>}  migrations
+   * @return {Promise<Array<String>>}
+   */
+  async _rollbackMigrations(migrations)
+  {
+    let rolledBack = [];
+
+    let names = this.getMigrationNames();
+
+    for (let migration of migrations) {
+      if (! names.includes(migration.migration)) {
+        this._note(`Migration not found: ${migration.migration}`);
+
+        continue;
+      }
+
+      rolledBack.push(migration.migration);
+
+      await this._runDown(migration.migration, migration);
+    }
+
+    return rolledBack;
+  }
+
+  /**
+   * Rolls all of the currently applied migrations back.
+   *
+   * @return {Promise<Array<String>>}
+   */
+  async reset()
+  {
+    this._notes = [];
+
+    if (! await this._repository.repositoryExists()) {
+      this._note('Migration table not found.');
+
+      return [];
+    }
+
+    // Next, we will reverse the migration list so we can run them back in the
+    // correct order for resetting this database. This will allow us to get
+    // the database back into its "empty" state ready for the migrations.
+    let migrations = (await this._repository.getRan()).reverse();
+
+    if (migrations.length === 0) {
+      this._note('Nothing to rollback.');
+
+      return [];
+    }
+
+    return this._rollbackMigrations(migrations.map((migration) => ({migration})));
+  }
+
+  /**
+   * Reset and re-run all of the migrations.
+   *
+   * @param  {Object}  options (step)
+   * @return {Promise<Array<String>>}
+   */
+  async refresh(options = {})
+  {
+    await this.reset();
+
+    let notes = this._notes;
+
+    let migrations = await this.run(options);
+
+    this._notes = notes.concat(this._notes);
+
+    return migrations;
+  }
+
+  /**
+   * Run "down" a migration instance.
+   *
+   * @param  {String}  name
+   * @param  {Object}  migration
+   * @return {Promise<void>}
+   */
+  async _runDown(name, migration)
+  {
+    // First we will get the migration instance so we can use it to run the
+    // "down" method. Then we will log the rollback in the repository so
+    // the migration is considered pending again on the next migration.
+    let instance = this._resolve(name);
+
+    this._note(`Rolling back: ${name}`);
+
+    // Once we have successfully run the migration "down" we will remove it from
+    // the migration repository so it will be considered to have not been run
+    // by the application then will be able to fire by any later operation.
+    await this._runMigration(instance, 'down', (connection) => {
+      return this._repository.delete(migration, connection);
+    });
+
+    this._note(`Rolled back:  ${name}`);
+  }
+
+  /**
+   * Get the status of every registered migration.
+   *
+   * @return {Promise<Array<Object>>}
+   */
+  async status()
+  {
+    let batches = await this._repository.repositoryExists()
+      ? await this._repository.getMigrationBatches()
+      : {};
+
+    return this.getMigrationNames().map((name) => ({
+      migration: name,
+      ran: _.has(batches, name),
+      batch: _.has(batches, name) ? batches[name] : null,
+    }));
+  }
+
+  /**
+   * Run a migration inside a transaction if the database supports it.
+   *
+   * The migration is given the schema builder of the connection its statements are
+   * to be run through. The repository is updated by the given callback within the
+   * same transaction, when the repository is on the migration's connection, so an
+   * app stopped in between can't leave a migration run but not recorded.
+   *
+   * @param  {Migration}  migration
+   * @param  {String}  method
+   * @param  {Function}  record
+   * @return {Promise<void>}
+   */
+  async _runMigration(migration, method, record)
+  {
+    let connection = this.resolveConnection(migration.getConnection());
+    let recordsOnConnection = this._repository.getConnection() === connection;
+
+    if (! this._getSchemaGrammar(connection).supportsSchemaTransactions() || ! migration.withinTransaction) {
+      await this._runMigrationMethod(migration, method, connection);
+
+      return record(null);
+    }
+
+    // Foreign keys can't be turned off within the transaction, which the tables that
+    // are rebuilt need, so they are off for the whole of the migration. The rows are
+    // checked against them before it is committed instead.
+    await connection.getSchemaBuilder().withoutForeignKeyConstraints(() => {
+      return connection.transaction(async (connection) => {
+        await this._runMigrationMethod(migration, method, connection);
+
+        await connection.getSchemaBuilder().checkForeignKeyConstraints();
+
+        await record(recordsOnConnection ? connection : null);
+      });
+    });
+  }
+
+  /**
+   * Run a method of the migration with the schema builder of the given connection.
+   *
+   * @param  {Migration}  migration
+   * @param  {String}  method
+   * @param  {Connection}  connection
+   * @return {Promise<void>}
+   */
+  async _runMigrationMethod(migration, method, connection)
+  {
+    if (_.isFunction(migration[method])) {
+      await migration[method](connection.getSchemaBuilder());
+    }
+  }
+
+  /**
+   * Resolve a migration instance from its name.
+   *
+   * @param  {String}  name
+   * @return {Migration}
+   */
+  _resolve(name)
+  {
+    let module = _.find(this._migrations, (module) => module.name === name);
+
+    return new module.default();
+  }
+
+  /**
+   * Get the names of the registered migrations, in the order they run.
+   *
+   * @return {Array<String>}
+   *
+   * @throws Error
+   */
+  getMigrationNames()
+  {
+    return this._migrations.map((module) => {
+      if (! _.isString(module.name) || ! _.isFunction(module.default)) {
+        throw new Error('Migration modules must export their name and default export a Migration class.');
+      }
+
+      return module.name;
+    });
+  }
+
+  /**
+   * Create the migrations table when it doesn't exist yet.
+   *
+   * @return {Promise<void>}
+   */
+  async _prepareDatabase()
+  {
+    if (! await this._repository.repositoryExists()) {
+      await this._repository.createRepository();
+    }
+  }
+
+  /**
+   * Set the default connection name.
+   *
+   * @param  {String|null}  name
+   * @return void
+   */
+  setConnection(name)
+  {
+    if (name != null) {
+      Model.resolveConnection();
+
+      Model.getConnectionResolver().setDefaultConnection(name);
+    }
+
+    this._repository.setSource(name);
+
+    this._connection = name;
+  }
+
+  /**
+   * Resolve the database connection instance.
+   *
+   * @param  {String|null}  connection
+   * @return {Connection}
+   */
+  resolveConnection(connection)
+  {
+    return Model.resolveConnection(connection || this._connection);
+  }
+
+  /**
+   * Get the schema grammar out of a migration connection.
+   *
+   * @param  {Connection}  connection
+   * @return {SchemaGrammar}
+   */
+  _getSchemaGrammar(connection)
+  {
+    let grammar = connection.getSchemaGrammar();
+
+    if (grammar == null) {
+      connection.useDefaultSchemaGrammar();
+
+      grammar = connection.getSchemaGrammar();
+    }
+
+    return grammar;
+  }
+
+  /**
+   * Get the migration repository instance.
+   *
+   * @return {DatabaseMigrationRepository}
+   */
+  getRepository()
+  {
+    return this._repository;
+  }
+
+  /**
+   * Determine if the migration repository exists.
+   *
+   * @return {Promise<Boolean>}
+   */
+  repositoryExists()
+  {
+    return this._repository.repositoryExists();
+  }
+
+  /**
+   * Raise a note event for the migrator.
+   *
+   * @param  {String}  message
+   * @return void
+   */
+  _note(message)
+  {
+    this._notes.push(message);
+  }
+
+  /**
+   * Get the notes for the last operation.
+   *
+   * @return {Array<String>}
+   */
+  getNotes()
+  {
+    return this._notes;
+  }
+}
+
+export { Migrator }
+export default Migrator
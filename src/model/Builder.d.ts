@@ -1,12 +1,20 @@
 import Model from "./Model";
 import Scope from "./Scope";
 import Relation from "./relations/Relation";
+import BelongsTo from "./relations/BelongsTo";
+import MorphTo from "./relations/MorphTo";
+import Collection from "./Collection";
+import LengthAwarePaginator from "../pagination/LengthAwarePaginator";
+import Paginator from "../pagination/Paginator";
+import CursorPaginator from "../pagination/CursorPaginator";
+import Cursor from "../pagination/Cursor";
 import QueryBuilder from "../query/Builder";
 import BaseQueryBuilder from "../query/BaseBuilder";
 
 /**
  * @mixes QueryBuilder
  * @mixes BuildsQueries
+ * @mixes QueriesRelationships
  * @mixin
  */
 export default class Builder extends QueryBuilder {
@@ -116,6 +124,13 @@ export default class Builder extends QueryBuilder {
      * @return {Array}
      */
     removedScopes(): any[];
+    /**
+     * Merge the where constraints from another query to the current query.
+     *
+     * @param  {Builder}  from
+     * @return {Builder}
+     */
+    mergeConstraintsFrom(from: Builder): Builder;
     /**
      * Add a where clause on the primary key to the query.
      *
@@ -167,17 +182,17 @@ export default class Builder extends QueryBuilder {
      * Create a collection of models from plain arrays.
      *
      * @param  {Array}  items
-     * @return {Array}
+     * @return {Collection}
      */
-    hydrate(items: any[]): any[];
+    hydrate(items: any[]): Collection;
     /**
      * Create a collection of models from a raw query.
      *
      * @param  {String}  query
      * @param  {Array}  bindings
-     * @return {Array}
+     * @return {Promise<Array>}
      */
-    fromQuery(query: string, bindings?: any[]): any[];
+    fromQuery(query: string, bindings?: any[]): Promise<Collection>;
     /**
      * Find a model by its primary key.
      *
@@ -209,7 +224,7 @@ export default class Builder extends QueryBuilder {
      *
      * @param  {Number|String}  id
      * @param  {Array}  columns
-     * @return {Model}
+     * @return {Promise<Model>}
      */
     findOrNew(id: number | string, columns?: any[]): Promise<Model>;
     /**
@@ -217,7 +232,7 @@ export default class Builder extends QueryBuilder {
      *
      * @param  {Object}  attributes
      * @param  {Object}  values
-     * @return {Model}
+     * @return {Promise<Model>}
      */
     firstOrNew(attributes: any, values?: any): Promise<Model>;
     /**
@@ -225,7 +240,7 @@ export default class Builder extends QueryBuilder {
      *
      * @param  {Object}  attributes
      * @param  {Object}  values
-     * @return {Model}
+     * @return {Promise<Model>}
      */
     firstOrCreate(attributes: any, values?: any): Promise<Model>;
     /**
@@ -233,14 +248,14 @@ export default class Builder extends QueryBuilder {
      *
      * @param  {Object}  attributes
      * @param  {Object}  values
-     * @return {Model}
+     * @return {Promise<Model>}
      */
     updateOrCreate(attributes: any, values?: any): Promise<Model>;
     /**
      * Execute the query and get the first result or throw an exception.
      *
      * @param  {Array|Object}  columns
-     * @return {Model}
+     * @return {Promise<Model>}
      *
      * @throws {Model}NotFoundException
      */
@@ -250,23 +265,23 @@ export default class Builder extends QueryBuilder {
      *
      * @param  {Function|Array}  columns
      * @param  {Function|null}  callback
-     * @return {Model|*}
+     * @return {Promise<Model|*>}
      */
-    firstOr(columns?: Function | any[], callback?: Function | null): Promise<Model> | any;
+    firstOr(columns?: Function | any[], callback?: Function | null): Promise<Model | any>;
     /**
      * Get a single column's value from the first result of a query.
      *
      * @param  {String}  column
-     * @return {*}
+     * @return {Promise<*>}
      */
-    value(column: string): any;
+    value(column: string): Promise<any>;
     /**
      * Execute the query as a "select" statement.
      *
      * @param  {Array|Object}  columns
-     * @return {Promise<Array>}
+     * @return {Promise<Collection>}
      */
-    get(columns?: any[] | any): Promise<any[]>;
+    get(columns?: any[] | any): Promise<Collection>;
     /**
      * Get the hydrated models without eager loading.
      *
@@ -278,18 +293,18 @@ export default class Builder extends QueryBuilder {
      * Eager load the relationships for the models.
      *
      * @param  {Array}  models
-     * @return {Array}
+     * @return {Promise<Array>}
      */
-    eagerLoadRelations(models: any[]): any[];
+    eagerLoadRelations(models: any[]): Promise<any[]>;
     /**
      * Eagerly load the relationship on a set of models.
      *
      * @param  {Array}  models
      * @param  {String}  name
      * @param  {Function}  constraints
-     * @return {Array}
+     * @return {Promise<Array>}
      */
-    _eagerLoadRelation(models: any[], name: string, constraints: Function): any[];
+    _eagerLoadRelation(models: any[], name: string, constraints: Function): Promise<any[]>;
     /**
      * Get the relation instance for the given relation name.
      *
@@ -301,9 +316,9 @@ export default class Builder extends QueryBuilder {
      * Get the deeply nested relations for a given top-level relation.
      *
      * @param  {String}  relation
-     * @return {Array}
+     * @return {Object}
      */
-    _relationsNestedUnder(relation: string): any[];
+    _relationsNestedUnder(relation: string): { [key: string]: Function };
     /**
      * Determine if the relationship is nested.
      *
@@ -313,11 +328,11 @@ export default class Builder extends QueryBuilder {
      */
     _isNestedUnder(relation: string, name: string): any;
     /**
-     * Get a generator for the given query.
+     * Get an async generator for the given query.
      *
-     * @return {any}
+     * @return {AsyncGenerator}
      */
-    cursor(): any;
+    cursor(): AsyncGenerator<Model>;
     /**
      * Chunk the results of a query by comparing numeric IDs.
      *
@@ -345,37 +360,71 @@ export default class Builder extends QueryBuilder {
     /**
      * Paginate the given query.
      *
-     * @param  {Number}  perPage
+     * There is no request to resolve the page from, so it has to be given
+     * explicitly and defaults to the first one.
+     *
+     * @param  {Number|null}  perPage
      * @param  {Array}  columns
      * @param  {String}  pageName
      * @param  {Number|null}  page
-     * @return \Illuminate\Contracts\Pagination\LengthAwarePaginator
-     *
-     * @throws \InvalidArgumentException
+     * @return {Promise<LengthAwarePaginator>}
      */
-    paginate(perPage?: number, columns?: any[], pageName?: string, page?: number | null): any;
+    paginate(perPage?: number | null, columns?: any[], pageName?: string, page?: number | null): Promise<LengthAwarePaginator>;
     /**
      * Paginate the given query into a simple paginator.
      *
-     * @param  {Number}  perPage
+     * @param  {Number|null}  perPage
      * @param  {Array}  columns
      * @param  {String}  pageName
      * @param  {Number|null}  page
-     * @return \Illuminate\Contracts\Pagination\Paginator
+     * @return {Promise<Paginator>}
+     */
+    simplePaginate(perPage?: number | null, columns?: any[], pageName?: string, page?: number | null): Promise<Paginator>;
+    /**
+     * Paginate the given query into a cursor paginator.
+     *
+     * The cursor is either one returned by nextCursor() / previousCursor() of the
+     * previous page, or its encoded string.
+     *
+     * @param  {Number|null}  perPage
+     * @param  {Array}  columns
+     * @param  {String}  cursorName
+     * @param  {Cursor|String|null}  cursor
+     * @return {Promise<CursorPaginator>}
      */
-    simplePaginate(perPage?: number, columns?: any[], pageName?: string, page?: number | null): any;
+    cursorPaginate(perPage?: number | null, columns?: any[], cursorName?: string, cursor?: Cursor | string | null): Promise<CursorPaginator>;
+    /**
+     * Ensure the proper order by required for cursor pagination.
+     *
+     * @param  {Boolean}  shouldReverse
+     * @return {Array<Object>}
+     */
+    _ensureOrderForCursorPagination(shouldReverse?: boolean): object[];
+    /**
+     * Add the where clauses that start the page after the cursor.
+     *
+     * For orders on (a, b) this nests into "a > ? or (a = ? and b > ?)".
+     *
+     * @param  {Builder}  builder
+     * @param  {Cursor}  cursor
+     * @param  {Array<Object>}  orders
+     * @param  {String|null}  previousColumn
+     * @param  {Number}  i
+     * @return void
+     */
+    _addCursorConditions(builder: Builder, cursor: Cursor, orders: object[], previousColumn?: string | null, i?: number): void;
     /**
      * Save a new model and return the instance.
      *
      * @param  {Object}  attributes
-     * @return {Model}
+     * @return {Promise<Model>}
      */
     create(attributes?: any): Promise<Model>;
     /**
      * Save a new model and return the instance. Allow mass-assignment.
      *
      * @param  {Object}  attributes
-     * @return {Model}
+     * @return {Promise<Model>}
      */
     forceCreate(attributes: any): Promise<Model>;
     /**
@@ -479,17 +528,24 @@ export default class Builder extends QueryBuilder {
     /**
      * Set the relationships that should be eager loaded.
      *
-     * @param  {Array}  relations
+     * @param  {Array|Object|String}  relations
      * @return {Builder}
      */
-    with(relations: any[], ...args: any[]): Builder;
+    with(relations: string | string[] | { [key: string]: Function }, ...args: string[]): Builder;
     /**
      * Prevent the specified relations from being eager loaded.
      *
-     * @param  {Array}  relations
+     * @param  {Array|String}  relations
+     * @return {Builder}
+     */
+    without(relations: string[] | string, ...args: string[]): Builder;
+    /**
+     * Apply query-time casts to the model instance.
+     *
+     * @param  {Object}  casts
      * @return {Builder}
      */
-    without(relations: any[]): Builder;
+    withCasts(casts: any): Builder;
     /**
      * Create a new instance of the model being queried.
      *
@@ -501,9 +557,9 @@ export default class Builder extends QueryBuilder {
      * Parse a list of relations into individuals.
      *
      * @param  {Array|Object}  relations
-     * @return {Array}
+     * @return {Object}
      */
-    _parseWithRelations(relations: any[] | any): any[];
+    _parseWithRelations(relations: any[] | any): { [key: string]: Function };
     /**
      * Create a constraint to select the given columns for the relation.
      *
@@ -601,6 +657,277 @@ export default class Builder extends QueryBuilder {
      * @return void
      */
     clone(): void;
+    /**
+     * Add a relationship count / exists condition to the query.
+     *
+     * @param  {Relation|String}  relation
+     * @param  {String}  operator
+     * @param  {Number}  count
+     * @param  {String}  boolean
+     * @param  {Function|null}  callback
+     * @return {Builder}
+     *
+     * @throws Error
+     */
+    has(relation: Relation | string, operator?: string, count?: number, boolean?: string, callback?: Function | null): Builder;
+    /**
+     * Add nested relationship count / exists conditions to the query.
+     *
+     * Sets up recursive call to whereHas until we finish the nested relation.
+     *
+     * @param  {String}  relations
+     * @param  {String}  operator
+     * @param  {Number}  count
+     * @param  {String}  boolean
+     * @param  {Function|null}  callback
+     * @return {Builder}
+     */
+    _hasNested(relations: string, operator?: string, count?: number, boolean?: string, callback?: Function | null): Builder;
+    /**
+     * Add a relationship count / exists condition to the query with an "or".
+     *
+     * @param  {String}  relation
+     * @param  {String}  operator
+     * @param  {Number}  count
+     * @return {Builder}
+     */
+    orHas(relation: Relation | string, operator?: string, count?: number): Builder;
+    /**
+     * Add a relationship count / exists condition to the query.
+     *
+     * @param  {String}  relation
+     * @param  {String}  boolean
+     * @param  {Function|null}  callback
+     * @return {Builder}
+     */
+    doesntHave(relation: Relation | string, boolean?: string, callback?: Function | null): Builder;
+    /**
+     * Add a relationship count / exists condition to the query with an "or".
+     *
+     * @param  {String}  relation
+     * @return {Builder}
+     */
+    orDoesntHave(relation: Relation | string): Builder;
+    /**
+     * Add a relationship count / exists condition to the query with where clauses.
+     *
+     * @param  {String}  relation
+     * @param  {Function|null}  callback
+     * @param  {String}  operator
+     * @param  {Number}  count
+     * @return {Builder}
+     */
+    whereHas(relation: Relation | string, callback?: Function | null, operator?: string, count?: number): Builder;
+    /**
+     * Add a relationship count / exists condition to the query with where clauses and an "or".
+     *
+     * @param  {String}  relation
+     * @param  {Function|null}  callback
+     * @param  {String}  operator
+     * @param  {Number}  count
+     * @return {Builder}
+     */
+    orWhereHas(relation: Relation | string, callback?: Function | null, operator?: string, count?: number): Builder;
+    /**
+     * Add a relationship count / exists condition to the query with where clauses.
+     *
+     * @param  {String}  relation
+     * @param  {Function|null}  callback
+     * @return {Builder}
+     */
+    whereDoesntHave(relation: Relation | string, callback?: Function | null): Builder;
+    /**
+     * Add a relationship count / exists condition to the query with where clauses and an "or".
+     *
+     * @param  {String}  relation
+     * @param  {Function|null}  callback
+     * @return {Builder}
+     */
+    orWhereDoesntHave(relation: Relation | string, callback?: Function | null): Builder;
+    /**
+     * Add a polymorphic relationship count / exists condition to the query.
+     *
+     * Passing ['*'] as the types checks every model registered in the morph map,
+     * since the morph types can only be resolved to models through that map.
+     *
+     * @param  {String}  relation
+     * @param  {String|Function|Array}  types
+     * @param  {String}  operator
+     * @param  {Number}  count
+     * @param  {String}  boolean
+     * @param  {Function|null}  callback
+     * @return {Builder}
+     */
+    hasMorph(relation: string, types: string | Function | Array<string | Function>, operator?: string, count?: number, boolean?: string, callback?: Function | null): Builder;
+    /**
+     * Get the BelongsTo relationship for a single polymorphic type.
+     *
+     * @param  {MorphTo}  relation
+     * @param  {Function}  type
+     * @return {BelongsTo}
+     */
+    _getBelongsToRelation(relation: MorphTo, type: Function): BelongsTo;
+    /**
+     * Add a polymorphic relationship count / exists condition to the query with an "or".
+     *
+     * @param  {String}  relation
+     * @param  {String|Function|Array}  types
+     * @param  {String}  operator
+     * @param  {Number}  count
+     * @return {Builder}
+     */
+    orHasMorph(relation: string, types: string | Function | Array<string | Function>, operator?: string, count?: number): Builder;
+    /**
+     * Add a polymorphic relationship count / exists condition to the query.
+     *
+     * @param  {String}  relation
+     * @param  {String|Function|Array}  types
+     * @param  {String}  boolean
+     * @param  {Function|null}  callback
+     * @return {Builder}
+     */
+    doesntHaveMorph(relation: string, types: string | Function | Array<string | Function>, boolean?: string, callback?: Function | null): Builder;
+    /**
+     * Add a polymorphic relationship count / exists condition to the query with an "or".
+     *
+     * @param  {String}  relation
+     * @param  {String|Function|Array}  types
+     * @return {Builder}
+     */
+    orDoesntHaveMorph(relation: string, types: string | Function | Array<string | Function>): Builder;
+    /**
+     * Add a polymorphic relationship count / exists condition to the query with where clauses.
+     *
+     * @param  {String}  relation
+     * @param  {String|Function|Array}  types
+     * @param  {Function|null}  callback
+     * @param  {String}  operator
+     * @param  {Number}  count
+     * @return {Builder}
+     */
+    whereHasMorph(relation: string, types: string | Function | Array<string | Function>, callback?: Function | null, operator?: string, count?: number): Builder;
+    /**
+     * Add a polymorphic relationship count / exists condition to the query with where clauses and an "or".
+     *
+     * @param  {String}  relation
+     * @param  {String|Function|Array}  types
+     * @param  {Function|null}  callback
+     * @param  {String}  operator
+     * @param  {Number}  count
+     * @return {Builder}
+     */
+    orWhereHasMorph(relation: string, types: string | Function | Array<string | Function>, callback?: Function | null, operator?: string, count?: number): Builder;
+    /**
+     * Add a polymorphic relationship count / exists condition to the query with where clauses.
+     *
+     * @param  {String}  relation
+     * @param  {String|Function|Array}  types
+     * @param  {Function|null}  callback
+     * @return {Builder}
+     */
+    whereDoesntHaveMorph(relation: string, types: string | Function | Array<string | Function>, callback?: Function | null): Builder;
+    /**
+     * Add a polymorphic relationship count / exists condition to the query with where clauses and an "or".
+     *
+     * @param  {String}  relation
+     * @param  {String|Function|Array}  types
+     * @param  {Function|null}  callback
+     * @return {Builder}
+     */
+    orWhereDoesntHaveMorph(relation: string, types: string | Function | Array<string | Function>, callback?: Function | null): Builder;
+    /**
+     * Add subselect queries to include an aggregate value for a relationship.
+     *
+     * @param  {String|Array|Object}  relations
+     * @param  {String}  column
+     * @param  {String|null}  fn
+     * @return {Builder}
+     */
+    withAggregate(relations: string | string[] | { [key: string]: Function }, column: string, fn?: string | null): Builder;
+    /**
+     * Add subselect queries to count the relations.
+     *
+     * @param  {String|Array|Object}  relations
+     * @return {Builder}
+     */
+    withCount(relations: string | string[] | { [key: string]: Function }, ...args: string[]): Builder;
+    /**
+     * Add subselect queries to include the max of the relation's column.
+     *
+     * @param  {String|Array|Object}  relation
+     * @param  {String}  column
+     * @return {Builder}
+     */
+    withMax(relation: string | string[] | { [key: string]: Function }, column: string): Builder;
+    /**
+     * Add subselect queries to include the min of the relation's column.
+     *
+     * @param  {String|Array|Object}  relation
+     * @param  {String}  column
+     * @return {Builder}
+     */
+    withMin(relation: string | string[] | { [key: string]: Function }, column: string): Builder;
+    /**
+     * Add subselect queries to include the sum of the relation's column.
+     *
+     * @param  {String|Array|Object}  relation
+     * @param  {String}  column
+     * @return {Builder}
+     */
+    withSum(relation: string | string[] | { [key: string]: Function }, column: string): Builder;
+    /**
+     * Add subselect queries to include the average of the relation's column.
+     *
+     * @param  {String|Array|Object}  relation
+     * @param  {String}  column
+     * @return {Builder}
+     */
+    withAvg(relation: string | string[] | { [key: string]: Function }, column: string): Builder;
+    /**
+     * Add subselect queries to include the existence of related models.
+     *
+     * SQLite has no boolean type, so the selected 1 or 0 is cast to a boolean.
+     *
+     * @param  {String|Array|Object}  relation
+     * @return {Builder}
+     */
+    withExists(relation: string | string[] | { [key: string]: Function }): Builder;
+    /**
+     * Add the "has" condition where clause to the query.
+     *
+     * @param  {Builder}  hasQuery
+     * @param  {Relation}  relation
+     * @param  {String}  operator
+     * @param  {Number}  count
+     * @param  {String}  boolean
+     * @return {Builder}
+     */
+    _addHasWhere(hasQuery: Builder, relation: Relation, operator: string, count: number, boolean: string): Builder;
+    /**
+     * Add a sub-query count clause to this query.
+     *
+     * @param  {QueryBuilder}  query
+     * @param  {String}  operator
+     * @param  {Number}  count
+     * @param  {String}  boolean
+     * @return {Builder}
+     */
+    _addWhereCountQuery(query: QueryBuilder, operator?: string, count?: number, boolean?: string): Builder;
+    /**
+     * Get the "has relation" base query instance.
+     *
+     * @param  {String}  relation
+     * @return {Relation}
+     */
+    _getRelationWithoutConstraints(relation: string): Relation;
+    /**
+     * Check if we can run an "exists" query to optimize performance.
+     *
+     * @param  {String}  operator
+     * @param  {Number}  count
+     * @return {Boolean}
+     */
+    _canUseExistsForExistenceCheck(operator: string, count: number): boolean;
 }
 
 /**
@@ -3,7 +3,10 @@ import Model from './Model'
 import Scope from './Scope'
 import { QueryBuilder } from '../query/Builder'
 import Relation from './relations/Relation'
+import RelationNotFoundError from './RelationNotFoundError'
 import BuildsQueries from '../concerns/BuildsQueries'
+import QueriesRelationships from './concerns/QueriesRelationships'
+import Cursor from '../pagination/Cursor'
 
 const BuilderProxy = function (cls) {
   return new Proxy(Builder, {
@@ -53,6 +56,7 @@ const BuilderInstanceProxy = function (cls) {
 /**
  * @mixes QueryBuilder
  * @mixes BuildsQueries
+ * @mixes QueriesRelationships
  * @mixin
  */
 class Builder {
@@ -176,7 +180,7 @@ class Builder {
   withoutGlobalScope(scope)
   {
     if (! _.isString(scope)) {
-      // scope = scope;
+      scope = scope.constructor.name;
     }
 
     let scopes = {...this._scopes}
@@ -217,6 +221,26 @@ class Builder {
     return this._removedScopes;
   }
 
+  /**
+   * Merge the where constraints from another query to the current query.
+   *
+   * @param  {Builder}  from
+   * @return {Builder}
+   */
+  mergeConstraintsFrom(from)
+  {
+    let whereBindings = from.getQuery().getRawBindings()['where'] || [];
+
+    // Here we have some other query that we want to merge the where constraints from. We will
+    // copy over any where constraints on the query as well as remove any global scopes the
+    // query might have removed. Then we will return ourselves with the finished merging.
+    return this.withoutGlobalScopes(
+      from.removedScopes()
+    ).mergeWheres(
+      from.getQuery().wheres, whereBindings
+    );
+  }
+
   /**
    * Add a where clause on the primary key to the query.
    *
@@ -329,7 +353,7 @@ class Builder {
    * Create a collection of models from plain arrays.
    *
    * @param  {Array}  items
-   * @return {Array}
+   * @return {Collection}
    */
   hydrate(items)
   {
@@ -345,12 +369,12 @@ class Builder {
    *
    * @param  {String}  query
    * @param  {Array}  bindings
-   * @return {Array}
+   * @return {Promise<Array>}
    */
-  fromQuery(query, bindings = [])
+  async fromQuery(query, bindings = [])
   {
     return this.hydrate(
-      this._query.getConnection().select(query, bindings)
+      await this._query.getConnection().select(query, bindings)
     )
   }
 
@@ -419,12 +443,13 @@ class Builder {
    *
    * @param  {Number|String}  id
    * @param  {Array}  columns
-   * @return {Model}
+   * @return {Promise<Model>}
    */
-  findOrNew(id, columns = ['*'])
+  async findOrNew(id, columns = ['*'])
   {
-    let model = this.find(id, columns);
-    if (! model == null) {
+    let model = await this.find(id, columns);
+
+    if (! (model == null)) {
       return model;
     }
 
@@ -436,12 +461,13 @@ class Builder {
    *
    * @param  {Object}  attributes
    * @param  {Object}  values
-   * @return {Model}
+   * @return {Promise<Model>}
    */
-  firstOrNew(attributes, values = {})
+  async firstOrNew(attributes, values = {})
   {
-    let instance = this.where(attributes).first()
-    if (! instance == null) {
+    let instance = await this.where(attributes).first();
+
+    if (! (instance == null)) {
       return instance;
     }
 
@@ -453,18 +479,21 @@ class Builder {
    *
    * @param  {Object}  attributes
    * @param  {Object}  values
-   * @return {Model}
+   * @return {Promise<Model>}
    */
-  firstOrCreate(attributes, values = {})
+  async firstOrCreate(attributes, values = {})
   {
-    let instance = this.where(attributes).first()
+    let instance = await this.where(attributes).first();
+
     if (! (instance == null)) {
       return instance;
     }
 
-    return _.tap(this.newModelInstance({...attributes, ...values}), (instance) => {
-      instance.save();
-    });
+    instance = this.newModelInstance({...attributes, ...values});
+
+    await instance.save();
+
+    return instance;
   }
 
   /**
@@ -472,26 +501,28 @@ class Builder {
    *
    * @param  {Object}  attributes
    * @param  {Object}  values
-   * @return {Model}
+   * @return {Promise<Model>}
    */
-  updateOrCreate(attributes, values = {})
+  async updateOrCreate(attributes, values = {})
   {
-    return _.tap(this.firstOrNew(attributes), (instance) => {
-      instance.fill(values).save();
-    });
+    let instance = await this.firstOrNew(attributes);
+
+    await instance.fill(values).save();
+
+    return instance;
   }
 
   /**
    * Execute the query and get the first result or throw an exception.
    *
    * @param  {Array|Object}  columns
-   * @return {Model}
+   * @return {Promise<Model>}
    *
    * @throws {Model}NotFoundException
    */
-  firstOrFail(columns = ['*'])
+  async firstOrFail(columns = ['*'])
   {
-    let model = this.first(columns)
+    let model = await this.first(columns)
     if (! (model == null)) {
       return model;
     }
@@ -504,9 +535,9 @@ class Builder {
    *
    * @param  {Function|Array}  columns
    * @param  {Function|null}  callback
-   * @return {Model|*}
+   * @return {Promise<Model|*>}
    */
-  firstOr(columns = ['*'], callback = null)
+  async firstOr(columns = ['*'], callback = null)
   {
     if (columns instanceof Function) {
       callback = columns;
@@ -514,7 +545,7 @@ class Builder {
       columns = ['*'];
     }
 
-    let model = this.first(columns)
+    let model = await this.first(columns)
     if (! (model == null)) {
       return model;
     }
@@ -526,11 +557,11 @@ class Builder {
    * Get a single column's value from the first result of a query.
    *
    * @param  {String}  column
-   * @return {*}
+   * @return {Promise<*>}
    */
-  value(column)
+  async value(column)
   {
-    let result = this.first([column])
+    let result = await this.first([column])
     if (result) {
       return result[column];
     }
@@ -540,7 +571,7 @@ class Builder {
    * Execute the query as a "select" statement.
    *
    * @param  {Array|Object}  columns
-   * @return {Promise<Array>}
+   * @return {Promise<Collection>}
    */
   async get (columns = ['*']) {
     let builder = this.applyScopes();
@@ -550,7 +581,7 @@ class Builder {
     // n+1 query issue for the developers to avoid running a lot of queries.
     let models = await builder.getModels(columns)
     if (models.length > 0) {
-      models = builder.eagerLoadRelations(models);
+      models = await builder.eagerLoadRelations(models);
     }
 
     return builder.getModel().newCollection(models);
@@ -572,18 +603,18 @@ class Builder {
    * Eager load the relationships for the models.
    *
    * @param  {Array}  models
-   * @return {Array}
+   * @return {Promise<Array>}
    */
-  eagerLoadRelations(models)
+  async eagerLoadRelations(models)
   {
-    _.forEach(this._eagerLoad, (constrain, name) => {
+    for (let [name, constrain] of Object.entries(this._eagerLoad)) {
       // For nested eager loads we'll skip loading them here and they will be set as an
       // eager load on the query to retrieve the relation so that they will be eager
       // loaded on that query, because that is where they get hydrated as models.
       if (name.includes('.') === false) {
-        models = this._eagerLoadRelation(models, name, constrain);
+        models = await this._eagerLoadRelation(models, name, constrain);
       }
-    })
+    }
 
     return models;
   }
@@ -594,9 +625,9 @@ class Builder {
    * @param  {Array}  models
    * @param  {String}  name
    * @param  {Function}  constraints
-   * @return {Array}
+   * @return {Promise<Array>}
    */
-  _eagerLoadRelation(models, name, constraints)
+  async _eagerLoadRelation(models, name, constraints)
   {
     // First we will "back up" the existing where conditions on the query so we can
     // add our eager constraints. Then we will merge the wheres that were on the
@@ -612,7 +643,7 @@ class Builder {
     // of models which have been eagerly hydrated and are readied for return.
     return relation.match(
       relation.initRelation(models, name),
-      relation.getEager(), name
+      await relation.getEager(), name
     );
   }
 
@@ -628,11 +659,13 @@ class Builder {
     // not have to remove these where clauses manually which gets really hacky
     // and error prone. We don't want constraints because we add eager ones.
     let relation = Relation.noConstraints(() => {
-      try {
-        return this.getModel().newInstance().name();
-      } catch (e) {
-        throw RelationNotFoundException.make(this.getModel(), name);
+      let model = this.getModel().newInstance();
+
+      if (! (model[name] instanceof Function)) {
+        throw RelationNotFoundError.make(model, name);
       }
+
+      return model[name]();
     });
 
     let nested = this._relationsNestedUnder(name);
@@ -640,7 +673,7 @@ class Builder {
     // If there are nested relationships set on the query, we will put those onto
     // the query instances so that they can be handled after this relationship
     // is loaded. In this way they will all trickle down as they are loaded.
-    if (nested.length > 0) {
+    if (! _.isEmpty(nested)) {
       relation.getQuery().with(nested);
     }
 
@@ -651,11 +684,11 @@ class Builder {
    * Get the deeply nested relations for a given top-level relation.
    *
    * @param  {String}  relation
-   * @return {Array}
+   * @return {Object}
    */
   _relationsNestedUnder(relation)
   {
-    let nested = [];
+    let nested = {};
 
     // We are basically looking for any relationships that are nested deeper than
     // the given top-level relationship. We will just check for any relations
@@ -678,21 +711,18 @@ class Builder {
    */
   _isNestedUnder(relation, name)
   {
-    return _.includes(name, '.') && _.includes(name, relation + '.')
+    return name.startsWith(relation + '.');
   }
 
   /**
-   * Get a generator for the given query.
+   * Get an async generator for the given query.
    *
-   * @return {Generator}
+   * @return {AsyncGenerator}
    */
-  *cursor()
+  async *cursor()
   {
-    let x = this.applyScopes().query.cursor();
-    let y = x.next();
-    while (!y.done) {
-      yield this.newModelInstance().newFromBuilder(y.value);
-      y = x.next();
+    for await (let record of this.toBase().cursor()) {
+      yield this.newModelInstance().newFromBuilder(record);
     }
   }
 
@@ -780,27 +810,28 @@ class Builder {
   /**
    * Paginate the given query.
    *
-   * @param  {Number}  perPage
+   * There is no request to resolve the page from, so it has to be given
+   * explicitly and defaults to the first one.
+   *
+   * @param  {Number|null}  perPage
    * @param  {Array}  columns
    * @param  {String}  pageName
    * @param  {Number|null}  page
-   * @return \Illuminate\Contracts\Pagination\LengthAwarePaginator
-   *
-   * @throws \InvalidArgumentException
+   * @return {Promise<LengthAwarePaginator>}
    */
-  paginate(perPage = null, columns = ['*'], pageName = 'page', page = null)
+  async paginate(perPage = null, columns = ['*'], pageName = 'page', page = null)
   {
-    page = page || Paginator.resolveCurrentPage(pageName); // TODO
+    page = page || 1;
 
     perPage = perPage || this._model.getPerPage();
 
-    let total = this.toBase().getCountForPagination()
+    let total = await this.toBase().getCountForPagination();
+
     let results = (total)
-      ? this.forPage(page, perPage).get(columns)
+      ? await this.forPage(page, perPage).get(columns)
       : this._model.newCollection();
 
-    return this.paginator(results, total, perPage, page, {
-      path: Paginator.resolveCurrentPath(),
+    return this._paginator(results, total, perPage, page, {
       pageName: pageName,
     });
   }
@@ -808,15 +839,15 @@ class Builder {
   /**
    * Paginate the given query into a simple paginator.
    *
-   * @param  {Number}  perPage
+   * @param  {Number|null}  perPage
    * @param  {Array}  columns
    * @param  {String}  pageName
    * @param  {Number|null}  page
-   * @return \Illuminate\Contracts\Pagination\Paginator
+   * @return {Promise<Paginator>}
    */
-  simplePaginate(perPage = null, columns = ['*'], pageName = 'page', page = null)
+  async simplePaginate(perPage = null, columns = ['*'], pageName = 'page', page = null)
   {
-    page = page || Paginator.resolveCurrentPage(pageName);
+    page = page || 1;
 
     perPage = perPage || this._model.getPerPage();
 
@@ -825,32 +856,132 @@ class Builder {
     // paginator instances for these results with the given page and per page.
     this.skip((page - 1) * perPage).take(perPage + 1);
 
-    return this.simplePaginator(this.get(columns), perPage, page, {
-      path: Paginator.resolveCurrentPath(),
+    return this._simplePaginator(await this.get(columns), perPage, page, {
       pageName: pageName,
     });
   }
 
+  /**
+   * Paginate the given query into a cursor paginator.
+   *
+   * The cursor is either one returned by nextCursor() / previousCursor() of the
+   * previous page, or its encoded string.
+   *
+   * @param  {Number|null}  perPage
+   * @param  {Array}  columns
+   * @param  {String}  cursorName
+   * @param  {Cursor|String|null}  cursor
+   * @return {Promise<CursorPaginator>}
+   */
+  async cursorPaginate(perPage = null, columns = ['*'], cursorName = 'cursor', cursor = null)
+  {
+    perPage = perPage || this._model.getPerPage();
+
+    if (! (cursor instanceof Cursor)) {
+      cursor = Cursor.fromEncoded(cursor);
+    }
+
+    let orders = this._ensureOrderForCursorPagination(
+      cursor != null && cursor.pointsToPreviousItems()
+    );
+
+    if (cursor != null) {
+      this._addCursorConditions(this, cursor, orders);
+    }
+
+    this.take(perPage + 1);
+
+    return this._cursorPaginator(await this.get(columns), perPage, cursor, {
+      cursorName: cursorName,
+      parameters: orders.map((order) => order.column),
+    });
+  }
+
+  /**
+   * Ensure the proper order by required for cursor pagination.
+   *
+   * @param  {Boolean}  shouldReverse
+   * @return {Array<Object>}
+   */
+  _ensureOrderForCursorPagination(shouldReverse = false)
+  {
+    if (_.isEmpty(this._query['orders']) && _.isEmpty(this._query['unionOrders'])) {
+      this._enforceOrderBy();
+    }
+
+    let reverseDirection = (order) => {
+      if (! ('direction' in order)) {
+        return order;
+      }
+
+      return {...order, direction: order.direction === 'asc' ? 'desc' : 'asc'};
+    };
+
+    if (shouldReverse) {
+      this._query['orders'] = _.map(this._query['orders'], reverseDirection);
+      this._query['unionOrders'] = _.map(this._query['unionOrders'], reverseDirection);
+    }
+
+    let orders = _.isEmpty(this._query['unionOrders'])
+      ? this._query['orders']
+      : this._query['unionOrders'];
+
+    return _.filter(orders, (order) => 'direction' in order);
+  }
+
+  /**
+   * Add the where clauses that start the page after the cursor.
+   *
+   * For orders on (a, b) this nests into "a > ? or (a = ? and b > ?)".
+   *
+   * @param  {Builder}  builder
+   * @param  {Cursor}  cursor
+   * @param  {Array<Object>}  orders
+   * @param  {String|null}  previousColumn
+   * @param  {Number}  i
+   * @return void
+   */
+  _addCursorConditions(builder, cursor, orders, previousColumn = null, i = 0)
+  {
+    if (previousColumn != null) {
+      builder.where(previousColumn, '=', cursor.parameter(previousColumn));
+    }
+
+    builder.where((builder) => {
+      let {column, direction} = orders[i];
+
+      builder.where(column, direction === 'asc' ? '>' : '<', cursor.parameter(column));
+
+      if (i < orders.length - 1) {
+        builder.orWhere((builder) => {
+          this._addCursorConditions(builder, cursor, orders, column, i + 1);
+        });
+      }
+    });
+  }
+
   /**
    * Save a new model and return the instance.
    *
    * @param  {Object}  attributes
-   * @return {Model}
+   * @return {Promise<Model>}
    */
-  create(attributes = [])
+  async create(attributes = [])
   {
-    return _.tap(this.newModelInstance(attributes), (instance) => {
-      instance.save().catch();
-    });
+    let instance = this.newModelInstance(attributes);
+
+    await instance.save();
+
+    return instance;
   }
 
   /**
    * Save a new model and return the instance. Allow mass-assignment.
    *
    * @param  {Object}  attributes
-   * @return {Model}
+   * @return {Promise<Model>}
    */
-  forceCreate(attributes)
+  async forceCreate(attributes)
   {
     return this._model.constructor['unguarded'](() => {
       return this.newModelInstance().create(attributes);
@@ -937,7 +1068,7 @@ class Builder {
   delete()
   {
     if (this._onDelete) {
-      return this._onDelete.call(this);
+      return this._onDelete.call(this, this);
     }
 
     return this.toBase().delete();
@@ -1009,6 +1140,8 @@ class Builder {
 
     let builder = BuilderInstanceProxy(Object.create(Object.getPrototypeOf(this), Object.getOwnPropertyDescriptors(this)));
 
+    builder.clone();
+
     _.forEach(this._scopes, (scope, identifier) => {
       if (! (identifier in builder._scopes)) {
         return;
@@ -1051,7 +1184,7 @@ class Builder {
     // scope so that we can properly group the added scope constraints in the
     // query as their own isolated nested where statement and avoid issues.
     let originalWhereCount = query.wheres == null
-      ? 0 : query.wheres
+      ? 0 : query.wheres.length
 
     let result = scope(..._.values(parameters)) || this;
 
@@ -1106,7 +1239,7 @@ class Builder {
         whereSlice, _.first(whereBooleans)
       ))
     } else {
-      query['wheres'] = _.merge(query['wheres'], whereSlice);
+      query['wheres'] = [...query['wheres'], ...whereSlice];
     }
   }
 
@@ -1129,7 +1262,7 @@ class Builder {
   /**
    * Set the relationships that should be eager loaded.
    *
-   * @param  {Array}  relations
+   * @param  {Array|Object|String}  relations
    * @return {Builder}
    */
   with(relations)
@@ -1144,14 +1277,25 @@ class Builder {
   /**
    * Prevent the specified relations from being eager loaded.
    *
-   * @param  {Array}  relations
+   * @param  {Array|String}  relations
    * @return {Builder}
    */
   without(relations)
   {
-    this._eagerLoad = _.filter(this._eagerLoad, (value, relation) => {
-      return !relations.includes(relation);
-    });
+    this._eagerLoad = _.omit(this._eagerLoad, _.isString(relations) ? [...arguments] : relations);
+
+    return this;
+  }
+
+  /**
+   * Apply query-time casts to the model instance.
+   *
+   * @param  {Object}  casts
+   * @return {Builder}
+   */
+  withCasts(casts)
+  {
+    this._model.mergeCasts(casts);
 
     return this;
   }
@@ -1164,20 +1308,26 @@ class Builder {
    */
   newModelInstance(attributes = {})
   {
-    return this._model.newInstance(attributes).setConnection(
-      this._query.getConnection().getName()
-    )
+    let connection = this._model.getConnectionName();
+
+    // A model on the connection a transaction's callback was given keeps it, since
+    // its name would resolve the connection outside of the transaction.
+    if (! _.isObject(connection)) {
+      connection = this._query.getConnection().getName();
+    }
+
+    return this._model.newInstance(attributes).setConnection(connection);
   }
 
   /**
    * Parse a list of relations into individuals.
    *
    * @param  {Array|Object}  relations
-   * @return {Array}
+   * @return {Object}
    */
   _parseWithRelations(relations)
   {
-    let results = [];
+    let results = {};
 
     _.forEach(relations, (constraints, name) => {
       // If the "name" value is a numeric key, we can assume that no
@@ -1211,7 +1361,19 @@ class Builder {
   _createSelectWithConstraint(name)
   {
     return [name.split(':')[0], (query) => {
-      query.select(name.split(':')[1].split(','));
+      // Relations that join another table would make bare column names ambiguous, so
+      // those are qualified with the related table.
+      let qualifies = ['BelongsToMany', 'HasManyThrough'].some((relation) =>
+        query instanceof Relation.getRelationClass(relation)
+      );
+
+      query.select(name.split(':')[1].split(',').map((column) => {
+        if (column.includes('.') || ! qualifies) {
+          return column;
+        }
+
+        return query.getRelated().qualifyColumn(column);
+      }));
     }];
   }
 
@@ -1446,10 +1608,14 @@ class Builder {
   clone()
   {
     this._query = Object.create(Object.getPrototypeOf(this._query), Object.getOwnPropertyDescriptors(this._query));
+
+    // The bindings are replaced per type, but on the object both queries would still share.
+    this._query.bindings = {...this._query.bindings};
   }
 }
 
 BuildsQueries.call(Builder.prototype)
+QueriesRelationships.call(Builder.prototype)
 
 Builder = BuilderProxy(Builder);
 
@@ -0,0 +1,173 @@
+import Model from "./Model";
+import { ModelBuilder } from "./Builder";
+
+/**
+ * An array of models that knows how to eager load their relations.
+ */
+export default class Collection<T extends Model = Model> extends Array<T> {
+    /**
+     * Create a new collection.
+     *
+     * Array methods like map() and filter() call the constructor with a length,
+     * so a number is treated the same way the native Array treats it.
+     *
+     * @param {Array|Number} items
+     */
+    constructor(items?: T[] | number);
+    /**
+     * Find a model in the collection by key.
+     *
+     * A callback is handed to the native Array find, so the collection still
+     * behaves like an array wherever one is expected.
+     *
+     * @return {Model|Collection|*}
+     * @param {*} key
+     * @param {*} defaultValue
+     */
+    find(predicate: (value: T, index: number, obj: T[]) => unknown, thisArg?: any): T | undefined;
+    find(key: any[], defaultValue?: any): Collection<T>;
+    find<D = null>(key: any, defaultValue?: D): T | D;
+    /**
+     * Load a set of relationships onto the collection.
+     *
+     * @return {Promise<Collection>}
+     * @param {String|Array<String>|Object} relations
+     */
+    load(relations: string | string[] | { [key: string]: Function }, ...args: string[]): Promise<this>;
+    /**
+     * Load a set of relationship counts onto the collection.
+     *
+     * @return {Promise<Collection>}
+     * @param {String|Array<String>|Object} relations
+     */
+    loadCount(relations: string | string[] | { [key: string]: Function }, ...args: string[]): Promise<this>;
+    /**
+     * Load a set of relationships onto the collection if they are not already eager loaded.
+     *
+     * @return {Promise<Collection>}
+     * @param {String|Array<String>|Object} relations
+     */
+    loadMissing(relations: string | string[] | { [key: string]: Function }, ...args: string[]): Promise<this>;
+    /**
+     * Load a relationship path if it is not already eager loaded.
+     *
+     * @return {Promise<void>}
+     * @param {Collection} models
+     * @param {Array<Object>} path
+     */
+    _loadMissingRelation(models: Collection, path: object[]): Promise<void>;
+    /**
+     * Load a set of relationships onto the mixed relationship collection.
+     *
+     * The relations are keyed by morph type, as returned by getMorphClass().
+     *
+     * @return {Promise<Collection>}
+     * @param {String} relation
+     * @param {Object} relations
+     */
+    loadMorph(relation: string, relations: { [type: string]: string | string[] | { [key: string]: Function } }): Promise<this>;
+    /**
+     * Determine if a key exists in the collection.
+     *
+     * @return {Boolean}
+     * @param {*} key
+     * @param {*} value
+     */
+    contains(key: any, value?: any): boolean;
+    /**
+     * Get the array of primary keys.
+     *
+     * @return {Array}
+     */
+    modelKeys(): any[];
+    /**
+     * Diff the collection with the given items.
+     *
+     * @return {Collection}
+     * @param {Array<Model>} items
+     */
+    diff(items: Model[]): Collection<T>;
+    /**
+     * Intersect the collection with the given items.
+     *
+     * @return {Collection}
+     * @param {Array<Model>} items
+     */
+    intersect(items: Model[]): Collection<T>;
+    /**
+     * Return only unique items from the collection.
+     *
+     * Models are compared by primary key unless an attribute or callback is given.
+     *
+     * @return {Collection}
+     * @param {String|Function|null} key
+     */
+    unique(key?: string | ((model: T) => any) | null): Collection<T>;
+    /**
+     * Reload a fresh model instance from the database for all the entities.
+     *
+     * Models that no longer exist in the database are returned as null.
+     *
+     * @return {Promise<Collection>}
+     * @param {String|Array<String>} withRelations
+     */
+    fresh(withRelations?: string | string[], ...args: string[]): Promise<Collection<T | null>>;
+    /**
+     * Make the given, typically hidden, attributes visible across the entire collection.
+     *
+     * @return {Collection}
+     * @param {String|Array<String>} attributes
+     */
+    makeVisible(attributes: string | string[]): this;
+    /**
+     * Make the given, typically visible, attributes hidden across the entire collection.
+     *
+     * @return {Collection}
+     * @param {String|Array<String>} attributes
+     */
+    makeHidden(attributes: string | string[]): this;
+    /**
+     * Get a dictionary keyed by primary keys.
+     *
+     * @return {Object}
+     * @param {Array<Model>|null} items
+     */
+    getDictionary(items?: Model[] | null): { [key: string]: T };
+    /**
+     * Get the Eloquent query builder from the collection.
+     *
+     * @return {ModelBuilder}
+     *
+     * @throws Error
+     */
+    toQuery(): ModelBuilder;
+    /**
+     * Key the models by an attribute or callback.
+     *
+     * @return {Object}
+     * @param {String|Function} keyBy
+     */
+    keyBy(keyBy: string | ((model: T) => any)): { [key: string]: T };
+    /**
+     * Group the models by an attribute or callback.
+     *
+     * @return {Object}
+     * @param {String|Function} groupBy
+     */
+    groupBy(groupBy: string | ((model: T) => any)): { [key: string]: Collection<T> };
+    /**
+     * Get the values of a given attribute, optionally keyed by another one.
+     *
+     * @return {Array|Object}
+     * @param {String} value
+     * @param {String|null} key
+     */
+    pluck(value: string, key?: string | null): any[] | { [key: string]: any };
+    /**
+     * Get a value retrieving callback.
+     *
+     * @return {Function}
+     * @param {String|Function} value
+     */
+    _valueRetriever(value: string | ((model: T) => any)): (model: T) => any;
+}
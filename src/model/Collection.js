@@ -0,0 +1,407 @@
+import _ from 'lodash'
+
+/**
+ * An array of models that knows how to eager load their relations.
+ */
+class Collection extends Array {
+  /**
+   * Create a new collection.
+   *
+   * Array methods like map() and filter() call the constructor with a length,
+   * so a number is treated the same way the native Array treats it.
+   *
+   * @param {Array|Number} items
+   */
+  constructor (items = []) {
+    super()
+
+    if (_.isNumber(items)) {
+      this.length = items
+    } else {
+      items.forEach((item) => {
+        this.push(item)
+      })
+    }
+  }
+
+  /**
+   * Find a model in the collection by key.
+   *
+   * A callback is handed to the native Array find, so the collection still
+   * behaves like an array wherever one is expected.
+   *
+   * @return {Model|Collection|*}
+   * @param {*} key
+   * @param {*} defaultValue
+   */
+  find (key, defaultValue = null) {
+    if (_.isFunction(key)) {
+      return super.find(...arguments)
+    }
+
+    if (key != null && _.isFunction(key.getKey)) {
+      key = key.getKey()
+    }
+
+    if (_.isArray(key)) {
+      if (_.isEmpty(key)) {
+        return new this.constructor()
+      }
+
+      return this.filter((model) => key.includes(model.getKey()))
+    }
+
+    let model = super.find((model) => model.getKey() == key)
+
+    return model === undefined ? defaultValue : model
+  }
+
+  /**
+   * Load a set of relationships onto the collection.
+   *
+   * @return {Promise<Collection>}
+   * @param {String|Array<String>|Object} relations
+   */
+  async load (relations) {
+    if (this.length > 0) {
+      let query = this[0].newQueryWithoutRelationships().with(
+        _.isString(relations) ? [...arguments] : relations
+      )
+
+      await query.eagerLoadRelations(this)
+    }
+
+    return this
+  }
+
+  /**
+   * Load a set of relationship counts onto the collection.
+   *
+   * @return {Promise<Collection>}
+   * @param {String|Array<String>|Object} relations
+   */
+  async loadCount (relations) {
+    if (this.length === 0) {
+      return this
+    }
+
+    let keyName = this[0].getKeyName()
+
+    let models = await this[0].newModelQuery()
+      .whereKey(this.map((model) => model.getKey()))
+      .select(keyName)
+      .withCount(_.isString(relations) ? [...arguments] : relations)
+      .get()
+
+    let dictionary = _.keyBy(models, (model) => model.getKey())
+
+    this.forEach((model) => {
+      let counted = dictionary[model.getKey()]
+
+      if (counted) {
+        let attributes = _.without(Object.keys(counted.getAttributes()), keyName)
+
+        model.forceFill(_.pick(counted.getAttributes(), attributes))
+          .syncOriginalAttributes(attributes)
+      }
+    })
+
+    return this
+  }
+
+  /**
+   * Load a set of relationships onto the collection if they are not already eager loaded.
+   *
+   * @return {Promise<Collection>}
+   * @param {String|Array<String>|Object} relations
+   */
+  async loadMissing (relations) {
+    relations = _.isString(relations) ? [...arguments] : relations
+
+    for (let [key, value] of Object.entries(relations)) {
+      if (_.isArray(relations)) {
+        key = value
+      }
+
+      let segments = key.split(':')[0].split('.')
+
+      if (key.includes(':')) {
+        segments[segments.length - 1] += ':' + key.split(':')[1]
+      }
+
+      let path = segments.map((segment) => ({[segment]: segment}))
+
+      if (_.isFunction(value)) {
+        path[segments.length - 1][_.last(segments)] = value
+      }
+
+      await this._loadMissingRelation(this, path)
+    }
+
+    return this
+  }
+
+  /**
+   * Load a relationship path if it is not already eager loaded.
+   *
+   * @return {Promise<void>}
+   * @param {Collection} models
+   * @param {Array<Object>} path
+   */
+  async _loadMissingRelation (models, path) {
+    let relation = path.shift()
+
+    let name = _.keys(relation)[0].split(':')[0]
+
+    if (_.isString(_.values(relation)[0])) {
+      relation = _.values(relation)[0]
+    }
+
+    await models.filter((model) => {
+      return model != null && !model.relationLoaded(name)
+    }).load(relation)
+
+    if (_.isEmpty(path)) {
+      return
+    }
+
+    // Each level of the path is loaded onto every model of the level above it, so the
+    // related models are flattened into a single collection before going deeper.
+    let related = _.flatten(models.map((model) => model ? model.getRelation(name) : null))
+
+    await this._loadMissingRelation(new Collection(related), path)
+  }
+
+  /**
+   * Load a set of relationships onto the mixed relationship collection.
+   *
+   * The relations are keyed by morph type, as returned by getMorphClass().
+   *
+   * @return {Promise<Collection>}
+   * @param {String} relation
+   * @param {Object} relations
+   */
+  async loadMorph (relation, relations) {
+    let groups = _.groupBy(
+      _.compact(this.map((model) => model.getRelation(relation))),
+      (model) => model.getMorphClass()
+    )
+
+    for (let [type, models] of Object.entries(groups)) {
+      await new Collection(models).load(relations[type] || [])
+    }
+
+    return this
+  }
+
+  /**
+   * Determine if a key exists in the collection.
+   *
+   * @return {Boolean}
+   * @param {*} key
+   * @param {*} value
+   */
+  contains (key, value = null) {
+    if (arguments.length > 1) {
+      return this.some((model) => model.getAttribute(key) == value)
+    }
+
+    if (_.isFunction(key)) {
+      return this.some(key)
+    }
+
+    if (key != null && _.isFunction(key.is)) {
+      return this.some((model) => model.is(key))
+    }
+
+    return this.some((model) => model.getKey() == key)
+  }
+
+  /**
+   * Get the array of primary keys.
+   *
+   * @return {Array}
+   */
+  modelKeys () {
+    return Array.from(this, (model) => model.getKey())
+  }
+
+  /**
+   * Diff the collection with the given items.
+   *
+   * @return {Collection}
+   * @param {Array<Model>} items
+   */
+  diff (items) {
+    let dictionary = this.getDictionary(items)
+
+    return this.filter((model) => !(model.getKey() in dictionary))
+  }
+
+  /**
+   * Intersect the collection with the given items.
+   *
+   * @return {Collection}
+   * @param {Array<Model>} items
+   */
+  intersect (items) {
+    let dictionary = this.getDictionary(items)
+
+    return this.filter((model) => model.getKey() in dictionary)
+  }
+
+  /**
+   * Return only unique items from the collection.
+   *
+   * Models are compared by primary key unless an attribute or callback is given.
+   *
+   * @return {Collection}
+   * @param {String|Function|null} key
+   */
+  unique (key = null) {
+    let retriever = key == null ? (model) => model.getKey() : this._valueRetriever(key)
+
+    return new this.constructor(_.uniqBy(this, retriever))
+  }
+
+  /**
+   * Reload a fresh model instance from the database for all the entities.
+   *
+   * Models that no longer exist in the database are returned as null.
+   *
+   * @return {Promise<Collection>}
+   * @param {String|Array<String>} withRelations
+   */
+  async fresh (withRelations = []) {
+    if (this.length === 0) {
+      return new this.constructor()
+    }
+
+    let model = this[0]
+
+    let freshModels = (await model.newQueryWithoutScopes()
+      .with(_.isString(withRelations) ? [...arguments] : withRelations)
+      .whereIn(model.getKeyName(), this.modelKeys())
+      .get()).getDictionary()
+
+    return this.map((model) => {
+      return model.exists && model.getKey() in freshModels ? freshModels[model.getKey()] : null
+    })
+  }
+
+  /**
+   * Make the given, typically hidden, attributes visible across the entire collection.
+   *
+   * @return {Collection}
+   * @param {String|Array<String>} attributes
+   */
+  makeVisible (attributes) {
+    this.forEach((model) => {
+      model.makeVisible(attributes)
+    })
+
+    return this
+  }
+
+  /**
+   * Make the given, typically visible, attributes hidden across the entire collection.
+   *
+   * @return {Collection}
+   * @param {String|Array<String>} attributes
+   */
+  makeHidden (attributes) {
+    this.forEach((model) => {
+      model.makeHidden(attributes)
+    })
+
+    return this
+  }
+
+  /**
+   * Get a dictionary keyed by primary keys.
+   *
+   * @return {Object}
+   * @param {Array<Model>|null} items
+   */
+  getDictionary (items = null) {
+    return _.keyBy(items || this, (model) => model.getKey())
+  }
+
+  /**
+   * Get the Eloquent query builder from the collection.
+   *
+   * @return {ModelBuilder}
+   *
+   * @throws Error
+   */
+  toQuery () {
+    let model = this[0]
+
+    if (!model) {
+      throw new Error('Unable to create query for empty collection.')
+    }
+
+    if (this.some((item) => item.constructor !== model.constructor)) {
+      throw new Error('Unable to create query for collection with mixed types.')
+    }
+
+    return model.newModelQuery().whereKey(this.modelKeys())
+  }
+
+  /**
+   * Key the models by an attribute or callback.
+   *
+   * @return {Object}
+   * @param {String|Function} keyBy
+   */
+  keyBy (keyBy) {
+    return _.keyBy(this, this._valueRetriever(keyBy))
+  }
+
+  /**
+   * Group the models by an attribute or callback.
+   *
+   * @return {Object}
+   * @param {String|Function} groupBy
+   */
+  groupBy (groupBy) {
+    return _.mapValues(
+      _.groupBy(this, this._valueRetriever(groupBy)),
+      (models) => new this.constructor(models)
+    )
+  }
+
+  /**
+   * Get the values of a given attribute, optionally keyed by another one.
+   *
+   * @return {Array|Object}
+   * @param {String} value
+   * @param {String|null} key
+   */
+  pluck (value, key = null) {
+    if (key == null) {
+      return Array.from(this, (model) => model.getAttribute(value))
+    }
+
+    return _.fromPairs(Array.from(this, (model) => {
+      return [model.getAttribute(key), model.getAttribute(value)]
+    }))
+  }
+
+  /**
+   * Get a value retrieving callback.
+   *
+   * @return {Function}
+   * @param {String|Function} value
+   */
+  _valueRetriever (value) {
+    if (_.isFunction(value)) {
+      return value
+    }
+
+    return (model) => model.getAttribute(value)
+  }
+}
+
+export { Collection }
+export default Collection
@@ -7,10 +7,13 @@ import MorphOne from "./relations/MorphOne";
 import BelongsTo from "./relations/BelongsTo";
 import MorphTo from "./relations/MorphTo";
 import HasMany from "./relations/HasMany";
-import HasManyThrough from "./relations/HasOneThrough";
+import HasOneThrough from "./relations/HasOneThrough";
+import HasManyThrough from "./relations/HasManyThrough";
 import MorphMany from "./relations/MorphMany";
 import BelongsToMany from "./relations/BelongsToMany";
 import MorphToMany from "./relations/MorphToMany";
+import Pivot from "./relations/Pivot";
+import Collection from "./Collection";
 
 /**
  * @mixes HasAttributes
@@ -28,6 +31,15 @@ export default class Model {
      * @var {ConnectionResolver|null}
      */
     static _resolver: any;
+    /**
+     * The pivot model classes, keyed by name.
+     *
+     * They extend this class, so they register themselves when they are loaded, as
+     * the package's index does, instead of being imported here.
+     *
+     * @var {Object}
+     */
+    static _pivotClasses: any;
     /**
      * The event dispatcher instance.
      *
@@ -79,6 +91,10 @@ export default class Model {
     /**
      * Apply Trait
      *
+     * The trait's "boot" and "initialize" methods are named after its "traitName", or
+     * after the function itself when it has none. Release builds rename functions, so
+     * the traits of this package set theirs.
+     *
      * @param {Function} trait
      */
     static applyTrait(trait: Function): void;
@@ -92,6 +108,12 @@ export default class Model {
      * @return void
      */
     static _bootTraits(): void;
+    /**
+     * Initialize any initializable traits on the model.
+     *
+     * @return void
+     */
+    _initializeTraits(): void;
     /**
      * Clear the list of booted models so they will be re-booted.
      *
@@ -124,9 +146,9 @@ export default class Model {
      * Begin querying the model on a given connection.
      *
      * @return {ModelBuilder}
-     * @param {String} connection
+     * @param {String|Connection} connection
      */
-    static on(connection?: string): ModelBuilder;
+    static on(connection?: string | Connection): ModelBuilder;
     /**
      * Begin querying the model on the write connection.
      *
@@ -164,9 +186,9 @@ export default class Model {
      * Resolve a connection instance.
      *
      * @return {Connection}
-     * @param {String} connection
+     * @param {String|Connection} connection
      */
-    static resolveConnection(connection?: string): Connection;
+    static resolveConnection(connection?: string | Connection): Connection;
     /**
      * Get the connection resolver instance.
      *
@@ -180,6 +202,21 @@ export default class Model {
      * @return void
      */
     static setConnectionResolver(resolver: ConnectionResolver): void;
+    /**
+     * Register a pivot model class.
+     *
+     * @return void
+     * @param {String} name
+     * @param {Function} cls
+     */
+    static registerPivotClass(name: string, cls: Function): void;
+    /**
+     * Get a registered pivot model class.
+     *
+     * @return {Function}
+     * @param {String} name
+     */
+    static getPivotClass(name: string): any;
     /**
      * Unset the connection resolver for models.
      *
@@ -316,17 +353,24 @@ export default class Model {
     /**
      * Eager load relations on the model.
      *
-     * @return {Model}
-     * @param {String|Array<String>} relations
+     * @return {Promise<Model>}
+     * @param {String|Array<String>|Object} relations
      */
-    load(relations: string | Array<string>, ...args: any[]): Model;
+    load(relations: string | Array<string> | { [key: string]: Function }, ...args: any[]): Promise<this>;
     /**
      * Eager load relations on the model if they are not already eager loaded.
      *
-     * @return {Model}
-     * @param {String|Array<String>} relations
+     * @return {Promise<Model>}
+     * @param {String|Array<String>|Object} relations
      */
-    loadMissing(relations: string | Array<string>, ...args: any[]): Model;
+    loadMissing(relations: string | Array<string> | { [key: string]: Function }, ...args: any[]): Promise<this>;
+    /**
+     * Eager load relation counts on the model.
+     *
+     * @return {Promise<Model>}
+     * @param {String|Array<String>|Object} relations
+     */
+    loadCount(relations: string | Array<string> | { [key: string]: Function }, ...args: any[]): Promise<this>;
     /**
      * Increment a column's value by a given amount.
      *
@@ -394,7 +438,7 @@ export default class Model {
      * @throws \Throwable
      * @param {Object} options
      */
-    saveOrFail(options?: any): boolean;
+    saveOrFail(options?: any): Promise<boolean>;
     /**
      * Perform any actions that are necessary after the model is saved.
      *
@@ -520,21 +564,21 @@ export default class Model {
     /**
      * Create a new Eloquent Collection instance.
      *
-     * @return {Array<Model>}
+     * @return {Collection}
      * @param {Array} models
      */
-    newCollection(models?: any[]): Array<Model>;
+    newCollection(models?: any[]): Collection;
     /**
      * Create a new pivot model instance.
      *
-     * @return \Illuminate\Database\Eloquent\Relations\Pivot
+     * @return {Pivot}
      * @param {Model} parent
-     * @param {String} attributes
+     * @param {Object} attributes
      * @param {String} table
      * @param {Boolean} exists
-     * @param {Pivot|null} using
+     * @param {Function|null} using
      */
-    newPivot(parent: Model, attributes: string, table: string, exists: boolean, using?: Model | null): any;
+    newPivot(parent: Model, attributes: object, table: string, exists: boolean, using?: typeof Pivot | null): Pivot;
     /**
      * Convert the model instance to an array.
      *
@@ -603,10 +647,13 @@ export default class Model {
     /**
      * Set the connection associated with the model.
      *
+     * Besides a connection name, this takes the connection a transaction's callback
+     * was given, so the model is saved and queried within the transaction.
+     *
      * @return {Model}
-     * @param {String} name
+     * @param {String|Connection} name
      */
-    setConnection(name: string): Model;
+    setConnection(name: string | Connection): Model;
     /**
      * Get the table associated with the model.
      *
@@ -853,6 +900,7 @@ export default class Model {
     setDateFormat: (format: string) => Model;
     hasCast: (key: string, types?: any[]) => boolean;
     getCasts: () => any;
+    mergeCasts: (casts: any) => Model;
     _isDateCastable: (key: string) => boolean;
     _isJsonCastable: (key: string) => boolean;
     getAttributes: () => any;
@@ -883,25 +931,28 @@ export default class Model {
     _touches: any[];
     hasOne: (related: Model, foreignKey?: string, localKey?: string) => HasOne
     _newHasOne: (query: ModelBuilder, parent: Model, foreignKey: string, localKey: string) => HasOne
+    hasOneThrough: (related: Model, through: Model, firstKey?: string, secondKey?: string, localKey?: string, secondLocalKey?: string) => HasOneThrough
+    _newHasOneThrough: (query: ModelBuilder, farParent: Model, throughParent: Model, firstKey: string, secondKey: string, localKey: string, secondLocalKey: string) => HasOneThrough
     morphOne: (related: Model, name: string, type?: string, id?: string, localKey?: string) => MorphOne
     _newMorphOne: (query: ModelBuilder, parent: Model, type: string, id: string, localKey: string) => MorphOne
     belongsTo: (related: Model, foreignKey?: string, ownerKey?: string, relation?: string) => BelongsTo
     _newBelongsTo: (query: ModelBuilder, child: Model, foreignKey?: string, ownerKey?: string, relation?: string) => BelongsTo
-    morphTo: (related: Model, name: string, type?: string, id?: string, localKey?: string) => MorphTo
+    morphTo: (name?: string, type?: string, id?: string) => MorphTo
     _morphEagerTo: (name: string, type: string, id: string|number) => MorphTo
-    _morphInstanceTo: (target: string, name: string, type: string, id: string|number) => MorphTo
+    _morphInstanceTo: (target: string | typeof Model, name: string, type: string, id: string|number) => MorphTo
     _newMorphTo: (query: ModelBuilder, parent: Model, foreignKey: string, ownerKey: string, type: string, relation: string) => MorphTo
+    _backtrace: () => string[]
     _guessBelongsToRelation: () => string
     hasMany: (related: Model, foreignKey?: string, localKey?: string) => HasMany
     _newHasMany: (query: ModelBuilder, parent: Model, foreignKey: string, localKey: string) => HasMany
-    hasManyThrough: (related: Model, through: string, firstKey?: string, secondKey?: string, localKey?: string, secondLocalKey?: string) => HasMany
+    hasManyThrough: (related: Model, through: Model, firstKey?: string, secondKey?: string, localKey?: string, secondLocalKey?: string) => HasManyThrough
     _newHasManyThrough: (query: ModelBuilder, farParent: Model, throughParent: Model, firstKey: string, secondKey: string, localKey: string, secondLocalKey: string) => HasManyThrough
     morphMany: (related: Model, name: string, type?: string, id?: string, localKey?: string) => MorphMany
     _newMorphMany: (query: ModelBuilder, parent: Model, type: string, id: string, localKey: string) => MorphMany
     belongsToMany: (related: Model, table?: string, foreignPivotKey?: string, relatedPivotKey?: string, parentKey?: string, relatedKey?: string, relation?: string) => BelongsToMany
     _newBelongsToMany: (query: ModelBuilder, parent: Model, table: string, foreignPivotKey: string, relatedPivotKey: string, parentKey: string, relatedKey: string, relation: string) => BelongsToMany
     morphToMany: (related: Model, name: string, table?: string, foreignPivotKey?: string, relatedPivotKey?: string, parentKey?: string, relatedKey?: string, inverse?: boolean) => MorphToMany
-    _newMorphToMany: (query: ModelBuilder, parent: Model, name: string, table: string, foreignPivotKey: string, relatedPivotKey: string, parentKey: string, relatedKey: string, inverse: boolean) => MorphToMany
+    _newMorphToMany: (query: ModelBuilder, parent: Model, name: string, table: string, foreignPivotKey: string, relatedPivotKey: string, parentKey: string, relatedKey: string, relationName?: string, inverse?: boolean) => MorphToMany
     _guessBelongsToManyRelation: () => string
     joiningTable: (related: Model, instance?: Model) => string
     joiningTableSegment: () => string
@@ -920,7 +971,7 @@ export default class Model {
     setTouchedRelations: () => Model
 
     static manyMethods: any[]
-    static getActualClassNameForMorph: () => string
+    static getActualClassNameForMorph: (name: string | typeof Model) => typeof Model
 }
 
 export function ModelProxy(cls: any): any;
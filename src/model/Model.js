@@ -8,10 +8,10 @@ import HasTimestamps from './concerns/HasTimestamps'
 import HidesAttributes from './concerns/HidesAttributes'
 import GuardsAttributes from './concerns/GuardsAttributes'
 import { ModelBuilder } from './Builder'
+import Collection from './Collection'
 import { QueryBuilder } from '../query/Builder'
 import MassAssignmentError from './MassAssignmentError'
 import ConnectionResolver from '../ConnectionResolver'
-import RNSQLiteConnection from '../RNSQLiteConnection'
 
 const ModelProxy = function (cls) {
   return new Proxy(cls, {
@@ -31,10 +31,29 @@ const ModelProxy = function (cls) {
   })
 }
 
+const RelationshipMethodProxy = function (model, method, fn) {
+  return new Proxy(fn, {
+    get (target, p) {
+      // Awaiting the method itself instead of calling it resolves the relationship
+      // the same way Eloquent's dynamic properties do, e.g. "await post.comments".
+      if (p === 'then') {
+        return (resolve, reject) => Promise.resolve(model.getRelationValue(method)).then(resolve, reject)
+      }
+      return target[p]
+    }
+  })
+}
+
 const ModelInstanceProxy = function (cls) {
   return new Proxy(cls, {
-    get (target, p) {
-      if (p in target) return target[p];
+    get (target, p, receiver) {
+      if (p in target) {
+        // The relationship is resolved on the proxied model, so that the method
+        // can read the model's attributes like any other.
+        if (_.isString(p) && target[p] instanceof Function && !(p in Model.prototype))
+          return RelationshipMethodProxy(receiver, p, target[p])
+        return target[p];
+      }
       if (['increment', 'decrement'].includes(p) || ModelBuilder.prototype[p] instanceof Function)
         return new Proxy(target.__call, {
           apply (target, thisArg, argArray) {
@@ -50,6 +69,7 @@ const ModelInstanceProxy = function (cls) {
     },
     deleteProperty (target, p) {
       target.__unset(p)
+      return true
     }
   })
 }
@@ -169,6 +189,16 @@ class Model {
    */
   static _ignoreOnTouch = [];
 
+  /**
+   * The pivot model classes, keyed by name.
+   *
+   * They extend this class, so they register themselves when they are loaded, as
+   * the package's index does, instead of being imported here.
+   *
+   * @var {Object}
+   */
+  static _pivotClasses = {}
+
   /**
    * The name of the "created at" column.
    *
@@ -210,6 +240,8 @@ class Model {
     // }
     this._bootIfNotBooted()
 
+    this._initializeTraits()
+
     this.syncOriginal()
 
     this.fill(attributes)
@@ -249,6 +281,10 @@ class Model {
   /**
    * Apply Trait
    *
+   * The trait's "boot" and "initialize" methods are named after its "traitName", or
+   * after the function itself when it has none. Release builds rename functions, so
+   * the traits of this package set theirs.
+   *
    * @param {Function} trait
    */
   static applyTrait (trait) {
@@ -273,7 +309,21 @@ class Model {
    */
   static _bootTraits () {
     this.getTraits().forEach((trait) => {
-      let method = 'boot' + trait.name
+      let method = 'boot' + (trait.traitName || trait.name)
+      if (method in this) {
+        this[method]()
+      }
+    })
+  }
+
+  /**
+   * Initialize any initializable traits on the model.
+   *
+   * @return void
+   */
+  _initializeTraits () {
+    this.constructor.getTraits().forEach((trait) => {
+      let method = 'initialize' + (trait.traitName || trait.name)
       if (method in this) {
         this[method]()
       }
@@ -426,6 +476,8 @@ class Model {
       this.getConnectionName()
     )
 
+    model.mergeCasts(this._casts)
+
     return model
   }
 
@@ -452,7 +504,7 @@ class Model {
    * Begin querying the model on a given connection.
    *
    * @return {ModelBuilder}
-   * @param {String} connection
+   * @param {String|Connection} connection
    */
   static on (connection = null) {
     // First we will just create a fresh instance of this model, and then we can
@@ -503,15 +555,15 @@ class Model {
   /**
    * Eager load relations on the model.
    *
-   * @return {Model}
-   * @param {String|Array<String>} relations
+   * @return {Promise<Model>}
+   * @param {String|Array<String>|Object} relations
    */
-  load (relations) {
+  async load (relations) {
     let query = this.newQueryWithoutRelationships().with(
       _.isString(relations) ? [...arguments] : relations
     )
 
-    query.eagerLoadRelations([this]) // TODO
+    await query.eagerLoadRelations([this])
 
     return this
   }
@@ -519,15 +571,29 @@ class Model {
   /**
    * Eager load relations on the model if they are not already eager loaded.
    *
-   * @return {Model}
-   * @param {String|Array<String>} relations
+   * @return {Promise<Model>}
+   * @param {String|Array<String>|Object} relations
+   */
+  async loadMissing (relations) {
+    await this.newCollection([this]).loadMissing(
+      _.isString(relations) ? [...arguments] : relations
+    )
+
+    return this
+  }
+
+  /**
+   * Eager load relation counts on the model.
+   *
+   * @return {Promise<Model>}
+   * @param {String|Array<String>|Object} relations
    */
-  loadMissing (relations) {
-    relations = _.isString(relations) ? [...arguments] : relations
+  async loadCount (relations) {
+    await this.newCollection([this]).loadCount(
+      _.isString(relations) ? [...arguments] : relations
+    )
 
-    return this.load(relations.filter((relation) => {
-      return !this.relationLoaded(relation)
-    }))
+    return this
   }
 
   /**
@@ -622,16 +688,16 @@ class Model {
     // To sync all of the relationships to the database, we will simply spin through
     // the relationships and save each model via this "push" method, which allows
     // us to recurse into all of these nested relations for the model instance.
-    _.forEach(this._relations, (models) => {
+    for (let models of Object.values(this._relations)) {
       models = models instanceof Array
         ? models : [models]
 
-      models.forEach((model) => {
-        if (!model.push()) {
+      for (let model of _.compact(models)) {
+        if (!(await model.push())) {
           return false
         }
-      })
-    })
+      }
+    }
 
     return true
   }
@@ -692,8 +758,16 @@ class Model {
    * @param {Object} options
    */
   saveOrFail (options = {}) {
-    return this.getConnection().transaction(async () => {
-      return (await this.save(options))
+    let connection = this.getConnectionName()
+
+    return this.getConnection().transaction(async (transaction) => {
+      this.setConnection(transaction)
+
+      try {
+        return (await this.save(options))
+      } finally {
+        this.setConnection(connection)
+      }
     })
   }
 
@@ -706,7 +780,7 @@ class Model {
   _finishSave (options) {
     this._fireModelEvent('saved', false)
 
-    if (this.isDirty() && (options['touch'] || true)) {
+    if (this.isDirty() && options['touch'] !== false) {
       this.touchOwners()
     }
 
@@ -985,8 +1059,7 @@ class Model {
    * @return {ModelBuilder}
    */
   newQueryWithoutScopes () {
-    return this.newModelQuery().with(this._with)
-    // return this.newModelQuery().with(this._with).withCount(this._withCount) // TODO
+    return this.newModelQuery().with(this._with).withCount(this._withCount)
   }
 
   /**
@@ -1042,26 +1115,26 @@ class Model {
   /**
    * Create a new Eloquent Collection instance.
    *
-   * @return {Array<Model>}
+   * @return {Collection}
    * @param {Array} models
    */
   newCollection (models = []) {
-    return models
+    return new Collection(models)
   }
 
   /**
    * Create a new pivot model instance.
    *
-   * @return \Illuminate\Database\Eloquent\Relations\Pivot
+   * @return {Pivot}
    * @param {Model} parent
-   * @param {String} attributes
+   * @param {Object} attributes
    * @param {String} table
    * @param {Boolean} exists
-   * @param {Pivot|null} using
+   * @param {Function|null} using
    */
-  newPivot (parent, attributes, table, exists, using = null) { // TODO
+  newPivot (parent, attributes, table, exists, using = null) {
     return using ? using.fromRawAttributes(parent, attributes, table, exists)
-      : Pivot.fromAttributes(parent, attributes, table, exists)
+      : Model.getPivotClass('Pivot').fromAttributes(parent, attributes, table, exists)
   }
 
   /**
@@ -1202,8 +1275,11 @@ class Model {
   /**
    * Set the connection associated with the model.
    *
+   * Besides a connection name, this takes the connection a transaction's callback
+   * was given, so the model is saved and queried within the transaction.
+   *
    * @return {Model}
-   * @param {String} name
+   * @param {String|Connection} name
    */
   setConnection (name) {
     this._connection = name
@@ -1215,13 +1291,17 @@ class Model {
    * Resolve a connection instance.
    *
    * @return {Connection}
-   * @param {String} connection
+   * @param {String|Connection} connection
    */
   static resolveConnection (connection = null) {
-    if (!this._resolver)
-      this._resolver = new ConnectionResolver({
-        'rn-sqlite': new RNSQLiteConnection()
-      })
+    if (_.isObject(connection)) {
+      return connection
+    }
+
+    if (!this._resolver) {
+      this._resolver = new ConnectionResolver()
+    }
+
     return this._resolver.connection(connection)
   }
 
@@ -1244,6 +1324,27 @@ class Model {
     this._resolver = resolver
   }
 
+  /**
+   * Register a pivot model class.
+   *
+   * @return void
+   * @param {String} name
+   * @param {Function} cls
+   */
+  static registerPivotClass (name, cls) {
+    Model._pivotClasses = {...Model._pivotClasses, [name]: cls}
+  }
+
+  /**
+   * Get a registered pivot model class.
+   *
+   * @return {Function}
+   * @param {String} name
+   */
+  static getPivotClass (name) {
+    return Model._pivotClasses[name]
+  }
+
   /**
    * Unset the connection resolver for models.
    *
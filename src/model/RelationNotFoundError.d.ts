@@ -0,0 +1,24 @@
+import Model from "./Model";
+
+export default class RelationNotFoundError extends Error {
+    /**
+     * The name of the affected Eloquent model.
+     *
+     * @var {String}
+     */
+    model: string;
+    /**
+     * The name of the relation.
+     *
+     * @var {String}
+     */
+    relation: string;
+    /**
+     * Create a new error instance.
+     *
+     * @param  {Model}  model
+     * @param  {String}  relation
+     * @return {RelationNotFoundError}
+     */
+    static make(model: Model, relation: string): RelationNotFoundError;
+}
@@ -0,0 +1,37 @@
+class RelationNotFoundError extends Error {
+  /**
+   * The name of the affected Eloquent model.
+   *
+   * @var {String}
+   */
+  model;
+
+  /**
+   * The name of the relation.
+   *
+   * @var {String}
+   */
+  relation;
+
+  /**
+   * Create a new error instance.
+   *
+   * @param  {Model}  model
+   * @param  {String}  relation
+   * @return {RelationNotFoundError}
+   */
+  static make(model, relation)
+  {
+    let cls = model.constructor.name;
+
+    let instance = new this(`Call to undefined relationship [${relation}] on model [${cls}].`);
+
+    instance.model = cls;
+    instance.relation = relation;
+
+    return instance;
+  }
+}
+
+export { RelationNotFoundError }
+export default RelationNotFoundError
@@ -0,0 +1,131 @@
+import Builder from "./Builder";
+
+/**
+ * SoftDeletes Trait
+ *
+ * Deleting a model only stamps its "deleted_at" column, and a global scope hides
+ * those rows from every query, so the deletion can still be synced or restored.
+ *
+ * @example Post.applyTrait(SoftDeletes)
+ * @constructor
+ * @mixin
+ */
+declare function SoftDeletes(this: any): void;
+
+declare namespace SoftDeletes {
+    /**
+     * The name the model's "bootSoftDeletes" and "initializeSoftDeletes" are found by.
+     *
+     * @var {String}
+     */
+    let traitName: string;
+}
+
+/**
+ * The members SoftDeletes adds to a model instance.
+ */
+export interface SoftDeletes {
+    /**
+     * Indicates if the model is currently force deleting.
+     *
+     * @var {Boolean}
+     */
+    _forceDeleting: boolean;
+    /**
+     * Initialize the soft deleting trait for an instance.
+     *
+     * @return void
+     */
+    initializeSoftDeletes(): void;
+    /**
+     * Force a hard delete on a soft deleted model.
+     *
+     * @return {Promise<Boolean>}
+     */
+    forceDelete(): Promise<boolean>;
+    /**
+     * Perform the actual delete query on this model instance.
+     *
+     * @return {Promise<void>}
+     */
+    _performDeleteOnModel(): Promise<void>;
+    /**
+     * Perform the actual delete query on this model instance.
+     *
+     * @return {Promise<void>}
+     */
+    _runSoftDelete(): Promise<void>;
+    /**
+     * Restore a soft-deleted model instance.
+     *
+     * @return {Promise<Boolean>}
+     */
+    restore(): Promise<boolean>;
+    /**
+     * Determine if the model instance has been soft-deleted.
+     *
+     * @return {Boolean}
+     */
+    trashed(): boolean;
+    /**
+     * Determine if the model is currently force deleting.
+     *
+     * @return {Boolean}
+     */
+    isForceDeleting(): boolean;
+    /**
+     * Get the name of the "deleted at" column.
+     *
+     * Set a static DELETED_AT on the model to use another column.
+     *
+     * @return {String}
+     */
+    getDeletedAtColumn(): string;
+    /**
+     * Get the fully qualified "deleted at" column.
+     *
+     * @return {String}
+     */
+    getQualifiedDeletedAtColumn(): string;
+}
+
+/**
+ * The static members SoftDeletes adds to a model class.
+ */
+export interface SoftDeletesStatic {
+    /**
+     * Boot the soft deleting trait for a model.
+     *
+     * @return void
+     */
+    bootSoftDeletes(): void;
+    /**
+     * Register a restoring model event with the dispatcher.
+     *
+     * @return void
+     * @param {Function} callback
+     */
+    restoring(callback: Function): void;
+    /**
+     * Register a restored model event with the dispatcher.
+     *
+     * @return void
+     * @param {Function} callback
+     */
+    restored(callback: Function): void;
+    /**
+     * Begin querying the model, including the soft deleted rows.
+     *
+     * @return {ModelBuilder}
+     */
+    withTrashed(): Builder;
+    /**
+     * Begin querying the model, only on the soft deleted rows.
+     *
+     * @return {ModelBuilder}
+     */
+    onlyTrashed(): Builder;
+}
+
+export { SoftDeletes };
+export default SoftDeletes;
@@ -0,0 +1,216 @@
+import SoftDeletingScope from './SoftDeletingScope'
+
+/**
+ * SoftDeletes Trait
+ *
+ * Deleting a model only stamps its "deleted_at" column, and a global scope hides
+ * those rows from every query, so the deletion can still be synced or restored.
+ *
+ * @example Post.applyTrait(SoftDeletes)
+ * @constructor
+ * @mixin
+ */
+const SoftDeletes = function () {
+  /**
+   * Indicates if the model is currently force deleting.
+   *
+   * @var {Boolean}
+   */
+  this._forceDeleting = false
+
+  /**
+   * Boot the soft deleting trait for a model.
+   *
+   * @return void
+   */
+  this.constructor.bootSoftDeletes = function () {
+    this.addGlobalScope(new SoftDeletingScope())
+  }
+
+  /**
+   * Initialize the soft deleting trait for an instance.
+   *
+   * @return void
+   */
+  this.initializeSoftDeletes = function () {
+    if (!this._dates.includes(this.getDeletedAtColumn())) {
+      this._dates = [...this._dates, this.getDeletedAtColumn()]
+    }
+  }
+
+  /**
+   * Force a hard delete on a soft deleted model.
+   *
+   * @return {Promise<Boolean>}
+   */
+  this.forceDelete = async function () {
+    this._forceDeleting = true
+
+    let deleted
+
+    try {
+      deleted = await this.delete()
+    } finally {
+      this._forceDeleting = false
+    }
+
+    if (deleted) {
+      this._fireModelEvent('forceDeleted', false)
+    }
+
+    return deleted
+  }
+
+  /**
+   * Perform the actual delete query on this model instance.
+   *
+   * @return {Promise<void>}
+   */
+  this._performDeleteOnModel = async function () {
+    if (this._forceDeleting) {
+      this.exists = false
+
+      return this._setKeysForSaveQuery(this.newModelQuery()).forceDelete()
+    }
+
+    return this._runSoftDelete()
+  }
+
+  /**
+   * Perform the actual delete query on this model instance.
+   *
+   * @return {Promise<void>}
+   */
+  this._runSoftDelete = async function () {
+    let query = this._setKeysForSaveQuery(this.newModelQuery())
+
+    let time = this.freshTimestamp()
+
+    let columns = {[this.getDeletedAtColumn()]: this.fromDateTime(time)}
+
+    this.setAttribute(this.getDeletedAtColumn(), time)
+
+    if (this.usesTimestamps() && this.getUpdatedAtColumn() != null) {
+      this.setAttribute(this.getUpdatedAtColumn(), time)
+
+      columns[this.getUpdatedAtColumn()] = this.fromDateTime(time)
+    }
+
+    await query.toBase().update(columns)
+
+    this.syncOriginalAttributes(Object.keys(columns))
+  }
+
+  /**
+   * Restore a soft-deleted model instance.
+   *
+   * @return {Promise<Boolean>}
+   */
+  this.restore = async function () {
+    // If the restoring event does not return false, we will proceed with this
+    // restore operation. Otherwise, we bail out so the developer will stop
+    // the restore totally. We will clear the deleted timestamp and save.
+    if (this._fireModelEvent('restoring') === false) {
+      return false
+    }
+
+    this.setAttribute(this.getDeletedAtColumn(), null)
+
+    // Once we have saved the model, we will fire the "restored" event so this
+    // developer will do anything they need to after a restore operation is
+    // totally finished. Then we will return the result of the save call.
+    this.exists = true
+
+    let result = await this.save()
+
+    this._fireModelEvent('restored', false)
+
+    return result
+  }
+
+  /**
+   * Determine if the model instance has been soft-deleted.
+   *
+   * @return {Boolean}
+   */
+  this.trashed = function () {
+    return this.getAttribute(this.getDeletedAtColumn()) != null
+  }
+
+  /**
+   * Register a restoring model event with the dispatcher.
+   *
+   * @return void
+   * @param {Function} callback
+   */
+  this.constructor.restoring = function (callback) {
+    this._registerModelEvent('restoring', callback)
+  }
+
+  /**
+   * Register a restored model event with the dispatcher.
+   *
+   * @return void
+   * @param {Function} callback
+   */
+  this.constructor.restored = function (callback) {
+    this._registerModelEvent('restored', callback)
+  }
+
+  /**
+   * Begin querying the model, including the soft deleted rows.
+   *
+   * @return {ModelBuilder}
+   */
+  this.constructor.withTrashed = function () {
+    return this.query().withTrashed()
+  }
+
+  /**
+   * Begin querying the model, only on the soft deleted rows.
+   *
+   * @return {ModelBuilder}
+   */
+  this.constructor.onlyTrashed = function () {
+    return this.query().onlyTrashed()
+  }
+
+  /**
+   * Determine if the model is currently force deleting.
+   *
+   * @return {Boolean}
+   */
+  this.isForceDeleting = function () {
+    return this._forceDeleting
+  }
+
+  /**
+   * Get the name of the "deleted at" column.
+   *
+   * Set a static DELETED_AT on the model to use another column.
+   *
+   * @return {String}
+   */
+  this.getDeletedAtColumn = function () {
+    return this.constructor.DELETED_AT || 'deleted_at'
+  }
+
+  /**
+   * Get the fully qualified "deleted at" column.
+   *
+   * @return {String}
+   */
+  this.getQualifiedDeletedAtColumn = function () {
+    return this.qualifyColumn(this.getDeletedAtColumn())
+  }
+}
+
+/**
+ * The name the model's "bootSoftDeletes" and "initializeSoftDeletes" are found by.
+ *
+ * @var {String}
+ */
+SoftDeletes.traitName = 'SoftDeletes'
+
+export { SoftDeletes }
+export default SoftDeletes
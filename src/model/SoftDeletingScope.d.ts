@@ -0,0 +1,54 @@
+import Builder from "./Builder";
+import Model from "./Model";
+import Scope from "./Scope";
+
+export default class SoftDeletingScope extends Scope {
+    /**
+     * All of the extensions to be added to the builder.
+     *
+     * @var {Array<String>}
+     */
+    _extensions: string[];
+    /**
+     * Extend the query builder with the needed functions.
+     *
+     * @param  {Builder}  builder
+     * @return void
+     */
+    extend(builder: Builder): void;
+    /**
+     * Get the "deleted at" column for the builder.
+     *
+     * @param  {Builder}  builder
+     * @return {String}
+     */
+    _getDeletedAtColumn(builder: Builder): string;
+    /**
+     * Add the restore extension to the builder.
+     *
+     * @param  {Builder}  builder
+     * @return void
+     */
+    _addRestore(builder: Builder): void;
+    /**
+     * Add the with-trashed extension to the builder.
+     *
+     * @param  {Builder}  builder
+     * @return void
+     */
+    _addWithTrashed(builder: Builder): void;
+    /**
+     * Add the without-trashed extension to the builder.
+     *
+     * @param  {Builder}  builder
+     * @return void
+     */
+    _addWithoutTrashed(builder: Builder): void;
+    /**
+     * Add the only-trashed extension to the builder.
+     *
+     * @param  {Builder}  builder
+     * @return void
+     */
+    _addOnlyTrashed(builder: Builder): void;
+}
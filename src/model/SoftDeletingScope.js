@@ -0,0 +1,122 @@
+import _ from 'lodash'
+import Scope from './Scope'
+
+export default class SoftDeletingScope extends Scope {
+  /**
+   * All of the extensions to be added to the builder.
+   *
+   * @var {Array<String>}
+   */
+  _extensions = ['Restore', 'WithTrashed', 'WithoutTrashed', 'OnlyTrashed']
+
+  /**
+   * Apply the scope to a given Eloquent query builder.
+   *
+   * @param  {Builder}  builder
+   * @param  {Model}  model
+   * @return void
+   */
+  apply (builder, model) {
+    builder.whereNull(model.getQualifiedDeletedAtColumn())
+  }
+
+  /**
+   * Extend the query builder with the needed functions.
+   *
+   * @param  {Builder}  builder
+   * @return void
+   */
+  extend (builder) {
+    this._extensions.forEach((extension) => {
+      this['_add' + extension](builder)
+    })
+
+    builder.onDelete((builder) => {
+      let column = this._getDeletedAtColumn(builder)
+
+      return builder.update({
+        [column]: builder.getModel().freshTimestampString()
+      })
+    })
+  }
+
+  /**
+   * Get the "deleted at" column for the builder.
+   *
+   * @param  {Builder}  builder
+   * @return {String}
+   */
+  _getDeletedAtColumn (builder) {
+    if (!_.isEmpty(builder.getQuery().joins)) {
+      return builder.getModel().getQualifiedDeletedAtColumn()
+    }
+
+    return builder.getModel().getDeletedAtColumn()
+  }
+
+  /**
+   * Add the restore extension to the builder.
+   *
+   * @param  {Builder}  builder
+   * @return void
+   */
+  _addRestore (builder) {
+    builder.macro('restore', (builder) => {
+      builder.withTrashed()
+
+      return builder.update({[builder.getModel().getDeletedAtColumn()]: null})
+    })
+  }
+
+  /**
+   * Add the with-trashed extension to the builder.
+   *
+   * @param  {Builder}  builder
+   * @return void
+   */
+  _addWithTrashed (builder) {
+    builder.macro('withTrashed', (builder, withTrashed = true) => {
+      if (!withTrashed) {
+        return builder.withoutTrashed()
+      }
+
+      return builder.withoutGlobalScope(this)
+    })
+  }
+
+  /**
+   * Add the without-trashed extension to the builder.
+   *
+   * @param  {Builder}  builder
+   * @return void
+   */
+  _addWithoutTrashed (builder) {
+    builder.macro('withoutTrashed', (builder) => {
+      let model = builder.getModel()
+
+      builder.withoutGlobalScope(this).whereNull(
+        model.getQualifiedDeletedAtColumn()
+      )
+
+      return builder
+    })
+  }
+
+  /**
+   * Add the only-trashed extension to the builder.
+   *
+   * @param  {Builder}  builder
+   * @return void
+   */
+  _addOnlyTrashed (builder) {
+    builder.macro('onlyTrashed', (builder) => {
+      let model = builder.getModel()
+
+      builder.withoutGlobalScope(this).whereNotNull(
+        model.getQualifiedDeletedAtColumn()
+      )
+
+      return builder
+    })
+  }
+}
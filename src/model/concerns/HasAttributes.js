@@ -1,6 +1,7 @@
 import _ from 'lodash'
 import moment from 'moment'
 import { Relation } from '../relations/Relation'
+import Collection from '../Collection'
 
 /**
  * HasAttributes Trait
@@ -395,7 +396,7 @@ const HasAttributes = function () {
   /**
    * Get a relationship value from a method.
    *
-   * @return {*}
+   * @return {Promise<*>}
    *
    * @param {String} method
    */
@@ -409,8 +410,10 @@ const HasAttributes = function () {
       throw new Error(`${method} must return a relationship instance.`)
     }
 
-    return _.tap(relation.getResults(), (results) => {
+    return Promise.resolve(relation.getResults()).then((results) => {
       this.setRelation(method, results)
+
+      return results
     })
   }
 
@@ -479,8 +482,7 @@ const HasAttributes = function () {
       case 'array':
         return this.fromJson(value)
       case 'collection':
-        return this.fromJson(value)
-      // return new BaseCollection(this.fromJson(value)); // TODO
+        return new Collection(_.castArray(this.fromJson(value)))
       case 'date':
         return this._asDate(value)
       case 'datetime':
@@ -882,6 +884,18 @@ const HasAttributes = function () {
     return {...this._casts}
   }
 
+  /**
+   * Merge new casts with existing casts on the model.
+   *
+   * @return {Model}
+   * @param {Object} casts
+   */
+  this.mergeCasts = function (casts) {
+    this._casts = {...this._casts, ...casts}
+
+    return this
+  }
+
   /**
    * Determine whether a value is Date / DateTime castable for inbound manipulation.
    *
@@ -141,7 +141,7 @@ const HasEvents = function () {
     if (this._dispatcher) {
       const name = this.name
 
-      this._dispatcher.listen(`model.{${event}}: {${name}}`, callback)
+      this._dispatcher.listen(`model.${event}: ${name}`, callback)
     }
   }
 
@@ -153,7 +153,7 @@ const HasEvents = function () {
    * @param {Boolean} halt
    */
   this._fireModelEvent = function (event, halt = true) {
-    if (this.constructor._dispatcher) {
+    if (!this.constructor._dispatcher) {
       return true
     }
 
@@ -171,7 +171,7 @@ const HasEvents = function () {
     }
 
     return result || (this.constructor._dispatcher && this.constructor._dispatcher[method](
-      `model.{${event}}: ` + this.constructor.name, this
+      `model.${event}: ` + this.constructor.name, this
     ))
   }
 
@@ -313,7 +313,7 @@ const HasEvents = function () {
     const instance = new this()
 
     instance.getObservableEvents().forEach((event) => {
-      this._dispatcher.forget(`model.{${event}}: ` + this.name)
+      this._dispatcher.forget(`model.${event}: ` + this.name)
     })
 
     _.values(instance._dispatchesEvents).forEach((event) => {
@@ -9,7 +9,7 @@ import BelongsTo from '../relations/BelongsTo'
 import MorphTo from '../relations/MorphTo'
 import Relation from '../relations/Relation'
 import HasMany from '../relations/HasMany'
-import { HasManyThrough } from '../relations/HasOneThrough'
+import HasManyThrough from '../relations/HasManyThrough'
 import { MorphMany } from '../relations/MorphMany'
 import { BelongsToMany } from '../relations/BelongsToMany'
 import { MorphToMany } from '../relations/MorphToMany'
@@ -225,7 +225,8 @@ const HasRelationships = function () {
     // If the type value is null it is probably safe to assume we're eager loading
     // the relationship. In this case we'll just pass in a dummy query where we
     // need to remove any eager loads that may already be defined on a model.
-    const typeClass = this[type]
+    const typeClass = this.getAttribute(type)
+
     return !typeClass
       ? this._morphEagerTo(name, type, id)
       : this._morphInstanceTo(typeClass, name, type, id)
@@ -249,7 +250,7 @@ const HasRelationships = function () {
    * Define a polymorphic, inverse one-to-one or many relationship.
    *
    * @return {MorphTo}
-   * @param {String} target
+   * @param {String|Function} target
    * @param {String} name
    * @param {String} type
    * @param {String|Number} id
@@ -280,13 +281,44 @@ const HasRelationships = function () {
   }
 
   /**
-   * Retrieve the actual class name for a given morph class.
+   * Retrieve the actual class for a given morph class.
    *
-   * @return {String}
-   * @param name
+   * Class names do not survive minification, so the morph type stored in the
+   * database can only be resolved through the morph map.
+   *
+   * @return {Function}
+   * @param {String|Function} name
    */
   this.constructor.getActualClassNameForMorph = function (name) {
-    return _.get(Relation.morphMap() || [], name, name)
+    if (name instanceof Function) {
+      return name
+    }
+
+    const cls = Relation.getMorphedModel(name)
+
+    if (!cls) {
+      throw new Error(`Morph type [${name}] is not registered in the morph map.`)
+    }
+
+    return cls
+  }
+
+  /**
+   * Get the function names of the current call stack, innermost first,
+   * excluding this method itself.
+   *
+   * @return {Array<String>}
+   */
+  this._backtrace = function () {
+    const frames = (new Error()).stack.split('\n')
+
+    return frames.map((frame) => {
+      // V8 and Hermes format frames as "at Class.method (...)", whereas
+      // JavaScriptCore uses "method@...", so we'll accept either of them.
+      const matches = frame.match(/^\s*at (?:new )?([^\s(]+) /) || frame.match(/^([^@\s]+)@/)
+
+      return matches ? _.last(matches[1].split('.')) : null
+    }).filter(name => name != null).slice(1)
   }
 
   /**
@@ -295,9 +327,9 @@ const HasRelationships = function () {
    * @return {String}
    */
   this._guessBelongsToRelation = function () {
-    let caller = this._guessBelongsToRelation.caller
+    const [, , caller] = this._backtrace()
 
-    return caller.name
+    return caller
   }
 
   /**
@@ -338,14 +370,14 @@ const HasRelationships = function () {
    *
    * @return {HasManyThrough}
    * @param {Function|Model} related
-   * @param {String} through
+   * @param {Function|Model} through
    * @param {String|null} firstKey
    * @param {String|null} secondKey
    * @param {String|null} localKey
    * @param {String|null} secondLocalKey
    */
   this.hasManyThrough = function (related, through, firstKey = null, secondKey = null, localKey = null, secondLocalKey = null) {
-    through = new related()
+    through = new through()
 
     firstKey = firstKey || this.getForeignKey()
 
@@ -447,7 +479,7 @@ const HasRelationships = function () {
     // model using underscores in alphabetical order. The two model names
     // are transformed to snake case from their default CamelCase also.
     if (table == null) {
-      table = this.joiningTable(related)
+      table = this.joiningTable(related, instance)
     }
 
     return this._newBelongsToMany(
@@ -515,7 +547,7 @@ const HasRelationships = function () {
   }
 
   /**
-   * Instantiate a new HasManyThrough relationship.
+   * Instantiate a new MorphToMany relationship.
    *
    * @return {MorphToMany}
    * @param {Builder} query
@@ -569,11 +601,11 @@ const HasRelationships = function () {
    * @return {String}
    */
   this._guessBelongsToManyRelation = function () {
-    const caller = _.first([this._guessBelongsToManyRelation.caller], (trace) => {
-      return !this.constructor.manyMethods.includes(trace.name)
+    const caller = _.find(this._backtrace(), (name) => {
+      return name !== '_guessBelongsToManyRelation' && !this.constructor.manyMethods.includes(name)
     })
 
-    return caller ? caller.name : null
+    return caller || null
   }
 
   /**
@@ -588,14 +620,14 @@ const HasRelationships = function () {
     // sorted alphabetically and concatenated with an underscore, so we can
     // just sort the model and join them together to get the table name.
     const segments = [
-      instance ? instance.joiningTableSegment() : _.snakeCase((new related()).constructor.name),
+      instance ? instance.joiningTableSegment() : _.snakeCase(related.name),
       this.joiningTableSegment()
     ]
 
     // Now that we have the model names in an array we can just sort them and
     // use the implode function to join them together with an underscores,
     // which is typically used by convention within the database system.
-    _.sort(segments)
+    segments.sort()
 
     return segments.join('_').toLowerCase()
   }
@@ -607,7 +639,7 @@ const HasRelationships = function () {
    */
   this.joiningTableSegment = function()
   {
-    return _.snakeCase(this.name);
+    return _.snakeCase(this.constructor.name);
   }
 
   /**
@@ -655,16 +687,21 @@ const HasRelationships = function () {
   /**
    * Get the class name for polymorphic relations.
    *
+   * The morph types are written through the morph map too, since a class name
+   * stored in the database could not be read back once the app is minified.
+   *
    * @return {String}
+   *
+   * @throws {Error}
    */
   this.getMorphClass = function () {
-    const morphMap = Relation.morphMap()
+    const alias = _.findKey(Relation.morphMap(), cls => cls === this.constructor)
 
-    if (!!morphMap && morphMap.includes(this.constructor.name)) {
-      return _.find(morphMap, this.constructor.name, true)
+    if (alias === undefined) {
+      throw new Error(`Model [${this.constructor.name}] is not registered in the morph map.`)
     }
 
-    return this.constructor.name
+    return alias
   }
 
   /**
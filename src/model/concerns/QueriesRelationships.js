@@ -0,0 +1,570 @@
+import _ from 'lodash'
+import Expression from '../../query/Expression'
+import Relation from '../relations/Relation'
+
+/**
+ * QueriesRelationships Trait
+ * @constructor
+ * @mixin
+ */
+const QueriesRelationships = function () {
+  /**
+   * Add a relationship count / exists condition to the query.
+   *
+   * @param  {Relation|String}  relation
+   * @param  {String}  operator
+   * @param  {Number}  count
+   * @param  {String}  boolean
+   * @param  {Function|null}  callback
+   * @return {Builder}
+   *
+   * @throws Error
+   */
+  this.has = function(relation, operator = '>=', count = 1, boolean = 'and', callback = null)
+  {
+    if (_.isString(relation)) {
+      if (relation.includes('.')) {
+        return this._hasNested(relation, operator, count, boolean, callback);
+      }
+
+      relation = this._getRelationWithoutConstraints(relation);
+    }
+
+    if (relation instanceof Relation.getRelationClass('MorphTo')) {
+      throw new Error('has() and whereHas() do not support MorphTo relationships.');
+    }
+
+    // If we only need to check for the existence of the relation, then we can optimize
+    // the subquery to only run a "where exists" clause instead of this full "count"
+    // clause. This will make these queries run much faster compared with a count.
+    let method = this._canUseExistsForExistenceCheck(operator, count)
+      ? 'getRelationExistenceQuery'
+      : 'getRelationExistenceCountQuery';
+
+    let hasQuery = relation[method](
+      relation.getRelated().newQueryWithoutRelationships(), this
+    );
+
+    // Next we will call any given callback as an "anonymous" scope so they can get the
+    // proper logical grouping of the where clauses if needed by this Eloquent query
+    // builder. Then, we will be ready to finalize and return this query instance.
+    if (callback) {
+      hasQuery._callScope(callback);
+    }
+
+    return this._addHasWhere(
+      hasQuery, relation, operator, count, boolean
+    );
+  }
+
+  /**
+   * Add nested relationship count / exists conditions to the query.
+   *
+   * Sets up recursive call to whereHas until we finish the nested relation.
+   *
+   * @param  {String}  relations
+   * @param  {String}  operator
+   * @param  {Number}  count
+   * @param  {String}  boolean
+   * @param  {Function|null}  callback
+   * @return {Builder}
+   */
+  this._hasNested = function(relations, operator = '>=', count = 1, boolean = 'and', callback = null)
+  {
+    relations = relations.split('.');
+
+    let doesntHave = operator === '<' && count === 1;
+
+    if (doesntHave) {
+      operator = '>=';
+      count = 1;
+    }
+
+    let closure = (q) => {
+      // In order to nest "has", we need to add count relation constraints on the
+      // callback Closure. We'll do this by simply passing the Closure its own
+      // reference to itself so it calls itself recursively on each segment.
+      relations.length > 1
+        ? q.whereHas(relations.shift(), closure)
+        : q.has(relations.shift(), operator, count, 'and', callback);
+    };
+
+    return this.has(relations.shift(), doesntHave ? '<' : '>=', 1, boolean, closure);
+  }
+
+  /**
+   * Add a relationship count / exists condition to the query with an "or".
+   *
+   * @param  {String}  relation
+   * @param  {String}  operator
+   * @param  {Number}  count
+   * @return {Builder}
+   */
+  this.orHas = function(relation, operator = '>=', count = 1)
+  {
+    return this.has(relation, operator, count, 'or');
+  }
+
+  /**
+   * Add a relationship count / exists condition to the query.
+   *
+   * @param  {String}  relation
+   * @param  {String}  boolean
+   * @param  {Function|null}  callback
+   * @return {Builder}
+   */
+  this.doesntHave = function(relation, boolean = 'and', callback = null)
+  {
+    return this.has(relation, '<', 1, boolean, callback);
+  }
+
+  /**
+   * Add a relationship count / exists condition to the query with an "or".
+   *
+   * @param  {String}  relation
+   * @return {Builder}
+   */
+  this.orDoesntHave = function(relation)
+  {
+    return this.doesntHave(relation, 'or');
+  }
+
+  /**
+   * Add a relationship count / exists condition to the query with where clauses.
+   *
+   * @param  {String}  relation
+   * @param  {Function|null}  callback
+   * @param  {String}  operator
+   * @param  {Number}  count
+   * @return {Builder}
+   */
+  this.whereHas = function(relation, callback = null, operator = '>=', count = 1)
+  {
+    return this.has(relation, operator, count, 'and', callback);
+  }
+
+  /**
+   * Add a relationship count / exists condition to the query with where clauses and an "or".
+   *
+   * @param  {String}  relation
+   * @param  {Function|null}  callback
+   * @param  {String}  operator
+   * @param  {Number}  count
+   * @return {Builder}
+   */
+  this.orWhereHas = function(relation, callback = null, operator = '>=', count = 1)
+  {
+    return this.has(relation, operator, count, 'or', callback);
+  }
+
+  /**
+   * Add a relationship count / exists condition to the query with where clauses.
+   *
+   * @param  {String}  relation
+   * @param  {Function|null}  callback
+   * @return {Builder}
+   */
+  this.whereDoesntHave = function(relation, callback = null)
+  {
+    return this.doesntHave(relation, 'and', callback);
+  }
+
+  /**
+   * Add a relationship count / exists condition to the query with where clauses and an "or".
+   *
+   * @param  {String}  relation
+   * @param  {Function|null}  callback
+   * @return {Builder}
+   */
+  this.orWhereDoesntHave = function(relation, callback = null)
+  {
+    return this.doesntHave(relation, 'or', callback);
+  }
+
+  /**
+   * Add a polymorphic relationship count / exists condition to the query.
+   *
+   * Passing ['*'] as the types checks every model registered in the morph map,
+   * since the morph types can only be resolved to models through that map.
+   *
+   * @param  {String}  relation
+   * @param  {String|Function|Array}  types
+   * @param  {String}  operator
+   * @param  {Number}  count
+   * @param  {String}  boolean
+   * @param  {Function|null}  callback
+   * @return {Builder}
+   */
+  this.hasMorph = function(relation, types, operator = '>=', count = 1, boolean = 'and', callback = null)
+  {
+    relation = this._getRelationWithoutConstraints(relation);
+
+    types = _.castArray(types);
+
+    if (_.isEqual(types, ['*'])) {
+      types = _.values(Relation.morphMap());
+    }
+
+    types = types.map((type) => {
+      return Relation.getMorphedModel(type) || type;
+    });
+
+    return this.where((query) => {
+      types.forEach((type) => {
+        query.orWhere((query) => {
+          let belongsTo = this._getBelongsToRelation(relation, type);
+
+          let typeCallback = callback ? (query) => callback(query, type) : null;
+
+          query.where(relation.getMorphType(), '=', (new type()).getMorphClass())
+            .whereHas(belongsTo, typeCallback, operator, count);
+        });
+      });
+    }, null, null, boolean);
+  }
+
+  /**
+   * Get the BelongsTo relationship for a single polymorphic type.
+   *
+   * @param  {MorphTo}  relation
+   * @param  {Function}  type
+   * @return {BelongsTo}
+   */
+  this._getBelongsToRelation = function(relation, type)
+  {
+    let belongsTo = Relation.noConstraints(() => {
+      return this._model.belongsTo(
+        type,
+        relation.getForeignKeyName(),
+        relation.getOwnerKeyName(),
+        relation.getRelationName()
+      );
+    });
+
+    belongsTo.getQuery().mergeConstraintsFrom(relation.getQuery());
+
+    return belongsTo;
+  }
+
+  /**
+   * Add a polymorphic relationship count / exists condition to the query with an "or".
+   *
+   * @param  {String}  relation
+   * @param  {String|Function|Array}  types
+   * @param  {String}  operator
+   * @param  {Number}  count
+   * @return {Builder}
+   */
+  this.orHasMorph = function(relation, types, operator = '>=', count = 1)
+  {
+    return this.hasMorph(relation, types, operator, count, 'or');
+  }
+
+  /**
+   * Add a polymorphic relationship count / exists condition to the query.
+   *
+   * @param  {String}  relation
+   * @param  {String|Function|Array}  types
+   * @param  {String}  boolean
+   * @param  {Function|null}  callback
+   * @return {Builder}
+   */
+  this.doesntHaveMorph = function(relation, types, boolean = 'and', callback = null)
+  {
+    return this.hasMorph(relation, types, '<', 1, boolean, callback);
+  }
+
+  /**
+   * Add a polymorphic relationship count / exists condition to the query with an "or".
+   *
+   * @param  {String}  relation
+   * @param  {String|Function|Array}  types
+   * @return {Builder}
+   */
+  this.orDoesntHaveMorph = function(relation, types)
+  {
+    return this.doesntHaveMorph(relation, types, 'or');
+  }
+
+  /**
+   * Add a polymorphic relationship count / exists condition to the query with where clauses.
+   *
+   * @param  {String}  relation
+   * @param  {String|Function|Array}  types
+   * @param  {Function|null}  callback
+   * @param  {String}  operator
+   * @param  {Number}  count
+   * @return {Builder}
+   */
+  this.whereHasMorph = function(relation, types, callback = null, operator = '>=', count = 1)
+  {
+    return this.hasMorph(relation, types, operator, count, 'and', callback);
+  }
+
+  /**
+   * Add a polymorphic relationship count / exists condition to the query with where clauses and an "or".
+   *
+   * @param  {String}  relation
+   * @param  {String|Function|Array}  types
+   * @param  {Function|null}  callback
+   * @param  {String}  operator
+   * @param  {Number}  count
+   * @return {Builder}
+   */
+  this.orWhereHasMorph = function(relation, types, callback = null, operator = '>=', count = 1)
+  {
+    return this.hasMorph(relation, types, operator, count, 'or', callback);
+  }
+
+  /**
+   * Add a polymorphic relationship count / exists condition to the query with where clauses.
+   *
+   * @param  {String}  relation
+   * @param  {String|Function|Array}  types
+   * @param  {Function|null}  callback
+   * @return {Builder}
+   */
+  this.whereDoesntHaveMorph = function(relation, types, callback = null)
+  {
+    return this.doesntHaveMorph(relation, types, 'and', callback);
+  }
+
+  /**
+   * Add a polymorphic relationship count / exists condition to the query with where clauses and an "or".
+   *
+   * @param  {String}  relation
+   * @param  {String|Function|Array}  types
+   * @param  {Function|null}  callback
+   * @return {Builder}
+   */
+  this.orWhereDoesntHaveMorph = function(relation, types, callback = null)
+  {
+    return this.doesntHaveMorph(relation, types, 'or', callback);
+  }
+
+  /**
+   * Add subselect queries to include an aggregate value for a relationship.
+   *
+   * @param  {String|Array|Object}  relations
+   * @param  {String}  column
+   * @param  {String|null}  fn
+   * @return {Builder}
+   */
+  this.withAggregate = function(relations, column, fn = null)
+  {
+    if (_.isEmpty(relations)) {
+      return this;
+    }
+
+    if (_.isEmpty(this._query.columns)) {
+      this._query.select([this._query.from + '.*']);
+    }
+
+    relations = _.isString(relations) ? [relations] : relations;
+
+    _.forOwn(this._parseWithRelations(relations), (constraints, name) => {
+      let alias = null;
+
+      let segments = name.split(' ');
+
+      if (segments.length === 3 && segments[1].toLowerCase() === 'as') {
+        [name, alias] = [segments[0], segments[2]];
+      }
+
+      let relation = this._getRelationWithoutConstraints(name);
+
+      let expression = column;
+
+      if (fn) {
+        // When the relation points back to the table being queried the related table is
+        // aliased, so the aggregated column has to be qualified with the alias that the
+        // existence query is about to take, rather than the plain related table name.
+        let hashedColumn = this._query.from === relation.getQuery().getQuery().from
+          ? relation.getRelationCountHash(false) + '.' + column
+          : column;
+
+        let wrappedColumn = this._query.grammar.wrap(
+          column === '*' ? column : relation.getRelated().qualifyColumn(hashedColumn)
+        );
+
+        expression = fn === 'exists' ? wrappedColumn : fn + '(' + wrappedColumn + ')';
+      }
+
+      let query = relation.getRelationExistenceQuery(
+        relation.getRelated().newQuery(), this, new Expression(expression)
+      ).setBindings([], 'select');
+
+      query._callScope(constraints);
+
+      query = query.mergeConstraintsFrom(relation.getQuery()).toBase();
+
+      query.orders = [];
+
+      query.setBindings([], 'order');
+
+      if (query.columns.length > 1) {
+        query.columns = [query.columns[0]];
+
+        query.setBindings([], 'select');
+      }
+
+      alias = alias || _.snakeCase(
+        [name, fn, column].join(' ').replace(/[^\w\s]/g, '')
+      );
+
+      if (fn === 'exists') {
+        this.selectRaw(
+          'exists(' + query.toSql() + ') as ' + this._query.grammar.wrap(alias), query.getBindings()
+        ).withCasts({[alias]: 'boolean'});
+      } else {
+        this.selectSub(fn ? query : query.limit(1), alias);
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Add subselect queries to count the relations.
+   *
+   * @param  {String|Array|Object}  relations
+   * @return {Builder}
+   */
+  this.withCount = function(relations)
+  {
+    return this.withAggregate(_.isString(relations) ? [...arguments] : relations, '*', 'count');
+  }
+
+  /**
+   * Add subselect queries to include the max of the relation's column.
+   *
+   * @param  {String|Array|Object}  relation
+   * @param  {String}  column
+   * @return {Builder}
+   */
+  this.withMax = function(relation, column)
+  {
+    return this.withAggregate(relation, column, 'max');
+  }
+
+  /**
+   * Add subselect queries to include the min of the relation's column.
+   *
+   * @param  {String|Array|Object}  relation
+   * @param  {String}  column
+   * @return {Builder}
+   */
+  this.withMin = function(relation, column)
+  {
+    return this.withAggregate(relation, column, 'min');
+  }
+
+  /**
+   * Add subselect queries to include the sum of the relation's column.
+   *
+   * @param  {String|Array|Object}  relation
+   * @param  {String}  column
+   * @return {Builder}
+   */
+  this.withSum = function(relation, column)
+  {
+    return this.withAggregate(relation, column, 'sum');
+  }
+
+  /**
+   * Add subselect queries to include the average of the relation's column.
+   *
+   * @param  {String|Array|Object}  relation
+   * @param  {String}  column
+   * @return {Builder}
+   */
+  this.withAvg = function(relation, column)
+  {
+    return this.withAggregate(relation, column, 'avg');
+  }
+
+  /**
+   * Add subselect queries to include the existence of related models.
+   *
+   * SQLite has no boolean type, so the selected 1 or 0 is cast to a boolean.
+   *
+   * @param  {String|Array|Object}  relation
+   * @return {Builder}
+   */
+  this.withExists = function(relation)
+  {
+    return this.withAggregate(relation, '*', 'exists');
+  }
+
+  /**
+   * Add the "has" condition where clause to the query.
+   *
+   * @param  {Builder}  hasQuery
+   * @param  {Relation}  relation
+   * @param  {String}  operator
+   * @param  {Number}  count
+   * @param  {String}  boolean
+   * @return {Builder}
+   */
+  this._addHasWhere = function(hasQuery, relation, operator, count, boolean)
+  {
+    hasQuery.mergeConstraintsFrom(relation.getQuery());
+
+    if (this._canUseExistsForExistenceCheck(operator, count)) {
+      this._query['addWhereExistsQuery'](hasQuery.toBase(), boolean, operator === '<' && count === 1);
+
+      return this;
+    }
+
+    return this._addWhereCountQuery(hasQuery.toBase(), operator, count, boolean);
+  }
+
+  /**
+   * Add a sub-query count clause to this query.
+   *
+   * @param  {QueryBuilder}  query
+   * @param  {String}  operator
+   * @param  {Number}  count
+   * @param  {String}  boolean
+   * @return {Builder}
+   */
+  this._addWhereCountQuery = function(query, operator = '>=', count = 1, boolean = 'and')
+  {
+    this._query['addBinding'](query.getBindings(), 'where');
+
+    return this.where(
+      new Expression('(' + query.toSql() + ')'),
+      operator,
+      _.isNumber(count) ? new Expression(count) : count,
+      boolean
+    );
+  }
+
+  /**
+   * Get the "has relation" base query instance.
+   *
+   * @param  {String}  relation
+   * @return {Relation}
+   */
+  this._getRelationWithoutConstraints = function(relation)
+  {
+    return Relation.noConstraints(() => {
+      return this.getModel()[relation]();
+    });
+  }
+
+  /**
+   * Check if we can run an "exists" query to optimize performance.
+   *
+   * @param  {String}  operator
+   * @param  {Number}  count
+   * @return {Boolean}
+   */
+  this._canUseExistsForExistenceCheck = function(operator, count)
+  {
+    return (operator === '>=' || operator === '<') && count === 1;
+  }
+}
+
+export { QueriesRelationships }
+export default QueriesRelationships
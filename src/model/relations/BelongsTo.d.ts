@@ -1,5 +1,167 @@
 import Relation from "./Relation";
+import Model from "../Model";
+import { ModelBuilder } from "../Builder";
 
+/**
+ * @mixes SupportsDefaultModels
+ */
 export default class BelongsTo extends Relation {
-
+    /**
+     * The child model instance of the relation.
+     *
+     * @var {Model}
+     */
+    _child: Model;
+    /**
+     * The foreign key of the parent model.
+     *
+     * @var {String}
+     */
+    _foreignKey: string;
+    /**
+     * The associated key on the parent model.
+     *
+     * @var {String}
+     */
+    _ownerKey: string;
+    /**
+     * The name of the relationship.
+     *
+     * @var {String}
+     */
+    _relationName: string;
+    /**
+     * Create a new belongs to relationship instance.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {Model}  child
+     * @param  {String}  foreignKey
+     * @param  {String}  ownerKey
+     * @param  {String}  relationName
+     * @param  {Object}  properties
+     * @return void
+     */
+    constructor(query: ModelBuilder, child: Model, foreignKey: string, ownerKey: string, relationName: string, properties?: any);
+    /**
+     * Get the results of the relationship.
+     *
+     * @return {Promise<Model|null>}
+     */
+    getResults(): Promise<Model | null>;
+    /**
+     * Gather the keys from an array of related models.
+     *
+     * @param  {Array}  models
+     * @return {Array}
+     */
+    _getEagerModelKeys(models: Model[]): any[];
+    /**
+     * Update the parent model on the relationship.
+     *
+     * @param  {Object}  attributes
+     * @return {Promise<*>}
+     */
+    update(attributes: any): Promise<any>;
+    /**
+     * Associate the model instance to the given parent.
+     *
+     * @param  {Model|Number|String}  model
+     * @return {Model}
+     */
+    associate(model: Model | number | string): Model;
+    /**
+     * Dissociate previously associated model from the given parent.
+     *
+     * @return {Model}
+     */
+    dissociate(): Model;
+    /**
+     * Determine if the related model has an auto-incrementing ID.
+     *
+     * @return {Boolean}
+     */
+    _relationHasIncrementingId(): boolean;
+    /**
+     * Get the child of the relationship.
+     *
+     * @return {Model}
+     */
+    getChild(): Model;
+    /**
+     * Get the foreign key of the relationship.
+     *
+     * @return {String}
+     */
+    getForeignKeyName(): string;
+    /**
+     * Get the fully qualified foreign key of the relationship.
+     *
+     * @return {String}
+     */
+    getQualifiedForeignKeyName(): string;
+    /**
+     * Get the associated key of the relationship.
+     *
+     * @return {String}
+     */
+    getOwnerKeyName(): string;
+    /**
+     * Get the fully qualified associated key of the relationship.
+     *
+     * @return {String}
+     */
+    getQualifiedOwnerKeyName(): string;
+    /**
+     * Get the name of the relationship.
+     *
+     * @return {String}
+     */
+    getRelationName(): string;
+    /**
+     * Add the constraints for a relationship query.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {ModelBuilder}  parentQuery
+     * @param  {Array}  columns
+     * @return {ModelBuilder}
+     */
+    getRelationExistenceQuery(query: ModelBuilder, parentQuery: ModelBuilder, columns?: any[]): ModelBuilder;
+    /**
+     * Add the constraints for a relationship query on the same table.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {ModelBuilder}  parentQuery
+     * @param  {Array}  columns
+     * @return {ModelBuilder}
+     */
+    getRelationExistenceQueryForSelfRelation(query: ModelBuilder, parentQuery: ModelBuilder, columns?: any[]): ModelBuilder;
+    /**
+     * Indicates if a default model instance should be used.
+     *
+     * Alternatively, may be a Closure or an object of attributes.
+     *
+     * @var {Function|Object|Boolean|null}
+     */
+    _withDefault: ((instance: Model, parent: Model) => Model | void) | object | boolean | null;
+    /**
+     * Return a new model instance in case the relationship does not exist.
+     *
+     * @param  {Function|Object|Boolean}  callback
+     * @return {this}
+     */
+    withDefault(callback?: ((instance: Model, parent: Model) => Model | void) | object | boolean): this;
+    /**
+     * Get the default value for this relation.
+     *
+     * @param  {Model}  parent
+     * @return {Model|null}
+     */
+    _getDefaultFor(parent: Model): Model | null;
+    /**
+     * Make a new related instance for the given model.
+     *
+     * @param  {Model}  parent
+     * @return {Model}
+     */
+    _newRelatedInstanceFor(parent: Model): Model;
 }
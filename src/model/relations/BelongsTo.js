@@ -1,8 +1,337 @@
+import _ from 'lodash'
+import Model from '../Model'
 import Relation from './Relation'
+import SupportsDefaultModels from './concerns/SupportsDefaultModels'
 
-class BelongsTo extends Relation { // TODO
+/**
+ * @mixes SupportsDefaultModels
+ *
+ * @property {Model} _child The child model instance of the relation.
+ * @property {String} _foreignKey The foreign key of the parent model.
+ * @property {String} _ownerKey The associated key on the parent model.
+ * @property {String} _relationName The name of the relationship.
+ */
+class BelongsTo extends Relation {
+  /**
+   * Create a new belongs to relationship instance.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {Model}  child
+   * @param  {String}  foreignKey
+   * @param  {String}  ownerKey
+   * @param  {String}  relationName
+   * @param  {Object}  properties
+   * @return void
+   */
+  constructor (query, child, foreignKey, ownerKey, relationName, properties = {})
+  {
+    super(query, child, {
+      _ownerKey: ownerKey,
+      _relationName: relationName,
+      _foreignKey: foreignKey,
 
+      // In the underlying base relationship class, this variable is referred to as
+      // the "parent" since most relationships are not inversed. But, since this
+      // one is we will create a "child" variable for much better readability.
+      _child: child,
+      ...properties
+    });
+  }
+
+  /**
+   * Get the results of the relationship.
+   *
+   * @return {Promise<Model|null>}
+   */
+  async getResults()
+  {
+    if (this._child.getAttribute(this._foreignKey) == null) {
+      return this._getDefaultFor(this._parent);
+    }
+
+    return (await this._query.first()) || this._getDefaultFor(this._parent);
+  }
+
+  /**
+   * Set the base constraints on the relation query.
+   *
+   * @return void
+   */
+  addConstraints()
+  {
+    if (this.constructor._constraints) {
+      // For belongs to relationships, which are essentially the inverse of has one
+      // or has many relationships, we need to actually query on the primary key
+      // of the related models matching on the foreign key that's on a parent.
+      let table = this._related.getTable();
+
+      this._query.where(table + '.' + this._ownerKey, '=', this._child.getAttribute(this._foreignKey));
+    }
+  }
+
+  /**
+   * Set the constraints for an eager load of the relation.
+   *
+   * @param  {Array}  models
+   * @return void
+   */
+  addEagerConstraints(models)
+  {
+    // We'll grab the primary key name of the related models since it could be set to
+    // a non-standard name and not "id". We will then construct the constraint for
+    // our eagerly loading query so it returns the proper models from execution.
+    let key = this._related.getTable() + '.' + this._ownerKey;
+
+    let whereIn = this._whereInMethod(this._related, this._ownerKey);
+
+    this._query[whereIn](key, this._getEagerModelKeys(models));
+  }
+
+  /**
+   * Gather the keys from an array of related models.
+   *
+   * @param  {Array}  models
+   * @return {Array}
+   */
+  _getEagerModelKeys(models)
+  {
+    let keys = [];
+
+    // First we need to gather all of the keys from the parent models so we know what
+    // to query for via the eager loading query. We will add them to an array then
+    // execute a "where in" statement to gather up all of those related records.
+    models.forEach((model) => {
+      let value = model.getAttribute(this._foreignKey);
+
+      if (! (value == null || value === '')) {
+        keys.push(value);
+      }
+    })
+
+    return _.sortBy(_.uniq(keys));
+  }
+
+  /**
+   * Initialize the relation on a set of models.
+   *
+   * @param  {Array}   models
+   * @param  {String}  relation
+   * @return {Array}
+   */
+  initRelation(models, relation)
+  {
+    models.forEach((model) => {
+      model.setRelation(relation, this._getDefaultFor(model));
+    })
+
+    return models;
+  }
+
+  /**
+   * Match the eagerly loaded results to their parents.
+   *
+   * @param  {Array}   models
+   * @param  {Array}  results
+   * @param  {String}  relation
+   * @return {Array}
+   */
+  match(models, results, relation)
+  {
+    let foreign = this._foreignKey;
+
+    let owner = this._ownerKey;
+
+    // First we will get to build a dictionary of the child models by their primary
+    // key of the relationship, then we can easily match the children back onto
+    // the parents using that dictionary and the primary key of the children.
+    let dictionary = {};
+
+    results.forEach((result) => {
+      dictionary[result.getAttribute(owner)] = result;
+    })
+
+    // Once we have the dictionary constructed, we can loop through all the parents
+    // and match back onto their children using these keys of the dictionary and
+    // the primary key of the children to map them onto the correct instances.
+    models.forEach((model) => {
+      let key = model.getAttribute(foreign);
+
+      if (key in dictionary) {
+        model.setRelation(relation, dictionary[key]);
+      }
+    })
+
+    return models;
+  }
+
+  /**
+   * Update the parent model on the relationship.
+   *
+   * @param  {Object}  attributes
+   * @return {Promise<*>}
+   */
+  async update(attributes)
+  {
+    return (await this.getResults()).fill(attributes).save();
+  }
+
+  /**
+   * Associate the model instance to the given parent.
+   *
+   * @param  {Model|Number|String}  model
+   * @return {Model}
+   */
+  associate(model)
+  {
+    let ownerKey = model instanceof Model ? model.getAttribute(this._ownerKey) : model;
+
+    this._child.setAttribute(this._foreignKey, ownerKey);
+
+    if (model instanceof Model) {
+      this._child.setRelation(this._relationName, model);
+    } else if (this._child.isDirty(this._foreignKey)) {
+      this._child.unsetRelation(this._relationName);
+    }
+
+    return this._child;
+  }
+
+  /**
+   * Dissociate previously associated model from the given parent.
+   *
+   * @return {Model}
+   */
+  dissociate()
+  {
+    this._child.setAttribute(this._foreignKey, null);
+
+    return this._child.setRelation(this._relationName, null);
+  }
+
+  /**
+   * Add the constraints for a relationship query.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {ModelBuilder}  parentQuery
+   * @param  {Array}  columns
+   * @return {ModelBuilder}
+   */
+  getRelationExistenceQuery(query, parentQuery, columns = ['*'])
+  {
+    if (parentQuery.getQuery().from === query.getQuery().from) {
+      return this.getRelationExistenceQueryForSelfRelation(query, parentQuery, columns);
+    }
+
+    return query.select(columns).whereColumn(
+      this.getQualifiedForeignKeyName(), '=', query.qualifyColumn(this._ownerKey)
+    );
+  }
+
+  /**
+   * Add the constraints for a relationship query on the same table.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {ModelBuilder}  parentQuery
+   * @param  {Array}  columns
+   * @return {ModelBuilder}
+   */
+  getRelationExistenceQueryForSelfRelation(query, parentQuery, columns = ['*'])
+  {
+    let hash = this.getRelationCountHash();
+
+    query.select(columns).getQuery().table(query.getModel().getTable(), hash);
+
+    query.getModel().setTable(hash);
+
+    return query.whereColumn(
+      hash + '.' + this._ownerKey, '=', this.getQualifiedForeignKeyName()
+    );
+  }
+
+  /**
+   * Determine if the related model has an auto-incrementing ID.
+   *
+   * @return {Boolean}
+   */
+  _relationHasIncrementingId()
+  {
+    return this._related.getIncrementing() &&
+      ['int', 'integer'].includes(this._related.getKeyType());
+  }
+
+  /**
+   * Make a new related instance for the given model.
+   *
+   * @param  {Model}  parent
+   * @return {Model}
+   */
+  _newRelatedInstanceFor(parent)
+  {
+    return this._related.newInstance();
+  }
+
+  /**
+   * Get the child of the relationship.
+   *
+   * @return {Model}
+   */
+  getChild()
+  {
+    return this._child;
+  }
+
+  /**
+   * Get the foreign key of the relationship.
+   *
+   * @return {String}
+   */
+  getForeignKeyName()
+  {
+    return this._foreignKey;
+  }
+
+  /**
+   * Get the fully qualified foreign key of the relationship.
+   *
+   * @return {String}
+   */
+  getQualifiedForeignKeyName()
+  {
+    return this._child.qualifyColumn(this._foreignKey);
+  }
+
+  /**
+   * Get the associated key of the relationship.
+   *
+   * @return {String}
+   */
+  getOwnerKeyName()
+  {
+    return this._ownerKey;
+  }
+
+  /**
+   * Get the fully qualified associated key of the relationship.
+   *
+   * @return {String}
+   */
+  getQualifiedOwnerKeyName()
+  {
+    return this._related.qualifyColumn(this._ownerKey);
+  }
+
+  /**
+   * Get the name of the relationship.
+   *
+   * @return {String}
+   */
+  getRelationName()
+  {
+    return this._relationName;
+  }
 }
 
+SupportsDefaultModels.call(BelongsTo.prototype);
+
 export { BelongsTo }
 export default BelongsTo
@@ -1,5 +1,612 @@
 import Relation from "./Relation";
+import Model from "../Model";
+import { ModelBuilder } from "../Builder";
+import { QueryBuilder } from "../../query/Builder";
+import Pivot from "./Pivot";
+import Collection from "../Collection";
 
 export default class BelongsToMany extends Relation {
-
+    /**
+     * The intermediate table for the relation.
+     *
+     * @var {String}
+     */
+    _table: string;
+    /**
+     * The foreign key of the parent model.
+     *
+     * @var {String}
+     */
+    _foreignPivotKey: string;
+    /**
+     * The associated key of the relation.
+     *
+     * @var {String}
+     */
+    _relatedPivotKey: string;
+    /**
+     * The key name of the parent model.
+     *
+     * @var {String}
+     */
+    _parentKey: string;
+    /**
+     * The key name of the related model.
+     *
+     * @var {String}
+     */
+    _relatedKey: string;
+    /**
+     * The "name" of the relationship.
+     *
+     * @var {String}
+     */
+    _relationName: string;
+    /**
+     * The pivot table columns to retrieve.
+     *
+     * @var {Array}
+     */
+    _pivotColumns: string[];
+    /**
+     * Any pivot table restrictions for where clauses.
+     *
+     * @var {Array}
+     */
+    _pivotWheres: any[];
+    /**
+     * Any pivot table restrictions for whereIn clauses.
+     *
+     * @var {Array}
+     */
+    _pivotWhereIns: any[];
+    /**
+     * The default values for the pivot columns.
+     *
+     * @var {Array}
+     */
+    _pivotValues: any[];
+    /**
+     * Indicates if timestamps are available on the pivot table.
+     *
+     * @var {Boolean}
+     */
+    _withTimestamps: boolean;
+    /**
+     * The custom pivot table column for the created_at timestamp.
+     *
+     * @var {String|null}
+     */
+    _pivotCreatedAt: string | null;
+    /**
+     * The custom pivot table column for the updated_at timestamp.
+     *
+     * @var {String|null}
+     */
+    _pivotUpdatedAt: string | null;
+    /**
+     * The class name of the custom pivot model to use for the relationship.
+     *
+     * @var {Function|null}
+     */
+    _using: typeof Pivot | null;
+    /**
+     * The name of the accessor to use for the "pivot" relationship.
+     *
+     * @var {String}
+     */
+    _accessor: string;
+    /**
+     * Create a new belongs to many relationship instance.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {Model}  parent
+     * @param  {String|Function}  table
+     * @param  {String}  foreignPivotKey
+     * @param  {String}  relatedPivotKey
+     * @param  {String}  parentKey
+     * @param  {String}  relatedKey
+     * @param  {String|null}  relationName
+     * @param  {Object}  properties
+     * @return void
+     */
+    constructor(query: ModelBuilder, parent: Model, table: string | Function, foreignPivotKey: string, relatedPivotKey: string, parentKey: string, relatedKey: string, relationName?: string | null, properties?: any);
+    /**
+     * Attempt to resolve the intermediate table name from the given string.
+     *
+     * @param  {String|Function}  table
+     * @return {String}
+     */
+    static _resolveTableName(table: string | Function): string;
+    /**
+     * Determine if the given intermediate table is a custom pivot model.
+     *
+     * @param  {String|Function}  table
+     * @return {Function|null}
+     */
+    static _resolvePivotClass(table: string | Function): typeof Pivot | null;
+    /**
+     * Set the join clause for the relation query.
+     *
+     * @param  {ModelBuilder|null}  query
+     * @return {this}
+     */
+    _performJoin(query?: ModelBuilder | null): this;
+    /**
+     * Set the where clause for the relation query.
+     *
+     * @return {this}
+     */
+    _addWhereConstraints(): this;
+    /**
+     * Build model dictionary keyed by the relation's foreign key.
+     *
+     * @param  {Array}  results
+     * @return {Object}
+     */
+    _buildDictionary(results: Model[]): object;
+    /**
+     * Specify the custom pivot model to use for the relationship.
+     *
+     * @param  {Function}  cls
+     * @return {this}
+     */
+    using(cls: typeof Pivot): this;
+    /**
+     * Specify the custom pivot accessor to use for the relationship.
+     *
+     * @param  {String}  accessor
+     * @return {this}
+     */
+    as(accessor: string): this;
+    /**
+     * Set a where clause for a pivot table column.
+     *
+     * @param  {String}  column
+     * @param  {String|null}  operator
+     * @param  {*}  value
+     * @param  {String}  boolean
+     * @return {this}
+     */
+    wherePivot(column: string, operator?: string | null, value?: any, boolean?: string): this;
+    /**
+     * Set a "where in" clause for a pivot table column.
+     *
+     * @param  {String}  column
+     * @param  {Array}  values
+     * @param  {String}  boolean
+     * @param  {Boolean}  not
+     * @return {this}
+     */
+    wherePivotIn(column: string, values: any[], boolean?: string, not?: boolean): this;
+    /**
+     * Set an "or where" clause for a pivot table column.
+     *
+     * @param  {String}  column
+     * @param  {String|null}  operator
+     * @param  {*}  value
+     * @return {this}
+     */
+    orWherePivot(column: string, operator?: string | null, value?: any): this;
+    /**
+     * Set a where clause for a pivot table column.
+     *
+     * In addition, new pivot records will receive this value.
+     *
+     * @param  {String|Object}  column
+     * @param  {*}  value
+     * @return {this}
+     *
+     * @throws {Error}
+     */
+    withPivotValue(column: string | object, value?: any): this;
+    /**
+     * Set an "or where in" clause for a pivot table column.
+     *
+     * @param  {String}  column
+     * @param  {Array}  values
+     * @return {this}
+     */
+    orWherePivotIn(column: string, values: any[]): this;
+    /**
+     * Set a "where not in" clause for a pivot table column.
+     *
+     * @param  {String}  column
+     * @param  {Array}  values
+     * @param  {String}  boolean
+     * @return {this}
+     */
+    wherePivotNotIn(column: string, values: any[], boolean?: string): this;
+    /**
+     * Set an "or where not in" clause for a pivot table column.
+     *
+     * @param  {String}  column
+     * @param  {Array}  values
+     * @return {this}
+     */
+    orWherePivotNotIn(column: string, values: any[]): this;
+    /**
+     * Find a related model by its primary key or return new instance of the related model.
+     *
+     * @param  {*}  id
+     * @param  {Array}  columns
+     * @return {Promise<Model|Array>}
+     */
+    findOrNew(id: any, columns?: string[]): Promise<Model | Collection>;
+    /**
+     * Get the first related model record matching the attributes or instantiate it.
+     *
+     * @param  {Object}  attributes
+     * @return {Promise<Model>}
+     */
+    firstOrNew(attributes: object): Promise<Model>;
+    /**
+     * Get the first related record matching the attributes or create it.
+     *
+     * @param  {Object}  attributes
+     * @param  {Object}  joining
+     * @param  {Boolean}  touch
+     * @return {Promise<Model>}
+     */
+    firstOrCreate(attributes: object, joining?: object, touch?: boolean): Promise<Model>;
+    /**
+     * Create or update a related record matching the attributes, and fill it with values.
+     *
+     * @param  {Object}  attributes
+     * @param  {Object}  values
+     * @param  {Object}  joining
+     * @param  {Boolean}  touch
+     * @return {Promise<Model>}
+     */
+    updateOrCreate(attributes: object, values?: object, joining?: object, touch?: boolean): Promise<Model>;
+    /**
+     * Find a related model by its primary key.
+     *
+     * @param  {*}  id
+     * @param  {Array}  columns
+     * @return {Promise<Model|Array|null>}
+     */
+    find(id: any, columns?: string[]): Promise<Model | Model[] | null>;
+    /**
+     * Find multiple related models by their primary keys.
+     *
+     * @param  {Array}  ids
+     * @param  {Array}  columns
+     * @return {Promise<Array>}
+     */
+    findMany(ids: any[], columns?: string[]): Promise<Model[]>;
+    /**
+     * Execute the query and get the first result.
+     *
+     * @param  {Array}  columns
+     * @return {Promise<Model|null>}
+     */
+    first(columns?: string[]): Promise<Model | null>;
+    /**
+     * Get the results of the relationship.
+     *
+     * @return {Promise<Array>}
+     */
+    getResults(): Promise<Model[]>;
+    /**
+     * Get the select columns for the relation query.
+     *
+     * @param  {Array}  columns
+     * @return {Array}
+     */
+    _shouldSelect(columns?: string[]): string[];
+    /**
+     * Get the pivot columns for the relation.
+     *
+     * "pivot_" is prefixed to each column for easy removal later.
+     *
+     * @return {Array}
+     */
+    _aliasedPivotColumns(): string[];
+    /**
+     * Hydrate the pivot table relationship on the models.
+     *
+     * @param  {Array}  models
+     * @return void
+     */
+    _hydratePivotRelation(models: Model[]): void;
+    /**
+     * Get the pivot attributes from a model.
+     *
+     * @param  {Model}  model
+     * @return {Object}
+     */
+    _migratePivotAttributes(model: Model): object;
+    /**
+     * If we're touching the parent model, touch.
+     *
+     * @return {Promise<void>}
+     */
+    touchIfTouching(): Promise<void>;
+    /**
+     * Determine if we should touch the parent on sync.
+     *
+     * @return {Boolean}
+     */
+    _touchingParent(): boolean;
+    /**
+     * Attempt to guess the name of the inverse of the relation.
+     *
+     * @return {String}
+     */
+    _guessInverseRelation(): string;
+    /**
+     * Touch all of the related models for the relationship.
+     *
+     * E.g.: Touch all roles associated with this user.
+     *
+     * @return {Promise<void>}
+     */
+    touch(): Promise<void>;
+    /**
+     * Get all of the IDs for the related models.
+     *
+     * @return {Promise<Array>}
+     */
+    allRelatedIds(): Promise<any[]>;
+    /**
+     * Save a new model and attach it to the parent model.
+     *
+     * @param  {Model}  model
+     * @param  {Object}  pivotAttributes
+     * @param  {Boolean}  touch
+     * @return {Promise<Model>}
+     */
+    save<T extends Model>(model: T, pivotAttributes?: object, touch?: boolean): Promise<T>;
+    /**
+     * Save an array of new models and attach them to the parent model.
+     *
+     * The pivot attributes are matched to the models by their index.
+     *
+     * @param  {Array<Model>}  models
+     * @param  {Array<Object>}  pivotAttributes
+     * @return {Promise<Array<Model>>}
+     */
+    saveMany<T extends Model[]>(models: T, pivotAttributes?: object[]): Promise<T>;
+    /**
+     * Create a new instance of the related model.
+     *
+     * @param  {Object}  attributes
+     * @param  {Object}  joining
+     * @param  {Boolean}  touch
+     * @return {Promise<Model>}
+     */
+    create(attributes?: object, joining?: object, touch?: boolean): Promise<Model>;
+    /**
+     * Create an array of new instances of the related models.
+     *
+     * @param  {Array<Object>}  records
+     * @param  {Array<Object>}  joinings
+     * @return {Promise<Collection>}
+     */
+    createMany(records: object[], joinings?: object[]): Promise<Collection>;
+    /**
+     * Add the constraints for a relationship query.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {ModelBuilder}  parentQuery
+     * @param  {Array}  columns
+     * @return {ModelBuilder}
+     */
+    getRelationExistenceQuery(query: ModelBuilder, parentQuery: ModelBuilder, columns?: any[]): ModelBuilder;
+    /**
+     * Add the constraints for a relationship query on the same table.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {ModelBuilder}  parentQuery
+     * @param  {Array}  columns
+     * @return {ModelBuilder}
+     */
+    getRelationExistenceQueryForSelfJoin(query: ModelBuilder, parentQuery: ModelBuilder, columns?: any[]): ModelBuilder;
+    /**
+     * Get the key for comparing against the parent key in "has" query.
+     *
+     * @return {String}
+     */
+    getExistenceCompareKey(): string;
+    /**
+     * Specify that the pivot table has creation and update timestamps.
+     *
+     * @param  {String|null}  createdAt
+     * @param  {String|null}  updatedAt
+     * @return {this}
+     */
+    withTimestamps(createdAt?: string | null, updatedAt?: string | null): this;
+    /**
+     * Get the foreign key for the relation.
+     *
+     * @return {String}
+     */
+    getForeignPivotKeyName(): string;
+    /**
+     * Get the fully qualified foreign key for the relation.
+     *
+     * @return {String}
+     */
+    getQualifiedForeignPivotKeyName(): string;
+    /**
+     * Get the "related key" for the relation.
+     *
+     * @return {String}
+     */
+    getRelatedPivotKeyName(): string;
+    /**
+     * Get the fully qualified "related key" for the relation.
+     *
+     * @return {String}
+     */
+    getQualifiedRelatedPivotKeyName(): string;
+    /**
+     * Get the key name of the related model.
+     *
+     * @return {String}
+     */
+    getRelatedKeyName(): string;
+    /**
+     * Get the intermediate table for the relationship.
+     *
+     * @return {String}
+     */
+    getTable(): string;
+    /**
+     * Get the relationship name for the relationship.
+     *
+     * @return {String}
+     */
+    getRelationName(): string;
+    /**
+     * Get the name of the pivot accessor for this relationship.
+     *
+     * @return {String}
+     */
+    getPivotAccessor(): string;
+    /**
+     * Get the pivot columns for this relationship.
+     *
+     * @return {Array}
+     */
+    getPivotColumns(): string[];
+    /**
+     * Toggles a model (or models) from the parent.
+     *
+     * Each existing model is detached, and non existing ones are attached.
+     *
+     * @param  {*}  ids
+     * @param  {Boolean}  touch
+     * @return {Promise<Object>}
+     */
+    toggle(ids: any, touch?: boolean): Promise<{ attached: any[], detached: any[] }>;
+    /**
+     * Sync the intermediate tables with a list of IDs without detaching.
+     *
+     * @param  {*}  ids
+     * @return {Promise<Object>}
+     */
+    syncWithoutDetaching(ids: any): Promise<{ attached: any[], detached: any[], updated: any[] }>;
+    /**
+     * Sync the intermediate tables with a list of IDs or collection of models.
+     *
+     * @param  {*}  ids
+     * @param  {Boolean}  detaching
+     * @return {Promise<Object>}
+     */
+    sync(ids: any, detaching?: boolean): Promise<{ attached: any[], detached: any[], updated: any[] }>;
+    /**
+     * Update an existing pivot record on the table.
+     *
+     * @param  {*}  id
+     * @param  {Object}  attributes
+     * @param  {Boolean}  touch
+     * @return {Promise<Number>}
+     */
+    updateExistingPivot(id: any, attributes: object, touch?: boolean): Promise<number>;
+    /**
+     * Update an existing pivot record on the table via a custom class.
+     *
+     * @param  {*}  id
+     * @param  {Object}  attributes
+     * @param  {Boolean}  touch
+     * @return {Promise<Number>}
+     */
+    _updateExistingPivotUsingCustomClass(id: any, attributes: object, touch: boolean): Promise<number>;
+    /**
+     * Attach a model to the parent.
+     *
+     * @param  {*}  id
+     * @param  {Object}  attributes
+     * @param  {Boolean}  touch
+     * @return {Promise<void>}
+     */
+    attach(id: any, attributes?: object, touch?: boolean): Promise<void>;
+    /**
+     * Attach a model to the parent using a custom class.
+     *
+     * Every record is saved through its own pivot model, so model events fire for each of them.
+     *
+     * @param  {*}  id
+     * @param  {Object}  attributes
+     * @return {Promise<void>}
+     */
+    _attachUsingCustomClass(id: any, attributes: object): Promise<void>;
+    /**
+     * Determine whether the given column is defined as a pivot column.
+     *
+     * @param  {String}  column
+     * @return {Boolean}
+     */
+    hasPivotColumn(column: string): boolean;
+    /**
+     * Detach models from the relationship.
+     *
+     * @param  {*}  ids
+     * @param  {Boolean}  touch
+     * @return {Promise<Number>}
+     */
+    detach(ids?: any, touch?: boolean): Promise<number>;
+    /**
+     * Detach models from the relationship using a custom class.
+     *
+     * @param  {*}  ids
+     * @return {Promise<Number>}
+     */
+    _detachUsingCustomClass(ids: any): Promise<number>;
+    /**
+     * Get the pivot models that are currently attached.
+     *
+     * @return {Promise<Array<Pivot>>}
+     */
+    _getCurrentlyAttachedPivots(): Promise<Pivot[]>;
+    /**
+     * Create a new pivot model instance.
+     *
+     * @param  {Object}  attributes
+     * @param  {Boolean}  exists
+     * @return {Pivot}
+     */
+    newPivot(attributes?: object, exists?: boolean): Pivot;
+    /**
+     * Create a new existing pivot model instance.
+     *
+     * @param  {Object}  attributes
+     * @return {Pivot}
+     */
+    newExistingPivot(attributes?: object): Pivot;
+    /**
+     * Get a new plain query builder for the pivot table.
+     *
+     * @return {QueryBuilder}
+     */
+    newPivotStatement(): QueryBuilder;
+    /**
+     * Get a new pivot statement for a given "other" ID.
+     *
+     * @param  {*}  id
+     * @return {QueryBuilder}
+     */
+    newPivotStatementForId(id: any): QueryBuilder;
+    /**
+     * Create a new query builder for the pivot table.
+     *
+     * @return {QueryBuilder}
+     */
+    _newPivotQuery(): QueryBuilder;
+    /**
+     * Set the columns on the pivot table to retrieve.
+     *
+     * @param  {Array|...String}  columns
+     * @return {this}
+     */
+    withPivot(columns: string[] | string, ...rest: string[]): this;
+    /**
+     * Cast the given pivot attributes.
+     *
+     * @param  {Object}  attributes
+     * @return {Object}
+     */
+    _castAttributes(attributes: object): object;
 }
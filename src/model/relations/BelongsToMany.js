@@ -1,8 +1,942 @@
+import _ from 'lodash'
+import pluralize from 'pluralize'
 import Relation from './Relation'
+import AsPivot from './concerns/AsPivot'
+import InteractsWithPivotTable from './concerns/InteractsWithPivotTable'
 
-class BelongsToMany extends Relation { // TODO
+/**
+ * @mixes InteractsWithPivotTable
+ *
+ * @property {String} _table The intermediate table for the relation.
+ * @property {String} _foreignPivotKey The foreign key of the parent model.
+ * @property {String} _relatedPivotKey The associated key of the relation.
+ * @property {String} _parentKey The key name of the parent model.
+ * @property {String} _relatedKey The key name of the related model.
+ * @property {String} _relationName The "name" of the relationship.
+ * @property {Array} _pivotColumns The pivot table columns to retrieve.
+ * @property {Array} _pivotWheres Any pivot table restrictions for where clauses.
+ * @property {Array} _pivotWhereIns Any pivot table restrictions for whereIn clauses.
+ * @property {Array} _pivotValues The default values for the pivot columns.
+ * @property {Boolean} _withTimestamps Indicates if timestamps are available on the pivot table.
+ * @property {String|null} _pivotCreatedAt The custom pivot table column for the created_at timestamp.
+ * @property {String|null} _pivotUpdatedAt The custom pivot table column for the updated_at timestamp.
+ * @property {Function|null} _using The class name of the custom pivot model to use for the relationship.
+ * @property {String} _accessor The name of the accessor to use for the "pivot" relationship.
+ */
+class BelongsToMany extends Relation {
+  /**
+   * Create a new belongs to many relationship instance.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {Model}  parent
+   * @param  {String|Function}  table
+   * @param  {String}  foreignPivotKey
+   * @param  {String}  relatedPivotKey
+   * @param  {String}  parentKey
+   * @param  {String}  relatedKey
+   * @param  {String|null}  relationName
+   * @param  {Object}  properties
+   * @return void
+   */
+  constructor (query, parent, table, foreignPivotKey, relatedPivotKey,
+               parentKey, relatedKey, relationName = null, properties = {})
+  {
+    super(query, parent, {
+      _parentKey: parentKey,
+      _relatedKey: relatedKey,
+      _relationName: relationName,
+      _relatedPivotKey: relatedPivotKey,
+      _foreignPivotKey: foreignPivotKey,
+      _table: BelongsToMany._resolveTableName(table),
+      _using: BelongsToMany._resolvePivotClass(table),
+      _pivotColumns: [],
+      _pivotWheres: [],
+      _pivotWhereIns: [],
+      _pivotValues: [],
+      _withTimestamps: false,
+      _pivotCreatedAt: null,
+      _pivotUpdatedAt: null,
+      _accessor: 'pivot',
+      ...properties
+    });
+  }
 
+  /**
+   * Attempt to resolve the intermediate table name from the given string.
+   *
+   * @param  {String|Function}  table
+   * @return {String}
+   */
+  static _resolveTableName(table)
+  {
+    if (! (table instanceof Function)) {
+      return table;
+    }
+
+    return (new table()).getTable();
+  }
+
+  /**
+   * Determine if the given intermediate table is a custom pivot model.
+   *
+   * @param  {String|Function}  table
+   * @return {Function|null}
+   */
+  static _resolvePivotClass(table)
+  {
+    if (! (table instanceof Function)) {
+      return null;
+    }
+
+    return table.getTraits().includes(AsPivot) ? table : null;
+  }
+
+  /**
+   * Set the base constraints on the relation query.
+   *
+   * @return void
+   */
+  addConstraints()
+  {
+    this._performJoin();
+
+    if (this.constructor._constraints) {
+      this._addWhereConstraints();
+    }
+  }
+
+  /**
+   * Set the join clause for the relation query.
+   *
+   * @param  {ModelBuilder|null}  query
+   * @return {this}
+   */
+  _performJoin(query = null)
+  {
+    query = query || this._query;
+
+    // We need to join to the intermediate table on the related model's primary
+    // key column with the intermediate table's foreign key for the related
+    // model instance. Then we can set the "where" for the parent models.
+    let baseTable = this._related.getTable();
+
+    let key = baseTable + '.' + this._relatedKey;
+
+    query.join(this._table, key, '=', this.getQualifiedRelatedPivotKeyName());
+
+    return this;
+  }
+
+  /**
+   * Set the where clause for the relation query.
+   *
+   * @return {this}
+   */
+  _addWhereConstraints()
+  {
+    this._query.where(
+      this.getQualifiedForeignPivotKeyName(), '=', this._parent.getAttribute(this._parentKey)
+    );
+
+    return this;
+  }
+
+  /**
+   * Set the constraints for an eager load of the relation.
+   *
+   * @param  {Array}  models
+   * @return void
+   */
+  addEagerConstraints(models)
+  {
+    let whereIn = this._whereInMethod(this._parent, this._parentKey);
+
+    this._query[whereIn](
+      this.getQualifiedForeignPivotKeyName(),
+      this._getKeys(models, this._parentKey)
+    );
+  }
+
+  /**
+   * Initialize the relation on a set of models.
+   *
+   * @param  {Array}   models
+   * @param  {String}  relation
+   * @return {Array}
+   */
+  initRelation(models, relation)
+  {
+    models.forEach((model) => {
+      model.setRelation(relation, this._related.newCollection());
+    })
+
+    return models;
+  }
+
+  /**
+   * Match the eagerly loaded results to their parents.
+   *
+   * @param  {Array}   models
+   * @param  {Array}  results
+   * @param  {String}  relation
+   * @return {Array}
+   */
+  match(models, results, relation)
+  {
+    let dictionary = this._buildDictionary(results);
+
+    // Once we have an array dictionary of child objects we can easily match the
+    // children back to their parent using the dictionary and the keys on the
+    // the parent models. Then we will return the hydrated models back out.
+    models.forEach((model) => {
+      let key = model.getAttribute(this._parentKey);
+
+      if (key in dictionary) {
+        model.setRelation(
+          relation, this._related.newCollection(dictionary[key])
+        );
+      }
+    })
+
+    return models;
+  }
+
+  /**
+   * Build model dictionary keyed by the relation's foreign key.
+   *
+   * @param  {Array}  results
+   * @return {Object}
+   */
+  _buildDictionary(results)
+  {
+    // First we will build a dictionary of child models keyed by the foreign key
+    // of the relation so that we will easily and quickly match them to their
+    // parents without having a possibly slow inner loops for every models.
+    let dictionary = {};
+
+    results.forEach((result) => {
+      let key = result.getRelation(this._accessor).getAttribute(this._foreignPivotKey);
+
+      dictionary[key] = [...(dictionary[key] || []), result];
+    })
+
+    return dictionary;
+  }
+
+  /**
+   * Specify the custom pivot model to use for the relationship.
+   *
+   * @param  {Function}  cls
+   * @return {this}
+   */
+  using(cls)
+  {
+    this._using = cls;
+
+    return this;
+  }
+
+  /**
+   * Specify the custom pivot accessor to use for the relationship.
+   *
+   * @param  {String}  accessor
+   * @return {this}
+   */
+  as(accessor)
+  {
+    this._accessor = accessor;
+
+    return this;
+  }
+
+  /**
+   * Set a where clause for a pivot table column.
+   *
+   * @param  {String}  column
+   * @param  {String|null}  operator
+   * @param  {*}  value
+   * @param  {String}  boolean
+   * @return {this}
+   */
+  wherePivot(column, operator = null, value = null, boolean = 'and')
+  {
+    this._pivotWheres.push([...arguments]);
+
+    return this.where(this._table + '.' + column, operator, value, boolean);
+  }
+
+  /**
+   * Set a "where in" clause for a pivot table column.
+   *
+   * @param  {String}  column
+   * @param  {Array}  values
+   * @param  {String}  boolean
+   * @param  {Boolean}  not
+   * @return {this}
+   */
+  wherePivotIn(column, values, boolean = 'and', not = false)
+  {
+    this._pivotWhereIns.push([...arguments]);
+
+    return this.whereIn(this._table + '.' + column, values, boolean, not);
+  }
+
+  /**
+   * Set an "or where" clause for a pivot table column.
+   *
+   * @param  {String}  column
+   * @param  {String|null}  operator
+   * @param  {*}  value
+   * @return {this}
+   */
+  orWherePivot(column, operator = null, value = null)
+  {
+    return this.wherePivot(column, operator, value, 'or');
+  }
+
+  /**
+   * Set a where clause for a pivot table column.
+   *
+   * In addition, new pivot records will receive this value.
+   *
+   * @param  {String|Object}  column
+   * @param  {*}  value
+   * @return {this}
+   *
+   * @throws {Error}
+   */
+  withPivotValue(column, value = null)
+  {
+    if (_.isPlainObject(column)) {
+      _.forEach(column, (value, name) => {
+        this.withPivotValue(name, value);
+      })
+
+      return this;
+    }
+
+    if (value == null) {
+      throw new Error('The provided value may not be null.');
+    }
+
+    this._pivotValues.push({column, value});
+
+    return this.wherePivot(column, '=', value);
+  }
+
+  /**
+   * Set an "or where in" clause for a pivot table column.
+   *
+   * @param  {String}  column
+   * @param  {Array}  values
+   * @return {this}
+   */
+  orWherePivotIn(column, values)
+  {
+    return this.wherePivotIn(column, values, 'or');
+  }
+
+  /**
+   * Set a "where not in" clause for a pivot table column.
+   *
+   * @param  {String}  column
+   * @param  {Array}  values
+   * @param  {String}  boolean
+   * @return {this}
+   */
+  wherePivotNotIn(column, values, boolean = 'and')
+  {
+    return this.wherePivotIn(column, values, boolean, true);
+  }
+
+  /**
+   * Set an "or where not in" clause for a pivot table column.
+   *
+   * @param  {String}  column
+   * @param  {Array}  values
+   * @return {this}
+   */
+  orWherePivotNotIn(column, values)
+  {
+    return this.wherePivotNotIn(column, values, 'or');
+  }
+
+  /**
+   * Find a related model by its primary key or return new instance of the related model.
+   *
+   * @param  {*}  id
+   * @param  {Array}  columns
+   * @return {Promise<Model|Array>}
+   */
+  async findOrNew(id, columns = ['*'])
+  {
+    let instance = await this.find(id, columns);
+
+    if (instance == null) {
+      instance = this._related.newInstance();
+    }
+
+    return instance;
+  }
+
+  /**
+   * Get the first related model record matching the attributes or instantiate it.
+   *
+   * @param  {Object}  attributes
+   * @return {Promise<Model>}
+   */
+  async firstOrNew(attributes)
+  {
+    let instance = await this.where(attributes).first();
+
+    if (instance == null) {
+      instance = this._related.newInstance(attributes);
+    }
+
+    return instance;
+  }
+
+  /**
+   * Get the first related record matching the attributes or create it.
+   *
+   * @param  {Object}  attributes
+   * @param  {Object}  joining
+   * @param  {Boolean}  touch
+   * @return {Promise<Model>}
+   */
+  async firstOrCreate(attributes, joining = {}, touch = true)
+  {
+    let instance = await this.where(attributes).first();
+
+    if (instance == null) {
+      instance = await this.create(attributes, joining, touch);
+    }
+
+    return instance;
+  }
+
+  /**
+   * Create or update a related record matching the attributes, and fill it with values.
+   *
+   * @param  {Object}  attributes
+   * @param  {Object}  values
+   * @param  {Object}  joining
+   * @param  {Boolean}  touch
+   * @return {Promise<Model>}
+   */
+  async updateOrCreate(attributes, values = {}, joining = {}, touch = true)
+  {
+    let instance = await this.where(attributes).first();
+
+    if (instance == null) {
+      return this.create({...attributes, ...values}, joining, touch);
+    }
+
+    await instance.fill(values).save({touch: false});
+
+    return instance;
+  }
+
+  /**
+   * Find a related model by its primary key.
+   *
+   * @param  {*}  id
+   * @param  {Array}  columns
+   * @return {Promise<Model|Array|null>}
+   */
+  find(id, columns = ['*'])
+  {
+    return _.isArray(id) ? this.findMany(id, columns) : this.where(
+      this.getRelated().getQualifiedKeyName(), '=', id
+    ).first(columns);
+  }
+
+  /**
+   * Find multiple related models by their primary keys.
+   *
+   * @param  {Array}  ids
+   * @param  {Array}  columns
+   * @return {Promise<Array>}
+   */
+  async findMany(ids, columns = ['*'])
+  {
+    return _.isEmpty(ids) ? this.getRelated().newCollection() : this.whereIn(
+      this.getRelated().getQualifiedKeyName(), ids
+    ).get(columns);
+  }
+
+  /**
+   * Execute the query and get the first result.
+   *
+   * @param  {Array}  columns
+   * @return {Promise<Model|null>}
+   */
+  async first(columns = ['*'])
+  {
+    let results = await this.take(1).get(columns);
+
+    return results.length > 0 ? results[0] : null;
+  }
+
+  /**
+   * Get the results of the relationship.
+   *
+   * @return {Promise<Array>}
+   */
+  async getResults()
+  {
+    return this._parent.getAttribute(this._parentKey) != null
+      ? this.get()
+      : this._related.newCollection();
+  }
+
+  /**
+   * Execute the query as a "select" statement.
+   *
+   * @param  {Array}  columns
+   * @return {Promise<Array>}
+   */
+  async get(columns = ['*'])
+  {
+    // First we'll add the proper select columns onto the query so it is run with
+    // the proper columns. Then, we will get the results and hydrate out pivot
+    // models with the result of those columns as a separate model relation.
+    let builder = this._query.applyScopes();
+
+    columns = _.isEmpty(builder.getQuery().columns) ? columns : [];
+
+    let models = await builder.addSelect(
+      this._shouldSelect(columns)
+    ).getModels();
+
+    this._hydratePivotRelation(models);
+
+    // If we actually found models we will also eager load any relationships that
+    // have been specified as needing to be eager loaded. This will solve the
+    // n + 1 query problem for the developer and also increase performance.
+    if (models.length > 0) {
+      models = await builder.eagerLoadRelations(models);
+    }
+
+    return this._related.newCollection(models);
+  }
+
+  /**
+   * Get the select columns for the relation query.
+   *
+   * @param  {Array}  columns
+   * @return {Array}
+   */
+  _shouldSelect(columns = ['*'])
+  {
+    if (_.isEqual(columns, ['*'])) {
+      columns = [this._related.getTable() + '.*'];
+    }
+
+    return [...columns, ...this._aliasedPivotColumns()];
+  }
+
+  /**
+   * Get the pivot columns for the relation.
+   *
+   * "pivot_" is prefixed to each column for easy removal later.
+   *
+   * @return {Array}
+   */
+  _aliasedPivotColumns()
+  {
+    let defaults = [this._foreignPivotKey, this._relatedPivotKey];
+
+    return _.uniq([...defaults, ...this._pivotColumns].map((column) => {
+      return this._table + '.' + column + ' as pivot_' + column;
+    }));
+  }
+
+  /**
+   * Hydrate the pivot table relationship on the models.
+   *
+   * @param  {Array}  models
+   * @return void
+   */
+  _hydratePivotRelation(models)
+  {
+    // To hydrate the pivot relationship, we will just gather the pivot attributes
+    // and create a new Pivot model, which is basically a dynamic model that we
+    // will set the attributes, table, and connections on it so it will work.
+    models.forEach((model) => {
+      model.setRelation(this._accessor, this.newExistingPivot(
+        this._migratePivotAttributes(model)
+      ));
+    })
+  }
+
+  /**
+   * Get the pivot attributes from a model.
+   *
+   * @param  {Model}  model
+   * @return {Object}
+   */
+  _migratePivotAttributes(model)
+  {
+    let values = {};
+
+    _.forEach(model.getAttributes(), (value, key) => {
+      // To get the pivots attributes we will just take any of the attributes which
+      // begin with "pivot_" and add those to this arrays, as well as unsetting
+      // them from the parent's models since they exist in a different table.
+      if (_.startsWith(key, 'pivot_')) {
+        values[key.substr(6)] = value;
+
+        delete model[key];
+      }
+    })
+
+    return values;
+  }
+
+  /**
+   * If we're touching the parent model, touch.
+   *
+   * @return {Promise<void>}
+   */
+  async touchIfTouching()
+  {
+    if (this._touchingParent()) {
+      await this.getParent().touch();
+    }
+
+    if (this.getParent().touches(this._relationName)) {
+      await this.touch();
+    }
+  }
+
+  /**
+   * Determine if we should touch the parent on sync.
+   *
+   * @return {Boolean}
+   */
+  _touchingParent()
+  {
+    return this.getRelated().touches(this._guessInverseRelation());
+  }
+
+  /**
+   * Attempt to guess the name of the inverse of the relation.
+   *
+   * @return {String}
+   */
+  _guessInverseRelation()
+  {
+    return _.camelCase(pluralize(this.getParent().constructor.name));
+  }
+
+  /**
+   * Touch all of the related models for the relationship.
+   *
+   * E.g.: Touch all roles associated with this user.
+   *
+   * @return {Promise<void>}
+   */
+  async touch()
+  {
+    let key = this.getRelated().getKeyName();
+
+    let columns = {
+      [this._related.getUpdatedAtColumn()]: this._related.freshTimestampString(),
+    };
+
+    // If we actually have IDs for the relation, we will run the query to update all
+    // the related model's timestamps, to make sure these all reflect the changes
+    // to the parent models. This will help us keep any caching synced up here.
+    let ids = await this.allRelatedIds();
+
+    if (ids.length > 0) {
+      await this.getRelated().newQueryWithoutRelationships().whereIn(key, ids).update(columns);
+    }
+  }
+
+  /**
+   * Get all of the IDs for the related models.
+   *
+   * @return {Promise<Array>}
+   */
+  allRelatedIds()
+  {
+    return this._newPivotQuery().pluck(this._relatedPivotKey);
+  }
+
+  /**
+   * Save a new model and attach it to the parent model.
+   *
+   * @param  {Model}  model
+   * @param  {Object}  pivotAttributes
+   * @param  {Boolean}  touch
+   * @return {Promise<Model>}
+   */
+  async save(model, pivotAttributes = {}, touch = true)
+  {
+    await model.save({touch: false});
+
+    await this.attach(model, pivotAttributes, touch);
+
+    return model;
+  }
+
+  /**
+   * Save an array of new models and attach them to the parent model.
+   *
+   * The pivot attributes are matched to the models by their index.
+   *
+   * @param  {Array<Model>}  models
+   * @param  {Array<Object>}  pivotAttributes
+   * @return {Promise<Array<Model>>}
+   */
+  async saveMany(models, pivotAttributes = [])
+  {
+    for (let [key, model] of models.entries()) {
+      await this.save(model, pivotAttributes[key] || {}, false);
+    }
+
+    await this.touchIfTouching();
+
+    return models;
+  }
+
+  /**
+   * Create a new instance of the related model.
+   *
+   * @param  {Object}  attributes
+   * @param  {Object}  joining
+   * @param  {Boolean}  touch
+   * @return {Promise<Model>}
+   */
+  async create(attributes = {}, joining = {}, touch = true)
+  {
+    let instance = this._related.newInstance(attributes);
+
+    // Once we save the related model, we need to attach it to the base model via
+    // through intermediate table so we'll use the existing "attach" method to
+    // accomplish this which will insert the record and any more attributes.
+    await instance.save({touch: false});
+
+    await this.attach(instance, joining, touch);
+
+    return instance;
+  }
+
+  /**
+   * Create an array of new instances of the related models.
+   *
+   * @param  {Array<Object>}  records
+   * @param  {Array<Object>}  joinings
+   * @return {Promise<Collection>}
+   */
+  async createMany(records, joinings = [])
+  {
+    let instances = this._related.newCollection();
+
+    for (let [key, record] of records.entries()) {
+      instances.push(await this.create(record, joinings[key] || {}, false));
+    }
+
+    await this.touchIfTouching();
+
+    return instances;
+  }
+
+  /**
+   * Add the constraints for a relationship query.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {ModelBuilder}  parentQuery
+   * @param  {Array}  columns
+   * @return {ModelBuilder}
+   */
+  getRelationExistenceQuery(query, parentQuery, columns = ['*'])
+  {
+    if (parentQuery.getQuery().from === query.getQuery().from) {
+      return this.getRelationExistenceQueryForSelfJoin(query, parentQuery, columns);
+    }
+
+    this._performJoin(query);
+
+    return super.getRelationExistenceQuery(query, parentQuery, columns);
+  }
+
+  /**
+   * Add the constraints for a relationship query on the same table.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {ModelBuilder}  parentQuery
+   * @param  {Array}  columns
+   * @return {ModelBuilder}
+   */
+  getRelationExistenceQueryForSelfJoin(query, parentQuery, columns = ['*'])
+  {
+    query.select(columns);
+
+    let hash = this.getRelationCountHash();
+
+    query.getQuery().table(this._related.getTable(), hash);
+
+    this._related.setTable(hash);
+
+    this._performJoin(query);
+
+    return super.getRelationExistenceQuery(query, parentQuery, columns);
+  }
+
+  /**
+   * Get the key for comparing against the parent key in "has" query.
+   *
+   * @return {String}
+   */
+  getExistenceCompareKey()
+  {
+    return this.getQualifiedForeignPivotKeyName();
+  }
+
+  /**
+   * Specify that the pivot table has creation and update timestamps.
+   *
+   * @param  {String|null}  createdAt
+   * @param  {String|null}  updatedAt
+   * @return {this}
+   */
+  withTimestamps(createdAt = null, updatedAt = null)
+  {
+    this._withTimestamps = true;
+
+    this._pivotCreatedAt = createdAt;
+    this._pivotUpdatedAt = updatedAt;
+
+    return this.withPivot(this.createdAt(), this.updatedAt());
+  }
+
+  /**
+   * Get the name of the "created at" column.
+   *
+   * @return {String}
+   */
+  createdAt()
+  {
+    return this._pivotCreatedAt || this._parent.getCreatedAtColumn();
+  }
+
+  /**
+   * Get the name of the "updated at" column.
+   *
+   * @return {String}
+   */
+  updatedAt()
+  {
+    return this._pivotUpdatedAt || this._parent.getUpdatedAtColumn();
+  }
+
+  /**
+   * Get the foreign key for the relation.
+   *
+   * @return {String}
+   */
+  getForeignPivotKeyName()
+  {
+    return this._foreignPivotKey;
+  }
+
+  /**
+   * Get the fully qualified foreign key for the relation.
+   *
+   * @return {String}
+   */
+  getQualifiedForeignPivotKeyName()
+  {
+    return this._table + '.' + this._foreignPivotKey;
+  }
+
+  /**
+   * Get the "related key" for the relation.
+   *
+   * @return {String}
+   */
+  getRelatedPivotKeyName()
+  {
+    return this._relatedPivotKey;
+  }
+
+  /**
+   * Get the fully qualified "related key" for the relation.
+   *
+   * @return {String}
+   */
+  getQualifiedRelatedPivotKeyName()
+  {
+    return this._table + '.' + this._relatedPivotKey;
+  }
+
+  /**
+   * Get the fully qualified parent key name for the relation.
+   *
+   * @return {String}
+   */
+  getQualifiedParentKeyName()
+  {
+    return this._parent.qualifyColumn(this._parentKey);
+  }
+
+  /**
+   * Get the key name of the related model.
+   *
+   * @return {String}
+   */
+  getRelatedKeyName()
+  {
+    return this._relatedKey;
+  }
+
+  /**
+   * Get the intermediate table for the relationship.
+   *
+   * @return {String}
+   */
+  getTable()
+  {
+    return this._table;
+  }
+
+  /**
+   * Get the relationship name for the relationship.
+   *
+   * @return {String}
+   */
+  getRelationName()
+  {
+    return this._relationName;
+  }
+
+  /**
+   * Get the name of the pivot accessor for this relationship.
+   *
+   * @return {String}
+   */
+  getPivotAccessor()
+  {
+    return this._accessor;
+  }
+
+  /**
+   * Get the pivot columns for this relationship.
+   *
+   * @return {Array}
+   */
+  getPivotColumns()
+  {
+    return this._pivotColumns;
+  }
 }
 
+InteractsWithPivotTable.call(BelongsToMany.prototype);
+
+Relation.registerRelationClass('BelongsToMany', BelongsToMany);
+
 export { BelongsToMany }
 export default BelongsToMany
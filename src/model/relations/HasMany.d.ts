@@ -1,5 +1,11 @@
 import HasOneOrMany from "./HasOneOrMany";
+import Model from "../Model";
 
 export default class HasMany extends HasOneOrMany {
-
+    /**
+     * Get the results of the relationship.
+     *
+     * @return {Promise<Array>}
+     */
+    getResults(): Promise<Model[]>;
 }
@@ -1,7 +1,46 @@
 import HasOneOrMany from './HasOneOrMany'
 
-class HasMany extends HasOneOrMany { // TODO
+class HasMany extends HasOneOrMany {
+  /**
+   * Get the results of the relationship.
+   *
+   * @return {Promise<Array>}
+   */
+  async getResults()
+  {
+    return this.getParentKey() != null
+      ? this._query.get()
+      : this._related.newCollection();
+  }
 
+  /**
+   * Initialize the relation on a set of models.
+   *
+   * @param  {Array}   models
+   * @param  {String}  relation
+   * @return {Array}
+   */
+  initRelation(models, relation)
+  {
+    models.forEach((model) => {
+      model.setRelation(relation, this._related.newCollection());
+    })
+
+    return models;
+  }
+
+  /**
+   * Match the eagerly loaded results to their parents.
+   *
+   * @param  {Array}   models
+   * @param  {Array}  results
+   * @param  {String}  relation
+   * @return {Array}
+   */
+  match(models, results, relation)
+  {
+    return this.matchMany(models, results, relation);
+  }
 }
 
 export { HasMany }
@@ -0,0 +1,195 @@
+import Relation from "./Relation";
+import Model from "../Model";
+import { ModelBuilder } from "../Builder";
+
+export default class HasManyThrough extends Relation {
+    /**
+     * The "through" parent model instance.
+     *
+     * @var {Model}
+     */
+    _throughParent: Model;
+    /**
+     * The far parent model instance.
+     *
+     * @var {Model}
+     */
+    _farParent: Model;
+    /**
+     * The near key on the relationship.
+     *
+     * @var {String}
+     */
+    _firstKey: string;
+    /**
+     * The far key on the relationship.
+     *
+     * @var {String}
+     */
+    _secondKey: string;
+    /**
+     * The local key on the relationship.
+     *
+     * @var {String}
+     */
+    _localKey: string;
+    /**
+     * The local key on the intermediary model.
+     *
+     * @var {String}
+     */
+    _secondLocalKey: string;
+    /**
+     * Create a new has many through relationship instance.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {Model}  farParent
+     * @param  {Model}  throughParent
+     * @param  {String}  firstKey
+     * @param  {String}  secondKey
+     * @param  {String}  localKey
+     * @param  {String}  secondLocalKey
+     * @param  {Object}  properties
+     * @return void
+     */
+    constructor(query: ModelBuilder, farParent: Model, throughParent: Model, firstKey: string, secondKey: string, localKey: string, secondLocalKey: string, properties?: object);
+    /**
+     * Set the join clause on the query.
+     *
+     * @param  {ModelBuilder|null}  query
+     * @return void
+     */
+    _performJoin(query?: ModelBuilder | null): void;
+    /**
+     * Build model dictionary keyed by the relation's foreign key.
+     *
+     * @param  {Array}  results
+     * @return {Object}
+     */
+    _buildDictionary(results: Model[]): { [key: string]: Model[] };
+    /**
+     * Execute the query and get the first related model.
+     *
+     * @param  {Array}  columns
+     * @return {Promise<Model|null>}
+     */
+    first(columns?: string[]): Promise<Model | null>;
+    /**
+     * Find a related model by its primary key.
+     *
+     * @param  {*}  id
+     * @param  {Array}  columns
+     * @return {Promise<Model|Array|null>}
+     */
+    find(id: any, columns?: string[]): Promise<Model | Model[] | null>;
+    /**
+     * Find multiple related models by their primary keys.
+     *
+     * @param  {Array}  ids
+     * @param  {Array}  columns
+     * @return {Promise<Array>}
+     */
+    findMany(ids: any[], columns?: string[]): Promise<Model[]>;
+    /**
+     * Get the results of the relationship.
+     *
+     * @return {Promise<Array>}
+     */
+    getResults(): Promise<Model[] | Model | null>;
+    /**
+     * Execute the query as a "select" statement.
+     *
+     * @param  {Array}  columns
+     * @return {Promise<Array>}
+     */
+    get(columns?: string[]): Promise<Model[]>;
+    /**
+     * Set the select clause for the relation query.
+     *
+     * @param  {Array}  columns
+     * @return {Array}
+     */
+    _shouldSelect(columns?: string[]): string[];
+    /**
+     * Prepare the query builder for query execution.
+     *
+     * @param  {Array}  columns
+     * @return {ModelBuilder}
+     */
+    _prepareQueryBuilder(columns?: string[]): ModelBuilder;
+    /**
+     * Add the constraints for a relationship query.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {ModelBuilder}  parentQuery
+     * @param  {Array}  columns
+     * @return {ModelBuilder}
+     */
+    getRelationExistenceQuery(query: ModelBuilder, parentQuery: ModelBuilder, columns?: any[]): ModelBuilder;
+    /**
+     * Add the constraints for a relationship query on the same table.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {ModelBuilder}  parentQuery
+     * @param  {Array}  columns
+     * @return {ModelBuilder}
+     */
+    getRelationExistenceQueryForSelfRelation(query: ModelBuilder, parentQuery: ModelBuilder, columns?: any[]): ModelBuilder;
+    /**
+     * Add the constraints for a relationship query on the same table as the through parent.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {ModelBuilder}  parentQuery
+     * @param  {Array}  columns
+     * @return {ModelBuilder}
+     */
+    getRelationExistenceQueryForThroughSelfRelation(query: ModelBuilder, parentQuery: ModelBuilder, columns?: any[]): ModelBuilder;
+    /**
+     * Get the qualified foreign key on the related model.
+     *
+     * @return {String}
+     */
+    getQualifiedFarKeyName(): string;
+    /**
+     * Get the foreign key on the "through" model.
+     *
+     * @return {String}
+     */
+    getFirstKeyName(): string;
+    /**
+     * Get the qualified foreign key on the "through" model.
+     *
+     * @return {String}
+     */
+    getQualifiedFirstKeyName(): string;
+    /**
+     * Get the foreign key on the related model.
+     *
+     * @return {String}
+     */
+    getForeignKeyName(): string;
+    /**
+     * Get the qualified foreign key on the related model.
+     *
+     * @return {String}
+     */
+    getQualifiedForeignKeyName(): string;
+    /**
+     * Get the local key on the far parent model.
+     *
+     * @return {String}
+     */
+    getLocalKeyName(): string;
+    /**
+     * Get the qualified local key on the far parent model.
+     *
+     * @return {String}
+     */
+    getQualifiedLocalKeyName(): string;
+    /**
+     * Get the local key on the intermediary model.
+     *
+     * @return {String}
+     */
+    getSecondLocalKeyName(): string;
+}
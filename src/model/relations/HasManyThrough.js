@@ -0,0 +1,422 @@
+import _ from 'lodash'
+import Relation from './Relation'
+
+/**
+ * @property {Model} _throughParent The "through" parent model instance.
+ * @property {Model} _farParent The far parent model instance.
+ * @property {String} _firstKey The near key on the relationship.
+ * @property {String} _secondKey The far key on the relationship.
+ * @property {String} _localKey The local key on the relationship.
+ * @property {String} _secondLocalKey The local key on the intermediary model.
+ */
+class HasManyThrough extends Relation {
+  /**
+   * Create a new has many through relationship instance.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {Model}  farParent
+   * @param  {Model}  throughParent
+   * @param  {String}  firstKey
+   * @param  {String}  secondKey
+   * @param  {String}  localKey
+   * @param  {String}  secondLocalKey
+   * @param  {Object}  properties
+   * @return void
+   */
+  constructor (query, farParent, throughParent, firstKey, secondKey, localKey, secondLocalKey, properties = {})
+  {
+    super(query, throughParent, {
+      _localKey: localKey,
+      _firstKey: firstKey,
+      _secondKey: secondKey,
+      _farParent: farParent,
+      _throughParent: throughParent,
+      _secondLocalKey: secondLocalKey,
+      ...properties
+    });
+  }
+
+  /**
+   * Set the base constraints on the relation query.
+   *
+   * @return void
+   */
+  addConstraints()
+  {
+    let localValue = this._farParent.getAttribute(this._localKey);
+
+    this._performJoin();
+
+    if (this.constructor._constraints) {
+      this._query.where(this.getQualifiedFirstKeyName(), '=', localValue);
+    }
+  }
+
+  /**
+   * Set the join clause on the query.
+   *
+   * @param  {ModelBuilder|null}  query
+   * @return void
+   */
+  _performJoin(query = null)
+  {
+    query = query || this._query;
+
+    let farKey = this.getQualifiedFarKeyName();
+
+    query.join(this._throughParent.getTable(), this.getQualifiedParentKeyName(), '=', farKey);
+  }
+
+  /**
+   * Get the fully qualified parent key name.
+   *
+   * @return {String}
+   */
+  getQualifiedParentKeyName()
+  {
+    return this._parent.qualifyColumn(this._secondLocalKey);
+  }
+
+  /**
+   * Set the constraints for an eager load of the relation.
+   *
+   * @param  {Array}  models
+   * @return void
+   */
+  addEagerConstraints(models)
+  {
+    let whereIn = this._whereInMethod(this._farParent, this._localKey);
+
+    this._query[whereIn](
+      this.getQualifiedFirstKeyName(), this._getKeys(models, this._localKey)
+    );
+  }
+
+  /**
+   * Initialize the relation on a set of models.
+   *
+   * @param  {Array}   models
+   * @param  {String}  relation
+   * @return {Array}
+   */
+  initRelation(models, relation)
+  {
+    models.forEach((model) => {
+      model.setRelation(relation, this._related.newCollection());
+    })
+
+    return models;
+  }
+
+  /**
+   * Match the eagerly loaded results to their parents.
+   *
+   * @param  {Array}   models
+   * @param  {Array}  results
+   * @param  {String}  relation
+   * @return {Array}
+   */
+  match(models, results, relation)
+  {
+    let dictionary = this._buildDictionary(results);
+
+    // Once we have the dictionary we can simply spin through the parent models to
+    // link them up with their children using the keyed dictionary to make the
+    // matching very convenient and easy work. Then we'll just return them.
+    models.forEach((model) => {
+      let key = model.getAttribute(this._localKey);
+
+      if (key in dictionary) {
+        model.setRelation(
+          relation, this._related.newCollection(dictionary[key])
+        );
+      }
+    })
+
+    return models;
+  }
+
+  /**
+   * Build model dictionary keyed by the relation's foreign key.
+   *
+   * @param  {Array}  results
+   * @return {Object}
+   */
+  _buildDictionary(results)
+  {
+    let dictionary = {};
+
+    // First we will create a dictionary of models keyed by the foreign key of the
+    // relationship as this will allow us to quickly access all of the related
+    // models without having to do nested looping which will be quite slow.
+    results.forEach((result) => {
+      let key = result.getAttribute('jala_through_key');
+
+      dictionary[key] = [...(dictionary[key] || []), result];
+    })
+
+    return dictionary;
+  }
+
+  /**
+   * Execute the query and get the first related model.
+   *
+   * @param  {Array}  columns
+   * @return {Promise<Model|null>}
+   */
+  async first(columns = ['*'])
+  {
+    let results = await this.take(1).get(columns);
+
+    return results.length > 0 ? results[0] : null;
+  }
+
+  /**
+   * Find a related model by its primary key.
+   *
+   * @param  {*}  id
+   * @param  {Array}  columns
+   * @return {Promise<Model|Array|null>}
+   */
+  find(id, columns = ['*'])
+  {
+    return _.isArray(id) ? this.findMany(id, columns) : this.where(
+      this.getRelated().getQualifiedKeyName(), '=', id
+    ).first(columns);
+  }
+
+  /**
+   * Find multiple related models by their primary keys.
+   *
+   * @param  {Array}  ids
+   * @param  {Array}  columns
+   * @return {Promise<Array>}
+   */
+  async findMany(ids, columns = ['*'])
+  {
+    return _.isEmpty(ids) ? this.getRelated().newCollection() : this.whereIn(
+      this.getRelated().getQualifiedKeyName(), ids
+    ).get(columns);
+  }
+
+  /**
+   * Get the results of the relationship.
+   *
+   * @return {Promise<Array>}
+   */
+  async getResults()
+  {
+    return this._farParent.getAttribute(this._localKey) != null
+      ? this.get()
+      : this._related.newCollection();
+  }
+
+  /**
+   * Execute the query as a "select" statement.
+   *
+   * @param  {Array}  columns
+   * @return {Promise<Array>}
+   */
+  async get(columns = ['*'])
+  {
+    let builder = this._prepareQueryBuilder(columns);
+
+    let models = await builder.getModels();
+
+    // If we actually found models we will also eager load any relationships that
+    // have been specified as needing to be eager loaded. This will solve the
+    // n + 1 query problem for the developer and also increase performance.
+    if (models.length > 0) {
+      models = await builder.eagerLoadRelations(models);
+    }
+
+    return this._related.newCollection(models);
+  }
+
+  /**
+   * Set the select clause for the relation query.
+   *
+   * The near key is aliased so eagerly loaded models can be matched back to
+   * their far parents without knowing about the intermediate model.
+   *
+   * @param  {Array}  columns
+   * @return {Array}
+   */
+  _shouldSelect(columns = ['*'])
+  {
+    if (_.isEqual(columns, ['*'])) {
+      columns = [this._related.getTable() + '.*'];
+    }
+
+    return [...columns, this.getQualifiedFirstKeyName() + ' as jala_through_key'];
+  }
+
+  /**
+   * Prepare the query builder for query execution.
+   *
+   * @param  {Array}  columns
+   * @return {ModelBuilder}
+   */
+  _prepareQueryBuilder(columns = ['*'])
+  {
+    let builder = this._query.applyScopes();
+
+    return builder.addSelect(
+      this._shouldSelect(_.isEmpty(builder.getQuery().columns) ? columns : [])
+    );
+  }
+
+  /**
+   * Add the constraints for a relationship query.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {ModelBuilder}  parentQuery
+   * @param  {Array}  columns
+   * @return {ModelBuilder}
+   */
+  getRelationExistenceQuery(query, parentQuery, columns = ['*'])
+  {
+    if (parentQuery.getQuery().from === query.getQuery().from) {
+      return this.getRelationExistenceQueryForSelfRelation(query, parentQuery, columns);
+    }
+
+    if (parentQuery.getQuery().from === this._throughParent.getTable()) {
+      return this.getRelationExistenceQueryForThroughSelfRelation(query, parentQuery, columns);
+    }
+
+    this._performJoin(query);
+
+    return query.select(columns).whereColumn(
+      this.getQualifiedLocalKeyName(), '=', this.getQualifiedFirstKeyName()
+    );
+  }
+
+  /**
+   * Add the constraints for a relationship query on the same table.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {ModelBuilder}  parentQuery
+   * @param  {Array}  columns
+   * @return {ModelBuilder}
+   */
+  getRelationExistenceQueryForSelfRelation(query, parentQuery, columns = ['*'])
+  {
+    let hash = this.getRelationCountHash();
+
+    query.getQuery().table(query.getModel().getTable(), hash);
+
+    query.join(this._throughParent.getTable(), this.getQualifiedParentKeyName(), '=', hash + '.' + this._secondKey);
+
+    query.getModel().setTable(hash);
+
+    return query.select(columns).whereColumn(
+      parentQuery.getQuery().from + '.' + this._localKey, '=', this.getQualifiedFirstKeyName()
+    );
+  }
+
+  /**
+   * Add the constraints for a relationship query on the same table as the through parent.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {ModelBuilder}  parentQuery
+   * @param  {Array}  columns
+   * @return {ModelBuilder}
+   */
+  getRelationExistenceQueryForThroughSelfRelation(query, parentQuery, columns = ['*'])
+  {
+    let hash = this.getRelationCountHash();
+
+    let table = this._throughParent.getTable() + ' as ' + hash;
+
+    query.join(table, hash + '.' + this._secondLocalKey, '=', this.getQualifiedFarKeyName());
+
+    return query.select(columns).whereColumn(
+      parentQuery.getQuery().from + '.' + this._localKey, '=', hash + '.' + this._firstKey
+    );
+  }
+
+  /**
+   * Get the qualified foreign key on the related model.
+   *
+   * @return {String}
+   */
+  getQualifiedFarKeyName()
+  {
+    return this.getQualifiedForeignKeyName();
+  }
+
+  /**
+   * Get the foreign key on the "through" model.
+   *
+   * @return {String}
+   */
+  getFirstKeyName()
+  {
+    return this._firstKey;
+  }
+
+  /**
+   * Get the qualified foreign key on the "through" model.
+   *
+   * @return {String}
+   */
+  getQualifiedFirstKeyName()
+  {
+    return this._throughParent.qualifyColumn(this._firstKey);
+  }
+
+  /**
+   * Get the foreign key on the related model.
+   *
+   * @return {String}
+   */
+  getForeignKeyName()
+  {
+    return this._secondKey;
+  }
+
+  /**
+   * Get the qualified foreign key on the related model.
+   *
+   * @return {String}
+   */
+  getQualifiedForeignKeyName()
+  {
+    return this._related.qualifyColumn(this._secondKey);
+  }
+
+  /**
+   * Get the local key on the far parent model.
+   *
+   * @return {String}
+   */
+  getLocalKeyName()
+  {
+    return this._localKey;
+  }
+
+  /**
+   * Get the qualified local key on the far parent model.
+   *
+   * @return {String}
+   */
+  getQualifiedLocalKeyName()
+  {
+    return this._farParent.qualifyColumn(this._localKey);
+  }
+
+  /**
+   * Get the local key on the intermediary model.
+   *
+   * @return {String}
+   */
+  getSecondLocalKeyName()
+  {
+    return this._secondLocalKey;
+  }
+}
+
+Relation.registerRelationClass('HasManyThrough', HasManyThrough);
+
+export { HasManyThrough }
+export default HasManyThrough
@@ -1,5 +1,43 @@
 import HasOneOrMany from "./HasOneOrMany";
+import Model from "../Model";
 
+/**
+ * @mixes SupportsDefaultModels
+ */
 export default class HasOne extends HasOneOrMany {
-
+    /**
+     * Get the results of the relationship.
+     *
+     * @return {Promise<Model|null>}
+     */
+    getResults(): Promise<Model | null>;
+    /**
+     * Indicates if a default model instance should be used.
+     *
+     * Alternatively, may be a Closure or an object of attributes.
+     *
+     * @var {Function|Object|Boolean|null}
+     */
+    _withDefault: ((instance: Model, parent: Model) => Model | void) | object | boolean | null;
+    /**
+     * Return a new model instance in case the relationship does not exist.
+     *
+     * @param  {Function|Object|Boolean}  callback
+     * @return {this}
+     */
+    withDefault(callback?: ((instance: Model, parent: Model) => Model | void) | object | boolean): this;
+    /**
+     * Get the default value for this relation.
+     *
+     * @param  {Model}  parent
+     * @return {Model|null}
+     */
+    _getDefaultFor(parent: Model): Model | null;
+    /**
+     * Make a new related instance for the given model.
+     *
+     * @param  {Model}  parent
+     * @return {Model}
+     */
+    _newRelatedInstanceFor(parent: Model): Model;
 }
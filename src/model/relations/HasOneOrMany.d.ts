@@ -1,5 +1,170 @@
 import Relation from "./Relation";
+import Model from "../Model";
+import { ModelBuilder } from "../Builder";
+import Collection from "../Collection";
 
 export default class HasOneOrMany extends Relation {
-
+    /**
+     * The foreign key of the parent model.
+     *
+     * @var {String}
+     */
+    _foreignKey: string;
+    /**
+     * The local key of the parent model.
+     *
+     * @var {String}
+     */
+    _localKey: string;
+    /**
+     * Create a new has one or many relationship instance.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {Model}  parent
+     * @param  {String}  foreignKey
+     * @param  {String}  localKey
+     * @param  {Object}  properties
+     * @return void
+     */
+    constructor(query: ModelBuilder, parent: Model, foreignKey: string, localKey: string, properties?: any);
+    /**
+     * Create a new instance of the related model.
+     *
+     * @param  {Object}  attributes
+     * @return {Model}
+     */
+    make(attributes?: object): Model;
+    /**
+     * Match the eagerly loaded results to their single parents.
+     *
+     * @param  {Array}   models
+     * @param  {Array}  results
+     * @param  {String}  relation
+     * @return {Array}
+     */
+    matchOne(models: Model[], results: Model[], relation: string): Model[];
+    /**
+     * Match the eagerly loaded results to their many parents.
+     *
+     * @param  {Array}   models
+     * @param  {Array}  results
+     * @param  {String}  relation
+     * @return {Array}
+     */
+    matchMany(models: Model[], results: Model[], relation: string): Model[];
+    /**
+     * Find a model by its primary key or return new instance of the related model.
+     *
+     * @param  {*}  id
+     * @param  {Array}  columns
+     * @return {Promise<Model|Array>}
+     */
+    findOrNew(id: any, columns?: string[]): Promise<Model | Collection>;
+    /**
+     * Get the first related model record matching the attributes or instantiate it.
+     *
+     * @param  {Object}  attributes
+     * @param  {Object}  values
+     * @return {Promise<Model>}
+     */
+    firstOrNew(attributes: object, values?: object): Promise<Model>;
+    /**
+     * Get the first related record matching the attributes or create it.
+     *
+     * @param  {Object}  attributes
+     * @param  {Object}  values
+     * @return {Promise<Model>}
+     */
+    firstOrCreate(attributes: object, values?: object): Promise<Model>;
+    /**
+     * Create or update a related record matching the attributes, and fill it with values.
+     *
+     * @param  {Object}  attributes
+     * @param  {Object}  values
+     * @return {Promise<Model>}
+     */
+    updateOrCreate(attributes: object, values?: object): Promise<Model>;
+    /**
+     * Attach a model instance to the parent model.
+     *
+     * @param  {Model}  model
+     * @return {Promise<Model|Boolean>}
+     */
+    save(model: Model): Promise<Model | false>;
+    /**
+     * Attach a collection of models to the parent instance.
+     *
+     * @param  {Array<Model>}  models
+     * @return {Promise<Array<Model>>}
+     */
+    saveMany<T extends Model[]>(models: T): Promise<T>;
+    /**
+     * Create a new instance of the related model.
+     *
+     * @param  {Object}  attributes
+     * @return {Promise<Model>}
+     */
+    create(attributes?: object): Promise<Model>;
+    /**
+     * Create a Collection of new instances of the related model.
+     *
+     * @param  {Array<Object>}  records
+     * @return {Promise<Collection>}
+     */
+    createMany(records: object[]): Promise<Collection>;
+    /**
+     * Set the foreign ID for creating a related model.
+     *
+     * @param  {Model}  model
+     * @return void
+     */
+    _setForeignAttributesForCreate(model: Model): void;
+    /**
+     * Add the constraints for a relationship query.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {ModelBuilder}  parentQuery
+     * @param  {Array}  columns
+     * @return {ModelBuilder}
+     */
+    getRelationExistenceQuery(query: ModelBuilder, parentQuery: ModelBuilder, columns?: any[]): ModelBuilder;
+    /**
+     * Add the constraints for a relationship query on the same table.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {ModelBuilder}  parentQuery
+     * @param  {Array}  columns
+     * @return {ModelBuilder}
+     */
+    getRelationExistenceQueryForSelfRelation(query: ModelBuilder, parentQuery: ModelBuilder, columns?: any[]): ModelBuilder;
+    /**
+     * Get the key for comparing against the parent key in "has" query.
+     *
+     * @return {String}
+     */
+    getExistenceCompareKey(): string;
+    /**
+     * Get the key value of the parent's local key.
+     *
+     * @return {*}
+     */
+    getParentKey(): any;
+    /**
+     * Get the plain foreign key.
+     *
+     * @return {String}
+     */
+    getForeignKeyName(): string;
+    /**
+     * Get the foreign key for the relationship.
+     *
+     * @return {String}
+     */
+    getQualifiedForeignKeyName(): string;
+    /**
+     * Get the local key for the relationship.
+     *
+     * @return {String}
+     */
+    getLocalKeyName(): string;
 }
@@ -1,7 +1,404 @@
+import _ from 'lodash'
 import Relation from './Relation'
 
-class HasOneOrMany extends Relation { // TODO
+/**
+ * @property {String} _foreignKey The foreign key of the parent model.
+ * @property {String} _localKey The local key of the parent model.
+ */
+class HasOneOrMany extends Relation {
+  /**
+   * Create a new has one or many relationship instance.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {Model}  parent
+   * @param  {String}  foreignKey
+   * @param  {String}  localKey
+   * @param  {Object}  properties
+   * @return void
+   */
+  constructor (query, parent, foreignKey, localKey, properties = {})
+  {
+    super(query, parent, {
+      _localKey: localKey,
+      _foreignKey: foreignKey,
+      ...properties
+    });
+  }
 
+  /**
+   * Set the base constraints on the relation query.
+   *
+   * @return void
+   */
+  addConstraints()
+  {
+    if (this.constructor._constraints) {
+      this._query.where(this._foreignKey, '=', this.getParentKey());
+
+      this._query.whereNotNull(this._foreignKey);
+    }
+  }
+
+  /**
+   * Set the constraints for an eager load of the relation.
+   *
+   * @param  {Array}  models
+   * @return void
+   */
+  addEagerConstraints(models)
+  {
+    let whereIn = this._whereInMethod(this._parent, this._localKey);
+
+    this._query[whereIn](
+      this._foreignKey, this._getKeys(models, this._localKey)
+    );
+  }
+
+  /**
+   * Create a new instance of the related model.
+   *
+   * @param  {Object}  attributes
+   * @return {Model}
+   */
+  make(attributes = {})
+  {
+    return _.tap(this._related.newInstance(attributes), (instance) => {
+      this._setForeignAttributesForCreate(instance);
+    });
+  }
+
+  /**
+   * Match the eagerly loaded results to their single parents.
+   *
+   * @param  {Array}   models
+   * @param  {Array}  results
+   * @param  {String}  relation
+   * @return {Array}
+   */
+  matchOne(models, results, relation)
+  {
+    return this._matchOneOrMany(models, results, relation, 'one');
+  }
+
+  /**
+   * Match the eagerly loaded results to their many parents.
+   *
+   * @param  {Array}   models
+   * @param  {Array}  results
+   * @param  {String}  relation
+   * @return {Array}
+   */
+  matchMany(models, results, relation)
+  {
+    return this._matchOneOrMany(models, results, relation, 'many');
+  }
+
+  /**
+   * Match the eagerly loaded results to their many parents.
+   *
+   * @param  {Array}   models
+   * @param  {Array}  results
+   * @param  {String}  relation
+   * @param  {String}  type
+   * @return {Array}
+   */
+  _matchOneOrMany(models, results, relation, type)
+  {
+    let dictionary = this._buildDictionary(results);
+
+    // Once we have the dictionary we can simply spin through the parent models to
+    // link them up with their children using the keyed dictionary to make the
+    // matching very convenient and easy work. Then we'll just return them.
+    models.forEach((model) => {
+      let key = model.getAttribute(this._localKey);
+
+      if (key in dictionary) {
+        model.setRelation(
+          relation, this._getRelationValue(dictionary, key, type)
+        );
+      }
+    })
+
+    return models;
+  }
+
+  /**
+   * Get the value of a relationship by one or many type.
+   *
+   * @param  {Object}  dictionary
+   * @param  {String}  key
+   * @param  {String}  type
+   * @return {*}
+   */
+  _getRelationValue(dictionary, key, type)
+  {
+    let value = dictionary[key];
+
+    return type === 'one' ? value[0] : this._related.newCollection(value);
+  }
+
+  /**
+   * Build model dictionary keyed by the relation's foreign key.
+   *
+   * @param  {Array}  results
+   * @return {Object}
+   */
+  _buildDictionary(results)
+  {
+    let foreign = this.getForeignKeyName();
+    let dictionary = {};
+
+    results.forEach((result) => {
+      let key = result.getAttribute(foreign);
+
+      dictionary[key] = [...(dictionary[key] || []), result];
+    })
+
+    return dictionary;
+  }
+
+  /**
+   * Find a model by its primary key or return new instance of the related model.
+   *
+   * @param  {*}  id
+   * @param  {Array}  columns
+   * @return {Promise<Model|Array>}
+   */
+  async findOrNew(id, columns = ['*'])
+  {
+    let instance = await this.find(id, columns);
+
+    if (instance == null) {
+      instance = this.make();
+    }
+
+    return instance;
+  }
+
+  /**
+   * Get the first related model record matching the attributes or instantiate it.
+   *
+   * @param  {Object}  attributes
+   * @param  {Object}  values
+   * @return {Promise<Model>}
+   */
+  async firstOrNew(attributes, values = {})
+  {
+    let instance = await this.where(attributes).first();
+
+    if (instance == null) {
+      instance = this.make({...attributes, ...values});
+    }
+
+    return instance;
+  }
+
+  /**
+   * Get the first related record matching the attributes or create it.
+   *
+   * @param  {Object}  attributes
+   * @param  {Object}  values
+   * @return {Promise<Model>}
+   */
+  async firstOrCreate(attributes, values = {})
+  {
+    let instance = await this.where(attributes).first();
+
+    if (instance == null) {
+      instance = await this.create({...attributes, ...values});
+    }
+
+    return instance;
+  }
+
+  /**
+   * Create or update a related record matching the attributes, and fill it with values.
+   *
+   * @param  {Object}  attributes
+   * @param  {Object}  values
+   * @return {Promise<Model>}
+   */
+  async updateOrCreate(attributes, values = {})
+  {
+    let instance = await this.firstOrNew(attributes);
+
+    await instance.fill(values).save();
+
+    return instance;
+  }
+
+  /**
+   * Attach a model instance to the parent model.
+   *
+   * @param  {Model}  model
+   * @return {Promise<Model|Boolean>}
+   */
+  async save(model)
+  {
+    this._setForeignAttributesForCreate(model);
+
+    return (await model.save()) ? model : false;
+  }
+
+  /**
+   * Attach a collection of models to the parent instance.
+   *
+   * @param  {Array<Model>}  models
+   * @return {Promise<Array<Model>>}
+   */
+  async saveMany(models)
+  {
+    for (let model of models) {
+      await this.save(model);
+    }
+
+    return models;
+  }
+
+  /**
+   * Create a new instance of the related model.
+   *
+   * @param  {Object}  attributes
+   * @return {Promise<Model>}
+   */
+  async create(attributes = {})
+  {
+    let instance = this._related.newInstance(attributes);
+
+    this._setForeignAttributesForCreate(instance);
+
+    await instance.save();
+
+    return instance;
+  }
+
+  /**
+   * Create a Collection of new instances of the related model.
+   *
+   * @param  {Array<Object>}  records
+   * @return {Promise<Collection>}
+   */
+  async createMany(records)
+  {
+    let instances = this._related.newCollection();
+
+    for (let record of records) {
+      instances.push(await this.create(record));
+    }
+
+    return instances;
+  }
+
+  /**
+   * Set the foreign ID for creating a related model.
+   *
+   * @param  {Model}  model
+   * @return void
+   */
+  _setForeignAttributesForCreate(model)
+  {
+    model.setAttribute(this.getForeignKeyName(), this.getParentKey());
+  }
+
+  /**
+   * Add the constraints for a relationship query.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {ModelBuilder}  parentQuery
+   * @param  {Array}  columns
+   * @return {ModelBuilder}
+   */
+  getRelationExistenceQuery(query, parentQuery, columns = ['*'])
+  {
+    if (query.getQuery().from === parentQuery.getQuery().from) {
+      return this.getRelationExistenceQueryForSelfRelation(query, parentQuery, columns);
+    }
+
+    return super.getRelationExistenceQuery(query, parentQuery, columns);
+  }
+
+  /**
+   * Add the constraints for a relationship query on the same table.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {ModelBuilder}  parentQuery
+   * @param  {Array}  columns
+   * @return {ModelBuilder}
+   */
+  getRelationExistenceQueryForSelfRelation(query, parentQuery, columns = ['*'])
+  {
+    let hash = this.getRelationCountHash();
+
+    query.getQuery().table(query.getModel().getTable(), hash);
+
+    query.getModel().setTable(hash);
+
+    return query.select(columns).whereColumn(
+      this.getQualifiedParentKeyName(), '=', hash + '.' + this.getForeignKeyName()
+    );
+  }
+
+  /**
+   * Get the key for comparing against the parent key in "has" query.
+   *
+   * @return {String}
+   */
+  getExistenceCompareKey()
+  {
+    return this.getQualifiedForeignKeyName();
+  }
+
+  /**
+   * Get the key value of the parent's local key.
+   *
+   * @return {*}
+   */
+  getParentKey()
+  {
+    return this._parent.getAttribute(this._localKey);
+  }
+
+  /**
+   * Get the fully qualified parent key name.
+   *
+   * @return {String}
+   */
+  getQualifiedParentKeyName()
+  {
+    return this._parent.qualifyColumn(this._localKey);
+  }
+
+  /**
+   * Get the plain foreign key.
+   *
+   * @return {String}
+   */
+  getForeignKeyName()
+  {
+    let segments = this.getQualifiedForeignKeyName().split('.');
+
+    return segments[segments.length - 1];
+  }
+
+  /**
+   * Get the foreign key for the relationship.
+   *
+   * @return {String}
+   */
+  getQualifiedForeignKeyName()
+  {
+    return this._foreignKey;
+  }
+
+  /**
+   * Get the local key for the relationship.
+   *
+   * @return {String}
+   */
+  getLocalKeyName()
+  {
+    return this._localKey;
+  }
 }
 
 export { HasOneOrMany }
@@ -1,8 +1,75 @@
-import Relation from './Relation'
+import HasManyThrough from './HasManyThrough'
+import SupportsDefaultModels from './concerns/SupportsDefaultModels'
 
-class HasManyThrough extends Relation { // TODO
+/**
+ * @mixes SupportsDefaultModels
+ */
+class HasOneThrough extends HasManyThrough {
+  /**
+   * Get the results of the relationship.
+   *
+   * @return {Promise<Model|null>}
+   */
+  async getResults()
+  {
+    return (await this.first()) || this._getDefaultFor(this._farParent);
+  }
 
+  /**
+   * Initialize the relation on a set of models.
+   *
+   * @param  {Array}   models
+   * @param  {String}  relation
+   * @return {Array}
+   */
+  initRelation(models, relation)
+  {
+    models.forEach((model) => {
+      model.setRelation(relation, this._getDefaultFor(model));
+    })
+
+    return models;
+  }
+
+  /**
+   * Match the eagerly loaded results to their parents.
+   *
+   * @param  {Array}   models
+   * @param  {Array}  results
+   * @param  {String}  relation
+   * @return {Array}
+   */
+  match(models, results, relation)
+  {
+    let dictionary = this._buildDictionary(results);
+
+    // Once we have the dictionary we can simply spin through the parent models to
+    // link them up with their children using the keyed dictionary to make the
+    // matching very convenient and easy work. Then we'll just return them.
+    models.forEach((model) => {
+      let key = model.getAttribute(this._localKey);
+
+      if (key in dictionary) {
+        model.setRelation(relation, dictionary[key][0]);
+      }
+    })
+
+    return models;
+  }
+
+  /**
+   * Make a new related instance for the given model.
+   *
+   * @param  {Model}  parent
+   * @return {Model}
+   */
+  _newRelatedInstanceFor(parent)
+  {
+    return this._related.newInstance();
+  }
 }
 
-export { HasManyThrough }
-export default HasManyThrough
+SupportsDefaultModels.call(HasOneThrough.prototype);
+
+export { HasOneThrough }
+export default HasOneThrough
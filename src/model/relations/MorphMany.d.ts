@@ -1,5 +1,11 @@
 import MorphOneOrMany from "./MorphOneOrMany";
+import Model from "../Model";
 
 export default class MorphMany extends MorphOneOrMany {
-
+    /**
+     * Get the results of the relationship.
+     *
+     * @return {Promise<Array>}
+     */
+    getResults(): Promise<Model[]>;
 }
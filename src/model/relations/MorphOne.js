@@ -1,8 +1,68 @@
 import MorphOneOrMany from './MorphOneOrMany'
+import SupportsDefaultModels from './concerns/SupportsDefaultModels'
 
-class MorphOne extends MorphOneOrMany { // TODO
+/**
+ * @mixes SupportsDefaultModels
+ */
+class MorphOne extends MorphOneOrMany {
+  /**
+   * Get the results of the relationship.
+   *
+   * @return {Promise<Model|null>}
+   */
+  async getResults()
+  {
+    if (this.getParentKey() == null) {
+      return this._getDefaultFor(this._parent);
+    }
 
+    return (await this._query.first()) || this._getDefaultFor(this._parent);
+  }
+
+  /**
+   * Initialize the relation on a set of models.
+   *
+   * @param  {Array}   models
+   * @param  {String}  relation
+   * @return {Array}
+   */
+  initRelation(models, relation)
+  {
+    models.forEach((model) => {
+      model.setRelation(relation, this._getDefaultFor(model));
+    })
+
+    return models;
+  }
+
+  /**
+   * Match the eagerly loaded results to their parents.
+   *
+   * @param  {Array}   models
+   * @param  {Array}  results
+   * @param  {String}  relation
+   * @return {Array}
+   */
+  match(models, results, relation)
+  {
+    return this.matchOne(models, results, relation);
+  }
+
+  /**
+   * Make a new related instance for the given model.
+   *
+   * @param  {Model}  parent
+   * @return {Model}
+   */
+  _newRelatedInstanceFor(parent)
+  {
+    return this._related.newInstance()
+      .setAttribute(this.getForeignKeyName(), parent.getAttribute(this._localKey))
+      .setAttribute(this.getMorphType(), this._morphClass);
+  }
 }
 
+SupportsDefaultModels.call(MorphOne.prototype);
+
 export { MorphOne }
 export default MorphOne
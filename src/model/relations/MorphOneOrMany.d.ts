@@ -1,5 +1,57 @@
 import HasOneOrMany from "./HasOneOrMany";
+import Model from "../Model";
+import { ModelBuilder } from "../Builder";
 
 export default class MorphOneOrMany extends HasOneOrMany {
-
+    /**
+     * The foreign key type for the relationship.
+     *
+     * @var {String}
+     */
+    _morphType: string;
+    /**
+     * The class name of the parent model.
+     *
+     * @var {String}
+     */
+    _morphClass: string;
+    /**
+     * Create a new morph one or many relationship instance.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {Model}  parent
+     * @param  {String}  type
+     * @param  {String}  id
+     * @param  {String}  localKey
+     * @param  {Object}  properties
+     * @return void
+     */
+    constructor(query: ModelBuilder, parent: Model, type: string, id: string, localKey: string, properties?: object);
+    /**
+     * Get the relationship query.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {ModelBuilder}  parentQuery
+     * @param  {Array}  columns
+     * @return {ModelBuilder}
+     */
+    getRelationExistenceQuery(query: ModelBuilder, parentQuery: ModelBuilder, columns?: any[]): ModelBuilder;
+    /**
+     * Get the foreign key "type" name.
+     *
+     * @return {String}
+     */
+    getQualifiedMorphType(): string;
+    /**
+     * Get the plain morph type name without the table.
+     *
+     * @return {String}
+     */
+    getMorphType(): string;
+    /**
+     * Get the class name of the parent model.
+     *
+     * @return {String}
+     */
+    getMorphClass(): string;
 }
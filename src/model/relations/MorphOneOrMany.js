@@ -1,7 +1,115 @@
+import _ from 'lodash'
 import HasOneOrMany from './HasOneOrMany'
 
-class MorphOneOrMany extends HasOneOrMany { // TODO
+/**
+ * @property {String} _morphType The foreign key type for the relationship.
+ * @property {String} _morphClass The class name of the parent model.
+ */
+class MorphOneOrMany extends HasOneOrMany {
+  /**
+   * Create a new morph one or many relationship instance.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {Model}  parent
+   * @param  {String}  type
+   * @param  {String}  id
+   * @param  {String}  localKey
+   * @param  {Object}  properties
+   * @return void
+   */
+  constructor (query, parent, type, id, localKey, properties = {})
+  {
+    super(query, parent, id, localKey, {
+      _morphType: type,
+      _morphClass: parent.getMorphClass(),
+      ...properties
+    });
+  }
 
+  /**
+   * Set the base constraints on the relation query.
+   *
+   * @return void
+   */
+  addConstraints()
+  {
+    if (this.constructor._constraints) {
+      super.addConstraints();
+
+      this._query.where(this._morphType, '=', this._morphClass);
+    }
+  }
+
+  /**
+   * Set the constraints for an eager load of the relation.
+   *
+   * @param  {Array}  models
+   * @return void
+   */
+  addEagerConstraints(models)
+  {
+    super.addEagerConstraints(models);
+
+    this._query.where(this._morphType, '=', this._morphClass);
+  }
+
+  /**
+   * Set the foreign ID and type for creating a related model.
+   *
+   * @param  {Model}  model
+   * @return void
+   */
+  _setForeignAttributesForCreate(model)
+  {
+    model.setAttribute(this.getForeignKeyName(), this.getParentKey());
+
+    model.setAttribute(this.getMorphType(), this._morphClass);
+  }
+
+  /**
+   * Get the relationship query.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {ModelBuilder}  parentQuery
+   * @param  {Array}  columns
+   * @return {ModelBuilder}
+   */
+  getRelationExistenceQuery(query, parentQuery, columns = ['*'])
+  {
+    return super.getRelationExistenceQuery(query, parentQuery, columns).where(
+      this._morphType, '=', this._morphClass
+    );
+  }
+
+  /**
+   * Get the foreign key "type" name.
+   *
+   * @return {String}
+   */
+  getQualifiedMorphType()
+  {
+    return this._morphType;
+  }
+
+  /**
+   * Get the plain morph type name without the table.
+   *
+   * @return {String}
+   */
+  getMorphType()
+  {
+    return _.last(this._morphType.split('.'));
+  }
+
+  /**
+   * Get the class name of the parent model.
+   *
+   * @return {String}
+   */
+  getMorphClass()
+  {
+    return this._morphClass;
+  }
 }
 
 export { MorphOneOrMany }
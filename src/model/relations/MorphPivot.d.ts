@@ -0,0 +1,34 @@
+import Pivot from "./Pivot";
+
+export default class MorphPivot extends Pivot {
+    /**
+     * The type of the polymorphic relation.
+     *
+     * Explicitly define this so it's not included in saved attributes.
+     *
+     * @var {String|null}
+     */
+    _morphType: string | null;
+    /**
+     * The value of the polymorphic relation.
+     *
+     * Explicitly define this so it's not included in saved attributes.
+     *
+     * @var {String|null}
+     */
+    _morphClass: string | null;
+    /**
+     * Set the morph type for the pivot.
+     *
+     * @return {this}
+     * @param {String} morphType
+     */
+    setMorphType(morphType: string): this;
+    /**
+     * Set the morph class for the pivot.
+     *
+     * @return {MorphPivot}
+     * @param {String} morphClass
+     */
+    setMorphClass(morphClass: string): this;
+}
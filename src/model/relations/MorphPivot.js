@@ -0,0 +1,63 @@
+import Model from '../Model'
+import Pivot from './Pivot'
+
+/**
+ * @property {String|null} _morphType The type of the polymorphic relation.
+ * @property {String|null} _morphClass The value of the polymorphic relation.
+ */
+class MorphPivot extends Pivot {
+  /**
+   * Set the keys for a save update query.
+   *
+   * @return {ModelBuilder}
+   * @param {ModelBuilder} query
+   */
+  _setKeysForSaveQuery (query) {
+    query.where(this._morphType, '=', this._morphClass)
+
+    return super._setKeysForSaveQuery(query)
+  }
+
+  /**
+   * Get the query builder for a delete operation on the pivot.
+   *
+   * @return {ModelBuilder}
+   */
+  _getDeleteQuery () {
+    return super._getDeleteQuery().where(this._morphType, '=', this._morphClass)
+  }
+
+  /**
+   * Set the morph type for the pivot.
+   *
+   * @return {this}
+   * @param {String} morphType
+   */
+  setMorphType (morphType) {
+    this._morphType = morphType
+
+    return this
+  }
+
+  /**
+   * Set the morph class for the pivot.
+   *
+   * @return {MorphPivot}
+   * @param {String} morphClass
+   */
+  setMorphClass (morphClass) {
+    this._morphClass = morphClass
+
+    return this
+  }
+}
+
+// Explicitly define these on the prototype so they are not included in saved
+// attributes, as instance fields would be routed through the attribute proxy.
+MorphPivot.prototype._morphType = null
+MorphPivot.prototype._morphClass = null
+
+Model.registerPivotClass('MorphPivot', MorphPivot)
+
+export { MorphPivot }
+export default MorphPivot
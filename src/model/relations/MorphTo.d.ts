@@ -1,5 +1,113 @@
 import BelongsTo from "./BelongsTo";
+import Model from "../Model";
+import { ModelBuilder } from "../Builder";
 
 export default class MorphTo extends BelongsTo {
-
+    /**
+     * The type of the polymorphic relation.
+     *
+     * @var {String}
+     */
+    _morphType: string;
+    /**
+     * The models whose relations are being eager loaded.
+     *
+     * @var {Array<Model>}
+     */
+    _models: Model[];
+    /**
+     * All of the models keyed by ID, grouped by their morph type.
+     *
+     * @var {Object}
+     */
+    _dictionary: { [type: string]: { [key: string]: Model[] } };
+    /**
+     * A buffer of dynamic calls to query macros.
+     *
+     * @var {Array<Object>}
+     */
+    _macroBuffer: Array<{ method: string, parameters: any[] }>;
+    /**
+     * Create a new morph to relationship instance.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {Model}  parent
+     * @param  {String}  foreignKey
+     * @param  {String}  ownerKey
+     * @param  {String}  type
+     * @param  {String}  relation
+     * @param  {Object}  properties
+     * @return void
+     */
+    constructor(query: ModelBuilder, parent: Model, foreignKey: string, ownerKey: string | null, type: string, relation: string, properties?: object);
+    /**
+     * Build a dictionary with the models.
+     *
+     * @param  {Array<Model>}  models
+     * @return void
+     */
+    _buildDictionary(models: Model[]): void;
+    /**
+     * Get the results of the relationship.
+     *
+     * Called via eager load method of Eloquent query builder.
+     *
+     * @return {Promise<Array<Model>>}
+     */
+    getEager(): Promise<Model[]>;
+    /**
+     * Get all of the relation results for a type.
+     *
+     * @param  {String}  type
+     * @return {Promise<Array<Model>>}
+     */
+    _getResultsByType(type: string): Promise<Model[]>;
+    /**
+     * Gather all of the foreign keys for a given type.
+     *
+     * @param  {String}  type
+     * @return {Array}
+     */
+    _gatherKeysByType(type: string): any[];
+    /**
+     * Create a new model instance by type.
+     *
+     * @param  {String}  type
+     * @return {Model}
+     */
+    createModelByType(type: string): Model;
+    /**
+     * Match the results for a given type to their parents.
+     *
+     * @param  {String}  type
+     * @param  {Array<Model>}  results
+     * @return void
+     */
+    _matchToMorphParents(type: string, results: Model[]): void;
+    /**
+     * Associate the model instance to the given parent.
+     *
+     * @param  {Model}  model
+     * @return {Model}
+     */
+    associate(model: Model | null): Model;
+    /**
+     * Get the foreign key "type" name.
+     *
+     * @return {String}
+     */
+    getMorphType(): string;
+    /**
+     * Get the dictionary used by the relationship.
+     *
+     * @return {Object}
+     */
+    getDictionary(): { [type: string]: { [key: string]: Model[] } };
+    /**
+     * Replay stored macro calls on the actual related instance.
+     *
+     * @param  {ModelBuilder}  query
+     * @return {ModelBuilder}
+     */
+    _replayMacros(query: ModelBuilder): ModelBuilder;
 }
@@ -1,8 +1,279 @@
+import _ from 'lodash'
+import Model from '../Model'
+import Relation from './Relation'
 import BelongsTo from './BelongsTo'
 
-class MorphTo extends BelongsTo { // TODO
+/**
+ * @property {String} _morphType The type of the polymorphic relation.
+ * @property {Array<Model>} _models The models whose relations are being eager loaded.
+ * @property {Object} _dictionary All of the models keyed by ID, grouped by their morph type.
+ * @property {Array<Object>} _macroBuffer A buffer of dynamic calls to query macros.
+ */
+class MorphTo extends BelongsTo {
+  /**
+   * Create a new morph to relationship instance.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {Model}  parent
+   * @param  {String}  foreignKey
+   * @param  {String}  ownerKey
+   * @param  {String}  type
+   * @param  {String}  relation
+   * @param  {Object}  properties
+   * @return void
+   */
+  constructor (query, parent, foreignKey, ownerKey, type, relation, properties = {})
+  {
+    super(query, parent, foreignKey, ownerKey, relation, {
+      _morphType: type,
+      _models: [],
+      _dictionary: {},
+      _macroBuffer: [],
+      ...properties
+    });
+  }
 
+  /**
+   * Set the constraints for an eager load of the relation.
+   *
+   * @param  {Array}  models
+   * @return void
+   */
+  addEagerConstraints(models)
+  {
+    this._buildDictionary(this._models = models);
+  }
+
+  /**
+   * Build a dictionary with the models.
+   *
+   * @param  {Array<Model>}  models
+   * @return void
+   */
+  _buildDictionary(models)
+  {
+    models.forEach((model) => {
+      let type = model.getAttribute(this._morphType);
+
+      if (type) {
+        let key = model.getAttribute(this._foreignKey);
+
+        this._dictionary[type] = this._dictionary[type] || {};
+
+        this._dictionary[type][key] = [...(this._dictionary[type][key] || []), model];
+      }
+    })
+  }
+
+  /**
+   * Get the results of the relationship.
+   *
+   * @return {Promise<Model|null>}
+   */
+  async getResults()
+  {
+    return this._ownerKey ? super.getResults() : null;
+  }
+
+  /**
+   * Get the results of the relationship.
+   *
+   * Called via eager load method of Eloquent query builder.
+   *
+   * @return {Promise<Array<Model>>}
+   */
+  async getEager()
+  {
+    for (let type of Object.keys(this._dictionary)) {
+      this._matchToMorphParents(type, await this._getResultsByType(type));
+    }
+
+    return this._models;
+  }
+
+  /**
+   * Get all of the relation results for a type.
+   *
+   * @param  {String}  type
+   * @return {Promise<Array<Model>>}
+   */
+  _getResultsByType(type)
+  {
+    let instance = this.createModelByType(type);
+
+    let ownerKey = this._ownerKey || instance.getKeyName();
+
+    let query = this._replayMacros(instance.newQuery())
+      .mergeConstraintsFrom(this.getQuery())
+      .with(this.getQuery().getEagerLoads());
+
+    return query.whereIn(
+      instance.getTable() + '.' + ownerKey, this._gatherKeysByType(type)
+    ).get();
+  }
+
+  /**
+   * Gather all of the foreign keys for a given type.
+   *
+   * @param  {String}  type
+   * @return {Array}
+   */
+  _gatherKeysByType(type)
+  {
+    return _.uniq(_.map(this._dictionary[type], (models) => {
+      return _.head(models).getAttribute(this._foreignKey);
+    }));
+  }
+
+  /**
+   * Create a new model instance by type.
+   *
+   * @param  {String}  type
+   * @return {Model}
+   */
+  createModelByType(type)
+  {
+    let cls = Model.getActualClassNameForMorph(type);
+
+    return new cls();
+  }
+
+  /**
+   * Match the eagerly loaded results to their parents.
+   *
+   * @param  {Array}   models
+   * @param  {Array}  results
+   * @param  {String}  relation
+   * @return {Array}
+   */
+  match(models, results, relation)
+  {
+    return models;
+  }
+
+  /**
+   * Match the results for a given type to their parents.
+   *
+   * @param  {String}  type
+   * @param  {Array<Model>}  results
+   * @return void
+   */
+  _matchToMorphParents(type, results)
+  {
+    results.forEach((result) => {
+      let ownerKey = this._ownerKey != null ? result.getAttribute(this._ownerKey) : result.getKey();
+
+      if (ownerKey in this._dictionary[type]) {
+        this._dictionary[type][ownerKey].forEach((model) => {
+          model.setRelation(this._relationName, result);
+        })
+      }
+    })
+  }
+
+  /**
+   * Associate the model instance to the given parent.
+   *
+   * @param  {Model}  model
+   * @return {Model}
+   */
+  associate(model)
+  {
+    this._parent.setAttribute(
+      this._foreignKey, model instanceof Model ? model.getKey() : null
+    );
+
+    this._parent.setAttribute(
+      this._morphType, model instanceof Model ? model.getMorphClass() : null
+    );
+
+    return this._parent.setRelation(this._relationName, model);
+  }
+
+  /**
+   * Dissociate previously associated model from the given parent.
+   *
+   * @return {Model}
+   */
+  dissociate()
+  {
+    this._parent.setAttribute(this._foreignKey, null);
+
+    this._parent.setAttribute(this._morphType, null);
+
+    return this._parent.setRelation(this._relationName, null);
+  }
+
+  /**
+   * Touch all of the related models for the relationship.
+   *
+   * @return void
+   */
+  touch()
+  {
+    if (this._child.getAttribute(this._foreignKey) != null) {
+      super.touch();
+    }
+  }
+
+  /**
+   * Get the foreign key "type" name.
+   *
+   * @return {String}
+   */
+  getMorphType()
+  {
+    return this._morphType;
+  }
+
+  /**
+   * Get the dictionary used by the relationship.
+   *
+   * @return {Object}
+   */
+  getDictionary()
+  {
+    return this._dictionary;
+  }
+
+  /**
+   * Replay stored macro calls on the actual related instance.
+   *
+   * @param  {ModelBuilder}  query
+   * @return {ModelBuilder}
+   */
+  _replayMacros(query)
+  {
+    this._macroBuffer.forEach(({ method, parameters }) => {
+      query[method](...parameters);
+    })
+
+    return query;
+  }
+
+  /**
+   * Handle dynamic method calls to the relationship.
+   *
+   * @param  {String}  method
+   * @param  {Array}   parameters
+   * @return mixed
+   */
+  __call(method, parameters)
+  {
+    let result = super.__call(method, parameters);
+
+    // Selects and scope removals are meant for the models we are about to load,
+    // not for the parent query this relation was built from, so they are kept
+    // around and replayed on each query of the morphed types when eager loading.
+    if (['select', 'selectRaw', 'selectSub', 'addSelect', 'withoutGlobalScopes'].includes(method)) {
+      this._macroBuffer.push({ method, parameters });
+    }
+
+    return result;
+  }
 }
 
+Relation.registerRelationClass('MorphTo', MorphTo);
+
 export { MorphTo }
 export default MorphTo
@@ -1,5 +1,84 @@
 import BelongsToMany from "./BelongsToMany";
+import Model from "../Model";
+import Pivot from "./Pivot";
+import { ModelBuilder } from "../Builder";
+import { QueryBuilder } from "../../query/Builder";
 
 export default class MorphToMany extends BelongsToMany {
-
+    /**
+     * The type of the polymorphic relation.
+     *
+     * @var {String}
+     */
+    _morphType: string;
+    /**
+     * The class name of the morph type constraint.
+     *
+     * @var {String}
+     */
+    _morphClass: string;
+    /**
+     * Indicates if we are connecting the inverse of the relation.
+     *
+     * @var {Boolean}
+     */
+    _inverse: boolean;
+    /**
+     * Create a new morph to many relationship instance.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {Model}  parent
+     * @param  {String}  name
+     * @param  {String}  table
+     * @param  {String}  foreignPivotKey
+     * @param  {String}  relatedPivotKey
+     * @param  {String}  parentKey
+     * @param  {String}  relatedKey
+     * @param  {String|null}  relationName
+     * @param  {Boolean}  inverse
+     * @param  {Object}  properties
+     * @return void
+     */
+    constructor(query: ModelBuilder, parent: Model, name: string, table: string | Function, foreignPivotKey: string, relatedPivotKey: string, parentKey: string, relatedKey: string, relationName?: string | null, inverse?: boolean, properties?: object);
+    /**
+     * Add the constraints for a relationship count query.
+     *
+     * @param  {ModelBuilder}  query
+     * @param  {ModelBuilder}  parentQuery
+     * @param  {Array}  columns
+     * @return {ModelBuilder}
+     */
+    getRelationExistenceQuery(query: ModelBuilder, parentQuery: ModelBuilder, columns?: any[]): ModelBuilder;
+    /**
+     * Create a new query builder for the pivot table.
+     *
+     * @return {QueryBuilder}
+     */
+    _newPivotQuery(): QueryBuilder;
+    /**
+     * Create a new pivot model instance.
+     *
+     * @param  {Object}  attributes
+     * @param  {Boolean}  exists
+     * @return {Pivot}
+     */
+    newPivot(attributes?: object, exists?: boolean): Pivot;
+    /**
+     * Get the foreign key "type" name.
+     *
+     * @return {String}
+     */
+    getMorphType(): string;
+    /**
+     * Get the class name of the parent model.
+     *
+     * @return {String}
+     */
+    getMorphClass(): string;
+    /**
+     * Get the indicator for a reverse relationship.
+     *
+     * @return {Boolean}
+     */
+    getInverse(): boolean;
 }
@@ -1,7 +1,163 @@
+import Model from '../Model'
 import BelongsToMany from './BelongsToMany'
 
-class MorphToMany extends BelongsToMany { // TODO
+/**
+ * @property {String} _morphType The type of the polymorphic relation.
+ * @property {String} _morphClass The class name of the morph type constraint.
+ * @property {Boolean} _inverse Indicates if we are connecting the inverse of the relation.
+ */
+class MorphToMany extends BelongsToMany {
+  /**
+   * Create a new morph to many relationship instance.
+   *
+   * This flips the morph class resolution for inverse relationships, since the
+   * morph type column then describes the related models rather than the parent.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {Model}  parent
+   * @param  {String}  name
+   * @param  {String}  table
+   * @param  {String}  foreignPivotKey
+   * @param  {String}  relatedPivotKey
+   * @param  {String}  parentKey
+   * @param  {String}  relatedKey
+   * @param  {String|null}  relationName
+   * @param  {Boolean}  inverse
+   * @param  {Object}  properties
+   * @return void
+   */
+  constructor (query, parent, name, table, foreignPivotKey, relatedPivotKey, parentKey,
+               relatedKey, relationName = null, inverse = false, properties = {})
+  {
+    super(query, parent, table, foreignPivotKey, relatedPivotKey, parentKey, relatedKey, relationName, {
+      _inverse: inverse,
+      _morphType: name + '_type',
+      _morphClass: inverse ? query.getModel().getMorphClass() : parent.getMorphClass(),
+      ...properties
+    });
+  }
 
+  /**
+   * Set the where clause for the relation query.
+   *
+   * @return {this}
+   */
+  _addWhereConstraints()
+  {
+    super._addWhereConstraints();
+
+    this._query.where(this._table + '.' + this._morphType, '=', this._morphClass);
+
+    return this;
+  }
+
+  /**
+   * Set the constraints for an eager load of the relation.
+   *
+   * @param  {Array}  models
+   * @return void
+   */
+  addEagerConstraints(models)
+  {
+    super.addEagerConstraints(models);
+
+    this._query.where(this._table + '.' + this._morphType, '=', this._morphClass);
+  }
+
+  /**
+   * Create a new pivot attachment record.
+   *
+   * @param  {Number|String}  id
+   * @param  {Boolean}  timed
+   * @return {Object}
+   */
+  _baseAttachRecord(id, timed)
+  {
+    return {
+      [this._morphType]: this._morphClass,
+      ...super._baseAttachRecord(id, timed)
+    };
+  }
+
+  /**
+   * Add the constraints for a relationship count query.
+   *
+   * @param  {ModelBuilder}  query
+   * @param  {ModelBuilder}  parentQuery
+   * @param  {Array}  columns
+   * @return {ModelBuilder}
+   */
+  getRelationExistenceQuery(query, parentQuery, columns = ['*'])
+  {
+    return super.getRelationExistenceQuery(query, parentQuery, columns).where(
+      this._table + '.' + this._morphType, '=', this._morphClass
+    );
+  }
+
+  /**
+   * Create a new query builder for the pivot table.
+   *
+   * @return {QueryBuilder}
+   */
+  _newPivotQuery()
+  {
+    return super._newPivotQuery().where(this._morphType, '=', this._morphClass);
+  }
+
+  /**
+   * Create a new pivot model instance.
+   *
+   * @param  {Object}  attributes
+   * @param  {Boolean}  exists
+   * @return {Pivot}
+   */
+  newPivot(attributes = {}, exists = false)
+  {
+    let MorphPivot = Model.getPivotClass('MorphPivot');
+
+    let using = this._using;
+
+    let pivot = using ? using.fromRawAttributes(this._parent, attributes, this._table, exists)
+      : MorphPivot.fromAttributes(this._parent, attributes, this._table, exists);
+
+    pivot.setPivotKeys(this._foreignPivotKey, this._relatedPivotKey);
+
+    if (pivot instanceof MorphPivot) {
+      pivot.setMorphType(this._morphType).setMorphClass(this._morphClass);
+    }
+
+    return pivot;
+  }
+
+  /**
+   * Get the foreign key "type" name.
+   *
+   * @return {String}
+   */
+  getMorphType()
+  {
+    return this._morphType;
+  }
+
+  /**
+   * Get the class name of the parent model.
+   *
+   * @return {String}
+   */
+  getMorphClass()
+  {
+    return this._morphClass;
+  }
+
+  /**
+   * Get the indicator for a reverse relationship.
+   *
+   * @return {Boolean}
+   */
+  getInverse()
+  {
+    return this._inverse;
+  }
 }
 
 export { MorphToMany }
@@ -0,0 +1,85 @@
+import Model from "../Model";
+import { ModelBuilder } from "../Builder";
+
+/**
+ * @mixes AsPivot
+ */
+export default class Pivot extends Model {
+    /**
+     * Create a new pivot model instance.
+     *
+     * @return {Pivot}
+     * @param {Model} parent
+     * @param {Object} attributes
+     * @param {String} table
+     * @param {Boolean} exists
+     */
+    static fromAttributes(parent: Model, attributes: object, table: string, exists?: boolean): Pivot;
+    /**
+     * Create a new pivot model from raw values returned from a query.
+     *
+     * @return {Pivot}
+     * @param {Model} parent
+     * @param {Object} attributes
+     * @param {String} table
+     * @param {Boolean} exists
+     */
+    static fromRawAttributes(parent: Model, attributes: object, table: string, exists?: boolean): Pivot;
+    /**
+     * The parent model of the relationship.
+     *
+     * @var {Model|null}
+     */
+    pivotParent: Model | null;
+    /**
+     * The name of the foreign key column.
+     *
+     * @var {String|null}
+     */
+    _foreignKey: string | null;
+    /**
+     * The name of the "other key" column.
+     *
+     * @var {String|null}
+     */
+    _relatedKey: string | null;
+    /**
+     * Delete the pivot model record from the database.
+     *
+     * @return {Promise<Number>}
+     */
+    delete(): Promise<number>;
+    /**
+     * Get the query builder for a delete operation on the pivot.
+     *
+     * @return {ModelBuilder}
+     */
+    _getDeleteQuery(): ModelBuilder;
+    /**
+     * Get the "related key" column name.
+     *
+     * @return {String}
+     */
+    getRelatedKey(): string;
+    /**
+     * Get the "related key" column name.
+     *
+     * @return {String}
+     */
+    getOtherKey(): string;
+    /**
+     * Set the key names for the pivot model instance.
+     *
+     * @return {this}
+     * @param {String} foreignKey
+     * @param {String} relatedKey
+     */
+    setPivotKeys(foreignKey: string, relatedKey: string): this;
+    /**
+     * Determine if the pivot model or given attributes has timestamp attributes.
+     *
+     * @return {Boolean}
+     * @param {Object|null} attributes
+     */
+    hasTimestampAttributes(attributes?: object | null): boolean;
+}
@@ -0,0 +1,28 @@
+import Model from '../Model'
+import AsPivot from './concerns/AsPivot'
+
+/**
+ * @mixes AsPivot
+ */
+class Pivot extends Model {
+  /**
+   * Indicates if the IDs are auto-incrementing.
+   *
+   * @var {Boolean}
+   */
+  incrementing = false
+
+  /**
+   * The attributes that aren't mass assignable.
+   *
+   * @var {Array}
+   */
+  _guarded = []
+}
+
+Pivot.applyTrait(AsPivot)
+
+Model.registerPivotClass('Pivot', Pivot)
+
+export { Pivot }
+export default Pivot
@@ -10,11 +10,26 @@ export default class Relation {
      */
     static _constraints: boolean;
     /**
-     * An array to map class names to their morph names in database.
+     * The count of self joins.
      *
-     * @var {Array}
+     * @var {Number}
      */
-    static morphMaps: any[];
+    static _selfJoinCount: number;
+    /**
+     * An object to map morph names in database to their model classes.
+     *
+     * @var {Object}
+     */
+    static morphMaps: { [alias: string]: typeof Model };
+    /**
+     * The relation classes, keyed by name.
+     *
+     * They extend this class and load the model builder that checks for them, so they
+     * register themselves when they are loaded instead of being imported there.
+     *
+     * @var {Object}
+     */
+    static _relationClasses: { [name: string]: typeof Relation };
     /**
      * The Eloquent query builder instance.
      *
@@ -43,33 +58,49 @@ export default class Relation {
     /**
      * Set or get the morph map for polymorphic relations.
      *
-     * @param  {Array|null}  map
+     * @param  {Array|Object|null}  map
      * @param  {Boolean}  merge
-     * @return {Array}
+     * @return {Object}
      */
-    static morphMap(map?: any[] | null, merge?: boolean): any[];
+    static morphMap(map?: Array<typeof Model> | { [alias: string]: typeof Model } | null, merge?: boolean): { [alias: string]: typeof Model };
     /**
-     * Builds a table-keyed array from model class names.
+     * Builds a table-keyed object from model classes.
      *
-     * @param  {String|Array|Object|null}  models
-     * @return {Array}|null
+     * @param  {Array|Object|null}  models
+     * @return {Object|null}
      */
-    static _buildMorphMapFromModels(models?: string | any[] | any | null): any[];
+    static _buildMorphMapFromModels(models?: Array<typeof Model> | { [alias: string]: typeof Model } | null): { [alias: string]: typeof Model } | null;
     /**
      * Get the model associated with a custom polymorphic type.
      *
      * @param  {String}  alias
-     * @return {String|null}
+     * @return {Function|null}
      */
-    static getMorphedModel(alias: string): string | null;
+    static getMorphedModel(alias: string): typeof Model | null;
+    /**
+     * Register a relation class.
+     *
+     * @param  {String}  name
+     * @param  {Function}  relation
+     * @return void
+     */
+    static registerRelationClass(name: string, relation: typeof Relation): void;
+    /**
+     * Get a registered relation class.
+     *
+     * @param  {String}  name
+     * @return {Function|null}
+     */
+    static getRelationClass(name: string): typeof Relation | null;
     /**
      * Create a new relation instance.
      *
      * @param  {ModelBuilder}  query
      * @param  {Model}  parent
+     * @param  {Object}  properties
      * @return void
      */
-    constructor(query: ModelBuilder, parent: Model);
+    constructor(query: ModelBuilder, parent: Model, properties?: any);
     /**
      * Set the base constraints on the relation query.
      *
@@ -105,20 +136,20 @@ export default class Relation {
      *
      * @return mixed
      */
-    getResults(): void;
+    getResults(): Promise<any>;
     /**
      * Get the relationship for eager loading.
      *
      * @return {Array}
      */
-    getEager(): any[];
+    getEager(): Promise<any[]>;
     /**
      * Execute the query as a "select" statement.
      *
      * @param  {Array}  columns
      * @return {Array}
      */
-    get(columns?: any[]): any[];
+    get(columns?: any[]): Promise<any[]>;
     /**
      * Touch all of the related models for the relationship.
      *
@@ -151,6 +182,13 @@ export default class Relation {
      * @return {ModelBuilder}
      */
     getRelationExistenceQuery(query: ModelBuilder, parentQuery: ModelBuilder, columns?: any[]): ModelBuilder;
+    /**
+     * Get a relationship join table hash.
+     *
+     * @param  {Boolean}  incrementJoinCount
+     * @return {String}
+     */
+    getRelationCountHash(incrementJoinCount?: boolean): string;
     /**
      * Get all of the primary keys for an array of models.
      *
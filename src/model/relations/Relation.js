@@ -4,6 +4,19 @@ import { ModelBuilder } from '../Builder'
 import Model from '../Model'
 import Expression from '../../query/Expression'
 
+const RelationInstanceProxy = function (relation) {
+  return new Proxy(relation, {
+    get (target, p) {
+      if (p in target || !(target._query[p] instanceof Function)) return target[p];
+      return new Proxy(target.__call, {
+        apply (target, thisArg, argArray) {
+          return target.call(thisArg, p, argArray)
+        }
+      });
+    }
+  })
+}
+
 class Relation {
   // use ForwardsCalls, Macroable { // TODO
   //   __call as macroCall;
@@ -38,26 +51,51 @@ class Relation {
   static _constraints = true;
 
   /**
-   * An array to map class names to their morph names in database.
+   * The count of self joins.
+   *
+   * @var {Number}
+   */
+  static _selfJoinCount = 0;
+
+  /**
+   * An object to map morph names in database to their model classes.
    *
-   * @var {Array}
+   * @var {Object}
    */
-  static morphMaps = [];
+  static morphMaps = {};
+
+  /**
+   * The relation classes, keyed by name.
+   *
+   * They extend this class and load the model builder that checks for them, so they
+   * register themselves when they are loaded instead of being imported there.
+   *
+   * @var {Object}
+   */
+  static _relationClasses = {};
 
   /**
    * Create a new relation instance.
    *
+   * Subclasses hand their own keys over through "properties", since they can not
+   * assign anything to the instance before this constructor adds constraints.
+   *
    * @param  {ModelBuilder}  query
    * @param  {Model}  parent
+   * @param  {Object}  properties
    * @return void
    */
-  constructor (query, parent)
+  constructor (query, parent, properties = {})
   {
     this._query = query;
     this._parent = parent;
     this._related = query['getModel']();
 
+    Object.assign(this, properties);
+
     this.addConstraints();
+
+    return RelationInstanceProxy(this);
   }
 
   /**
@@ -202,6 +240,17 @@ class Relation {
     );
   }
 
+  /**
+   * Get a relationship join table hash.
+   *
+   * @param  {Boolean}  incrementJoinCount
+   * @return {String}
+   */
+  getRelationCountHash(incrementJoinCount = true)
+  {
+    return 'jala_reserved_' + (incrementJoinCount ? Relation._selfJoinCount++ : Relation._selfJoinCount);
+  }
+
   /**
    * Get all of the primary keys for an array of models.
    *
@@ -211,9 +260,9 @@ class Relation {
    */
   _getKeys(models, key = null)
   {
-    return _.sortedUniq(models.map((value) => {
+    return _.sortBy(_.uniq(models.map((value) => {
       return key ? value.getAttribute(key) : value.getKey();
-    }));
+    })));
   }
 
   /**
@@ -315,31 +364,31 @@ class Relation {
   /**
    * Set or get the morph map for polymorphic relations.
    *
-   * @param  {Array|null}  map
+   * @param  {Array|Object|null}  map
    * @param  {Boolean}  merge
-   * @return {Array}
+   * @return {Object}
    */
   static morphMap(map = null, merge = true)
   {
     map = this._buildMorphMapFromModels(map);
 
-    if (map instanceof Array) {
+    if (map instanceof Object) {
       this.morphMaps = merge && this.morphMaps
-        ? [...map, ...this.morphMaps] : map;
+        ? {...this.morphMaps, ...map} : map;
     }
 
     return this.morphMaps;
   }
 
   /**
-   * Builds a table-keyed array from model class names.
+   * Builds a table-keyed object from model classes.
    *
-   * @param  {String|Array|Object|null}  models
-   * @return {Array}|null
+   * @param  {Array|Object|null}  models
+   * @return {Object|null}
    */
   static _buildMorphMapFromModels(models = null)
   {
-    if (models == null || models instanceof Object) {
+    if (models == null || ! (models instanceof Array)) {
       return models;
     }
 
@@ -352,11 +401,34 @@ class Relation {
    * Get the model associated with a custom polymorphic type.
    *
    * @param  {String}  alias
-   * @return {String|null}
+   * @return {Function|null}
    */
   static getMorphedModel(alias)
   {
-    return this.morphMaps[alias] || null;
+    return _.has(this.morphMaps, alias) ? this.morphMaps[alias] : null;
+  }
+
+  /**
+   * Register a relation class.
+   *
+   * @param  {String}  name
+   * @param  {Function}  relation
+   * @return void
+   */
+  static registerRelationClass(name, relation)
+  {
+    Relation._relationClasses = {...Relation._relationClasses, [name]: relation};
+  }
+
+  /**
+   * Get a registered relation class.
+   *
+   * @param  {String}  name
+   * @return {Function|null}
+   */
+  static getRelationClass(name)
+  {
+    return _.get(Relation._relationClasses, name, null);
   }
 
   /**
@@ -392,16 +464,5 @@ class Relation {
   }
 }
 
-Relation.prototype = new Proxy(Relation.prototype, {
-  get (target, p) {
-    if (p in target) return target[p];
-    return new Proxy(target.__call, {
-      apply (target, thisArg, argArray) {
-        return target.call(thisArg, p, argArray)
-      }
-    });
-  }
-});
-
 export { Relation }
 export default Relation
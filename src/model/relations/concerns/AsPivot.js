@@ -0,0 +1,231 @@
+import _ from 'lodash'
+import pluralize from 'pluralize'
+import Model from '../../Model'
+
+/**
+ * AsPivot Trait
+ *
+ * @constructor
+ * @mixin
+ */
+const AsPivot = function () {
+  /**
+   * The parent model of the relationship.
+   *
+   * @var {Model|null}
+   */
+  this.pivotParent = null
+
+  /**
+   * The name of the foreign key column.
+   *
+   * @var {String|null}
+   */
+  this._foreignKey = null
+
+  /**
+   * The name of the "other key" column.
+   *
+   * @var {String|null}
+   */
+  this._relatedKey = null
+
+  /**
+   * Create a new pivot model instance.
+   *
+   * @return {Pivot}
+   * @param {Model} parent
+   * @param {Object} attributes
+   * @param {String} table
+   * @param {Boolean} exists
+   */
+  this.constructor.fromAttributes = function (parent, attributes, table, exists = false) {
+    const instance = new this()
+
+    instance.timestamps = instance.hasTimestampAttributes(attributes)
+
+    // The pivot model is a "dynamic" model since we will set the tables dynamically
+    // for the instance. This allows it work for any intermediate tables for the
+    // many to many relationship that are defined by this developer's classes.
+    instance.setConnection(parent.getConnectionName())
+      .setTable(table)
+      .forceFill(attributes)
+      .syncOriginal()
+
+    // We store off the parent instance so we will access the timestamp column names
+    // for the model, since the pivot model timestamps aren't easily configurable
+    // from the developer's point of view. We can use the parents to get these.
+    instance.pivotParent = parent
+
+    instance.exists = exists
+
+    return instance
+  }
+
+  /**
+   * Create a new pivot model from raw values returned from a query.
+   *
+   * @return {Pivot}
+   * @param {Model} parent
+   * @param {Object} attributes
+   * @param {String} table
+   * @param {Boolean} exists
+   */
+  this.constructor.fromRawAttributes = function (parent, attributes, table, exists = false) {
+    const instance = this.fromAttributes(parent, {}, table, exists)
+
+    instance.timestamps = instance.hasTimestampAttributes(attributes)
+
+    instance.setRawAttributes(attributes, true)
+
+    return instance
+  }
+
+  /**
+   * Set the keys for a save update query.
+   *
+   * @return {ModelBuilder}
+   * @param {ModelBuilder} query
+   */
+  this._setKeysForSaveQuery = function (query) {
+    if (this._attributes[this.getKeyName()] != null) {
+      return Model.prototype._setKeysForSaveQuery.call(this, query)
+    }
+
+    query.where(this._foreignKey, '=', this.getOriginal(
+      this._foreignKey, this.getAttribute(this._foreignKey)
+    ))
+
+    return query.where(this._relatedKey, '=', this.getOriginal(
+      this._relatedKey, this.getAttribute(this._relatedKey)
+    ))
+  }
+
+  /**
+   * Delete the pivot model record from the database.
+   *
+   * @return {Promise<Number>}
+   */
+  this.delete = async function () {
+    if (this._attributes[this.getKeyName()] != null) {
+      return Number(await Model.prototype.delete.call(this))
+    }
+
+    if (this._fireModelEvent('deleting') === false) {
+      return 0
+    }
+
+    this.touchOwners()
+
+    const deleted = await this._getDeleteQuery().delete()
+
+    this.exists = false
+
+    this._fireModelEvent('deleted', false)
+
+    return deleted
+  }
+
+  /**
+   * Get the query builder for a delete operation on the pivot.
+   *
+   * @return {ModelBuilder}
+   */
+  this._getDeleteQuery = function () {
+    return this.newModelQuery().where(
+      this._foreignKey, '=', this.getOriginal(this._foreignKey, this.getAttribute(this._foreignKey))
+    ).where(
+      this._relatedKey, '=', this.getOriginal(this._relatedKey, this.getAttribute(this._relatedKey))
+    )
+  }
+
+  /**
+   * Get the table associated with the model.
+   *
+   * @return {String}
+   */
+  this.getTable = function () {
+    if (! this._table) {
+      this.setTable(_.snakeCase(pluralize.singular(this.constructor.name)))
+    }
+
+    return this._table
+  }
+
+  /**
+   * Get the foreign key column name.
+   *
+   * @return {String}
+   */
+  this.getForeignKey = function () {
+    return this._foreignKey
+  }
+
+  /**
+   * Get the "related key" column name.
+   *
+   * @return {String}
+   */
+  this.getRelatedKey = function () {
+    return this._relatedKey
+  }
+
+  /**
+   * Get the "related key" column name.
+   *
+   * @return {String}
+   */
+  this.getOtherKey = function () {
+    return this.getRelatedKey()
+  }
+
+  /**
+   * Set the key names for the pivot model instance.
+   *
+   * @return {this}
+   * @param {String} foreignKey
+   * @param {String} relatedKey
+   */
+  this.setPivotKeys = function (foreignKey, relatedKey) {
+    this._foreignKey = foreignKey
+
+    this._relatedKey = relatedKey
+
+    return this
+  }
+
+  /**
+   * Determine if the pivot model or given attributes has timestamp attributes.
+   *
+   * @return {Boolean}
+   * @param {Object|null} attributes
+   */
+  this.hasTimestampAttributes = function (attributes = null) {
+    return this.getCreatedAtColumn() in (attributes || this._attributes)
+  }
+
+  /**
+   * Get the name of the "created at" column.
+   *
+   * @return {String}
+   */
+  this.getCreatedAtColumn = function () {
+    return this.pivotParent
+      ? this.pivotParent.getCreatedAtColumn()
+      : Model.prototype.getCreatedAtColumn.call(this)
+  }
+
+  /**
+   * Get the name of the "updated at" column.
+   *
+   * @return {String}
+   */
+  this.getUpdatedAtColumn = function () {
+    return this.pivotParent
+      ? this.pivotParent.getUpdatedAtColumn()
+      : Model.prototype.getUpdatedAtColumn.call(this)
+  }
+}
+
+export { AsPivot }
+export default AsPivot
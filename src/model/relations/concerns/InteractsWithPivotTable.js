@@ -0,0 +1,676 @@
+import _ from 'lodash'
+import Model from '../../Model'
+
+/**
+ * InteractsWithPivotTable Trait
+ *
+ * @constructor
+ * @mixin
+ */
+const InteractsWithPivotTable = function () {
+  /**
+   * Toggles a model (or models) from the parent.
+   *
+   * Each existing model is detached, and non existing ones are attached.
+   *
+   * @param  {*}  ids
+   * @param  {Boolean}  touch
+   * @return {Promise<Object>}
+   */
+  this.toggle = async function (ids, touch = true) {
+    const records = this._formatRecordsList(this._parseIds(ids))
+
+    const changes = await this._withinPivotTransaction(async () => {
+      const changes = {
+        attached: [], detached: [],
+      }
+
+      // Next, we will determine which IDs should get removed from the join table by
+      // checking which of the given ID/records is in the list of current records
+      // and removing all of those rows from this "intermediate" joining table.
+      const current = await this._newPivotQuery().pluck(this._relatedPivotKey)
+
+      const detach = _.intersectionBy(current, Object.keys(records), String)
+
+      if (detach.length > 0) {
+        await this.detach(detach, false)
+
+        changes.detached = this._castKeys(detach)
+      }
+
+      // Finally, for all of the records which were not "detached", we'll attach the
+      // records into the intermediate table. Then, we will add those attaches to
+      // this change list and get ready to return these results to the callers.
+      const attach = _.omitBy(records, (attributes, id) => {
+        return detach.some(key => String(key) === id)
+      })
+
+      if (! _.isEmpty(attach)) {
+        await this.attach(attach, {}, false)
+
+        changes.attached = this._castKeys(Object.keys(attach))
+      }
+
+      return changes
+    })
+
+    // Once we have finished attaching or detaching the records, we will see if we
+    // have done any attaching or detaching, and if we have we will touch these
+    // relationships if they are configured to touch on any database updates.
+    if (touch && (changes.attached.length || changes.detached.length)) {
+      await this.touchIfTouching()
+    }
+
+    return changes
+  }
+
+  /**
+   * Sync the intermediate tables with a list of IDs without detaching.
+   *
+   * @param  {*}  ids
+   * @return {Promise<Object>}
+   */
+  this.syncWithoutDetaching = function (ids) {
+    return this.sync(ids, false)
+  }
+
+  /**
+   * Sync the intermediate tables with a list of IDs or collection of models.
+   *
+   * @param  {*}  ids
+   * @param  {Boolean}  detaching
+   * @return {Promise<Object>}
+   */
+  this.sync = async function (ids, detaching = true) {
+    const changes = await this._withinPivotTransaction(async () => {
+      let changes = {
+        attached: [], detached: [], updated: [],
+      }
+
+      // First we need to attach any of the associated models that are not currently
+      // in this joining table. We'll spin through the given IDs, checking to see
+      // if they exist in the array of current ones, and if not we will insert.
+      const current = await this._newPivotQuery().pluck(this._relatedPivotKey)
+
+      const records = this._formatRecordsList(this._parseIds(ids))
+
+      const detach = _.differenceBy(current, Object.keys(records), String)
+
+      // Next, we will take the differences of the currents and given IDs and detach
+      // all of the entities that exist in the "current" array but are not in the
+      // array of the new IDs given to the method which will complete the sync.
+      if (detaching && detach.length > 0) {
+        await this.detach(detach, false)
+
+        changes.detached = this._castKeys(detach)
+      }
+
+      // Now we are finally ready to attach the new records. Note that we'll disable
+      // touching until after the entire operation is complete so we don't fire a
+      // ton of touch operations until we are totally done syncing the records.
+      return {...changes, ...await this._attachNew(records, current, false)}
+    })
+
+    // Once we have finished attaching or detaching the records, we will see if we
+    // have done any attaching or detaching, and if we have we will touch these
+    // relationships if they are configured to touch on any database updates.
+    if (changes.attached.length || changes.updated.length || changes.detached.length) {
+      await this.touchIfTouching()
+    }
+
+    return changes
+  }
+
+  /**
+   * Run the callback within a transaction on the parent's connection.
+   *
+   * Until the callback is done, the pivot statements and pivot models of the relation
+   * are run through the connection the transaction gives, so the current records are
+   * read and changed as a whole. The related models are touched once it's committed.
+   *
+   * @param  {Function}  callback
+   * @return {Promise<*>}
+   */
+  this._withinPivotTransaction = function (callback) {
+    const query = this._query.getQuery()
+
+    const [parentConnection, queryConnection] = [this._parent.getConnectionName(), query.connection]
+
+    return this._parent.getConnection().transaction(async (transaction) => {
+      this._parent.setConnection(transaction)
+
+      query.connection = transaction
+
+      try {
+        return (await callback())
+      } finally {
+        this._parent.setConnection(parentConnection)
+
+        query.connection = queryConnection
+      }
+    })
+  }
+
+  /**
+   * Format the sync / toggle record list so that it is keyed by ID.
+   *
+   * @param  {Array|Object}  records
+   * @return {Object}
+   */
+  this._formatRecordsList = function (records) {
+    const formatted = {}
+
+    _.forEach(records, (attributes, id) => {
+      if (! _.isPlainObject(attributes)) {
+        [id, attributes] = [attributes, {}]
+      }
+
+      formatted[id] = attributes
+    })
+
+    return formatted
+  }
+
+  /**
+   * Attach all of the records that aren't in the given current records.
+   *
+   * The records missing from the table are inserted together, with a statement for
+   * each set of pivot columns they were given.
+   *
+   * @param  {Object}  records
+   * @param  {Array}  current
+   * @param  {Boolean}  touch
+   * @return {Promise<Object>}
+   */
+  this._attachNew = async function (records, current, touch = true) {
+    const changes = {attached: [], updated: []}
+
+    const attach = {}
+
+    for (const [id, attributes] of Object.entries(records)) {
+      // If the ID is not in the list of existing pivot IDs, we will insert a new pivot
+      // record, otherwise, we will just update this existing record on this joining
+      // table, so that the developers will easily update these records pain free.
+      if (! current.some(key => String(key) === id)) {
+        attach[id] = attributes
+
+        changes.attached.push(this._castKey(id))
+      }
+
+      // Now we'll try to update an existing pivot record with the attributes that were
+      // given to the method. If the model is actually updated we will add it to the
+      // list of updated pivot records so we return them back out to the consumer.
+      else if (! _.isEmpty(attributes) &&
+        await this.updateExistingPivot(id, attributes, touch)) {
+        changes.updated.push(this._castKey(id))
+      }
+    }
+
+    if (! _.isEmpty(attach)) {
+      await this.attach(attach, {}, touch)
+    }
+
+    return changes
+  }
+
+  /**
+   * Update an existing pivot record on the table.
+   *
+   * @param  {*}  id
+   * @param  {Object}  attributes
+   * @param  {Boolean}  touch
+   * @return {Promise<Number>}
+   */
+  this.updateExistingPivot = async function (id, attributes, touch = true) {
+    if (this._using && _.isEmpty(this._pivotWheres) && _.isEmpty(this._pivotWhereIns)) {
+      return this._updateExistingPivotUsingCustomClass(id, attributes, touch)
+    }
+
+    if (this._pivotColumns.includes(this.updatedAt())) {
+      attributes = this._addTimestampsToAttachment(attributes, true)
+    }
+
+    const updated = await this.newPivotStatementForId(this._parseId(id)).update(
+      this._castAttributes(attributes)
+    )
+
+    if (touch) {
+      await this.touchIfTouching()
+    }
+
+    return updated
+  }
+
+  /**
+   * Update an existing pivot record on the table via a custom class.
+   *
+   * @param  {*}  id
+   * @param  {Object}  attributes
+   * @param  {Boolean}  touch
+   * @return {Promise<Number>}
+   */
+  this._updateExistingPivotUsingCustomClass = async function (id, attributes, touch) {
+    id = this._parseId(id)
+
+    const pivot = (await this._getCurrentlyAttachedPivots()).find((pivot) => {
+      return String(pivot.getAttribute(this._relatedPivotKey)) === String(id)
+    })
+
+    const updated = pivot ? pivot.fill(attributes).isDirty() : false
+
+    if (updated) {
+      pivot.timestamps = this._pivotColumns.includes(this.updatedAt())
+
+      await pivot.save()
+    }
+
+    if (touch) {
+      await this.touchIfTouching()
+    }
+
+    return Number(updated)
+  }
+
+  /**
+   * Attach a model to the parent.
+   *
+   * @param  {*}  id
+   * @param  {Object}  attributes
+   * @param  {Boolean}  touch
+   * @return {Promise<void>}
+   */
+  this.attach = async function (id, attributes = {}, touch = true) {
+    // Here we will insert the attachment records into the pivot table. Once we have
+    // inserted the records, we will touch the relationships if necessary and the
+    // function will return. We can parse the IDs before inserting the records.
+    if (this._using) {
+      await this._attachUsingCustomClass(id, attributes)
+    } else {
+      const records = this._formatAttachRecords(this._parseIds(id), attributes)
+
+      // A multi-row insert needs the same columns in every row, which records given
+      // different pivot attributes don't have, so each set of columns gets its own.
+      const groups = _.groupBy(records, (record) => _.keys(record).sort().join(','))
+
+      for (const group of _.values(groups)) {
+        await this.newPivotStatement().insert(group)
+      }
+    }
+
+    if (touch) {
+      await this.touchIfTouching()
+    }
+  }
+
+  /**
+   * Attach a model to the parent using a custom class.
+   *
+   * Every record is saved through its own pivot model, so model events fire for each of them.
+   *
+   * @param  {*}  id
+   * @param  {Object}  attributes
+   * @return {Promise<void>}
+   */
+  this._attachUsingCustomClass = async function (id, attributes) {
+    const records = this._formatAttachRecords(this._parseIds(id), attributes)
+
+    for (const record of records) {
+      await this.newPivot(record, false).save()
+    }
+  }
+
+  /**
+   * Create an array of records to insert into the pivot table.
+   *
+   * @param  {Array|Object}  ids
+   * @param  {Object}  attributes
+   * @return {Array}
+   */
+  this._formatAttachRecords = function (ids, attributes) {
+    const records = []
+
+    const hasTimestamps = (this.hasPivotColumn(this.createdAt()) ||
+      this.hasPivotColumn(this.updatedAt()))
+
+    // To create the attachment records, we will simply spin through the IDs given
+    // and create a new record to insert for each ID. Each ID may actually be a
+    // key in the array, with extra attributes to be placed in other columns.
+    _.forEach(ids, (value, key) => {
+      records.push(this._formatAttachRecord(
+        key, value, attributes, hasTimestamps
+      ))
+    })
+
+    return records
+  }
+
+  /**
+   * Create a full attachment record payload.
+   *
+   * @param  {Number|String}  key
+   * @param  {*}  value
+   * @param  {Object}  attributes
+   * @param  {Boolean}  hasTimestamps
+   * @return {Object}
+   */
+  this._formatAttachRecord = function (key, value, attributes, hasTimestamps) {
+    const [id, extra] = this._extractAttachIdAndAttributes(key, value, attributes)
+
+    return {...this._baseAttachRecord(id, hasTimestamps), ...this._castAttributes(extra)}
+  }
+
+  /**
+   * Get the attach record ID and extra attributes.
+   *
+   * @param  {Number|String}  key
+   * @param  {*}  value
+   * @param  {Object}  attributes
+   * @return {Array}
+   */
+  this._extractAttachIdAndAttributes = function (key, value, attributes) {
+    return _.isPlainObject(value)
+      ? [key, {...value, ...attributes}]
+      : [value, attributes]
+  }
+
+  /**
+   * Create a new pivot attachment record.
+   *
+   * @param  {Number|String}  id
+   * @param  {Boolean}  timed
+   * @return {Object}
+   */
+  this._baseAttachRecord = function (id, timed) {
+    let record = {
+      [this._relatedPivotKey]: id,
+      [this._foreignPivotKey]: this._parent.getAttribute(this._parentKey),
+    }
+
+    // If the record needs to have creation and update timestamps, we will make
+    // them by calling the parent model's "freshTimestamp" method which will
+    // provide us with a fresh timestamp in this model's preferred format.
+    if (timed) {
+      record = this._addTimestampsToAttachment(record)
+    }
+
+    this._pivotValues.forEach(({column, value}) => {
+      record[column] = value
+    })
+
+    return record
+  }
+
+  /**
+   * Set the creation and update timestamps on an attach record.
+   *
+   * @param  {Object}  record
+   * @param  {Boolean}  exists
+   * @return {Object}
+   */
+  this._addTimestampsToAttachment = function (record, exists = false) {
+    let fresh = this._parent.freshTimestampString()
+
+    if (this._using) {
+      const pivotModel = new this._using()
+
+      fresh = pivotModel.fromDateTime(this._parent.freshTimestamp())
+    }
+
+    record = {...record}
+
+    if (! exists && this.hasPivotColumn(this.createdAt())) {
+      record[this.createdAt()] = fresh
+    }
+
+    if (this.hasPivotColumn(this.updatedAt())) {
+      record[this.updatedAt()] = fresh
+    }
+
+    return record
+  }
+
+  /**
+   * Determine whether the given column is defined as a pivot column.
+   *
+   * @param  {String}  column
+   * @return {Boolean}
+   */
+  this.hasPivotColumn = function (column) {
+    return this._pivotColumns.includes(column)
+  }
+
+  /**
+   * Detach models from the relationship.
+   *
+   * @param  {*}  ids
+   * @param  {Boolean}  touch
+   * @return {Promise<Number>}
+   */
+  this.detach = async function (ids = null, touch = true) {
+    let results
+
+    if (this._using && ! _.isEmpty(ids) &&
+      _.isEmpty(this._pivotWheres) && _.isEmpty(this._pivotWhereIns)) {
+      results = await this._detachUsingCustomClass(ids)
+    } else {
+      const query = this._newPivotQuery()
+
+      // If associated IDs were passed to the method we will only delete those
+      // associations, otherwise all of the association ties will be broken.
+      // We'll return the numbers of affected rows when we do the deletes.
+      if (ids != null) {
+        ids = _.values(this._parseIds(ids))
+
+        if (ids.length === 0) {
+          return 0
+        }
+
+        query.whereIn(this._relatedPivotKey, ids)
+      }
+
+      // Once we have all of the conditions set on the statement, we are ready
+      // to run the delete on the pivot table. Then, if the touch parameter
+      // is true, we will go ahead and touch all related models to sync.
+      results = await query.delete()
+    }
+
+    if (touch) {
+      await this.touchIfTouching()
+    }
+
+    return results
+  }
+
+  /**
+   * Detach models from the relationship using a custom class.
+   *
+   * @param  {*}  ids
+   * @return {Promise<Number>}
+   */
+  this._detachUsingCustomClass = async function (ids) {
+    let results = 0
+
+    for (const id of _.values(this._parseIds(ids))) {
+      results += await this.newPivot({
+        [this._foreignPivotKey]: this._parent.getAttribute(this._parentKey),
+        [this._relatedPivotKey]: id,
+      }, true).delete()
+    }
+
+    return results
+  }
+
+  /**
+   * Get the pivot models that are currently attached.
+   *
+   * @return {Promise<Array<Pivot>>}
+   */
+  this._getCurrentlyAttachedPivots = async function () {
+    return (await this._newPivotQuery().get()).map((record) => {
+      return this.newExistingPivot(record)
+    })
+  }
+
+  /**
+   * Create a new pivot model instance.
+   *
+   * @param  {Object}  attributes
+   * @param  {Boolean}  exists
+   * @return {Pivot}
+   */
+  this.newPivot = function (attributes = {}, exists = false) {
+    const pivot = this._related.newPivot(
+      this._parent, attributes, this._table, exists, this._using
+    )
+
+    return pivot.setPivotKeys(this._foreignPivotKey, this._relatedPivotKey)
+  }
+
+  /**
+   * Create a new existing pivot model instance.
+   *
+   * @param  {Object}  attributes
+   * @return {Pivot}
+   */
+  this.newExistingPivot = function (attributes = {}) {
+    return this.newPivot(attributes, true)
+  }
+
+  /**
+   * Get a new plain query builder for the pivot table.
+   *
+   * @return {QueryBuilder}
+   */
+  this.newPivotStatement = function () {
+    return this._query.getQuery().newQuery().table(this._table)
+  }
+
+  /**
+   * Get a new pivot statement for a given "other" ID.
+   *
+   * @param  {*}  id
+   * @return {QueryBuilder}
+   */
+  this.newPivotStatementForId = function (id) {
+    return this._newPivotQuery().whereIn(this._relatedPivotKey, _.values(this._parseIds(id)))
+  }
+
+  /**
+   * Create a new query builder for the pivot table.
+   *
+   * @return {QueryBuilder}
+   */
+  this._newPivotQuery = function () {
+    const query = this.newPivotStatement()
+
+    this._pivotWheres.forEach((args) => {
+      query.where(...args)
+    })
+
+    this._pivotWhereIns.forEach((args) => {
+      query.whereIn(...args)
+    })
+
+    return query.where(this._foreignPivotKey, '=', this._parent.getAttribute(this._parentKey))
+  }
+
+  /**
+   * Set the columns on the pivot table to retrieve.
+   *
+   * @param  {Array|...String}  columns
+   * @return {this}
+   */
+  this.withPivot = function (columns) {
+    this._pivotColumns = [
+      ...this._pivotColumns, ...(_.isArray(columns) ? columns : [...arguments]),
+    ]
+
+    return this
+  }
+
+  /**
+   * Get all of the IDs from the given mixed value.
+   *
+   * @param  {*}  value
+   * @return {Array|Object}
+   */
+  this._parseIds = function (value) {
+    if (value instanceof Model) {
+      return [value.getAttribute(this._relatedKey)]
+    }
+
+    if (_.isArray(value)) {
+      return value.map(item => this._parseId(item))
+    }
+
+    return _.isPlainObject(value) ? value : [value]
+  }
+
+  /**
+   * Get the ID from the given mixed value.
+   *
+   * @param  {*}  value
+   * @return {*}
+   */
+  this._parseId = function (value) {
+    return value instanceof Model ? value.getAttribute(this._relatedKey) : value
+  }
+
+  /**
+   * Cast the given pivot attributes.
+   *
+   * @param  {Object}  attributes
+   * @return {Object}
+   */
+  this._castAttributes = function (attributes) {
+    return this._using
+      ? this.newPivot().fill(attributes).getAttributes()
+      : attributes
+  }
+
+  /**
+   * Cast the given keys to integers if they are numeric and string otherwise.
+   *
+   * @param  {Array}  keys
+   * @return {Array}
+   */
+  this._castKeys = function (keys) {
+    return keys.map(key => this._castKey(key))
+  }
+
+  /**
+   * Cast the given key to convert to primary key type.
+   *
+   * @param  {*}  key
+   * @return {*}
+   */
+  this._castKey = function (key) {
+    return this._getTypeSwapValue(this._related.getKeyType(), key)
+  }
+
+  /**
+   * Converts a given value to a given type value.
+   *
+   * @param  {String}  type
+   * @param  {*}  value
+   * @return {*}
+   */
+  this._getTypeSwapValue = function (type, value) {
+    switch (type.toLowerCase()) {
+      case 'int':
+      case 'integer':
+        return parseInt(value)
+      case 'real':
+      case 'float':
+      case 'double':
+        return parseFloat(value)
+      case 'string':
+        return String(value)
+      default:
+        return value
+    }
+  }
+}
+
+export { InteractsWithPivotTable }
+export default InteractsWithPivotTable
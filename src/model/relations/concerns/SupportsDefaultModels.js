@@ -0,0 +1,59 @@
+import _ from 'lodash'
+
+/**
+ * SupportsDefaultModels Trait
+ *
+ * Relations using this trait must implement _newRelatedInstanceFor(parent).
+ *
+ * @constructor
+ * @mixin
+ */
+const SupportsDefaultModels = function () {
+  /**
+   * Indicates if a default model instance should be used.
+   *
+   * Alternatively, may be a Closure or an object of attributes.
+   *
+   * @var {Function|Object|Boolean|null}
+   */
+  this._withDefault = null
+
+  /**
+   * Return a new model instance in case the relationship does not exist.
+   *
+   * @param  {Function|Object|Boolean}  callback
+   * @return {this}
+   */
+  this.withDefault = function (callback = true) {
+    this._withDefault = callback
+
+    return this
+  }
+
+  /**
+   * Get the default value for this relation.
+   *
+   * @param  {Model}  parent
+   * @return {Model|null}
+   */
+  this._getDefaultFor = function (parent) {
+    if (!this._withDefault) {
+      return null
+    }
+
+    let instance = this._newRelatedInstanceFor(parent)
+
+    if (_.isFunction(this._withDefault)) {
+      return this._withDefault(instance, parent) || instance
+    }
+
+    if (_.isPlainObject(this._withDefault)) {
+      instance.forceFill(this._withDefault)
+    }
+
+    return instance
+  }
+}
+
+export { SupportsDefaultModels }
+export default SupportsDefaultModels
@@ -0,0 +1,129 @@
+import Model from "../model/Model";
+import Collection from "../model/Collection";
+
+export default class AbstractPaginator<T extends Model = Model> {
+    /**
+     * All of the items being paginated.
+     *
+     * @var {Collection}
+     */
+    items: Collection<T>;
+    /**
+     * The number of items to be shown per page.
+     *
+     * @var {Number}
+     */
+    perPage: number;
+    /**
+     * The current page being "viewed".
+     *
+     * @var {Number}
+     */
+    currentPage: number;
+    /**
+     * The query string variable used to store the page.
+     *
+     * @var {String}
+     */
+    pageName: string;
+    /**
+     * The paginator options.
+     *
+     * @var {Object}
+     */
+    options: { [key: string]: any };
+    /**
+     * Apply the given options to the paginator.
+     *
+     * @param  {Object}  options
+     * @return void
+     */
+    _setOptions(options: { [key: string]: any }): void;
+    /**
+     * Get the current page for the request.
+     *
+     * @param  {Number|null}  currentPage
+     * @return {Number}
+     */
+    _setCurrentPage(currentPage: number | null): number;
+    /**
+     * Determine if the given value is a valid page number.
+     *
+     * @param  {Number}  page
+     * @return {Boolean}
+     */
+    _isValidPageNumber(page: number): boolean;
+    /**
+     * Wrap the given items into a collection.
+     *
+     * @param  {Array}  items
+     * @return {Collection}
+     */
+    _toCollection(items: T[]): Collection<T>;
+    /**
+     * Get the number of the previous page.
+     *
+     * @return {Number|null}
+     */
+    previousPage(): number | null;
+    /**
+     * Get the number of the next page.
+     *
+     * @return {Number|null}
+     */
+    nextPage(): number | null;
+    /**
+     * Determine if there are more items in the data source.
+     *
+     * @return {Boolean}
+     */
+    hasMorePages(): boolean;
+    /**
+     * Get the number of the first item in the slice.
+     *
+     * @return {Number|null}
+     */
+    firstItem(): number | null;
+    /**
+     * Get the number of the last item in the slice.
+     *
+     * @return {Number|null}
+     */
+    lastItem(): number | null;
+    /**
+     * Determine if the paginator is on the first page.
+     *
+     * @return {Boolean}
+     */
+    onFirstPage(): boolean;
+    /**
+     * Get the query string variable used to store the page.
+     *
+     * @return {String}
+     */
+    getPageName(): string;
+    /**
+     * Get the number of items for the current page.
+     *
+     * @return {Number}
+     */
+    count(): number;
+    /**
+     * Determine if the list of items is empty.
+     *
+     * @return {Boolean}
+     */
+    isEmpty(): boolean;
+    /**
+     * Determine if the list of items is not empty.
+     *
+     * @return {Boolean}
+     */
+    isNotEmpty(): boolean;
+    /**
+     * Get the paginator's underlying collection.
+     *
+     * @return {Collection}
+     */
+    getCollection(): Collection<T>;
+}
@@ -0,0 +1,201 @@
+import _ from 'lodash'
+import Collection from '../model/Collection'
+
+class AbstractPaginator
+{
+  /**
+   * All of the items being paginated.
+   *
+   * @var {Collection}
+   */
+  items;
+
+  /**
+   * The number of items to be shown per page.
+   *
+   * @var {Number}
+   */
+  perPage;
+
+  /**
+   * The current page being "viewed".
+   *
+   * @var {Number}
+   */
+  currentPage;
+
+  /**
+   * The query string variable used to store the page.
+   *
+   * @var {String}
+   */
+  pageName = 'page';
+
+  /**
+   * The paginator options.
+   *
+   * @var {Object}
+   */
+  options = {};
+
+  /**
+   * Apply the given options to the paginator.
+   *
+   * @param  {Object}  options
+   * @return void
+   */
+  _setOptions(options)
+  {
+    this.options = options;
+
+    _.forOwn(_.pick(options, ['pageName']), (value, key) => {
+      this[key] = value;
+    });
+  }
+
+  /**
+   * Get the current page for the request.
+   *
+   * @param  {Number|null}  currentPage
+   * @return {Number}
+   */
+  _setCurrentPage(currentPage)
+  {
+    return this._isValidPageNumber(currentPage) ? parseInt(currentPage) : 1;
+  }
+
+  /**
+   * Determine if the given value is a valid page number.
+   *
+   * @param  {Number}  page
+   * @return {Boolean}
+   */
+  _isValidPageNumber(page)
+  {
+    return page >= 1 && _.isInteger(Number(page));
+  }
+
+  /**
+   * Wrap the given items into a collection.
+   *
+   * @param  {Array}  items
+   * @return {Collection}
+   */
+  _toCollection(items)
+  {
+    return items instanceof Collection ? items : new Collection(items);
+  }
+
+  /**
+   * Get the number of the previous page.
+   *
+   * @return {Number|null}
+   */
+  previousPage()
+  {
+    return this.currentPage > 1 ? this.currentPage - 1 : null;
+  }
+
+  /**
+   * Get the number of the next page.
+   *
+   * @return {Number|null}
+   */
+  nextPage()
+  {
+    return this.hasMorePages() ? this.currentPage + 1 : null;
+  }
+
+  /**
+   * Determine if there are more items in the data source.
+   *
+   * @return {Boolean}
+   */
+  hasMorePages()
+  {
+    throw new Error('Paginators must implement hasMorePages().');
+  }
+
+  /**
+   * Get the number of the first item in the slice.
+   *
+   * @return {Number|null}
+   */
+  firstItem()
+  {
+    return this.items.length > 0 ? (this.currentPage - 1) * this.perPage + 1 : null;
+  }
+
+  /**
+   * Get the number of the last item in the slice.
+   *
+   * @return {Number|null}
+   */
+  lastItem()
+  {
+    return this.items.length > 0 ? this.firstItem() + this.count() - 1 : null;
+  }
+
+  /**
+   * Determine if the paginator is on the first page.
+   *
+   * @return {Boolean}
+   */
+  onFirstPage()
+  {
+    return this.currentPage <= 1;
+  }
+
+  /**
+   * Get the query string variable used to store the page.
+   *
+   * @return {String}
+   */
+  getPageName()
+  {
+    return this.pageName;
+  }
+
+  /**
+   * Get the number of items for the current page.
+   *
+   * @return {Number}
+   */
+  count()
+  {
+    return this.items.length;
+  }
+
+  /**
+   * Determine if the list of items is empty.
+   *
+   * @return {Boolean}
+   */
+  isEmpty()
+  {
+    return this.items.length === 0;
+  }
+
+  /**
+   * Determine if the list of items is not empty.
+   *
+   * @return {Boolean}
+   */
+  isNotEmpty()
+  {
+    return this.items.length > 0;
+  }
+
+  /**
+   * Get the paginator's underlying collection.
+   *
+   * @return {Collection}
+   */
+  getCollection()
+  {
+    return this.items;
+  }
+}
+
+export { AbstractPaginator }
+export default AbstractPaginator
@@ -0,0 +1,68 @@
+/**
+ * The position of a cursor paginator, made of the ordered column values of the
+ * item the next (or previous) page starts after.
+ */
+export default class Cursor {
+    /**
+     * Get a cursor instance from the encoded string representation.
+     *
+     * @param  {String|null}  encodedString
+     * @return {Cursor|null}
+     */
+    static fromEncoded(encodedString: string | null): Cursor | null;
+    /**
+     * The parameters associated with the cursor.
+     *
+     * @var {Object}
+     */
+    _parameters: { [column: string]: any };
+    /**
+     * Determine whether the cursor points to the next or previous set of items.
+     *
+     * @var {Boolean}
+     */
+    _pointsToNextItems: boolean;
+    /**
+     * Create a new cursor instance.
+     *
+     * @param  {Object}  parameters
+     * @param  {Boolean}  pointsToNextItems
+     * @return void
+     */
+    constructor(parameters: { [column: string]: any }, pointsToNextItems?: boolean);
+    /**
+     * Get the given parameter from the cursor.
+     *
+     * @param  {String}  parameterName
+     * @return {*}
+     *
+     * @throws Error
+     */
+    parameter(parameterName: string): any;
+    /**
+     * Determine whether the cursor points to the next set of items.
+     *
+     * @return {Boolean}
+     */
+    pointsToNextItems(): boolean;
+    /**
+     * Determine whether the cursor points to the previous set of items.
+     *
+     * @return {Boolean}
+     */
+    pointsToPreviousItems(): boolean;
+    /**
+     * Get the object representation of the cursor.
+     *
+     * @return {Object}
+     */
+    toArray(): { [key: string]: any };
+    /**
+     * Get the encoded string representation of the cursor, to keep it in app state.
+     *
+     * There is no query string to carry it, so plain JSON is enough here.
+     *
+     * @return {String}
+     */
+    encode(): string;
+}
@@ -0,0 +1,126 @@
+import _ from 'lodash'
+
+/**
+ * The position of a cursor paginator, made of the ordered column values of the
+ * item the next (or previous) page starts after.
+ */
+class Cursor
+{
+  /**
+   * The parameters associated with the cursor.
+   *
+   * @var {Object}
+   */
+  _parameters;
+
+  /**
+   * Determine whether the cursor points to the next or previous set of items.
+   *
+   * @var {Boolean}
+   */
+  _pointsToNextItems;
+
+  /**
+   * Create a new cursor instance.
+   *
+   * @param  {Object}  parameters
+   * @param  {Boolean}  pointsToNextItems
+   * @return void
+   */
+  constructor(parameters, pointsToNextItems = true)
+  {
+    this._parameters = parameters;
+    this._pointsToNextItems = pointsToNextItems;
+  }
+
+  /**
+   * Get the given parameter from the cursor.
+   *
+   * @param  {String}  parameterName
+   * @return {*}
+   *
+   * @throws Error
+   */
+  parameter(parameterName)
+  {
+    if (! (parameterName in this._parameters)) {
+      throw new Error(`Unable to find parameter [${parameterName}] in pagination item.`);
+    }
+
+    return this._parameters[parameterName];
+  }
+
+  /**
+   * Determine whether the cursor points to the next set of items.
+   *
+   * @return {Boolean}
+   */
+  pointsToNextItems()
+  {
+    return this._pointsToNextItems;
+  }
+
+  /**
+   * Determine whether the cursor points to the previous set of items.
+   *
+   * @return {Boolean}
+   */
+  pointsToPreviousItems()
+  {
+    return ! this._pointsToNextItems;
+  }
+
+  /**
+   * Get the object representation of the cursor.
+   *
+   * @return {Object}
+   */
+  toArray()
+  {
+    return {...this._parameters, _pointsToNextItems: this._pointsToNextItems};
+  }
+
+  /**
+   * Get the encoded string representation of the cursor, to keep it in app state.
+   *
+   * There is no query string to carry it, so plain JSON is enough here.
+   *
+   * @return {String}
+   */
+  encode()
+  {
+    return JSON.stringify(this.toArray());
+  }
+
+  /**
+   * Get a cursor instance from the encoded string representation.
+   *
+   * @param  {String|null}  encodedString
+   * @return {Cursor|null}
+   */
+  static fromEncoded(encodedString)
+  {
+    if (! _.isString(encodedString)) {
+      return null;
+    }
+
+    let parameters;
+
+    try {
+      parameters = JSON.parse(encodedString);
+    } catch (e) {
+      return null;
+    }
+
+    if (! _.isPlainObject(parameters)) {
+      return null;
+    }
+
+    let pointsToNextItems = parameters['_pointsToNextItems'];
+
+    return new Cursor(_.omit(parameters, '_pointsToNextItems'), pointsToNextItems !== false);
+  }
+}
+
+export { Cursor }
+export default Cursor
@@ -0,0 +1,137 @@
+import Model from "../model/Model";
+import Collection from "../model/Collection";
+import Cursor from "./Cursor";
+
+/**
+ * A keyset paginator, which pages through the results by the values of the
+ * ordered columns instead of an offset. Rows inserted while scrolling (a
+ * FlatList fed by onEndReached, for instance) do not shift the next page.
+ */
+export default class CursorPaginator<T extends Model = Model> {
+    /**
+     * All of the items being paginated.
+     *
+     * @var {Collection}
+     */
+    items: Collection<T>;
+    /**
+     * The number of items to be shown per page.
+     *
+     * @var {Number}
+     */
+    perPage: number;
+    /**
+     * The current cursor.
+     *
+     * @var {Cursor|null}
+     */
+    cursor: Cursor | null;
+    /**
+     * The cursor string variable used to store the page.
+     *
+     * @var {String}
+     */
+    cursorName: string;
+    /**
+     * The paginator options.
+     *
+     * @var {Object}
+     */
+    options: { [key: string]: any };
+    /**
+     * The ordered columns the cursor is made of.
+     *
+     * @var {Array<String>}
+     */
+    _parameters: string[];
+    /**
+     * Determine if there are more items in the data source.
+     *
+     * @var {Boolean}
+     */
+    _hasMore: boolean;
+    /**
+     * Create a new paginator instance.
+     *
+     * @param  {Array}  items
+     * @param  {Number}  perPage
+     * @param  {Cursor|null}  cursor
+     * @param  {Object}  options (cursorName, parameters)
+     * @return void
+     */
+    constructor(items: T[], perPage: number, cursor?: Cursor | null, options?: { cursorName?: string, parameters?: string[] });
+    /**
+     * Set the items for the paginator.
+     *
+     * @param  {Array}  items
+     * @return void
+     */
+    _setItems(items: T[]): void;
+    /**
+     * Get the "cursor" that points to the next set of items.
+     *
+     * @return {Cursor|null}
+     */
+    nextCursor(): Cursor | null;
+    /**
+     * Get the "cursor" that points to the previous set of items.
+     *
+     * @return {Cursor|null}
+     */
+    previousCursor(): Cursor | null;
+    /**
+     * Get a cursor instance for the given item.
+     *
+     * @param  {Model|Object}  item
+     * @param  {Boolean}  isNext
+     * @return {Cursor}
+     */
+    getCursorForItem(item: T | object, isNext?: boolean): Cursor;
+    /**
+     * Get the cursor parameters for a given object.
+     *
+     * Qualified columns are read from the item by their unqualified name.
+     *
+     * @param  {Model|Object}  item
+     * @return {Object}
+     *
+     * @throws Error
+     */
+    getParametersForItem(item: T | object): { [column: string]: any };
+    /**
+     * Determine if there are more items in the data source.
+     *
+     * @return {Boolean}
+     */
+    hasMorePages(): boolean;
+    /**
+     * Determine if the paginator is on the first page.
+     *
+     * @return {Boolean}
+     */
+    onFirstPage(): boolean;
+    /**
+     * Get the number of items for the current page.
+     *
+     * @return {Number}
+     */
+    count(): number;
+    /**
+     * Determine if the list of items is empty.
+     *
+     * @return {Boolean}
+     */
+    isEmpty(): boolean;
+    /**
+     * Determine if the list of items is not empty.
+     *
+     * @return {Boolean}
+     */
+    isNotEmpty(): boolean;
+    /**
+     * Get the paginator's underlying collection.
+     *
+     * @return {Collection}
+     */
+    getCollection(): Collection<T>;
+}
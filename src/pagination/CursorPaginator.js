@@ -0,0 +1,250 @@
+import _ from 'lodash'
+import Collection from '../model/Collection'
+import Cursor from './Cursor'
+
+/**
+ * A keyset paginator, which pages through the results by the values of the
+ * ordered columns instead of an offset. Rows inserted while scrolling (a
+ * FlatList fed by onEndReached, for instance) do not shift the next page.
+ */
+class CursorPaginator
+{
+  /**
+   * All of the items being paginated.
+   *
+   * @var {Collection}
+   */
+  items;
+
+  /**
+   * The number of items to be shown per page.
+   *
+   * @var {Number}
+   */
+  perPage;
+
+  /**
+   * The current cursor.
+   *
+   * @var {Cursor|null}
+   */
+  cursor;
+
+  /**
+   * The cursor string variable used to store the page.
+   *
+   * @var {String}
+   */
+  cursorName = 'cursor';
+
+  /**
+   * The paginator options.
+   *
+   * @var {Object}
+   */
+  options = {};
+
+  /**
+   * The ordered columns the cursor is made of.
+   *
+   * @var {Array<String>}
+   */
+  _parameters = [];
+
+  /**
+   * Determine if there are more items in the data source.
+   *
+   * @var {Boolean}
+   */
+  _hasMore = false;
+
+  /**
+   * Create a new paginator instance.
+   *
+   * @param  {Array}  items
+   * @param  {Number}  perPage
+   * @param  {Cursor|null}  cursor
+   * @param  {Object}  options (cursorName, parameters)
+   * @return void
+   */
+  constructor(items, perPage, cursor = null, options = {})
+  {
+    this.options = options;
+
+    _.forOwn(_.pick(options, ['cursorName']), (value, key) => {
+      this[key] = value;
+    });
+
+    this._parameters = options['parameters'] || [];
+
+    this.perPage = perPage;
+    this.cursor = cursor;
+
+    this._setItems(items);
+  }
+
+  /**
+   * Set the items for the paginator.
+   *
+   * @param  {Array}  items
+   * @return void
+   */
+  _setItems(items)
+  {
+    items = items instanceof Collection ? items : new Collection(items);
+
+    this._hasMore = items.length > this.perPage;
+
+    items = items.slice(0, this.perPage);
+
+    // Previous pages are queried in reverse order, so that the rows closest to the
+    // cursor come first. They are flipped back here to keep the requested order.
+    if (this.cursor != null && this.cursor.pointsToPreviousItems()) {
+      items.reverse();
+    }
+
+    this.items = items;
+  }
+
+  /**
+   * Get the "cursor" that points to the next set of items.
+   *
+   * @return {Cursor|null}
+   */
+  nextCursor()
+  {
+    if ((this.cursor == null && ! this._hasMore) ||
+      (this.cursor != null && this.cursor.pointsToNextItems() && ! this._hasMore)) {
+      return null;
+    }
+
+    if (this.items.length === 0) {
+      return null;
+    }
+
+    return this.getCursorForItem(_.last(this.items), true);
+  }
+
+  /**
+   * Get the "cursor" that points to the previous set of items.
+   *
+   * @return {Cursor|null}
+   */
+  previousCursor()
+  {
+    if (this.cursor == null ||
+      (this.cursor.pointsToPreviousItems() && ! this._hasMore)) {
+      return null;
+    }
+
+    if (this.items.length === 0) {
+      return null;
+    }
+
+    return this.getCursorForItem(_.first(this.items), false);
+  }
+
+  /**
+   * Get a cursor instance for the given item.
+   *
+   * @param  {Model|Object}  item
+   * @param  {Boolean}  isNext
+   * @return {Cursor}
+   */
+  getCursorForItem(item, isNext = true)
+  {
+    return new Cursor(this.getParametersForItem(item), isNext);
+  }
+
+  /**
+   * Get the cursor parameters for a given object.
+   *
+   * Qualified columns are read from the item by their unqualified name.
+   *
+   * @param  {Model|Object}  item
+   * @return {Object}
+   *
+   * @throws Error
+   */
+  getParametersForItem(item)
+  {
+    return _.fromPairs(this._parameters.map((parameterName) => {
+      let attribute = _.last(parameterName.split('.'));
+
+      let value = _.isFunction(item.getAttribute)
+        ? item.getAttribute(attribute)
+        : item[attribute];
+
+      if (value === undefined) {
+        throw new Error(`Unable to find parameter [${parameterName}] in pagination item.`);
+      }
+
+      return [parameterName, value];
+    }));
+  }
+
+  /**
+   * Determine if there are more items in the data source.
+   *
+   * @return {Boolean}
+   */
+  hasMorePages()
+  {
+    return (this.cursor == null && this._hasMore) ||
+      (this.cursor != null && this.cursor.pointsToNextItems() && this._hasMore) ||
+      (this.cursor != null && this.cursor.pointsToPreviousItems());
+  }
+
+  /**
+   * Determine if the paginator is on the first page.
+   *
+   * @return {Boolean}
+   */
+  onFirstPage()
+  {
+    return this.cursor == null || (this.cursor.pointsToPreviousItems() && ! this._hasMore);
+  }
+
+  /**
+   * Get the number of items for the current page.
+   *
+   * @return {Number}
+   */
+  count()
+  {
+    return this.items.length;
+  }
+
+  /**
+   * Determine if the list of items is empty.
+   *
+   * @return {Boolean}
+   */
+  isEmpty()
+  {
+    return this.items.length === 0;
+  }
+
+  /**
+   * Determine if the list of items is not empty.
+   *
+   * @return {Boolean}
+   */
+  isNotEmpty()
+  {
+    return this.items.length > 0;
+  }
+
+  /**
+   * Get the paginator's underlying collection.
+   *
+   * @return {Collection}
+   */
+  getCollection()
+  {
+    return this.items;
+  }
+}
+
+export { CursorPaginator }
+export default CursorPaginator
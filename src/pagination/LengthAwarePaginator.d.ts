@@ -0,0 +1,28 @@
+import Model from "../model/Model";
+import AbstractPaginator from "./AbstractPaginator";
+
+export default class LengthAwarePaginator<T extends Model = Model> extends AbstractPaginator<T> {
+    /**
+     * The total number of items before slicing.
+     *
+     * @var {Number}
+     */
+    total: number;
+    /**
+     * The last available page.
+     *
+     * @var {Number}
+     */
+    lastPage: number;
+    /**
+     * Create a new paginator instance.
+     *
+     * @param  {Array}  items
+     * @param  {Number}  total
+     * @param  {Number}  perPage
+     * @param  {Number|null}  currentPage
+     * @param  {Object}  options (pageName)
+     * @return void
+     */
+    constructor(items: T[], total: number, perPage: number, currentPage?: number | null, options?: { pageName?: string });
+}
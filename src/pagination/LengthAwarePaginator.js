@@ -0,0 +1,54 @@
+import AbstractPaginator from './AbstractPaginator'
+
+class LengthAwarePaginator extends AbstractPaginator
+{
+  /**
+   * The total number of items before slicing.
+   *
+   * @var {Number}
+   */
+  total;
+
+  /**
+   * The last available page.
+   *
+   * @var {Number}
+   */
+  lastPage;
+
+  /**
+   * Create a new paginator instance.
+   *
+   * @param  {Array}  items
+   * @param  {Number}  total
+   * @param  {Number}  perPage
+   * @param  {Number|null}  currentPage
+   * @param  {Object}  options (pageName)
+   * @return void
+   */
+  constructor(items, total, perPage, currentPage = null, options = {})
+  {
+    super();
+
+    this._setOptions(options);
+
+    this.total = total;
+    this.perPage = perPage;
+    this.lastPage = Math.max(Math.ceil(total / perPage), 1);
+    this.currentPage = this._setCurrentPage(currentPage);
+    this.items = this._toCollection(items);
+  }
+
+  /**
+   * Determine if there are more items in the data source.
+   *
+   * @return {Boolean}
+   */
+  hasMorePages()
+  {
+    return this.currentPage < this.lastPage;
+  }
+}
+
+export { LengthAwarePaginator }
+export default LengthAwarePaginator
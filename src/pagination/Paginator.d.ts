@@ -0,0 +1,35 @@
+import Model from "../model/Model";
+import AbstractPaginator from "./AbstractPaginator";
+
+/**
+ * A paginator that only knows whether another page follows the current one,
+ * which saves the count query a length-aware paginator has to run.
+ */
+export default class Paginator<T extends Model = Model> extends AbstractPaginator<T> {
+    /**
+     * Determine if there are more items in the data source.
+     *
+     * @var {Boolean}
+     */
+    _hasMore: boolean;
+    /**
+     * Create a new paginator instance.
+     *
+     * The items are expected to hold one more row than perPage when another
+     * page exists, which is how simplePaginate() queries them.
+     *
+     * @param  {Array}  items
+     * @param  {Number}  perPage
+     * @param  {Number|null}  currentPage
+     * @param  {Object}  options (pageName)
+     * @return void
+     */
+    constructor(items: T[], perPage: number, currentPage?: number | null, options?: { pageName?: string });
+    /**
+     * Set the items for the paginator.
+     *
+     * @param  {Array}  items
+     * @return void
+     */
+    _setItems(items: T[]): void;
+}
@@ -0,0 +1,67 @@
+import AbstractPaginator from './AbstractPaginator'
+
+/**
+ * A paginator that only knows whether another page follows the current one,
+ * which saves the count query a length-aware paginator has to run.
+ */
+class Paginator extends AbstractPaginator
+{
+  /**
+   * Determine if there are more items in the data source.
+   *
+   * @var {Boolean}
+   */
+  _hasMore = false;
+
+  /**
+   * Create a new paginator instance.
+   *
+   * The items are expected to hold one more row than perPage when another
+   * page exists, which is how simplePaginate() queries them.
+   *
+   * @param  {Array}  items
+   * @param  {Number}  perPage
+   * @param  {Number|null}  currentPage
+   * @param  {Object}  options (pageName)
+   * @return void
+   */
+  constructor(items, perPage, currentPage = null, options = {})
+  {
+    super();
+
+    this._setOptions(options);
+
+    this.perPage = perPage;
+    this.currentPage = this._setCurrentPage(currentPage);
+
+    this._setItems(items);
+  }
+
+  /**
+   * Set the items for the paginator.
+   *
+   * @param  {Array}  items
+   * @return void
+   */
+  _setItems(items)
+  {
+    items = this._toCollection(items);
+
+    this._hasMore = items.length > this.perPage;
+
+    this.items = this._toCollection(items.slice(0, this.perPage));
+  }
+
+  /**
+   * Determine if there are more items in the data source.
+   *
+   * @return {Boolean}
+   */
+  hasMorePages()
+  {
+    return this._hasMore;
+  }
+}
+
+export { Paginator }
+export default Paginator
@@ -1,5 +1,6 @@
 import BaseBuilder from "./BaseBuilder";
 import Connection from "../Connection";
+import Processor from "./processors/Processor";
 
 /**
  * @mixin
@@ -11,6 +12,27 @@ export default class Builder extends BaseBuilder {
     unionOrders: any[];
     groups: any[];
     havings: any[];
+    processor: Processor;
+
+    /**
+     * Create a new query builder instance.
+     *
+     * Without a connection the builder falls back to crane's default one, which is
+     * how sub-queries that only get compiled are created.
+     *
+     * @param  {Connection|null}  connection
+     * @param  {Grammar|null}  grammar
+     * @param  {Processor|null}  processor
+     * @return void
+     */
+    constructor(connection?: Connection | null, grammar?: any | null, processor?: Processor | null);
+
+    /**
+     * Get a new instance of the query builder on the same connection.
+     *
+     * @returns {Builder}
+     */
+    newQuery(): Builder;
 
     /**
      * Force the query to only return distinct results.
@@ -18,6 +40,55 @@ export default class Builder extends BaseBuilder {
      * @returns {Builder}
      */
     setDistinct(): Builder;
+    /**
+     * Add a "where in raw" clause for integer values to the query.
+     *
+     * @param  {String}  column
+     * @param  {Array}  values
+     * @param  {String}  boolean
+     * @param  {Boolean}  not
+     * @return {Builder}
+     */
+    whereIntegerInRaw(column: string, values: any[], boolean?: string, not?: boolean): Builder;
+    /**
+     * Add a "where not in raw" clause for integer values to the query.
+     *
+     * @param  {String}  column
+     * @param  {Array}  values
+     * @param  {String}  boolean
+     * @return {Builder}
+     */
+    whereIntegerNotInRaw(column: string, values: any[], boolean?: string): Builder;
+    /**
+     * Merge an array of where clauses and bindings.
+     *
+     * @param  {Array}  wheres
+     * @param  {Array}  bindings
+     * @return {Builder}
+     */
+    mergeWheres(wheres: any[], bindings: any[]): Builder;
+    /**
+     * Set the bindings on the query builder.
+     *
+     * @param  {Array}  bindings
+     * @param  {String}  type
+     * @return {Builder}
+     *
+     * @throws Error
+     */
+    setBindings(bindings: any[], type?: string): Builder;
+    /**
+     * Add an array of where clauses to the query.
+     *
+     * Accepts either an object of column / value pairs or an array of argument
+     * lists, which are passed to the given method one by one.
+     *
+     * @param column
+     * @param boolean
+     * @param method
+     * @returns {Builder}
+     */
+    addArrayOfWheres(column: any[] | { [column: string]: any }, boolean: string, method?: string): Builder;
     /**
      * Prepare the value and operator for a where clause.
      *
@@ -70,6 +141,141 @@ export default class Builder extends BaseBuilder {
      * @return this
      */
     addWhereExistsQuery(query: Builder, boolean?: string, not?: boolean): Builder;
+    /**
+     * Execute the given callback while selecting the given columns.
+     *
+     * After running the callback, the columns are reset to the original value.
+     *
+     * @param  {Array}  columns
+     * @param  {Function}  callback
+     * @return {Promise<*>}
+     */
+    onceWithColumns(columns: string[], callback: Function): Promise<any>;
+    /**
+     * Get an array with the values of a given column.
+     *
+     * @param  {String}  column
+     * @param  {String|null}  key
+     * @return {Promise<Array|Object>}
+     */
+    pluck(column: string, key?: string | null): Promise<any[] | object>;
+    /**
+     * Strip off the table name or alias from a column identifier.
+     *
+     * @param  {String|null}  column
+     * @return {String|null}
+     */
+    stripTableForPluck(column: string | null): string | null;
+    /**
+     * Retrieve column values from rows represented as objects.
+     *
+     * @param  {Array}  queryResult
+     * @param  {String}  column
+     * @param  {String|null}  key
+     * @return {Array|Object}
+     */
+    pluckFromObjectColumn(queryResult: any[], column: string, key: string | null): any[] | object;
+    /**
+     * Get the count of the total records for the paginator.
+     *
+     * @param  {Array}  columns
+     * @return {Promise<Number>}
+     */
+    getCountForPagination(columns?: any[]): Promise<number>;
+    /**
+     * Run a pagination count query.
+     *
+     * The clone gets its own bindings object, as crane's cloneWithoutBindings
+     * empties the bindings of the original query as well.
+     *
+     * @param  {Array}  columns
+     * @return {Promise<Array>}
+     */
+    runPaginationCountQuery(columns?: any[]): Promise<any[]>;
+    /**
+     * Determine if any rows exist for the current query.
+     *
+     * @return {Promise<Boolean>}
+     */
+    exists(): Promise<boolean>;
+    /**
+     * Execute the query as a "select" statement.
+     *
+     * @param  {Array|String}  columns
+     * @return {Promise<Array>}
+     */
+    get(columns?: any[] | string): Promise<any[]>;
+    /**
+     * Run the query as a "select" statement against the connection.
+     *
+     * @return {Promise<Array>}
+     */
+    runSelect(): Promise<any[]>;
+    /**
+     * Get an async generator for the given query.
+     *
+     * @return {AsyncGenerator}
+     */
+    cursor(): AsyncGenerator<any>;
+    /**
+     * Execute the query and get the first result.
+     *
+     * @param  {Array|String}  columns
+     * @return {Promise<Object|undefined>}
+     */
+    first(columns?: any[] | string): Promise<any>;
+    /**
+     * Insert a new record into the database.
+     *
+     * @param  {Object|Array<Object>}  values
+     * @return {Promise<Boolean>}
+     */
+    insert(values: object | object[]): Promise<boolean>;
+    /**
+     * Insert a new record into the database while ignoring errors.
+     *
+     * @param  {Object|Array<Object>}  values
+     * @return {Promise<Number>}
+     */
+    insertOrIgnore(values: object | object[]): Promise<number>;
+    /**
+     * Wrap the values of an insert into a batch, with the keys of each record sorted.
+     *
+     * Every insert gets treated like a batch insert, and the records need their keys
+     * in the same order for their bindings to line up with the insert columns.
+     *
+     * @param  {Object|Array<Object>}  values
+     * @return {Array<Object>}
+     */
+    sortInsertValues(values: object | object[]): object[];
+    /**
+     * Insert a new record and get the value of the primary key.
+     *
+     * @param  {Object}  values
+     * @param  {String|null}  sequence
+     * @return {Promise<Number>}
+     */
+    insertGetId(values: object, sequence?: string | null): Promise<number>;
+    /**
+     * Update a record in the database.
+     *
+     * @param  {Object}  values
+     * @return {Promise<Number>}
+     */
+    update(values: object): Promise<number>;
+    /**
+     * Delete a record from the database.
+     *
+     * @param  {*}  id
+     * @return {Promise<Number>}
+     */
+    delete(id?: any): Promise<number>;
+    /**
+     * Run a truncate statement on the table.
+     *
+     * @return {Promise<void>}
+     */
+    truncate(): Promise<void>;
     /**
      * Get the database connection instance.
      *
@@ -1,15 +1,30 @@
 import BaseBuilder from 'crane-query-builder/src/Builder'
-import { objectKey } from 'crane-query-builder/src/Utilities'
-import { isBoolean, isFunction, isString } from 'crane-query-builder/src/DataType'
+import { flattenArrayOfObjects, objectKey, objectVal } from 'crane-query-builder/src/Utilities'
+import { isBoolean, isFunction, isNull, isObject, isString } from 'crane-query-builder/src/DataType'
 import Expression from './Expression'
 
 /**
  * @mixin
  */
 class Builder extends BaseBuilder {
-  constructor () {
+  /**
+   * Create a new query builder instance.
+   *
+   * Without a connection the builder falls back to crane's default one, which is
+   * how sub-queries that only get compiled are created.
+   *
+   * @param  {Connection|null}  connection
+   * @param  {Grammar|null}  grammar
+   * @param  {Processor|null}  processor
+   * @return void
+   */
+  constructor (connection = null, grammar = null, processor = null) {
     super();
 
+    this.connection = connection || this.connection;
+    this.grammar = grammar || this.grammar;
+    this.processor = processor || this.connection.getPostProcessor();
+
     this.distinct = false;
     this.orders = [];
     this.unionOrders = [];
@@ -125,7 +140,7 @@ class Builder extends BaseBuilder {
    * @returns {Builder|*}
    */
   where (column, operator = null, value = null, boolean = 'and') {
-    if (Array.isArray(column)) {
+    if (Array.isArray(column) || isObject(column)) {
       return this.addArrayOfWheres(column, boolean)
     }
 
@@ -173,6 +188,96 @@ class Builder extends BaseBuilder {
     return this
   }
 
+  /**
+   * Add a "where in raw" clause for integer values to the query.
+   *
+   * @param  {String}  column
+   * @param  {Array}  values
+   * @param  {String}  boolean
+   * @param  {Boolean}  not
+   * @return {Builder}
+   */
+  whereIntegerInRaw (column, values, boolean = 'and', not = false) {
+    const type = not ? 'NotInRaw' : 'InRaw'
+
+    values = values.map(value => parseInt(value))
+
+    this.wheres = [...this.wheres, { type, column, values, boolean }]
+
+    return this
+  }
+
+  /**
+   * Add a "where not in raw" clause for integer values to the query.
+   *
+   * @param  {String}  column
+   * @param  {Array}  values
+   * @param  {String}  boolean
+   * @return {Builder}
+   */
+  whereIntegerNotInRaw (column, values, boolean = 'and') {
+    return this.whereIntegerInRaw(column, values, boolean, true)
+  }
+
+  /**
+   * Merge an array of where clauses and bindings.
+   *
+   * @param  {Array}  wheres
+   * @param  {Array}  bindings
+   * @return {Builder}
+   */
+  mergeWheres (wheres, bindings) {
+    this.wheres = [...this.wheres, ...wheres]
+
+    this.bindings.where = [...this.bindings.where, ...bindings]
+
+    return this
+  }
+
+  /**
+   * Set the bindings on the query builder.
+   *
+   * @param  {Array}  bindings
+   * @param  {String}  type
+   * @return {Builder}
+   *
+   * @throws Error
+   */
+  setBindings (bindings, type = 'where') {
+    if (!(type in this.bindings)) {
+      throw new Error(`Invalid binding type: ${type}.`)
+    }
+
+    this.bindings[type] = bindings
+
+    return this
+  }
+
+  /**
+   * Add an array of where clauses to the query.
+   *
+   * Accepts either an object of column / value pairs or an array of argument
+   * lists, which are passed to the given method one by one.
+   *
+   * @param column
+   * @param boolean
+   * @param method
+   * @returns {Builder}
+   */
+  addArrayOfWheres (column, boolean, method = 'where') {
+    return this.whereNested((query) => {
+      Object.entries(column).forEach(([key, value]) => {
+        if (Array.isArray(column) && Array.isArray(value)) {
+          query[method](...value)
+        } else {
+          query[method](key, '=', value, boolean)
+        }
+      })
+
+      return query
+    }, boolean)
+  }
+
   /**
    * Prepare the value and operator for a where clause.
    *
@@ -318,6 +423,15 @@ class Builder extends BaseBuilder {
     return builder
   }
 
+  /**
+   * Get a new instance of the query builder on the same connection.
+   *
+   * @returns {Builder}
+   */
+  newQuery () {
+    return new this.constructor(this.connection, this.grammar, this.processor)
+  }
+
   /**
    * Get a new instance of the query builder.
    *
@@ -346,6 +460,319 @@ class Builder extends BaseBuilder {
     return new Expression(value)
   }
 
+  /**
+   * Execute the given callback while selecting the given columns.
+   *
+   * After running the callback, the columns are reset to the original value.
+   *
+   * @param  {Array}  columns
+   * @param  {Function}  callback
+   * @return {Promise<*>}
+   */
+  async onceWithColumns (columns, callback) {
+    const original = this.columns
+
+    if (original == null || original.length === 0) {
+      this.columns = columns
+    }
+
+    try {
+      return await callback()
+    } finally {
+      this.columns = original
+    }
+  }
+
+  /**
+   * Get an array with the values of a given column.
+   *
+   * @param  {String}  column
+   * @param  {String|null}  key
+   * @return {Promise<Array|Object>}
+   */
+  async pluck (column, key = null) {
+    // First, we will need to select the results of the query accounting for the
+    // given columns / key. Once we have the results, we will be able to take
+    // the results and get the exact data that was requested for the query.
+    const queryResult = await this.onceWithColumns(
+      key == null ? [column] : [column, key],
+      () => this.get()
+    )
+
+    // If the columns are qualified with a table or have an alias, we cannot use
+    // those directly in the "pluck" operations since the results from the DB
+    // are only keyed by the column itself. We'll strip the table out here.
+    column = this.stripTableForPluck(column)
+    key = this.stripTableForPluck(key)
+
+    return this.pluckFromObjectColumn(queryResult || [], column, key)
+  }
+
+  /**
+   * Strip off the table name or alias from a column identifier.
+   *
+   * @param  {String|null}  column
+   * @return {String|null}
+   */
+  stripTableForPluck (column) {
+    return column == null ? column : column.split(/\.| /).pop()
+  }
+
+  /**
+   * Retrieve column values from rows represented as objects.
+   *
+   * @param  {Array}  queryResult
+   * @param  {String}  column
+   * @param  {String|null}  key
+   * @return {Array|Object}
+   */
+  pluckFromObjectColumn (queryResult, column, key) {
+    if (key == null) {
+      return queryResult.map(row => row[column])
+    }
+
+    const results = {}
+
+    queryResult.forEach((row) => {
+      results[row[key]] = row[column]
+    })
+
+    return results
+  }
+
+  /**
+   * Get the count of the total records for the paginator.
+   *
+   * @param  {Array}  columns
+   * @return {Promise<Number>}
+   */
+  async getCountForPagination (columns = ['*']) {
+    const results = await this.runPaginationCountQuery(columns)
+
+    // Once we have run the pagination count query, we will get the resulting count and
+    // take into account what type of query it was. When there is a group by we will
+    // just return the count of the entire results set since that will be correct.
+    if (this.groups && this.groups.length) {
+      return results.length
+    } else if (!results || !results[0]) {
+      return 0
+    }
+
+    return parseInt(results[0]['aggregate'])
+  }
+
+  /**
+   * Run a pagination count query.
+   *
+   * The clone gets its own bindings object, as crane's cloneWithoutBindings
+   * empties the bindings of the original query as well.
+   *
+   * @param  {Array}  columns
+   * @return {Promise<Array>}
+   */
+  runPaginationCountQuery (columns = ['*']) {
+    const query = this.cloneWithout(
+      this.unions ? ['limit', 'offset'] : ['columns', 'limit', 'offset']
+    )
+
+    query.orders = []
+    query.bindings = {
+      ...this.bindings,
+      select: this.unions ? this.bindings.select : [],
+      order: []
+    }
+
+    return query.setAggregate('count', columns).get()
+  }
+
+  /**
+   * Determine if any rows exist for the current query.
+   *
+   * @return {Promise<Boolean>}
+   */
+  async exists () {
+    const results = await this.connection.select(
+      this.grammar.compileExists(this), this.getBindings()
+    )
+
+    // If the results has rows, we will get the row and see if the exists column is a
+    // boolean true. If there is no results for this query we will return false as
+    // there are no rows for this query at all and we can return that info here.
+    if (results.length > 0) {
+      return !! results[0]['exists']
+    }
+
+    return false
+  }
+
+  /**
+   * Execute the query as a "select" statement.
+   *
+   * @param  {Array|String}  columns
+   * @return {Promise<Array>}
+   */
+  get (columns = ['*']) {
+    return this.onceWithColumns(Array.isArray(columns) ? columns : [...arguments], async () => {
+      return this.processor.processSelect(this, await this.runSelect())
+    })
+  }
+
+  /**
+   * Run the query as a "select" statement against the connection.
+   *
+   * @return {Promise<Array>}
+   */
+  runSelect () {
+    return this.connection.select(this.toSql(), this.getBindings())
+  }
+
+  /**
+   * Get an async generator for the given query.
+   *
+   * @return {AsyncGenerator}
+   */
+  async *cursor () {
+    if (this.columns == null || this.columns.length === 0) {
+      this.columns = ['*']
+    }
+
+    yield* this.connection.cursor(this.toSql(), this.getBindings())
+  }
+
+  /**
+   * Execute the query and get the first result.
+   *
+   * @param  {Array|String}  columns
+   * @return {Promise<Object|undefined>}
+   */
+  async first (columns = ['*']) {
+    return (await this.take(1).get(columns))[0]
+  }
+
+  /**
+   * Insert a new record into the database.
+   *
+   * @param  {Object|Array<Object>}  values
+   * @return {Promise<Boolean>}
+   */
+  insert (values) {
+    if (isNull(values)) {
+      return Promise.resolve(true)
+    }
+
+    values = this.sortInsertValues(values)
+
+    // Finally, we will run this query against the database connection and return
+    // the results. We will need to also flatten these bindings before running
+    // the query so they are all in one huge, flattened array for execution.
+    return this.connection.insert(
+      this.grammar.compileInsert(this, values),
+      this.cleanBindings(flattenArrayOfObjects(values))
+    )
+  }
+
+  /**
+   * Insert a new record into the database while ignoring errors.
+   *
+   * @param  {Object|Array<Object>}  values
+   * @return {Promise<Number>}
+   */
+  insertOrIgnore (values) {
+    if (isNull(values)) {
+      return Promise.resolve(0)
+    }
+
+    values = this.sortInsertValues(values)
+
+    return this.connection.affectingStatement(
+      this.grammar.compileInsertOrIgnore(this, values),
+      this.cleanBindings(flattenArrayOfObjects(values))
+    )
+  }
+
+  /**
+   * Wrap the values of an insert into a batch, with the keys of each record sorted.
+   *
+   * Every insert gets treated like a batch insert, and the records need their keys
+   * in the same order for their bindings to line up with the insert columns.
+   *
+   * @param  {Object|Array<Object>}  values
+   * @return {Array<Object>}
+   */
+  sortInsertValues (values) {
+    if (! Array.isArray(values)) {
+      return [values]
+    }
+
+    return values.map((value) => Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = value[key]
+
+      return sorted
+    }, {}))
+  }
+
+  /**
+   * Insert a new record and get the value of the primary key.
+   *
+   * @param  {Object}  values
+   * @param  {String|null}  sequence
+   * @return {Promise<Number>}
+   */
+  insertGetId (values, sequence = null) {
+    const sql = this.grammar.compileInsertGetId(this, values, sequence)
+
+    values = this.cleanBindings(Object.values(values))
+
+    return this.processor.processInsertGetId(this, sql, values, sequence)
+  }
+
+  /**
+   * Update a record in the database.
+   *
+   * @param  {Object}  values
+   * @return {Promise<Number>}
+   */
+  update (values) {
+    const sql = this.grammar.compileUpdate(this, values)
+
+    return this.connection.update(sql, this.cleanBindings(
+      this.grammar.prepareBindingsForUpdate(this.bindings, values)
+    ))
+  }
+
+  /**
+   * Delete a record from the database.
+   *
+   * @param  {*}  id
+   * @return {Promise<Number>}
+   */
+  delete (id = null) {
+    // If an ID is passed to the method, we will set the where clause to check the
+    // ID to let developers to simply and quickly remove a single row from this
+    // database without manually specifying the "where" clauses on the query.
+    if (! isNull(id)) {
+      this.where(`${this.from}.id`, '=', id)
+    }
+
+    return this.connection.delete(
+      this.grammar.compileDelete(this),
+      this.cleanBindings(this.grammar.prepareBindingsForDelete(this.bindings))
+    )
+  }
+
+  /**
+   * Run a truncate statement on the table.
+   *
+   * @return {Promise<void>}
+   */
+  async truncate () {
+    let statements = this.grammar.compileTruncate(this)
+
+    for (const statement of Array.isArray(statements) ? statements : [statements]) {
+      await this.connection.statement(objectKey(statement), objectVal(statement))
+    }
+  }
+
   /**
    * Get the database connection instance.
    *
@@ -49,6 +49,13 @@ export default class Grammar {
      * @returns {string}
      */
     compileOrders(query: any, orders: any): string;
+    /**
+     * Compile the SQL statement to release a savepoint.
+     *
+     * @param  {String}  name
+     * @return {String}
+     */
+    compileSavepointRelease(name: string): string;
     /**
      * Set the grammar's table prefix.
      *
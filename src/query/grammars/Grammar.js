@@ -91,6 +91,17 @@ class Grammar extends BaseGrammar {
     return ''
   }
 
+  /**
+   * Compile the SQL statement to release a savepoint.
+   *
+   * @param  {String}  name
+   * @return {String}
+   */
+  compileSavepointRelease(name)
+  {
+    return 'RELEASE SAVEPOINT ' + name;
+  }
+
   /**
    * Set the grammar's table prefix.
    *
@@ -57,6 +57,13 @@ export default class SQLiteGrammar {
      * @returns {string|*}
      */
     compileDelete(query: any): string | any;
+    /**
+     * Compile the SQL statement to release a savepoint.
+     *
+     * @param  {String}  name
+     * @return {String}
+     */
+    compileSavepointRelease(name: string): string;
     /**
      * Set the grammar's table prefix.
      *
@@ -104,6 +104,17 @@ class SQLiteGrammar extends BaseSQLiteGrammar {
     return super.compileDelete(query)
   }
 
+  /**
+   * Compile the SQL statement to release a savepoint.
+   *
+   * @param  {String}  name
+   * @return {String}
+   */
+  compileSavepointRelease(name)
+  {
+    return 'RELEASE SAVEPOINT ' + name;
+  }
+
   /**
    * Set the grammar's table prefix.
    *
@@ -16,9 +16,9 @@ export default class Processor {
      * @param  {String}  sql
      * @param  {Array}   values
      * @param  {String|null}  sequence
-     * @return {Number|String}
+     * @return {Promise<Number|String>}
      */
-    processInsertGetId(query: Builder, sql: string, values: any[], sequence?: string | null): number | string;
+    processInsertGetId(query: Builder, sql: string, values: any[], sequence?: string | null): Promise<number | string>;
     /**
      * Process the results of a column listing query.
      *
@@ -21,15 +21,13 @@ class Processor {
    * @param  {String}  sql
    * @param  {Array}   values
    * @param  {String|null}  sequence
-   * @return {Number|String}
+   * @return {Promise<Number|String>}
    */
-  processInsertGetId(query, sql, values, sequence = null)
+  async processInsertGetId(query, sql, values, sequence = null)
   {
-    query.getConnection().insert(sql, values);
+    let id = await query.getConnection().insertGetId(sql, values);
 
-    let id = query.getConnection().getPdo().lastInsertId(sequence);
-
-    return _.isNumber(id) ? Number(id) : id;
+    return id != null && _.isFinite(Number(id)) ? Number(id) : id;
   }
 
   /**
@@ -8,4 +8,21 @@ export default class SQLiteProcessor extends Processor {
      * @return array
      */
     processColumnListing(results: any[]): any;
+    /**
+     * Process the results of a columns query.
+     *
+     * SQLite only tells apart an auto-incrementing key by the SQL creating the table.
+     *
+     * @param  {Array}  results
+     * @param  {String}  sql
+     * @return {Array<Object>}
+     */
+    processColumns(results: any[], sql?: string): { [key: string]: any }[];
+    /**
+     * Process the results of a foreign keys query.
+     *
+     * @param  {Array}  results
+     * @return {Array<Object>}
+     */
+    processForeignKeys(results: any[]): { [key: string]: any }[];
 }
@@ -14,6 +14,56 @@ class SQLiteProcessor extends Processor {
       return result.name;
     }, results);
   }
+
+  /**
+   * Process the results of a columns query.
+   *
+   * SQLite only tells apart an auto-incrementing key by the SQL creating the table.
+   *
+   * @param  {Array}  results
+   * @param  {String}  sql
+   * @return {Array<Object>}
+   */
+  processColumns(results, sql = '')
+  {
+    let hasPrimaryKey = results.filter((result) => result.pk > 0).length === 1;
+
+    return _.map(results, (result) => {
+      let type = String(result.type).toLowerCase();
+
+      return {
+        name: result.name,
+        type,
+        nullable: ! result.notnull,
+        default: result.dflt_value,
+        primary: result.pk,
+        auto_increment: hasPrimaryKey && result.pk > 0 && type === 'integer' && /\bautoincrement\b/i.test(sql),
+      };
+    });
+  }
+
+  /**
+   * Process the results of a foreign keys query.
+   *
+   * @param  {Array}  results
+   * @return {Array<Object>}
+   */
+  processForeignKeys(results)
+  {
+    let action = (value) => value && value.toUpperCase() !== 'NO ACTION' ? value.toLowerCase() : null;
+
+    return _.map(_.groupBy(results, 'id'), (rows) => {
+      rows = _.sortBy(rows, 'seq');
+
+      return {
+        columns: rows.map((row) => row.from),
+        foreign_table: rows[0].table,
+        foreign_columns: rows.map((row) => row.to),
+        on_update: action(rows[0].on_update),
+        on_delete: action(rows[0].on_delete),
+      };
+    });
+  }
 }
 
 export { SQLiteProcessor }
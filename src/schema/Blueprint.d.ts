@@ -0,0 +1,704 @@
+import Connection from "../Connection";
+import Fluent from "./Fluent";
+import ColumnDefinition from "./ColumnDefinition";
+import ForeignKeyDefinition from "./ForeignKeyDefinition";
+import BlueprintState from "./BlueprintState";
+import Grammar from "./grammars/Grammar";
+
+export default class Blueprint {
+    /**
+     * The table the blueprint describes.
+     *
+     * @var {String}
+     */
+    _table: string;
+    /**
+     * The prefix of the table.
+     *
+     * @var {String}
+     */
+    _prefix: string;
+    /**
+     * The columns that should be added to the table.
+     *
+     * @var {Array<ColumnDefinition>}
+     */
+    _columns: ColumnDefinition[];
+    /**
+     * The commands that should be run for the table.
+     *
+     * @var {Array<Fluent>}
+     */
+    _commands: Fluent[];
+    /**
+     * Whether to make the table temporary.
+     *
+     * @var {Boolean}
+     */
+    _temporary: boolean;
+    /**
+     * The state of the table being altered, when the grammar has to rebuild it.
+     *
+     * @var {BlueprintState|null}
+     */
+    _state: BlueprintState | null;
+    /**
+     * Create a new schema blueprint.
+     *
+     * @param  {String}  table
+     * @param  {Function|null}  callback
+     * @param  {String}  prefix
+     * @return void
+     */
+    constructor(table: string, callback?: ((table: Blueprint) => void) | null, prefix?: string);
+    /**
+     * Execute the blueprint against the database.
+     *
+     * The statements rebuilding a table run inside a transaction, so the table is left
+     * as it was if one fails.
+     *
+     * @param  {Connection}  connection
+     * @param  {SchemaGrammar}  grammar
+     * @return {Promise<void>}
+     */
+    build(connection: Connection, grammar: Grammar): Promise<void>;
+    /**
+     * Determine if the blueprint has commands the grammar can only run by rebuilding the table.
+     *
+     * @param  {SchemaGrammar}  grammar
+     * @return {Boolean}
+     */
+    _hasAlterCommands(grammar: Grammar): boolean;
+    /**
+     * Load the current state of the table from the database.
+     *
+     * @param  {Connection}  connection
+     * @return {Promise<void>}
+     */
+    _loadState(connection: Connection): Promise<void>;
+    /**
+     * Run the given statements one after another.
+     *
+     * @param  {Connection}  connection
+     * @param  {Array<String>}  statements
+     * @return {Promise<void>}
+     */
+    _runStatements(connection: Connection, statements: string[]): Promise<void>;
+    /**
+     * Get the raw SQL statements for the blueprint.
+     *
+     * @param  {Connection}  connection
+     * @param  {SchemaGrammar}  grammar
+     * @return {Array<String>}
+     */
+    toSql(connection: Connection, grammar: Grammar): string[];
+    /**
+     * Ensure the commands on the blueprint are valid for the connection type.
+     *
+     * @param  {Connection}  connection
+     * @return void
+     *
+     * @throws Error
+     */
+    _ensureCommandsAreValid(connection: Connection): void;
+    /**
+     * Get all of the commands matching the given names.
+     *
+     * @param  {Array<String>}  names
+     * @return {Array<Fluent>}
+     */
+    _commandsNamed(names: string[]): Fluent[];
+    /**
+     * Add the commands that are implied by the blueprint's state.
+     *
+     * @param  {SchemaGrammar}  grammar
+     * @return void
+     */
+    _addImpliedCommands(grammar: Grammar): void;
+    /**
+     * Add an "alter" command after each run of commands the grammar rebuilds the table for.
+     *
+     * @param  {SchemaGrammar}  grammar
+     * @return void
+     */
+    _addAlterCommands(grammar: Grammar): void;
+    /**
+     * Add the index commands fluently specified on columns.
+     *
+     * @return void
+     */
+    _addFluentIndexes(): void;
+    /**
+     * Add the fluent commands specified on any columns.
+     *
+     * @param  {SchemaGrammar}  grammar
+     * @return void
+     */
+    _addFluentCommands(grammar: Grammar): void;
+    /**
+     * Determine if the blueprint has a create command.
+     *
+     * @return {Boolean}
+     */
+    creating(): boolean;
+    /**
+     * Indicate that the table needs to be created.
+     *
+     * @return {Fluent}
+     */
+    create(): Fluent;
+    /**
+     * Indicate that the table needs to be temporary.
+     *
+     * @return void
+     */
+    temporary(): void;
+    /**
+     * Determine if the table is temporary.
+     *
+     * @return {Boolean}
+     */
+    isTemporary(): boolean;
+    /**
+     * Indicate that the table should be dropped.
+     *
+     * @return {Fluent}
+     */
+    drop(): Fluent;
+    /**
+     * Indicate that the table should be dropped if it exists.
+     *
+     * @return {Fluent}
+     */
+    dropIfExists(): Fluent;
+    /**
+     * Indicate that the given columns should be dropped.
+     *
+     * @param  {Array<String>|String}  columns
+     * @return {Fluent}
+     */
+    dropColumn(columns: string[] | string): Fluent;
+    /**
+     * Indicate that the given columns should be renamed.
+     *
+     * @param  {String}  from
+     * @param  {String}  to
+     * @return {Fluent}
+     */
+    renameColumn(from: string, to: string): Fluent;
+    /**
+     * Indicate that the given primary key should be dropped.
+     *
+     * @param  {String|Array<String>|null}  index
+     * @return {Fluent}
+     */
+    dropPrimary(index?: string | string[] | null): Fluent;
+    /**
+     * Indicate that the given unique key should be dropped.
+     *
+     * @param  {String|Array<String>}  index
+     * @return {Fluent}
+     */
+    dropUnique(index: string | string[]): Fluent;
+    /**
+     * Indicate that the given index should be dropped.
+     *
+     * @param  {String|Array<String>}  index
+     * @return {Fluent}
+     */
+    dropIndex(index: string | string[]): Fluent;
+    /**
+     * Indicate that the given foreign key should be dropped.
+     *
+     * @param  {String|Array<String>}  index
+     * @return {Fluent}
+     */
+    dropForeign(index: string | string[]): Fluent;
+    /**
+     * Indicate that the given indexes should be renamed.
+     *
+     * @param  {String}  from
+     * @param  {String}  to
+     * @return {Fluent}
+     */
+    renameIndex(from: string, to: string): Fluent;
+    /**
+     * Indicate that the timestamp columns should be dropped.
+     *
+     * @return void
+     */
+    dropTimestamps(): void;
+    /**
+     * Indicate that the soft delete column should be dropped.
+     *
+     * @param  {String}  column
+     * @return void
+     */
+    dropSoftDeletes(column?: string): void;
+    /**
+     * Indicate that the remember token column should be dropped.
+     *
+     * @return void
+     */
+    dropRememberToken(): void;
+    /**
+     * Indicate that the polymorphic columns should be dropped.
+     *
+     * @param  {String}  name
+     * @param  {String|null}  indexName
+     * @return void
+     */
+    dropMorphs(name: string, indexName?: string | null): void;
+    /**
+     * Rename the table to a given name.
+     *
+     * @param  {String}  to
+     * @return {Fluent}
+     */
+    rename(to: string): Fluent;
+    /**
+     * Specify the primary key(s) for the table.
+     *
+     * @param  {String|Array<String>}  columns
+     * @param  {String|null}  name
+     * @return {Fluent}
+     */
+    primary(columns: string | string[], name?: string | null): Fluent;
+    /**
+     * Specify a unique index for the table.
+     *
+     * @param  {String|Array<String>}  columns
+     * @param  {String|null}  name
+     * @return {Fluent}
+     */
+    unique(columns: string | string[], name?: string | null): Fluent;
+    /**
+     * Specify an index for the table.
+     *
+     * @param  {String|Array<String>}  columns
+     * @param  {String|null}  name
+     * @return {Fluent}
+     */
+    index(columns: string | string[], name?: string | null): Fluent;
+    /**
+     * Specify a foreign key for the table.
+     *
+     * SQLite only takes foreign keys while creating the table.
+     *
+     * @param  {String|Array<String>}  columns
+     * @param  {String|null}  name
+     * @return {ForeignKeyDefinition}
+     */
+    foreign(columns: string | string[], name?: string | null): ForeignKeyDefinition;
+    /**
+     * Create a new auto-incrementing integer (4-byte) column on the table.
+     *
+     * @param  {String}  column
+     * @return {ColumnDefinition}
+     */
+    increments(column: string): ColumnDefinition;
+    /**
+     * Create a new auto-incrementing integer (4-byte) column on the table.
+     *
+     * @param  {String}  column
+     * @return {ColumnDefinition}
+     */
+    integerIncrements(column: string): ColumnDefinition;
+    /**
+     * Create a new auto-incrementing tiny integer (1-byte) column on the table.
+     *
+     * @param  {String}  column
+     * @return {ColumnDefinition}
+     */
+    tinyIncrements(column: string): ColumnDefinition;
+    /**
+     * Create a new auto-incrementing small integer (2-byte) column on the table.
+     *
+     * @param  {String}  column
+     * @return {ColumnDefinition}
+     */
+    smallIncrements(column: string): ColumnDefinition;
+    /**
+     * Create a new auto-incrementing medium integer (3-byte) column on the table.
+     *
+     * @param  {String}  column
+     * @return {ColumnDefinition}
+     */
+    mediumIncrements(column: string): ColumnDefinition;
+    /**
+     * Create a new auto-incrementing big integer (8-byte) column on the table.
+     *
+     * @param  {String}  column
+     * @return {ColumnDefinition}
+     */
+    bigIncrements(column: string): ColumnDefinition;
+    /**
+     * Create a new char column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Number|null}  length
+     * @return {ColumnDefinition}
+     */
+    char(column: string, length?: number | null): ColumnDefinition;
+    /**
+     * Create a new string column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Number|null}  length
+     * @return {ColumnDefinition}
+     */
+    string(column: string, length?: number | null): ColumnDefinition;
+    /**
+     * Create a new text column on the table.
+     *
+     * @param  {String}  column
+     * @return {ColumnDefinition}
+     */
+    text(column: string): ColumnDefinition;
+    /**
+     * Create a new medium text column on the table.
+     *
+     * @param  {String}  column
+     * @return {ColumnDefinition}
+     */
+    mediumText(column: string): ColumnDefinition;
+    /**
+     * Create a new long text column on the table.
+     *
+     * @param  {String}  column
+     * @return {ColumnDefinition}
+     */
+    longText(column: string): ColumnDefinition;
+    /**
+     * Create a new integer (4-byte) column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Boolean}  autoIncrement
+     * @param  {Boolean}  unsigned
+     * @return {ColumnDefinition}
+     */
+    integer(column: string, autoIncrement?: boolean, unsigned?: boolean): ColumnDefinition;
+    /**
+     * Create a new tiny integer (1-byte) column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Boolean}  autoIncrement
+     * @param  {Boolean}  unsigned
+     * @return {ColumnDefinition}
+     */
+    tinyInteger(column: string, autoIncrement?: boolean, unsigned?: boolean): ColumnDefinition;
+    /**
+     * Create a new small integer (2-byte) column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Boolean}  autoIncrement
+     * @param  {Boolean}  unsigned
+     * @return {ColumnDefinition}
+     */
+    smallInteger(column: string, autoIncrement?: boolean, unsigned?: boolean): ColumnDefinition;
+    /**
+     * Create a new medium integer (3-byte) column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Boolean}  autoIncrement
+     * @param  {Boolean}  unsigned
+     * @return {ColumnDefinition}
+     */
+    mediumInteger(column: string, autoIncrement?: boolean, unsigned?: boolean): ColumnDefinition;
+    /**
+     * Create a new big integer (8-byte) column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Boolean}  autoIncrement
+     * @param  {Boolean}  unsigned
+     * @return {ColumnDefinition}
+     */
+    bigInteger(column: string, autoIncrement?: boolean, unsigned?: boolean): ColumnDefinition;
+    /**
+     * Create a new unsigned integer (4-byte) column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Boolean}  autoIncrement
+     * @return {ColumnDefinition}
+     */
+    unsignedInteger(column: string, autoIncrement?: boolean): ColumnDefinition;
+    /**
+     * Create a new unsigned tiny integer (1-byte) column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Boolean}  autoIncrement
+     * @return {ColumnDefinition}
+     */
+    unsignedTinyInteger(column: string, autoIncrement?: boolean): ColumnDefinition;
+    /**
+     * Create a new unsigned small integer (2-byte) column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Boolean}  autoIncrement
+     * @return {ColumnDefinition}
+     */
+    unsignedSmallInteger(column: string, autoIncrement?: boolean): ColumnDefinition;
+    /**
+     * Create a new unsigned medium integer (3-byte) column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Boolean}  autoIncrement
+     * @return {ColumnDefinition}
+     */
+    unsignedMediumInteger(column: string, autoIncrement?: boolean): ColumnDefinition;
+    /**
+     * Create a new unsigned big integer (8-byte) column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Boolean}  autoIncrement
+     * @return {ColumnDefinition}
+     */
+    unsignedBigInteger(column: string, autoIncrement?: boolean): ColumnDefinition;
+    /**
+     * Create a new float column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Number}  total
+     * @param  {Number}  places
+     * @return {ColumnDefinition}
+     */
+    float(column: string, total?: number, places?: number): ColumnDefinition;
+    /**
+     * Create a new double column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Number|null}  total
+     * @param  {Number|null}  places
+     * @return {ColumnDefinition}
+     */
+    double(column: string, total?: number | null, places?: number | null): ColumnDefinition;
+    /**
+     * Create a new decimal column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Number}  total
+     * @param  {Number}  places
+     * @return {ColumnDefinition}
+     */
+    decimal(column: string, total?: number, places?: number): ColumnDefinition;
+    /**
+     * Create a new boolean column on the table.
+     *
+     * @param  {String}  column
+     * @return {ColumnDefinition}
+     */
+    boolean(column: string): ColumnDefinition;
+    /**
+     * Create a new enum column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Array<String>}  allowed
+     * @return {ColumnDefinition}
+     */
+    enum(column: string, allowed: string[]): ColumnDefinition;
+    /**
+     * Create a new json column on the table.
+     *
+     * @param  {String}  column
+     * @return {ColumnDefinition}
+     */
+    json(column: string): ColumnDefinition;
+    /**
+     * Create a new date column on the table.
+     *
+     * @param  {String}  column
+     * @return {ColumnDefinition}
+     */
+    date(column: string): ColumnDefinition;
+    /**
+     * Create a new date-time column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Number}  precision
+     * @return {ColumnDefinition}
+     */
+    dateTime(column: string, precision?: number): ColumnDefinition;
+    /**
+     * Create a new time column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Number}  precision
+     * @return {ColumnDefinition}
+     */
+    time(column: string, precision?: number): ColumnDefinition;
+    /**
+     * Create a new timestamp column on the table.
+     *
+     * @param  {String}  column
+     * @param  {Number}  precision
+     * @return {ColumnDefinition}
+     */
+    timestamp(column: string, precision?: number): ColumnDefinition;
+    /**
+     * Add nullable creation and update timestamps to the table.
+     *
+     * @param  {Number}  precision
+     * @return void
+     */
+    timestamps(precision?: number): void;
+    /**
+     * Add nullable creation and update timestamps to the table.
+     *
+     * Alias for self::timestamps().
+     *
+     * @param  {Number}  precision
+     * @return void
+     */
+    nullableTimestamps(precision?: number): void;
+    /**
+     * Add a "deleted at" timestamp for the table.
+     *
+     * @param  {String}  column
+     * @param  {Number}  precision
+     * @return {ColumnDefinition}
+     */
+    softDeletes(column?: string, precision?: number): ColumnDefinition;
+    /**
+     * Create a new year column on the table.
+     *
+     * @param  {String}  column
+     * @return {ColumnDefinition}
+     */
+    year(column: string): ColumnDefinition;
+    /**
+     * Create a new binary column on the table.
+     *
+     * @param  {String}  column
+     * @return {ColumnDefinition}
+     */
+    binary(column: string): ColumnDefinition;
+    /**
+     * Create a new uuid column on the table.
+     *
+     * @param  {String}  column
+     * @return {ColumnDefinition}
+     */
+    uuid(column: string): ColumnDefinition;
+    /**
+     * Add the proper columns for a polymorphic table.
+     *
+     * @param  {String}  name
+     * @param  {String|null}  indexName
+     * @return void
+     */
+    morphs(name: string, indexName?: string | null): void;
+    /**
+     * Add nullable columns for a polymorphic table.
+     *
+     * @param  {String}  name
+     * @param  {String|null}  indexName
+     * @return void
+     */
+    nullableMorphs(name: string, indexName?: string | null): void;
+    /**
+     * Adds the `remember_token` column to the table.
+     *
+     * @return {ColumnDefinition}
+     */
+    rememberToken(): ColumnDefinition;
+    /**
+     * Add a new index command to the blueprint.
+     *
+     * @param  {String}  type
+     * @param  {String|Array<String>}  columns
+     * @param  {String|null}  index
+     * @return {Fluent}
+     */
+    _indexCommand(type: string, columns: string | string[], index: string | null): Fluent;
+    /**
+     * Create a new drop index command on the blueprint.
+     *
+     * @param  {String}  command
+     * @param  {String}  type
+     * @param  {String|Array<String>|null}  index
+     * @return {Fluent}
+     */
+    _dropIndexCommand(command: string, type: string, index: string | string[] | null): Fluent;
+    /**
+     * Create a default index name for the table.
+     *
+     * @param  {String}  type
+     * @param  {Array<String>}  columns
+     * @return {String}
+     */
+    _createIndexName(type: string, columns: string[]): string;
+    /**
+     * Add a new column to the blueprint.
+     *
+     * @param  {String}  type
+     * @param  {String}  name
+     * @param  {Object}  parameters
+     * @return {ColumnDefinition}
+     */
+    _addColumn(type: string, name: string, parameters?: { [key: string]: any }): ColumnDefinition;
+    /**
+     * Remove a column from the schema blueprint.
+     *
+     * @param  {String}  name
+     * @return {Blueprint}
+     */
+    removeColumn(name: string): Blueprint;
+    /**
+     * Add a new command to the blueprint.
+     *
+     * @param  {String}  name
+     * @param  {Object}  parameters
+     * @return {Fluent}
+     */
+    _addCommand(name: string, parameters?: { [key: string]: any }): Fluent;
+    /**
+     * Create a new Fluent command.
+     *
+     * @param  {String}  name
+     * @param  {Object}  parameters
+     * @return {Fluent}
+     */
+    _createCommand(name: string, parameters?: { [key: string]: any }): Fluent;
+    /**
+     * Get the default length of string columns.
+     *
+     * @return {Number}
+     */
+    _defaultStringLength(): number;
+    /**
+     * Get the table the blueprint describes.
+     *
+     * @return {String}
+     */
+    getTable(): string;
+    /**
+     * Get the columns on the blueprint.
+     *
+     * @return {Array<ColumnDefinition>}
+     */
+    getColumns(): ColumnDefinition[];
+    /**
+     * Get the commands on the blueprint.
+     *
+     * @return {Array<Fluent>}
+     */
+    getCommands(): Fluent[];
+    /**
+     * Get the state of the table being altered.
+     *
+     * @return {BlueprintState|null}
+     */
+    getState(): BlueprintState | null;
+    /**
+     * Get the columns on the blueprint that should be added.
+     *
+     * @return {Array<ColumnDefinition>}
+     */
+    getAddedColumns(): ColumnDefinition[];
+    /**
+     * Get the columns on the blueprint that should be changed.
+     *
+     * @return {Array<ColumnDefinition>}
+     */
+    getChangedColumns(): ColumnDefinition[];
+}
@@ -0,0 +1,1256 @@
+import _ from 'lodash'
+import Fluent from './Fluent'
+import ColumnDefinition from './ColumnDefinition'
+import ForeignKeyDefinition from './ForeignKeyDefinition'
+import BlueprintState from './BlueprintState'
+import Builder from './Builder'
+
+class Blueprint
+{
+  /**
+   * The table the blueprint describes.
+   *
+   * @var {String}
+   */
+  _table;
+
+  /**
+   * The prefix of the table.
+   *
+   * @var {String}
+   */
+  _prefix;
+
+  /**
+   * The columns that should be added to the table.
+   *
+   * @var {Array<ColumnDefinition>}
+   */
+  _columns = [];
+
+  /**
+   * The commands that should be run for the table.
+   *
+   * @var {Array<Fluent>}
+   */
+  _commands = [];
+
+  /**
+   * Whether to make the table temporary.
+   *
+   * @var {Boolean}
+   */
+  _temporary = false;
+
+  /**
+   * The state of the table being altered, when the grammar has to rebuild it.
+   *
+   * @var {BlueprintState|null}
+   */
+  _state = null;
+
+  /**
+   * Create a new schema blueprint.
+   *
+   * @param  {String}  table
+   * @param  {Function|null}  callback
+   * @param  {String}  prefix
+   * @return void
+   */
+  constructor(table, callback = null, prefix = '')
+  {
+    this._table = table;
+    this._prefix = prefix;
+
+    if (callback != null) {
+      callback(this);
+    }
+  }
+
+  /**
+   * Execute the blueprint against the database.
+   *
+   * The statements rebuilding a table run inside a transaction, so the table is left
+   * as it was if one fails.
+   *
+   * @param  {Connection}  connection
+   * @param  {SchemaGrammar}  grammar
+   * @return {Promise<void>}
+   */
+  async build(connection, grammar)
+  {
+    if (! this.creating() && this._hasAlterCommands(grammar)) {
+      await this._loadState(connection);
+    }
+
+    let statements = this.toSql(connection, grammar);
+
+    if (this._state == null) {
+      return this._runStatements(connection, statements);
+    }
+
+    // Foreign keys are off meanwhile, or dropping the old table would delete the rows
+    // referencing it. They can't be turned off within the transaction itself, so the
+    // rows are checked against them before it is committed instead.
+    await connection.getSchemaBuilder().withoutForeignKeyConstraints(() => {
+      return connection.transaction(async (connection) => {
+        await this._runStatements(connection, statements);
+
+        if (this._state.foreignKeyConstraintsEnabled()) {
+          await connection.getSchemaBuilder().checkForeignKeyConstraints();
+        }
+      });
+    });
+  }
+
+  /**
+   * Run the given statements one after another.
+   *
+   * @param  {Connection}  connection
+   * @param  {Array<String>}  statements
+   * @return {Promise<void>}
+   */
+  async _runStatements(connection, statements)
+  {
+    for (let statement of statements) {
+      await connection.statement(statement);
+    }
+  }
+
+  /**
+   * Determine if the blueprint has commands the grammar can only run by rebuilding the table.
+   *
+   * @param  {SchemaGrammar}  grammar
+   * @return {Boolean}
+   */
+  _hasAlterCommands(grammar)
+  {
+    return this.getChangedColumns().length > 0 ||
+      this._commandsNamed(grammar.getAlterCommands()).length > 0;
+  }
+
+  /**
+   * Load the current state of the table from the database.
+   *
+   * @param  {Connection}  connection
+   * @return {Promise<void>}
+   */
+  async _loadState(connection)
+  {
+    let schema = connection.getSchemaBuilder();
+
+    this._state = new BlueprintState(this, {
+      columns: await schema.getColumns(this._table),
+      indexes: await schema.getIndexes(this._table),
+      foreignKeys: await schema.getForeignKeys(this._table),
+      triggers: await schema.getTriggers(this._table),
+      foreignKeyConstraints: !! (await schema.pragma('foreign_keys')),
+    });
+  }
+
+  /**
+   * Get the raw SQL statements for the blueprint.
+   *
+   * @param  {Connection}  connection
+   * @param  {SchemaGrammar}  grammar
+   * @return {Array<String>}
+   */
+  toSql(connection, grammar)
+  {
+    this._addImpliedCommands(grammar);
+
+    let statements = [];
+
+    // Each type of command has a corresponding compiler function on the schema
+    // grammar which is used to build the necessary SQL statements to build
+    // the blueprint element, so we'll just call that compilers function.
+    this._ensureCommandsAreValid(connection);
+
+    this._commands.forEach((command) => {
+      let method = 'compile' + _.upperFirst(command.get('name'));
+
+      if (_.isFunction(grammar[method])) {
+        let sql = grammar[method](this, command, connection);
+
+        if (sql != null) {
+          statements = statements.concat(sql);
+        }
+
+        if (this._state != null) {
+          this._state.update(command);
+        }
+      }
+    });
+
+    return statements;
+  }
+
+  /**
+   * Ensure the commands on the blueprint are valid for the connection type.
+   *
+   * @param  {Connection}  connection
+   * @return void
+   *
+   * @throws Error
+   */
+  _ensureCommandsAreValid(connection)
+  {
+    if (this._commandsNamed(['dropForeign']).length > 0) {
+      throw new Error("SQLite doesn't support dropping foreign keys (you would need to re-create the table).");
+    }
+  }
+
+  /**
+   * Get all of the commands matching the given names.
+   *
+   * @param  {Array<String>}  names
+   * @return {Array<Fluent>}
+   */
+  _commandsNamed(names)
+  {
+    return this._commands.filter((command) => names.includes(command.get('name')));
+  }
+
+  /**
+   * Add the commands that are implied by the blueprint's state.
+   *
+   * @param  {SchemaGrammar}  grammar
+   * @return void
+   */
+  _addImpliedCommands(grammar)
+  {
+    if (this.getAddedColumns().length > 0 && ! this.creating()) {
+      this._commands.unshift(this._createCommand('add'));
+    }
+
+    if (this.getChangedColumns().length > 0 && ! this.creating()) {
+      this._commands.unshift(this._createCommand('change'));
+    }
+
+    this._addFluentIndexes();
+
+    this._addFluentCommands(grammar);
+
+    if (! this.creating()) {
+      this._addAlterCommands(grammar);
+    }
+  }
+
+  /**
+   * Add an "alter" command after each run of commands the grammar rebuilds the table for.
+   *
+   * @param  {SchemaGrammar}  grammar
+   * @return void
+   */
+  _addAlterCommands(grammar)
+  {
+    let alterCommands = grammar.getAlterCommands();
+
+    let commands = [];
+    let lastCommandWasAlter = false;
+
+    this._commands.forEach((command) => {
+      if (alterCommands.includes(command.get('name'))) {
+        lastCommandWasAlter = true;
+      } else if (lastCommandWasAlter) {
+        commands.push(this._createCommand('alter'));
+
+        lastCommandWasAlter = false;
+      }
+
+      commands.push(command);
+    });
+
+    if (lastCommandWasAlter) {
+      commands.push(this._createCommand('alter'));
+    }
+
+    this._commands = commands;
+  }
+
+  /**
+   * Add the index commands fluently specified on columns.
+   *
+   * @return void
+   */
+  _addFluentIndexes()
+  {
+    this._columns.forEach((column) => {
+      for (let index of ['primary', 'unique', 'index']) {
+        let value = column.get(index);
+
+        // If the index has been specified on the given column, but is simply equal
+        // to "true" (boolean), no name has been specified for this index so the
+        // index method can be called without a name and it will generate one.
+        if (value === true) {
+          this[index](column.get('name'));
+
+          column.set(index, false);
+
+          break;
+        }
+
+        // If the index has been specified on the given column, and it has a string
+        // value, we'll go ahead and call the index method and pass the name for
+        // the index since the developer specified the explicit name for this.
+        if (value) {
+          this[index](column.get('name'), value);
+
+          column.set(index, false);
+
+          break;
+        }
+      }
+    });
+  }
+
+  /**
+   * Add the fluent commands specified on any columns.
+   *
+   * @param  {SchemaGrammar}  grammar
+   * @return void
+   */
+  _addFluentCommands(grammar)
+  {
+    this._columns.forEach((column) => {
+      grammar.getFluentCommands().forEach((commandName) => {
+        let attributeName = _.lowerFirst(commandName);
+
+        if (column.get(attributeName) == null) {
+          return;
+        }
+
+        let value = column.get(attributeName);
+
+        this._addCommand(commandName, {value, column});
+      });
+    });
+  }
+
+  /**
+   * Determine if the blueprint has a create command.
+   *
+   * @return {Boolean}
+   */
+  creating()
+  {
+    return this._commands.some((command) => command.get('name') === 'create');
+  }
+
+  /**
+   * Indicate that the table needs to be created.
+   *
+   * @return {Fluent}
+   */
+  create()
+  {
+    return this._addCommand('create');
+  }
+
+  /**
+   * Indicate that the table needs to be temporary.
+   *
+   * @return void
+   */
+  temporary()
+  {
+    this._temporary = true;
+  }
+
+  /**
+   * Determine if the table is temporary.
+   *
+   * @return {Boolean}
+   */
+  isTemporary()
+  {
+    return this._temporary;
+  }
+
+  /**
+   * Indicate that the table should be dropped.
+   *
+   * @return {Fluent}
+   */
+  drop()
+  {
+    return this._addCommand('drop');
+  }
+
+  /**
+   * Indicate that the table should be dropped if it exists.
+   *
+   * @return {Fluent}
+   */
+  dropIfExists()
+  {
+    return this._addCommand('dropIfExists');
+  }
+
+  /**
+   * Indicate that the given columns should be dropped.
+   *
+   * @param  {Array<String>|String}  columns
+   * @return {Fluent}
+   */
+  dropColumn(columns)
+  {
+    columns = _.isArray(columns) ? columns : [...arguments];
+
+    return this._addCommand('dropColumn', {columns});
+  }
+
+  /**
+   * Indicate that the given columns should be renamed.
+   *
+   * @param  {String}  from
+   * @param  {String}  to
+   * @return {Fluent}
+   */
+  renameColumn(from, to)
+  {
+    return this._addCommand('renameColumn', {from, to});
+  }
+
+  /**
+   * Indicate that the given primary key should be dropped.
+   *
+   * @param  {String|Array<String>|null}  index
+   * @return {Fluent}
+   */
+  dropPrimary(index = null)
+  {
+    return this._dropIndexCommand('dropPrimary', 'primary', index);
+  }
+
+  /**
+   * Indicate that the given unique key should be dropped.
+   *
+   * @param  {String|Array<String>}  index
+   * @return {Fluent}
+   */
+  dropUnique(index)
+  {
+    return this._dropIndexCommand('dropUnique', 'unique', index);
+  }
+
+  /**
+   * Indicate that the given index should be dropped.
+   *
+   * @param  {String|Array<String>}  index
+   * @return {Fluent}
+   */
+  dropIndex(index)
+  {
+    return this._dropIndexCommand('dropIndex', 'index', index);
+  }
+
+  /**
+   * Indicate that the given foreign key should be dropped.
+   *
+   * @param  {String|Array<String>}  index
+   * @return {Fluent}
+   */
+  dropForeign(index)
+  {
+    return this._dropIndexCommand('dropForeign', 'foreign', index);
+  }
+
+  /**
+   * Indicate that the given indexes should be renamed.
+   *
+   * @param  {String}  from
+   * @param  {String}  to
+   * @return {Fluent}
+   */
+  renameIndex(from, to)
+  {
+    return this._addCommand('renameIndex', {from, to});
+  }
+
+  /**
+   * Indicate that the timestamp columns should be dropped.
+   *
+   * @return void
+   */
+  dropTimestamps()
+  {
+    this.dropColumn('created_at', 'updated_at');
+  }
+
+  /**
+   * Indicate that the soft delete column should be dropped.
+   *
+   * @param  {String}  column
+   * @return void
+   */
+  dropSoftDeletes(column = 'deleted_at')
+  {
+    this.dropColumn(column);
+  }
+
+  /**
+   * Indicate that the remember token column should be dropped.
+   *
+   * @return void
+   */
+  dropRememberToken()
+  {
+    this.dropColumn('remember_token');
+  }
+
+  /**
+   * Indicate that the polymorphic columns should be dropped.
+   *
+   * @param  {String}  name
+   * @param  {String|null}  indexName
+   * @return void
+   */
+  dropMorphs(name, indexName = null)
+  {
+    this.dropIndex(indexName || this._createIndexName('index', [`${name}_type`, `${name}_id`]));
+
+    this.dropColumn(`${name}_type`, `${name}_id`);
+  }
+
+  /**
+   * Rename the table to a given name.
+   *
+   * @param  {String}  to
+   * @return {Fluent}
+   */
+  rename(to)
+  {
+    return this._addCommand('rename', {to});
+  }
+
+  /**
+   * Specify the primary key(s) for the table.
+   *
+   * @param  {String|Array<String>}  columns
+   * @param  {String|null}  name
+   * @return {Fluent}
+   */
+  primary(columns, name = null)
+  {
+    return this._indexCommand('primary', columns, name);
+  }
+
+  /**
+   * Specify a unique index for the table.
+   *
+   * @param  {String|Array<String>}  columns
+   * @param  {String|null}  name
+   * @return {Fluent}
+   */
+  unique(columns, name = null)
+  {
+    return this._indexCommand('unique', columns, name);
+  }
+
+  /**
+   * Specify an index for the table.
+   *
+   * @param  {String|Array<String>}  columns
+   * @param  {String|null}  name
+   * @return {Fluent}
+   */
+  index(columns, name = null)
+  {
+    return this._indexCommand('index', columns, name);
+  }
+
+  /**
+   * Specify a foreign key for the table.
+   *
+   * SQLite only takes foreign keys while creating the table.
+   *
+   * @param  {String|Array<String>}  columns
+   * @param  {String|null}  name
+   * @return {ForeignKeyDefinition}
+   */
+  foreign(columns, name = null)
+  {
+    columns = _.castArray(columns);
+
+    let command = new ForeignKeyDefinition({
+      name: 'foreign',
+      index: name || this._createIndexName('foreign', columns),
+      columns,
+    });
+
+    this._commands.push(command);
+
+    return command;
+  }
+
+  /**
+   * Create a new auto-incrementing integer (4-byte) column on the table.
+   *
+   * @param  {String}  column
+   * @return {ColumnDefinition}
+   */
+  increments(column)
+  {
+    return this.unsignedInteger(column, true);
+  }
+
+  /**
+   * Create a new auto-incrementing integer (4-byte) column on the table.
+   *
+   * @param  {String}  column
+   * @return {ColumnDefinition}
+   */
+  integerIncrements(column)
+  {
+    return this.unsignedInteger(column, true);
+  }
+
+  /**
+   * Create a new auto-incrementing tiny integer (1-byte) column on the table.
+   *
+   * @param  {String}  column
+   * @return {ColumnDefinition}
+   */
+  tinyIncrements(column)
+  {
+    return this.unsignedTinyInteger(column, true);
+  }
+
+  /**
+   * Create a new auto-incrementing small integer (2-byte) column on the table.
+   *
+   * @param  {String}  column
+   * @return {ColumnDefinition}
+   */
+  smallIncrements(column)
+  {
+    return this.unsignedSmallInteger(column, true);
+  }
+
+  /**
+   * Create a new auto-incrementing medium integer (3-byte) column on the table.
+   *
+   * @param  {String}  column
+   * @return {ColumnDefinition}
+   */
+  mediumIncrements(column)
+  {
+    return this.unsignedMediumInteger(column, true);
+  }
+
+  /**
+   * Create a new auto-incrementing big integer (8-byte) column on the table.
+   *
+   * @param  {String}  column
+   * @return {ColumnDefinition}
+   */
+  bigIncrements(column)
+  {
+    return this.unsignedBigInteger(column, true);
+  }
+
+  /**
+   * Create a new char column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Number|null}  length
+   * @return {ColumnDefinition}
+   */
+  char(column, length = null)
+  {
+    return this._addColumn('char', column, {length: length || this._defaultStringLength()});
+  }
+
+  /**
+   * Create a new string column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Number|null}  length
+   * @return {ColumnDefinition}
+   */
+  string(column, length = null)
+  {
+    return this._addColumn('string', column, {length: length || this._defaultStringLength()});
+  }
+
+  /**
+   * Create a new text column on the table.
+   *
+   * @param  {String}  column
+   * @return {ColumnDefinition}
+   */
+  text(column)
+  {
+    return this._addColumn('text', column);
+  }
+
+  /**
+   * Create a new medium text column on the table.
+   *
+   * @param  {String}  column
+   * @return {ColumnDefinition}
+   */
+  mediumText(column)
+  {
+    return this._addColumn('mediumText', column);
+  }
+
+  /**
+   * Create a new long text column on the table.
+   *
+   * @param  {String}  column
+   * @return {ColumnDefinition}
+   */
+  longText(column)
+  {
+    return this._addColumn('longText', column);
+  }
+
+  /**
+   * Create a new integer (4-byte) column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Boolean}  autoIncrement
+   * @param  {Boolean}  unsigned
+   * @return {ColumnDefinition}
+   */
+  integer(column, autoIncrement = false, unsigned = false)
+  {
+    return this._addColumn('integer', column, {autoIncrement, unsigned});
+  }
+
+  /**
+   * Create a new tiny integer (1-byte) column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Boolean}  autoIncrement
+   * @param  {Boolean}  unsigned
+   * @return {ColumnDefinition}
+   */
+  tinyInteger(column, autoIncrement = false, unsigned = false)
+  {
+    return this._addColumn('tinyInteger', column, {autoIncrement, unsigned});
+  }
+
+  /**
+   * Create a new small integer (2-byte) column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Boolean}  autoIncrement
+   * @param  {Boolean}  unsigned
+   * @return {ColumnDefinition}
+   */
+  smallInteger(column, autoIncrement = false, unsigned = false)
+  {
+    return this._addColumn('smallInteger', column, {autoIncrement, unsigned});
+  }
+
+  /**
+   * Create a new medium integer (3-byte) column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Boolean}  autoIncrement
+   * @param  {Boolean}  unsigned
+   * @return {ColumnDefinition}
+   */
+  mediumInteger(column, autoIncrement = false, unsigned = false)
+  {
+    return this._addColumn('mediumInteger', column, {autoIncrement, unsigned});
+  }
+
+  /**
+   * Create a new big integer (8-byte) column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Boolean}  autoIncrement
+   * @param  {Boolean}  unsigned
+   * @return {ColumnDefinition}
+   */
+  bigInteger(column, autoIncrement = false, unsigned = false)
+  {
+    return this._addColumn('bigInteger', column, {autoIncrement, unsigned});
+  }
+
+  /**
+   * Create a new unsigned integer (4-byte) column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Boolean}  autoIncrement
+   * @return {ColumnDefinition}
+   */
+  unsignedInteger(column, autoIncrement = false)
+  {
+    return this.integer(column, autoIncrement, true);
+  }
+
+  /**
+   * Create a new unsigned tiny integer (1-byte) column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Boolean}  autoIncrement
+   * @return {ColumnDefinition}
+   */
+  unsignedTinyInteger(column, autoIncrement = false)
+  {
+    return this.tinyInteger(column, autoIncrement, true);
+  }
+
+  /**
+   * Create a new unsigned small integer (2-byte) column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Boolean}  autoIncrement
+   * @return {ColumnDefinition}
+   */
+  unsignedSmallInteger(column, autoIncrement = false)
+  {
+    return this.smallInteger(column, autoIncrement, true);
+  }
+
+  /**
+   * Create a new unsigned medium integer (3-byte) column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Boolean}  autoIncrement
+   * @return {ColumnDefinition}
+   */
+  unsignedMediumInteger(column, autoIncrement = false)
+  {
+    return this.mediumInteger(column, autoIncrement, true);
+  }
+
+  /**
+   * Create a new unsigned big integer (8-byte) column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Boolean}  autoIncrement
+   * @return {ColumnDefinition}
+   */
+  unsignedBigInteger(column, autoIncrement = false)
+  {
+    return this.bigInteger(column, autoIncrement, true);
+  }
+
+  /**
+   * Create a new float column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Number}  total
+   * @param  {Number}  places
+   * @return {ColumnDefinition}
+   */
+  float(column, total = 8, places = 2)
+  {
+    return this._addColumn('float', column, {total, places});
+  }
+
+  /**
+   * Create a new double column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Number|null}  total
+   * @param  {Number|null}  places
+   * @return {ColumnDefinition}
+   */
+  double(column, total = null, places = null)
+  {
+    return this._addColumn('double', column, {total, places});
+  }
+
+  /**
+   * Create a new decimal column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Number}  total
+   * @param  {Number}  places
+   * @return {ColumnDefinition}
+   */
+  decimal(column, total = 8, places = 2)
+  {
+    return this._addColumn('decimal', column, {total, places});
+  }
+
+  /**
+   * Create a new boolean column on the table.
+   *
+   * @param  {String}  column
+   * @return {ColumnDefinition}
+   */
+  boolean(column)
+  {
+    return this._addColumn('boolean', column);
+  }
+
+  /**
+   * Create a new enum column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Array<String>}  allowed
+   * @return {ColumnDefinition}
+   */
+  enum(column, allowed)
+  {
+    return this._addColumn('enum', column, {allowed});
+  }
+
+  /**
+   * Create a new json column on the table.
+   *
+   * @param  {String}  column
+   * @return {ColumnDefinition}
+   */
+  json(column)
+  {
+    return this._addColumn('json', column);
+  }
+
+  /**
+   * Create a new date column on the table.
+   *
+   * @param  {String}  column
+   * @return {ColumnDefinition}
+   */
+  date(column)
+  {
+    return this._addColumn('date', column);
+  }
+
+  /**
+   * Create a new date-time column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Number}  precision
+   * @return {ColumnDefinition}
+   */
+  dateTime(column, precision = 0)
+  {
+    return this._addColumn('dateTime', column, {precision});
+  }
+
+  /**
+   * Create a new time column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Number}  precision
+   * @return {ColumnDefinition}
+   */
+  time(column, precision = 0)
+  {
+    return this._addColumn('time', column, {precision});
+  }
+
+  /**
+   * Create a new timestamp column on the table.
+   *
+   * @param  {String}  column
+   * @param  {Number}  precision
+   * @return {ColumnDefinition}
+   */
+  timestamp(column, precision = 0)
+  {
+    return this._addColumn('timestamp', column, {precision});
+  }
+
+  /**
+   * Add nullable creation and update timestamps to the table.
+   *
+   * @param  {Number}  precision
+   * @return void
+   */
+  timestamps(precision = 0)
+  {
+    this.timestamp('created_at', precision).nullable();
+
+    this.timestamp('updated_at', precision).nullable();
+  }
+
+  /**
+   * Add nullable creation and update timestamps to the table.
+   *
+   * Alias for self::timestamps().
+   *
+   * @param  {Number}  precision
+   * @return void
+   */
+  nullableTimestamps(precision = 0)
+  {
+    this.timestamps(precision);
+  }
+
+  /**
+   * Add a "deleted at" timestamp for the table.
+   *
+   * @param  {String}  column
+   * @param  {Number}  precision
+   * @return {ColumnDefinition}
+   */
+  softDeletes(column = 'deleted_at', precision = 0)
+  {
+    return this.timestamp(column, precision).nullable();
+  }
+
+  /**
+   * Create a new year column on the table.
+   *
+   * @param  {String}  column
+   * @return {ColumnDefinition}
+   */
+  year(column)
+  {
+    return this._addColumn('year', column);
+  }
+
+  /**
+   * Create a new binary column on the table.
+   *
+   * @param  {String}  column
+   * @return {ColumnDefinition}
+   */
+  binary(column)
+  {
+    return this._addColumn('binary', column);
+  }
+
+  /**
+   * Create a new uuid column on the table.
+   *
+   * @param  {String}  column
+   * @return {ColumnDefinition}
+   */
+  uuid(column)
+  {
+    return this._addColumn('uuid', column);
+  }
+
+  /**
+   * Add the proper columns for a polymorphic table.
+   *
+   * @param  {String}  name
+   * @param  {String|null}  indexName
+   * @return void
+   */
+  morphs(name, indexName = null)
+  {
+    this.string(`${name}_type`);
+
+    this.unsignedBigInteger(`${name}_id`);
+
+    this.index([`${name}_type`, `${name}_id`], indexName);
+  }
+
+  /**
+   * Add nullable columns for a polymorphic table.
+   *
+   * @param  {String}  name
+   * @param  {String|null}  indexName
+   * @return void
+   */
+  nullableMorphs(name, indexName = null)
+  {
+    this.string(`${name}_type`).nullable();
+
+    this.unsignedBigInteger(`${name}_id`).nullable();
+
+    this.index([`${name}_type`, `${name}_id`], indexName);
+  }
+
+  /**
+   * Adds the `remember_token` column to the table.
+   *
+   * @return {ColumnDefinition}
+   */
+  rememberToken()
+  {
+    return this.string('remember_token', 100).nullable();
+  }
+
+  /**
+   * Add a new index command to the blueprint.
+   *
+   * @param  {String}  type
+   * @param  {String|Array<String>}  columns
+   * @param  {String|null}  index
+   * @return {Fluent}
+   */
+  _indexCommand(type, columns, index)
+  {
+    columns = _.castArray(columns);
+
+    // If no name was specified for this index, we will create one using a basic
+    // convention of the table name, followed by the columns, followed by an
+    // index type, such as primary or index, which makes the index unique.
+    index = index || this._createIndexName(type, columns);
+
+    return this._addCommand(type, {index, columns});
+  }
+
+  /**
+   * Create a new drop index command on the blueprint.
+   *
+   * @param  {String}  command
+   * @param  {String}  type
+   * @param  {String|Array<String>|null}  index
+   * @return {Fluent}
+   */
+  _dropIndexCommand(command, type, index)
+  {
+    let columns = [];
+
+    // If the given "index" is actually an array of columns, the developer means
+    // to drop an index merely by specifying the columns involved without the
+    // conventional name, so we will build the index name from the columns.
+    if (_.isArray(index)) {
+      columns = index;
+
+      index = this._createIndexName(type, columns);
+    }
+
+    return this._indexCommand(command, columns, index);
+  }
+
+  /**
+   * Create a default index name for the table.
+   *
+   * @param  {String}  type
+   * @param  {Array<String>}  columns
+   * @return {String}
+   */
+  _createIndexName(type, columns)
+  {
+    let index = (this._prefix + this._table + '_' + columns.join('_') + '_' + type).toLowerCase();
+
+    return index.replace(/[-.]/g, '_');
+  }
+
+  /**
+   * Add a new column to the blueprint.
+   *
+   * @param  {String}  type
+   * @param  {String}  name
+   * @param  {Object}  parameters
+   * @return {ColumnDefinition}
+   */
+  _addColumn(type, name, parameters = {})
+  {
+    let column = new ColumnDefinition({type, name, ...parameters});
+
+    this._columns.push(column);
+
+    return column;
+  }
+
+  /**
+   * Remove a column from the schema blueprint.
+   *
+   * @param  {String}  name
+   * @return {Blueprint}
+   */
+  removeColumn(name)
+  {
+    this._columns = this._columns.filter((column) => column.get('name') !== name);
+
+    return this;
+  }
+
+  /**
+   * Add a new command to the blueprint.
+   *
+   * @param  {String}  name
+   * @param  {Object}  parameters
+   * @return {Fluent}
+   */
+  _addCommand(name, parameters = {})
+  {
+    let command = this._createCommand(name, parameters);
+
+    this._commands.push(command);
+
+    return command;
+  }
+
+  /**
+   * Create a new Fluent command.
+   *
+   * @param  {String}  name
+   * @param  {Object}  parameters
+   * @return {Fluent}
+   */
+  _createCommand(name, parameters = {})
+  {
+    return new Fluent({name, ...parameters});
+  }
+
+  /**
+   * Get the default length of string columns.
+   *
+   * @return {Number}
+   */
+  _defaultStringLength()
+  {
+    return Builder._defaultStringLength;
+  }
+
+  /**
+   * Get the table the blueprint describes.
+   *
+   * @return {String}
+   */
+  getTable()
+  {
+    return this._table;
+  }
+
+  /**
+   * Get the columns on the blueprint.
+   *
+   * @return {Array<ColumnDefinition>}
+   */
+  getColumns()
+  {
+    return this._columns;
+  }
+
+  /**
+   * Get the commands on the blueprint.
+   *
+   * @return {Array<Fluent>}
+   */
+  getCommands()
+  {
+    return this._commands;
+  }
+
+  /**
+   * Get the state of the table being altered.
+   *
+   * @return {BlueprintState|null}
+   */
+  getState()
+  {
+    return this._state;
+  }
+
+  /**
+   * Get the columns on the blueprint that should be added.
+   *
+   * @return {Array<ColumnDefinition>}
+   */
+  getAddedColumns()
+  {
+    return this._columns.filter((column) => ! column.get('change'));
+  }
+
+  /**
+   * Get the columns on the blueprint that should be changed.
+   *
+   * @return {Array<ColumnDefinition>}
+   */
+  getChangedColumns()
+  {
+    return this._columns.filter((column) => !! column.get('change'));
+  }
+}
+
+export { Blueprint }
+export default Blueprint
@@ -0,0 +1,136 @@
+import Blueprint from "./Blueprint";
+import Fluent from "./Fluent";
+import ColumnDefinition from "./ColumnDefinition";
+import ForeignKeyDefinition from "./ForeignKeyDefinition";
+
+/**
+ * The shape of an existing table, kept up to date with the commands of a blueprint,
+ * so the grammar can rebuild the table when SQLite can't alter it in place.
+ */
+export default class BlueprintState {
+    /**
+     * The blueprint instance.
+     *
+     * @var {Blueprint}
+     */
+    _blueprint: Blueprint;
+    /**
+     * The columns, in their table order.
+     *
+     * @var {Array<ColumnDefinition>}
+     */
+    _columns: ColumnDefinition[];
+    /**
+     * The name each column is copied from, keyed by its current name.
+     *
+     * @var {Object}
+     */
+    _sources: { [key: string]: any };
+    /**
+     * The primary key command, unless the key is an auto-incrementing column.
+     *
+     * @var {Fluent|null}
+     */
+    _primaryKey: Fluent | null;
+    /**
+     * The index commands.
+     *
+     * @var {Array<Fluent>}
+     */
+    _indexes: Fluent[];
+    /**
+     * The foreign key commands.
+     *
+     * @var {Array<ForeignKeyDefinition>}
+     */
+    _foreignKeys: ForeignKeyDefinition[];
+    /**
+     * The SQL of the triggers on the table.
+     *
+     * @var {Array<String>}
+     */
+    _triggers: string[];
+    /**
+     * Determine if the foreign key constraints are enabled on the connection.
+     *
+     * @var {Boolean}
+     */
+    _foreignKeyConstraints: boolean;
+    /**
+     * Create a new blueprint state instance.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Object}  table (columns, indexes, foreignKeys, triggers, foreignKeyConstraints)
+     * @return void
+     */
+    constructor(blueprint: Blueprint, table: { [key: string]: any });
+    /**
+     * Get the columns.
+     *
+     * @return {Array<ColumnDefinition>}
+     */
+    getColumns(): ColumnDefinition[];
+    /**
+     * Get the name the given column is copied from.
+     *
+     * @param  {String}  name
+     * @return {String}
+     */
+    getSource(name: string): string;
+    /**
+     * Get the primary key.
+     *
+     * @return {Fluent|null}
+     */
+    getPrimaryKey(): Fluent | null;
+    /**
+     * Get the indexes.
+     *
+     * @return {Array<Fluent>}
+     */
+    getIndexes(): Fluent[];
+    /**
+     * Get the foreign keys.
+     *
+     * @return {Array<ForeignKeyDefinition>}
+     */
+    getForeignKeys(): ForeignKeyDefinition[];
+    /**
+     * Get the SQL of the triggers.
+     *
+     * @return {Array<String>}
+     */
+    getTriggers(): string[];
+    /**
+     * Determine if the foreign key constraints are enabled.
+     *
+     * @return {Boolean}
+     */
+    foreignKeyConstraintsEnabled(): boolean;
+    /**
+     * Update the blueprint's state with the given command, once it is compiled.
+     *
+     * @param  {Fluent}  command
+     * @return void
+     *
+     * @throws Error
+     */
+    update(command: Fluent): void;
+    /**
+     * Rename a column everywhere it is used.
+     *
+     * @param  {String}  from
+     * @param  {String}  to
+     * @return void
+     *
+     * @throws Error
+     */
+    _renameColumn(from: string, to: string): void;
+    /**
+     * Drop the given columns, with the indexes and foreign keys using them.
+     *
+     * @param  {Array<String>}  names
+     * @return void
+     */
+    _dropColumns(names: string[]): void;
+}
@@ -0,0 +1,312 @@
+import _ from 'lodash'
+import Expression from '../query/Expression'
+import Fluent from './Fluent'
+import ColumnDefinition from './ColumnDefinition'
+import ForeignKeyDefinition from './ForeignKeyDefinition'
+
+/**
+ * The shape of an existing table, kept up to date with the commands of a blueprint,
+ * so the grammar can rebuild the table when SQLite can't alter it in place.
+ */
+class BlueprintState
+{
+  /**
+   * The blueprint instance.
+   *
+   * @var {Blueprint}
+   */
+  _blueprint;
+
+  /**
+   * The columns, in their table order.
+   *
+   * @var {Array<ColumnDefinition>}
+   */
+  _columns = [];
+
+  /**
+   * The name each column is copied from, keyed by its current name.
+   *
+   * @var {Object}
+   */
+  _sources = {};
+
+  /**
+   * The primary key command, unless the key is an auto-incrementing column.
+   *
+   * @var {Fluent|null}
+   */
+  _primaryKey = null;
+
+  /**
+   * The index commands.
+   *
+   * @var {Array<Fluent>}
+   */
+  _indexes = [];
+
+  /**
+   * The foreign key commands.
+   *
+   * @var {Array<ForeignKeyDefinition>}
+   */
+  _foreignKeys = [];
+
+  /**
+   * The SQL of the triggers on the table.
+   *
+   * @var {Array<String>}
+   */
+  _triggers = [];
+
+  /**
+   * Determine if the foreign key constraints are enabled on the connection.
+   *
+   * @var {Boolean}
+   */
+  _foreignKeyConstraints = false;
+
+  /**
+   * Create a new blueprint state instance.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Object}  table (columns, indexes, foreignKeys, triggers, foreignKeyConstraints)
+   * @return void
+   */
+  constructor(blueprint, table)
+  {
+    this._blueprint = blueprint;
+
+    this._columns = table.columns.map((column) => {
+      this._sources[column.name] = column.name;
+
+      return new ColumnDefinition({
+        name: column.name,
+        type: 'raw',
+        definition: column.type,
+        nullable: column.nullable,
+        default: column.default == null ? null : new Expression(`(${column.default})`),
+        autoIncrement: column.auto_increment,
+      });
+    });
+
+    let primary = _.sortBy(table.columns.filter((column) => column.primary > 0), 'primary');
+
+    if (primary.length > 0 && ! table.columns.some((column) => column.auto_increment)) {
+      this._primaryKey = new Fluent({name: 'primary', columns: primary.map((column) => column.name)});
+    }
+
+    // Indexes backing an inline unique constraint have a reserved "sqlite_" name,
+    // so they are given a conventional name to be created again as plain indexes.
+    this._indexes = table.indexes.filter((index) => ! index.primary).map((index) => {
+      let type = index.unique ? 'unique' : 'index';
+
+      return new Fluent({
+        name: type,
+        index: _.startsWith(index.name, 'sqlite_')
+          ? blueprint._createIndexName(type, index.columns)
+          : index.name,
+        columns: index.columns,
+      });
+    });
+
+    this._foreignKeys = table.foreignKeys.map((foreignKey) => new ForeignKeyDefinition({
+      name: 'foreign',
+      columns: foreignKey.columns,
+      on: foreignKey.foreign_table,
+      references: foreignKey.foreign_columns,
+      onDelete: foreignKey.on_delete,
+      onUpdate: foreignKey.on_update,
+    }));
+
+    this._triggers = table.triggers;
+    this._foreignKeyConstraints = table.foreignKeyConstraints;
+  }
+
+  /**
+   * Get the columns.
+   *
+   * @return {Array<ColumnDefinition>}
+   */
+  getColumns()
+  {
+    return this._columns;
+  }
+
+  /**
+   * Get the name the given column is copied from.
+   *
+   * @param  {String}  name
+   * @return {String}
+   */
+  getSource(name)
+  {
+    return this._sources[name];
+  }
+
+  /**
+   * Get the primary key.
+   *
+   * @return {Fluent|null}
+   */
+  getPrimaryKey()
+  {
+    return this._primaryKey;
+  }
+
+  /**
+   * Get the indexes.
+   *
+   * @return {Array<Fluent>}
+   */
+  getIndexes()
+  {
+    return this._indexes;
+  }
+
+  /**
+   * Get the foreign keys.
+   *
+   * @return {Array<ForeignKeyDefinition>}
+   */
+  getForeignKeys()
+  {
+    return this._foreignKeys;
+  }
+
+  /**
+   * Get the SQL of the triggers.
+   *
+   * @return {Array<String>}
+   */
+  getTriggers()
+  {
+    return this._triggers;
+  }
+
+  /**
+   * Determine if the foreign key constraints are enabled.
+   *
+   * @return {Boolean}
+   */
+  foreignKeyConstraintsEnabled()
+  {
+    return this._foreignKeyConstraints;
+  }
+
+  /**
+   * Update the blueprint's state with the given command, once it is compiled.
+   *
+   * @param  {Fluent}  command
+   * @return void
+   *
+   * @throws Error
+   */
+  update(command)
+  {
+    switch (command.get('name')) {
+      case 'add':
+        this._blueprint.getAddedColumns().forEach((column) => {
+          this._columns.push(column);
+
+          this._sources[column.get('name')] = column.get('name');
+        });
+        break;
+
+      case 'change':
+        this._blueprint.getChangedColumns().forEach((changed) => {
+          let position = this._columns.findIndex((column) => column.get('name') === changed.get('name'));
+
+          if (position === -1) {
+            throw new Error(`Column [${changed.get('name')}] does not exist on table [${this._blueprint.getTable()}].`);
+          }
+
+          this._columns[position] = changed;
+        });
+        break;
+
+      case 'renameColumn':
+        this._renameColumn(command.get('from'), command.get('to'));
+        break;
+
+      case 'dropColumn':
+        this._dropColumns(command.get('columns'));
+        break;
+
+      case 'index':
+      case 'unique':
+        this._indexes.push(command);
+        break;
+
+      case 'dropIndex':
+      case 'dropUnique':
+        this._indexes = this._indexes.filter((index) => index.get('index') !== command.get('index'));
+        break;
+
+      case 'alter':
+        // Once rebuilt, every column holds its data under its current name.
+        this._sources = _.fromPairs(this._columns.map((column) => [column.get('name'), column.get('name')]));
+        break;
+    }
+  }
+
+  /**
+   * Rename a column everywhere it is used.
+   *
+   * @param  {String}  from
+   * @param  {String}  to
+   * @return void
+   *
+   * @throws Error
+   */
+  _renameColumn(from, to)
+  {
+    let column = _.find(this._columns, (column) => column.get('name') === from);
+
+    if (column == null) {
+      throw new Error(`Column [${from}] does not exist on table [${this._blueprint.getTable()}].`);
+    }
+
+    column.set('name', to);
+
+    this._sources[to] = this._sources[from];
+
+    delete this._sources[from];
+
+    let rename = (columns) => columns.map((name) => name === from ? to : name);
+
+    if (this._primaryKey != null) {
+      this._primaryKey.set('columns', rename(this._primaryKey.get('columns')));
+    }
+
+    this._indexes.forEach((index) => index.set('columns', rename(index.get('columns'))));
+
+    this._foreignKeys.forEach((foreignKey) => foreignKey.set('columns', rename(foreignKey.get('columns'))));
+  }
+
+  /**
+   * Drop the given columns, with the indexes and foreign keys using them.
+   *
+   * @param  {Array<String>}  names
+   * @return void
+   */
+  _dropColumns(names)
+  {
+    let uses = (command) => _.intersection(command.get('columns'), names).length > 0;
+
+    this._columns = this._columns.filter((column) => ! names.includes(column.get('name')));
+
+    names.forEach((name) => delete this._sources[name]);
+
+    if (this._primaryKey != null && uses(this._primaryKey)) {
+      this._primaryKey = null;
+    }
+
+    this._indexes = this._indexes.filter((index) => ! uses(index));
+
+    this._foreignKeys = this._foreignKeys.filter((foreignKey) => ! uses(foreignKey));
+  }
+}
+
+export { BlueprintState }
+export default BlueprintState
@@ -0,0 +1,182 @@
+import Connection from "../Connection";
+import Blueprint from "./Blueprint";
+import Grammar from "./grammars/Grammar";
+
+export default class Builder {
+    /**
+     * The database connection instance.
+     *
+     * @var {Connection}
+     */
+    _connection: Connection;
+    /**
+     * The schema grammar instance.
+     *
+     * @var {SchemaGrammar}
+     */
+    _grammar: Grammar;
+    /**
+     * The Blueprint resolver callback.
+     *
+     * @var {Function|null}
+     */
+    _resolver: Function | null;
+    /**
+     * The default string length for migrations.
+     *
+     * @var {Number}
+     */
+    static _defaultStringLength: number;
+    /**
+     * Create a new database Schema manager.
+     *
+     * @param  {Connection}  connection
+     * @return void
+     */
+    constructor(connection: Connection);
+    /**
+     * Set the default string length for migrations.
+     *
+     * @param  {Number}  length
+     * @return void
+     */
+    static defaultStringLength(length: number): void;
+    /**
+     * Determine if the given table exists.
+     *
+     * @param  {String}  table
+     * @return {Promise<Boolean>}
+     */
+    hasTable(table: string): Promise<boolean>;
+    /**
+     * Determine if the given table has a given column.
+     *
+     * @param  {String}  table
+     * @param  {String}  column
+     * @return {Promise<Boolean>}
+     */
+    hasColumn(table: string, column: string): Promise<boolean>;
+    /**
+     * Determine if the given table has given columns.
+     *
+     * @param  {String}  table
+     * @param  {Array<String>}  columns
+     * @return {Promise<Boolean>}
+     */
+    hasColumns(table: string, columns: string[]): Promise<boolean>;
+    /**
+     * Get the column listing for a given table.
+     *
+     * @param  {String}  table
+     * @return {Promise<Array<String>>}
+     */
+    getColumnListing(table: string): Promise<string[]>;
+    /**
+     * Modify a table on the schema.
+     *
+     * @param  {String}  table
+     * @param  {Function}  callback
+     * @return {Promise<void>}
+     */
+    table(table: string, callback: (table: Blueprint) => void): Promise<void>;
+    /**
+     * Create a new table on the schema.
+     *
+     * @param  {String}  table
+     * @param  {Function}  callback
+     * @return {Promise<void>}
+     */
+    create(table: string, callback: (table: Blueprint) => void): Promise<void>;
+    /**
+     * Drop a table from the schema.
+     *
+     * @param  {String}  table
+     * @return {Promise<void>}
+     */
+    drop(table: string): Promise<void>;
+    /**
+     * Drop a table from the schema if it exists.
+     *
+     * @param  {String}  table
+     * @return {Promise<void>}
+     */
+    dropIfExists(table: string): Promise<void>;
+    /**
+     * Drop all tables from the database.
+     *
+     * @return {Promise<void>}
+     *
+     * @throws Error
+     */
+    dropAllTables(): Promise<void>;
+    /**
+     * Rename a table on the schema.
+     *
+     * @param  {String}  from
+     * @param  {String}  to
+     * @return {Promise<void>}
+     */
+    rename(from: string, to: string): Promise<void>;
+    /**
+     * Enable foreign key constraints.
+     *
+     * @return {Promise}
+     */
+    enableForeignKeyConstraints(): Promise<any>;
+    /**
+     * Disable foreign key constraints.
+     *
+     * @return {Promise}
+     */
+    disableForeignKeyConstraints(): Promise<any>;
+    /**
+     * Check the rows of the database against their foreign key constraints.
+     *
+     * @return {Promise<void>}
+     *
+     * @throws {Error}
+     */
+    checkForeignKeyConstraints(): Promise<void>;
+    /**
+     * Disable foreign key constraints during the execution of a callback.
+     *
+     * @param  {Function}  callback
+     * @return {Promise<*>}
+     */
+    withoutForeignKeyConstraints(callback: Function): Promise<any>;
+    /**
+     * Execute the blueprint to build / modify the table.
+     *
+     * @param  {Blueprint}  blueprint
+     * @return {Promise<void>}
+     */
+    _build(blueprint: Blueprint): Promise<void>;
+    /**
+     * Create a new command set with a Closure.
+     *
+     * @param  {String}  table
+     * @param  {Function|null}  callback
+     * @return {Blueprint}
+     */
+    _createBlueprint(table: string, callback?: ((table: Blueprint) => void) | null): Blueprint;
+    /**
+     * Get the database connection instance.
+     *
+     * @return {Connection}
+     */
+    getConnection(): Connection;
+    /**
+     * Set the database connection instance.
+     *
+     * @param  {Connection}  connection
+     * @return {Builder}
+     */
+    setConnection(connection: Connection): Builder;
+    /**
+     * Set the Schema Blueprint resolver callback.
+     *
+     * @param  {Function}  resolver
+     * @return void
+     */
+    blueprintResolver(resolver: Function): void;
+}
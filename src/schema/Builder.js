@@ -0,0 +1,315 @@
+import _ from 'lodash'
+import Blueprint from './Blueprint'
+
+class Builder
+{
+  /**
+   * The database connection instance.
+   *
+   * @var {Connection}
+   */
+  _connection;
+
+  /**
+   * The schema grammar instance.
+   *
+   * @var {SchemaGrammar}
+   */
+  _grammar;
+
+  /**
+   * The Blueprint resolver callback.
+   *
+   * @var {Function|null}
+   */
+  _resolver = null;
+
+  /**
+   * The default string length for migrations.
+   *
+   * @var {Number}
+   */
+  static _defaultStringLength = 255;
+
+  /**
+   * Create a new database Schema manager.
+   *
+   * @param  {Connection}  connection
+   * @return void
+   */
+  constructor(connection)
+  {
+    this._connection = connection;
+    this._grammar = connection.getSchemaGrammar();
+  }
+
+  /**
+   * Set the default string length for migrations.
+   *
+   * @param  {Number}  length
+   * @return void
+   */
+  static defaultStringLength(length)
+  {
+    this._defaultStringLength = length;
+  }
+
+  /**
+   * Determine if the given table exists.
+   *
+   * @param  {String}  table
+   * @return {Promise<Boolean>}
+   */
+  async hasTable(table)
+  {
+    table = this._connection.getTablePrefix() + table;
+
+    let results = await this._connection.select(
+      this._grammar.compileTableExists(), [table]
+    );
+
+    return results.length > 0;
+  }
+
+  /**
+   * Determine if the given table has a given column.
+   *
+   * @param  {String}  table
+   * @param  {String}  column
+   * @return {Promise<Boolean>}
+   */
+  async hasColumn(table, column)
+  {
+    let columns = await this.getColumnListing(table);
+
+    return columns.map((value) => value.toLowerCase()).includes(column.toLowerCase());
+  }
+
+  /**
+   * Determine if the given table has given columns.
+   *
+   * @param  {String}  table
+   * @param  {Array<String>}  columns
+   * @return {Promise<Boolean>}
+   */
+  async hasColumns(table, columns)
+  {
+    let tableColumns = (await this.getColumnListing(table)).map((value) => value.toLowerCase());
+
+    return columns.every((column) => tableColumns.includes(column.toLowerCase()));
+  }
+
+  /**
+   * Get the column listing for a given table.
+   *
+   * @param  {String}  table
+   * @return {Promise<Array<String>>}
+   */
+  async getColumnListing(table)
+  {
+    let results = await this._connection.select(this._grammar.compileColumnListing(this._connection.getTablePrefix() + table));
+
+    return this._connection.getPostProcessor().processColumnListing(results);
+  }
+
+  /**
+   * Modify a table on the schema.
+   *
+   * @param  {String}  table
+   * @param  {Function}  callback
+   * @return {Promise<void>}
+   */
+  table(table, callback)
+  {
+    return this._build(this._createBlueprint(table, callback));
+  }
+
+  /**
+   * Create a new table on the schema.
+   *
+   * @param  {String}  table
+   * @param  {Function}  callback
+   * @return {Promise<void>}
+   */
+  create(table, callback)
+  {
+    return this._build(_.tap(this._createBlueprint(table), (blueprint) => {
+      blueprint.create();
+
+      callback(blueprint);
+    }));
+  }
+
+  /**
+   * Drop a table from the schema.
+   *
+   * @param  {String}  table
+   * @return {Promise<void>}
+   */
+  drop(table)
+  {
+    return this._build(_.tap(this._createBlueprint(table), (blueprint) => {
+      blueprint.drop();
+    }));
+  }
+
+  /**
+   * Drop a table from the schema if it exists.
+   *
+   * @param  {String}  table
+   * @return {Promise<void>}
+   */
+  dropIfExists(table)
+  {
+    return this._build(_.tap(this._createBlueprint(table), (blueprint) => {
+      blueprint.dropIfExists();
+    }));
+  }
+
+  /**
+   * Drop all tables from the database.
+   *
+   * @return {Promise<void>}
+   *
+   * @throws Error
+   */
+  async dropAllTables()
+  {
+    throw new Error('This database driver does not support dropping all tables.');
+  }
+
+  /**
+   * Rename a table on the schema.
+   *
+   * @param  {String}  from
+   * @param  {String}  to
+   * @return {Promise<void>}
+   */
+  rename(from, to)
+  {
+    return this._build(_.tap(this._createBlueprint(from), (blueprint) => {
+      blueprint.rename(to);
+    }));
+  }
+
+  /**
+   * Enable foreign key constraints.
+   *
+   * @return {Promise}
+   */
+  enableForeignKeyConstraints()
+  {
+    return this._connection.statement(this._grammar.compileEnableForeignKeyConstraints());
+  }
+
+  /**
+   * Disable foreign key constraints.
+   *
+   * @return {Promise}
+   */
+  disableForeignKeyConstraints()
+  {
+    return this._connection.statement(this._grammar.compileDisableForeignKeyConstraints());
+  }
+
+  /**
+   * Check the rows of the database against their foreign key constraints.
+   *
+   * @return {Promise<void>}
+   *
+   * @throws {Error}
+   */
+  async checkForeignKeyConstraints()
+  {
+    let violations = await this._connection.select(this._grammar.compileForeignKeyCheck());
+
+    if (violations.length > 0) {
+      let tables = _.uniq(violations.map((violation) => violation.table));
+
+      throw new Error(`Rows of [${tables.join(', ')}] violate their foreign key constraints.`);
+    }
+  }
+
+  /**
+   * Disable foreign key constraints during the execution of a callback.
+   *
+   * @param  {Function}  callback
+   * @return {Promise<*>}
+   */
+  async withoutForeignKeyConstraints(callback)
+  {
+    await this.disableForeignKeyConstraints();
+
+    try {
+      return await callback();
+    } finally {
+      await this.enableForeignKeyConstraints();
+    }
+  }
+
+  /**
+   * Execute the blueprint to build / modify the table.
+   *
+   * @param  {Blueprint}  blueprint
+   * @return {Promise<void>}
+   */
+  _build(blueprint)
+  {
+    return blueprint.build(this._connection, this._grammar);
+  }
+
+  /**
+   * Create a new command set with a Closure.
+   *
+   * @param  {String}  table
+   * @param  {Function|null}  callback
+   * @return {Blueprint}
+   */
+  _createBlueprint(table, callback = null)
+  {
+    let prefix = this._connection.getTablePrefix();
+
+    if (this._resolver != null) {
+      return this._resolver(table, callback, prefix);
+    }
+
+    return new Blueprint(table, callback, prefix);
+  }
+
+  /**
+   * Get the database connection instance.
+   *
+   * @return {Connection}
+   */
+  getConnection()
+  {
+    return this._connection;
+  }
+
+  /**
+   * Set the database connection instance.
+   *
+   * @param  {Connection}  connection
+   * @return {Builder}
+   */
+  setConnection(connection)
+  {
+    this._connection = connection;
+
+    return this;
+  }
+
+  /**
+   * Set the Schema Blueprint resolver callback.
+   *
+   * @param  {Function}  resolver
+   * @return void
+   */
+  blueprintResolver(resolver)
+  {
+    this._resolver = resolver;
+  }
+}
+
+export { Builder }
+export default Builder
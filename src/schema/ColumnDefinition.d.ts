@@ -0,0 +1,110 @@
+import Fluent from "./Fluent";
+
+export default class ColumnDefinition extends Fluent {
+    /**
+     * Place the column "after" another column (MySQL).
+     *
+     * @param  {String}  column
+     * @return {ColumnDefinition}
+     */
+    after(column: string): ColumnDefinition;
+    /**
+     * Set INTEGER columns as auto-increment (primary key).
+     *
+     * @return {ColumnDefinition}
+     */
+    autoIncrement(): ColumnDefinition;
+    /**
+     * Change the column.
+     *
+     * @return {ColumnDefinition}
+     */
+    change(): ColumnDefinition;
+    /**
+     * Specify a character set for the column (MySQL).
+     *
+     * @param  {String}  charset
+     * @return {ColumnDefinition}
+     */
+    charset(charset: string): ColumnDefinition;
+    /**
+     * Specify a collation for the column.
+     *
+     * @param  {String}  collation
+     * @return {ColumnDefinition}
+     */
+    collation(collation: string): ColumnDefinition;
+    /**
+     * Add a comment to the column (MySQL / PostgreSQL).
+     *
+     * @param  {String}  comment
+     * @return {ColumnDefinition}
+     */
+    comment(comment: string): ColumnDefinition;
+    /**
+     * Specify a "default" value for the column.
+     *
+     * @param  {*}  value
+     * @return {ColumnDefinition}
+     */
+    default(value: any): ColumnDefinition;
+    /**
+     * Place the column "first" in the table (MySQL).
+     *
+     * @return {ColumnDefinition}
+     */
+    first(): ColumnDefinition;
+    /**
+     * Add an index.
+     *
+     * @param  {String|Boolean}  indexName
+     * @return {ColumnDefinition}
+     */
+    index(indexName?: string | boolean): ColumnDefinition;
+    /**
+     * Allow NULL values to be inserted into the column.
+     *
+     * @param  {Boolean}  value
+     * @return {ColumnDefinition}
+     */
+    nullable(value?: boolean): ColumnDefinition;
+    /**
+     * Add a primary index.
+     *
+     * @return {ColumnDefinition}
+     */
+    primary(): ColumnDefinition;
+    /**
+     * Add a unique index.
+     *
+     * @param  {String|Boolean}  indexName
+     * @return {ColumnDefinition}
+     */
+    unique(indexName?: string | boolean): ColumnDefinition;
+    /**
+     * Set the INTEGER column as UNSIGNED (MySQL).
+     *
+     * @return {ColumnDefinition}
+     */
+    unsigned(): ColumnDefinition;
+    /**
+     * Set the TIMESTAMP column to use CURRENT_TIMESTAMP as default value.
+     *
+     * @return {ColumnDefinition}
+     */
+    useCurrent(): ColumnDefinition;
+    /**
+     * Create a virtual generated column.
+     *
+     * @param  {String}  expression
+     * @return {ColumnDefinition}
+     */
+    virtualAs(expression: string): ColumnDefinition;
+    /**
+     * Create a stored generated column.
+     *
+     * @param  {String}  expression
+     * @return {ColumnDefinition}
+     */
+    storedAs(expression: string): ColumnDefinition;
+}
@@ -0,0 +1,177 @@
+import Fluent from './Fluent'
+
+class ColumnDefinition extends Fluent
+{
+  /**
+   * Place the column "after" another column (MySQL).
+   *
+   * @param  {String}  column
+   * @return {ColumnDefinition}
+   */
+  after(column)
+  {
+    return this.set('after', column);
+  }
+
+  /**
+   * Set INTEGER columns as auto-increment (primary key).
+   *
+   * @return {ColumnDefinition}
+   */
+  autoIncrement()
+  {
+    return this.set('autoIncrement', true);
+  }
+
+  /**
+   * Change the column.
+   *
+   * @return {ColumnDefinition}
+   */
+  change()
+  {
+    return this.set('change', true);
+  }
+
+  /**
+   * Specify a character set for the column (MySQL).
+   *
+   * @param  {String}  charset
+   * @return {ColumnDefinition}
+   */
+  charset(charset)
+  {
+    return this.set('charset', charset);
+  }
+
+  /**
+   * Specify a collation for the column.
+   *
+   * @param  {String}  collation
+   * @return {ColumnDefinition}
+   */
+  collation(collation)
+  {
+    return this.set('collation', collation);
+  }
+
+  /**
+   * Add a comment to the column (MySQL / PostgreSQL).
+   *
+   * @param  {String}  comment
+   * @return {ColumnDefinition}
+   */
+  comment(comment)
+  {
+    return this.set('comment', comment);
+  }
+
+  /**
+   * Specify a "default" value for the column.
+   *
+   * @param  {*}  value
+   * @return {ColumnDefinition}
+   */
+  default(value)
+  {
+    return this.set('default', value);
+  }
+
+  /**
+   * Place the column "first" in the table (MySQL).
+   *
+   * @return {ColumnDefinition}
+   */
+  first()
+  {
+    return this.set('first', true);
+  }
+
+  /**
+   * Add an index.
+   *
+   * @param  {String|Boolean}  indexName
+   * @return {ColumnDefinition}
+   */
+  index(indexName = true)
+  {
+    return this.set('index', indexName);
+  }
+
+  /**
+   * Allow NULL values to be inserted into the column.
+   *
+   * @param  {Boolean}  value
+   * @return {ColumnDefinition}
+   */
+  nullable(value = true)
+  {
+    return this.set('nullable', value);
+  }
+
+  /**
+   * Add a primary index.
+   *
+   * @return {ColumnDefinition}
+   */
+  primary()
+  {
+    return this.set('primary', true);
+  }
+
+  /**
+   * Add a unique index.
+   *
+   * @param  {String|Boolean}  indexName
+   * @return {ColumnDefinition}
+   */
+  unique(indexName = true)
+  {
+    return this.set('unique', indexName);
+  }
+
+  /**
+   * Set the INTEGER column as UNSIGNED (MySQL).
+   *
+   * @return {ColumnDefinition}
+   */
+  unsigned()
+  {
+    return this.set('unsigned', true);
+  }
+
+  /**
+   * Set the TIMESTAMP column to use CURRENT_TIMESTAMP as default value.
+   *
+   * @return {ColumnDefinition}
+   */
+  useCurrent()
+  {
+    return this.set('useCurrent', true);
+  }
+
+  /**
+   * Create a virtual generated column.
+   *
+   * @param  {String}  expression
+   * @return {ColumnDefinition}
+   */
+  virtualAs(expression)
+  {
+    return this.set('virtualAs', expression);
+  }
+
+  /**
+   * Create a stored generated column.
+   *
+   * @param  {String}  expression
+   * @return {ColumnDefinition}
+   */
+  storedAs(expression)
+  {
+    return this.set('storedAs', expression);
+  }
+}
+
+export { ColumnDefinition }
+export default ColumnDefinition
@@ -0,0 +1,49 @@
+/**
+ * A bag of attributes describing a column or a command of a blueprint.
+ *
+ * The attributes are read through get(), so they never shadow the chainable
+ * methods of the subclasses that share their names (nullable(), default()...).
+ */
+export default class Fluent {
+    /**
+     * All of the attributes set on the fluent instance.
+     *
+     * @var {Object}
+     */
+    _attributes: { [key: string]: any };
+    /**
+     * Create a new fluent instance.
+     *
+     * @param  {Object}  attributes
+     * @return void
+     */
+    constructor(attributes?: { [key: string]: any });
+    /**
+     * Get an attribute from the fluent instance.
+     *
+     * @param  {String}  key
+     * @param  {*}  defaultValue
+     * @return {*}
+     */
+    get(key: string, defaultValue?: any): any;
+    /**
+     * Set an attribute on the fluent instance.
+     *
+     * @param  {String}  key
+     * @param  {*}  value
+     * @return {this}
+     */
+    set(key: string, value?: any): this;
+    /**
+     * Get the attributes from the fluent instance.
+     *
+     * @return {Object}
+     */
+    getAttributes(): { [key: string]: any };
+    /**
+     * Convert the fluent instance to an object.
+     *
+     * @return {Object}
+     */
+    toArray(): { [key: string]: any };
+}
@@ -0,0 +1,77 @@
+import _ from 'lodash'
+
+/**
+ * A bag of attributes describing a column or a command of a blueprint.
+ *
+ * The attributes are read through get(), so they never shadow the chainable
+ * methods of the subclasses that share their names (nullable(), default()...).
+ */
+class Fluent
+{
+  /**
+   * All of the attributes set on the fluent instance.
+   *
+   * @var {Object}
+   */
+  _attributes = {};
+
+  /**
+   * Create a new fluent instance.
+   *
+   * @param  {Object}  attributes
+   * @return void
+   */
+  constructor(attributes = {})
+  {
+    this._attributes = {...attributes};
+  }
+
+  /**
+   * Get an attribute from the fluent instance.
+   *
+   * @param  {String}  key
+   * @param  {*}  defaultValue
+   * @return {*}
+   */
+  get(key, defaultValue = null)
+  {
+    return _.has(this._attributes, key) ? this._attributes[key] : defaultValue;
+  }
+
+  /**
+   * Set an attribute on the fluent instance.
+   *
+   * @param  {String}  key
+   * @param  {*}  value
+   * @return {this}
+   */
+  set(key, value = true)
+  {
+    this._attributes[key] = value;
+
+    return this;
+  }
+
+  /**
+   * Get the attributes from the fluent instance.
+   *
+   * @return {Object}
+   */
+  getAttributes()
+  {
+    return this._attributes;
+  }
+
+  /**
+   * Convert the fluent instance to an object.
+   *
+   * @return {Object}
+   */
+  toArray()
+  {
+    return {...this._attributes};
+  }
+}
+
+export { Fluent }
+export default Fluent
@@ -0,0 +1,50 @@
+import Fluent from "./Fluent";
+
+export default class ForeignKeyDefinition extends Fluent {
+    /**
+     * Specify the referenced column(s).
+     *
+     * @param  {String|Array<String>}  columns
+     * @return {ForeignKeyDefinition}
+     */
+    references(columns: string | string[]): ForeignKeyDefinition;
+    /**
+     * Specify the referenced table.
+     *
+     * @param  {String}  table
+     * @return {ForeignKeyDefinition}
+     */
+    on(table: string): ForeignKeyDefinition;
+    /**
+     * Add an ON DELETE action.
+     *
+     * @param  {String}  action
+     * @return {ForeignKeyDefinition}
+     */
+    onDelete(action: string): ForeignKeyDefinition;
+    /**
+     * Add an ON UPDATE action.
+     *
+     * @param  {String}  action
+     * @return {ForeignKeyDefinition}
+     */
+    onUpdate(action: string): ForeignKeyDefinition;
+    /**
+     * Indicate that deletes should cascade.
+     *
+     * @return {ForeignKeyDefinition}
+     */
+    cascadeOnDelete(): ForeignKeyDefinition;
+    /**
+     * Indicate that deletes should set the foreign key value to null.
+     *
+     * @return {ForeignKeyDefinition}
+     */
+    nullOnDelete(): ForeignKeyDefinition;
+    /**
+     * Indicate that updates should cascade.
+     *
+     * @return {ForeignKeyDefinition}
+     */
+    cascadeOnUpdate(): ForeignKeyDefinition;
+}
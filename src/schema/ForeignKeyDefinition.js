@@ -0,0 +1,81 @@
+import Fluent from './Fluent'
+
+class ForeignKeyDefinition extends Fluent
+{
+  /**
+   * Specify the referenced column(s).
+   *
+   * @param  {String|Array<String>}  columns
+   * @return {ForeignKeyDefinition}
+   */
+  references(columns)
+  {
+    return this.set('references', columns);
+  }
+
+  /**
+   * Specify the referenced table.
+   *
+   * @param  {String}  table
+   * @return {ForeignKeyDefinition}
+   */
+  on(table)
+  {
+    return this.set('on', table);
+  }
+
+  /**
+   * Add an ON DELETE action.
+   *
+   * @param  {String}  action
+   * @return {ForeignKeyDefinition}
+   */
+  onDelete(action)
+  {
+    return this.set('onDelete', action);
+  }
+
+  /**
+   * Add an ON UPDATE action.
+   *
+   * @param  {String}  action
+   * @return {ForeignKeyDefinition}
+   */
+  onUpdate(action)
+  {
+    return this.set('onUpdate', action);
+  }
+
+  /**
+   * Indicate that deletes should cascade.
+   *
+   * @return {ForeignKeyDefinition}
+   */
+  cascadeOnDelete()
+  {
+    return this.onDelete('cascade');
+  }
+
+  /**
+   * Indicate that deletes should set the foreign key value to null.
+   *
+   * @return {ForeignKeyDefinition}
+   */
+  nullOnDelete()
+  {
+    return this.onDelete('set null');
+  }
+
+  /**
+   * Indicate that updates should cascade.
+   *
+   * @return {ForeignKeyDefinition}
+   */
+  cascadeOnUpdate()
+  {
+    return this.onUpdate('cascade');
+  }
+}
+
+export { ForeignKeyDefinition }
+export default ForeignKeyDefinition
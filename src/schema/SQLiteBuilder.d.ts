@@ -0,0 +1,61 @@
+import Builder from "./Builder";
+
+export default class SQLiteBuilder extends Builder {
+    /**
+     * Get the columns for a given table.
+     *
+     * @param  {String}  table
+     * @return {Promise<Array<Object>>}
+     */
+    getColumns(table: string): Promise<{ [key: string]: any }[]>;
+    /**
+     * Get the indexes for a given table.
+     *
+     * @param  {String}  table
+     * @return {Promise<Array<Object>>}
+     */
+    getIndexes(table: string): Promise<{ [key: string]: any }[]>;
+    /**
+     * Get the foreign keys for a given table.
+     *
+     * @param  {String}  table
+     * @return {Promise<Array<Object>>}
+     */
+    getForeignKeys(table: string): Promise<{ [key: string]: any }[]>;
+    /**
+     * Get the SQL creating the triggers of a given table.
+     *
+     * @param  {String}  table
+     * @return {Promise<Array<String>>}
+     */
+    getTriggers(table: string): Promise<string[]>;
+    /**
+     * Get the value of a pragma, or set it when a value is given.
+     *
+     * @param  {String}  key
+     * @param  {*}  value
+     * @return {Promise<*>}
+     */
+    pragma(key: string, value?: any): Promise<any>;
+    /**
+     * Disable foreign key constraints during the execution of a callback.
+     *
+     * They are only turned back on if they were on. Within a transaction they can't be
+     * turned off at all, so rather than running the callback with them on, this throws.
+     *
+     * @param  {Function}  callback
+     * @return {Promise<*>}
+     *
+     * @throws {Error}
+     */
+    withoutForeignKeyConstraints(callback: Function): Promise<any>;
+    /**
+     * Drop all tables from the database.
+     *
+     * The database file of the app can't be truncated from here, so each table
+     * is dropped on its own while the foreign key constraints are disabled.
+     *
+     * @return {Promise<void>}
+     */
+    dropAllTables(): Promise<void>;
+}
@@ -0,0 +1,152 @@
+import _ from 'lodash'
+import Builder from './Builder'
+
+class SQLiteBuilder extends Builder
+{
+  /**
+   * Get the columns for a given table.
+   *
+   * @param  {String}  table
+   * @return {Promise<Array<Object>>}
+   */
+  async getColumns(table)
+  {
+    table = this._connection.getTablePrefix() + table;
+
+    let definition = _.first(await this._connection.select(
+      this._grammar.compileTableExists(), [table]
+    ));
+
+    let results = await this._connection.select(this._grammar.compileColumnListing(table));
+
+    return this._connection.getPostProcessor().processColumns(results, definition ? definition.sql : '');
+  }
+
+  /**
+   * Get the indexes for a given table.
+   *
+   * @param  {String}  table
+   * @return {Promise<Array<Object>>}
+   */
+  async getIndexes(table)
+  {
+    let indexes = await this._connection.select(this._grammar.compileIndexes(this._connection.getTablePrefix() + table));
+
+    let results = [];
+
+    for (let index of indexes) {
+      let columns = await this._connection.select(this._grammar.compileIndexColumns(index.name));
+
+      results.push({
+        name: index.name,
+        columns: _.sortBy(columns, 'seqno').map((column) => column.name),
+        unique: !! index.unique,
+        primary: index.origin === 'pk',
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Get the foreign keys for a given table.
+   *
+   * @param  {String}  table
+   * @return {Promise<Array<Object>>}
+   */
+  async getForeignKeys(table)
+  {
+    let results = await this._connection.select(this._grammar.compileForeignKeys(this._connection.getTablePrefix() + table));
+
+    return this._connection.getPostProcessor().processForeignKeys(results);
+  }
+
+  /**
+   * Get the SQL creating the triggers of a given table.
+   *
+   * @param  {String}  table
+   * @return {Promise<Array<String>>}
+   */
+  async getTriggers(table)
+  {
+    let results = await this._connection.select(
+      this._grammar.compileTriggers(), [this._connection.getTablePrefix() + table]
+    );
+
+    return results.map((result) => result.sql);
+  }
+
+  /**
+   * Get the value of a pragma, or set it when a value is given.
+   *
+   * @param  {String}  key
+   * @param  {*}  value
+   * @return {Promise<*>}
+   */
+  async pragma(key, value = null)
+  {
+    let sql = this._grammar.pragma(key, value);
+
+    if (value != null) {
+      return this._connection.statement(sql);
+    }
+
+    let result = _.first(await this._connection.select(sql));
+
+    return result ? _.first(_.values(result)) : null;
+  }
+
+  /**
+   * Disable foreign key constraints during the execution of a callback.
+   *
+   * They are only turned back on if they were on. Within a transaction they can't be
+   * turned off at all, so rather than running the callback with them on, this throws.
+   *
+   * @param  {Function}  callback
+   * @return {Promise<*>}
+   *
+   * @throws {Error}
+   */
+  async withoutForeignKeyConstraints(callback)
+  {
+    if (! (await this.pragma('foreign_keys'))) {
+      return callback();
+    }
+
+    if (this._connection.transactionLevel() > 0) {
+      throw new Error('Foreign key constraints can not be turned off within a transaction, turn them off before it begins.');
+    }
+
+    return super.withoutForeignKeyConstraints(callback);
+  }
+
+  /**
+   * Drop all tables from the database.
+   *
+   * The database file of the app can't be truncated from here, so each table
+   * is dropped on its own while the foreign key constraints are disabled.
+   *
+   * @return {Promise<void>}
+   */
+  async dropAllTables()
+  {
+    let tables = await this._connection.select(this._grammar.compileGetAllTables());
+
+    if (tables.length === 0) {
+      return;
+    }
+
+    await this.disableForeignKeyConstraints();
+
+    try {
+      for (let table of tables) {
+        await this._connection.statement('drop table ' + this._grammar.wrap(table.name));
+      }
+    } finally {
+      await this.enableForeignKeyConstraints();
+    }
+  }
+}
+
+export { SQLiteBuilder }
+export default SQLiteBuilder
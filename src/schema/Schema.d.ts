@@ -0,0 +1,104 @@
+import Builder from "./Builder";
+import Blueprint from "./Blueprint";
+
+/**
+ * Static entry point to the schema builder of a connection, resolved the same
+ * way the models resolve theirs.
+ *
+ * @example Schema.create('posts', (table) => { table.increments('id') })
+ */
+export default class Schema {
+    /**
+     * Get a schema builder instance for a connection.
+     *
+     * @param  {String|null}  name
+     * @return {SchemaBuilder}
+     */
+    static connection(name?: string | null): Builder;
+    /**
+     * Create a new table on the schema.
+     *
+     * @param  {String}  table
+     * @param  {Function}  callback
+     * @return {Promise<void>}
+     */
+    static create(table: string, callback: (table: Blueprint) => void): Promise<void>;
+    /**
+     * Modify a table on the schema.
+     *
+     * @param  {String}  table
+     * @param  {Function}  callback
+     * @return {Promise<void>}
+     */
+    static table(table: string, callback: (table: Blueprint) => void): Promise<void>;
+    /**
+     * Drop a table from the schema.
+     *
+     * @param  {String}  table
+     * @return {Promise<void>}
+     */
+    static drop(table: string): Promise<void>;
+    /**
+     * Drop a table from the schema if it exists.
+     *
+     * @param  {String}  table
+     * @return {Promise<void>}
+     */
+    static dropIfExists(table: string): Promise<void>;
+    /**
+     * Drop all tables from the database.
+     *
+     * @return {Promise<void>}
+     */
+    static dropAllTables(): Promise<void>;
+    /**
+     * Rename a table on the schema.
+     *
+     * @param  {String}  from
+     * @param  {String}  to
+     * @return {Promise<void>}
+     */
+    static rename(from: string, to: string): Promise<void>;
+    /**
+     * Determine if the given table exists.
+     *
+     * @param  {String}  table
+     * @return {Promise<Boolean>}
+     */
+    static hasTable(table: string): Promise<boolean>;
+    /**
+     * Determine if the given table has a given column.
+     *
+     * @param  {String}  table
+     * @param  {String}  column
+     * @return {Promise<Boolean>}
+     */
+    static hasColumn(table: string, column: string): Promise<boolean>;
+    /**
+     * Determine if the given table has given columns.
+     *
+     * @param  {String}  table
+     * @param  {Array<String>}  columns
+     * @return {Promise<Boolean>}
+     */
+    static hasColumns(table: string, columns: string[]): Promise<boolean>;
+    /**
+     * Get the column listing for a given table.
+     *
+     * @param  {String}  table
+     * @return {Promise<Array<String>>}
+     */
+    static getColumnListing(table: string): Promise<string[]>;
+    /**
+     * Enable foreign key constraints.
+     *
+     * @return {Promise}
+     */
+    static enableForeignKeyConstraints(): Promise<any>;
+    /**
+     * Disable foreign key constraints.
+     *
+     * @return {Promise}
+     */
+    static disableForeignKeyConstraints(): Promise<any>;
+}
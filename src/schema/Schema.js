@@ -0,0 +1,158 @@
+import Model from '../model/Model'
+
+/**
+ * Static entry point to the schema builder of a connection, resolved the same
+ * way the models resolve theirs.
+ *
+ * @example Schema.create('posts', (table) => { table.increments('id') })
+ */
+class Schema
+{
+  /**
+   * Get a schema builder instance for a connection.
+   *
+   * @param  {String|null}  name
+   * @return {SchemaBuilder}
+   */
+  static connection(name = null)
+  {
+    return Model.resolveConnection(name).getSchemaBuilder();
+  }
+
+  /**
+   * Create a new table on the schema.
+   *
+   * @param  {String}  table
+   * @param  {Function}  callback
+   * @return {Promise<void>}
+   */
+  static create(table, callback)
+  {
+    return this.connection().create(table, callback);
+  }
+
+  /**
+   * Modify a table on the schema.
+   *
+   * @param  {String}  table
+   * @param  {Function}  callback
+   * @return {Promise<void>}
+   */
+  static table(table, callback)
+  {
+    return this.connection().table(table, callback);
+  }
+
+  /**
+   * Drop a table from the schema.
+   *
+   * @param  {String}  table
+   * @return {Promise<void>}
+   */
+  static drop(table)
+  {
+    return this.connection().drop(table);
+  }
+
+  /**
+   * Drop a table from the schema if it exists.
+   *
+   * @param  {String}  table
+   * @return {Promise<void>}
+   */
+  static dropIfExists(table)
+  {
+    return this.connection().dropIfExists(table);
+  }
+
+  /**
+   * Drop all tables from the database.
+   *
+   * @return {Promise<void>}
+   */
+  static dropAllTables()
+  {
+    return this.connection().dropAllTables();
+  }
+
+  /**
+   * Rename a table on the schema.
+   *
+   * @param  {String}  from
+   * @param  {String}  to
+   * @return {Promise<void>}
+   */
+  static rename(from, to)
+  {
+    return this.connection().rename(from, to);
+  }
+
+  /**
+   * Determine if the given table exists.
+   *
+   * @param  {String}  table
+   * @return {Promise<Boolean>}
+   */
+  static hasTable(table)
+  {
+    return this.connection().hasTable(table);
+  }
+
+  /**
+   * Determine if the given table has a given column.
+   *
+   * @param  {String}  table
+   * @param  {String}  column
+   * @return {Promise<Boolean>}
+   */
+  static hasColumn(table, column)
+  {
+    return this.connection().hasColumn(table, column);
+  }
+
+  /**
+   * Determine if the given table has given columns.
+   *
+   * @param  {String}  table
+   * @param  {Array<String>}  columns
+   * @return {Promise<Boolean>}
+   */
+  static hasColumns(table, columns)
+  {
+    return this.connection().hasColumns(table, columns);
+  }
+
+  /**
+   * Get the column listing for a given table.
+   *
+   * @param  {String}  table
+   * @return {Promise<Array<String>>}
+   */
+  static getColumnListing(table)
+  {
+    return this.connection().getColumnListing(table);
+  }
+
+  /**
+   * Enable foreign key constraints.
+   *
+   * @return {Promise}
+   */
+  static enableForeignKeyConstraints()
+  {
+    return this.connection().enableForeignKeyConstraints();
+  }
+
+  /**
+   * Disable foreign key constraints.
+   *
+   * @return {Promise}
+   */
+  static disableForeignKeyConstraints()
+  {
+    return this.connection().disableForeignKeyConstraints();
+  }
+}
+
+export { Schema }
+export default Schema
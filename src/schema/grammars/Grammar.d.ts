@@ -0,0 +1,140 @@
+import BaseGrammar from "../../Grammar";
+import Connection from "../../Connection";
+import Blueprint from "../Blueprint";
+import Fluent from "../Fluent";
+
+export default class Grammar extends BaseGrammar {
+    /**
+     * If this Grammar supports schema changes wrapped in a transaction.
+     *
+     * @var {Boolean}
+     */
+    _transactions: boolean;
+    /**
+     * The possible column modifiers.
+     *
+     * @var {Array<String>}
+     */
+    _modifiers: string[];
+    /**
+     * The commands to be executed outside of create or alter command.
+     *
+     * @var {Array<String>}
+     */
+    _fluentCommands: string[];
+    /**
+     * The commands the grammar runs by rebuilding the table.
+     *
+     * @var {Array<String>}
+     */
+    _alterCommands: string[];
+    /**
+     * Compile a rename column command.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  command
+     * @param  {Connection}  connection
+     * @return {Array<String>}
+     *
+     * @throws Error
+     */
+    compileRenameColumn(blueprint: Blueprint, command: Fluent, connection: Connection): string[];
+    /**
+     * Compile a change column command into a series of SQL statements.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  command
+     * @param  {Connection}  connection
+     * @return {Array<String>}
+     *
+     * @throws Error
+     */
+    compileChange(blueprint: Blueprint, command: Fluent, connection: Connection): string[];
+    /**
+     * Compile the blueprint's column definitions.
+     *
+     * @param  {Blueprint}  blueprint
+     * @return {Array<String>}
+     */
+    _getColumns(blueprint: Blueprint): string[];
+    /**
+     * Get the SQL for the column data type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _getType(column: Fluent): string;
+    /**
+     * Add the column modifiers to the definition.
+     *
+     * @param  {String}  sql
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _addModifiers(sql: string, blueprint: Blueprint, column: Fluent): string;
+    /**
+     * Get the primary key command if it exists on the blueprint.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {String}  name
+     * @return {Fluent|null}
+     */
+    _getCommandByName(blueprint: Blueprint, name: string): Fluent | null;
+    /**
+     * Get all of the commands with a given name.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {String}  name
+     * @return {Array<Fluent>}
+     */
+    _getCommandsByName(blueprint: Blueprint, name: string): Fluent[];
+    /**
+     * Add a prefix to an array of values.
+     *
+     * @param  {String}  prefix
+     * @param  {Array<String>}  values
+     * @return {Array<String>}
+     */
+    _prefixArray(prefix: string, values: string[]): string[];
+    /**
+     * Wrap a table in keyword identifiers.
+     *
+     * @param  {Blueprint|Expression|String}  table
+     * @return {String}
+     */
+    wrapTable(table: Blueprint | Expression | string): string;
+    /**
+     * Wrap a value in keyword identifiers.
+     *
+     * @param  {Fluent|Expression|String}  value
+     * @param  {Boolean}  prefixAlias
+     * @return {String}
+     */
+    wrap(value: Fluent | Expression | string, prefixAlias?: boolean): string;
+    /**
+     * Format a value so that it can be used in "default" clauses.
+     *
+     * @param  {*}  value
+     * @return {String}
+     */
+    _getDefaultValue(value: any): string;
+    /**
+     * Get the fluent commands for the grammar.
+     *
+     * @return {Array<String>}
+     */
+    getFluentCommands(): string[];
+    /**
+     * Get the commands the grammar runs by rebuilding the table.
+     *
+     * @return {Array<String>}
+     */
+    getAlterCommands(): string[];
+    /**
+     * Check if this Grammar supports schema changes wrapped in a transaction.
+     *
+     * @return {Boolean}
+     */
+    supportsSchemaTransactions(): boolean;
+}
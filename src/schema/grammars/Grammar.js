@@ -0,0 +1,236 @@
+import _ from 'lodash'
+import BaseGrammar from '../../Grammar'
+import Fluent from '../Fluent'
+import Blueprint from '../Blueprint'
+
+class Grammar extends BaseGrammar
+{
+  /**
+   * If this Grammar supports schema changes wrapped in a transaction.
+   *
+   * @var {Boolean}
+   */
+  _transactions = false;
+
+  /**
+   * The possible column modifiers.
+   *
+   * @var {Array<String>}
+   */
+  _modifiers = [];
+
+  /**
+   * The commands to be executed outside of create or alter command.
+   *
+   * @var {Array<String>}
+   */
+  _fluentCommands = [];
+
+  /**
+   * The commands the grammar runs by rebuilding the table.
+   *
+   * @var {Array<String>}
+   */
+  _alterCommands = [];
+
+  /**
+   * Compile a rename column command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @param  {Connection}  connection
+   * @return {Array<String>}
+   *
+   * @throws Error
+   */
+  compileRenameColumn(blueprint, command, connection)
+  {
+    throw new Error(`This database driver does not support renaming columns (renaming [${command.get('from')}]).`);
+  }
+
+  /**
+   * Compile a change column command into a series of SQL statements.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @param  {Connection}  connection
+   * @return {Array<String>}
+   *
+   * @throws Error
+   */
+  compileChange(blueprint, command, connection)
+  {
+    throw new Error('This database driver does not support changing columns.');
+  }
+
+  /**
+   * Compile the blueprint's column definitions.
+   *
+   * @param  {Blueprint}  blueprint
+   * @return {Array<String>}
+   */
+  _getColumns(blueprint)
+  {
+    return blueprint.getAddedColumns().map((column) => {
+      // Each of the column types have their own compiler functions which are tasked
+      // with turning the column definition into its SQL format for this platform
+      // used by the connection. The column's modifiers are compiled and added.
+      let sql = this.wrap(column) + ' ' + this._getType(column);
+
+      return this._addModifiers(sql, blueprint, column);
+    });
+  }
+
+  /**
+   * Get the SQL for the column data type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _getType(column)
+  {
+    return this['_type' + _.upperFirst(column.get('type'))](column);
+  }
+
+  /**
+   * Add the column modifiers to the definition.
+   *
+   * @param  {String}  sql
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _addModifiers(sql, blueprint, column)
+  {
+    this._modifiers.forEach((modifier) => {
+      let method = `_modify${modifier}`;
+
+      if (_.isFunction(this[method])) {
+        sql += this[method](blueprint, column) || '';
+      }
+    });
+
+    return sql;
+  }
+
+  /**
+   * Get the primary key command if it exists on the blueprint.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {String}  name
+   * @return {Fluent|null}
+   */
+  _getCommandByName(blueprint, name)
+  {
+    let commands = this._getCommandsByName(blueprint, name);
+
+    if (commands.length > 0) {
+      return _.first(commands);
+    }
+
+    return null;
+  }
+
+  /**
+   * Get all of the commands with a given name.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {String}  name
+   * @return {Array<Fluent>}
+   */
+  _getCommandsByName(blueprint, name)
+  {
+    return blueprint.getCommands().filter((value) => value.get('name') === name);
+  }
+
+  /**
+   * Add a prefix to an array of values.
+   *
+   * @param  {String}  prefix
+   * @param  {Array<String>}  values
+   * @return {Array<String>}
+   */
+  _prefixArray(prefix, values)
+  {
+    return values.map((value) => prefix + ' ' + value);
+  }
+
+  /**
+   * Wrap a table in keyword identifiers.
+   *
+   * @param  {Blueprint|Expression|String}  table
+   * @return {String}
+   */
+  wrapTable(table)
+  {
+    return super.wrapTable(
+      table instanceof Blueprint ? table.getTable() : table
+    );
+  }
+
+  /**
+   * Wrap a value in keyword identifiers.
+   *
+   * @param  {Fluent|Expression|String}  value
+   * @param  {Boolean}  prefixAlias
+   * @return {String}
+   */
+  wrap(value, prefixAlias = false)
+  {
+    return super.wrap(
+      value instanceof Fluent ? value.get('name') : value, prefixAlias
+    );
+  }
+
+  /**
+   * Format a value so that it can be used in "default" clauses.
+   *
+   * @param  {*}  value
+   * @return {String}
+   */
+  _getDefaultValue(value)
+  {
+    if (this.isExpression(value)) {
+      return this.getValue(value);
+    }
+
+    if (_.isBoolean(value)) {
+      return `'${Number(value)}'`;
+    }
+
+    return this.quoteString(String(value));
+  }
+
+  /**
+   * Get the fluent commands for the grammar.
+   *
+   * @return {Array<String>}
+   */
+  getFluentCommands()
+  {
+    return this._fluentCommands;
+  }
+
+  /**
+   * Get the commands the grammar runs by rebuilding the table.
+   *
+   * @return {Array<String>}
+   */
+  getAlterCommands()
+  {
+    return this._alterCommands;
+  }
+
+  /**
+   * Check if this Grammar supports schema changes wrapped in a transaction.
+   *
+   * @return {Boolean}
+   */
+  supportsSchemaTransactions()
+  {
+    return this._transactions;
+  }
+}
+
+export { Grammar }
+export default Grammar
@@ -0,0 +1,461 @@
+import Grammar from "./Grammar";
+import Blueprint from "../Blueprint";
+import Connection from "../../Connection";
+import Fluent from "../Fluent";
+
+export default class SQLiteGrammar extends Grammar {
+    /**
+     * The possible column modifiers.
+     *
+     * @var {Array<String>}
+     */
+    _modifiers: string[];
+    /**
+     * The columns available as serials.
+     *
+     * @var {Array<String>}
+     */
+    _serials: string[];
+    /**
+     * The commands SQLite can't run in place, which are run by rebuilding the table.
+     *
+     * @var {Array<String>}
+     */
+    _alterCommands: string[];
+    /**
+     * If this Grammar supports schema changes wrapped in a transaction.
+     *
+     * @var {Boolean}
+     */
+    _transactions: boolean;
+    /**
+     * Compile the query to determine if a table exists.
+     *
+     * @return {String}
+     */
+    compileTableExists(): string;
+    /**
+     * Compile the query to determine the list of columns.
+     *
+     * @param  {String}  table
+     * @return {String}
+     */
+    compileColumnListing(table: string): string;
+    /**
+     * Compile the query to determine the names of all tables.
+     *
+     * @return {String}
+     */
+    compileGetAllTables(): string;
+    /**
+     * Compile the query to determine the indexes of a table.
+     *
+     * @param  {String}  table
+     * @return {String}
+     */
+    compileIndexes(table: string): string;
+    /**
+     * Compile the query to determine the columns of an index.
+     *
+     * @param  {String}  index
+     * @return {String}
+     */
+    compileIndexColumns(index: string): string;
+    /**
+     * Compile the query to determine the foreign keys of a table.
+     *
+     * @param  {String}  table
+     * @return {String}
+     */
+    compileForeignKeys(table: string): string;
+    /**
+     * Compile the query to determine the triggers of a table.
+     *
+     * @return {String}
+     */
+    compileTriggers(): string;
+    /**
+     * Compile a create table command.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  command
+     * @return {String}
+     */
+    compileCreate(blueprint: Blueprint, command: Fluent): string;
+    /**
+     * Compile the statements rebuilding a table to the blueprint's state.
+     *
+     * This is how SQLite recommends making the schema changes it can't do in place:
+     * the rows are copied into a new table which then replaces the old one, after
+     * which the indexes and triggers dropped along with the old table are created.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  command
+     * @return {Array<String>}
+     *
+     * @throws Error
+     */
+    compileAlter(blueprint: Blueprint, command: Fluent): string[];
+    /**
+     * Get the foreign key syntax for a table creation statement.
+     *
+     * @param  {Array<Fluent>}  foreigns
+     * @return {String}
+     */
+    _addForeignKeys(foreigns: Fluent[]): string;
+    /**
+     * Get the SQL for the foreign key.
+     *
+     * @param  {Fluent}  foreign
+     * @return {String}
+     */
+    _getForeignKey(foreign: Fluent): string;
+    /**
+     * Get the primary key syntax for a table creation statement.
+     *
+     * @param  {Fluent|null}  primary
+     * @return {String}
+     */
+    _addPrimaryKeys(primary: Fluent | null): string;
+    /**
+     * Compile alter table commands for adding columns.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  command
+     * @return {Array<String>}
+     */
+    compileAdd(blueprint: Blueprint, command: Fluent): string[];
+    /**
+     * Compile a unique key command.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  command
+     * @return {String}
+     */
+    compileUnique(blueprint: Blueprint, command: Fluent): string;
+    /**
+     * Compile a plain index key command.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  command
+     * @return {String}
+     */
+    compileIndex(blueprint: Blueprint, command: Fluent): string;
+    /**
+     * Compile a foreign key command.
+     *
+     * Handled on table creation, as SQLite can't add them to an existing table.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  command
+     * @return {null}
+     */
+    compileForeign(blueprint: Blueprint, command: Fluent): null;
+    /**
+     * Compile a drop table command.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  command
+     * @return {String}
+     */
+    compileDrop(blueprint: Blueprint, command: Fluent): string;
+    /**
+     * Compile a drop table (if exists) command.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  command
+     * @return {String}
+     */
+    compileDropIfExists(blueprint: Blueprint, command: Fluent): string;
+    /**
+     * Compile a change column command.
+     *
+     * The table is rebuilt by the "alter" command that follows it.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  command
+     * @param  {Connection}  connection
+     * @return {null}
+     */
+    compileChange(blueprint: Blueprint, command: Fluent, connection: Connection): null;
+    /**
+     * Compile a drop column command.
+     *
+     * The table is rebuilt by the "alter" command that follows it.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  command
+     * @param  {Connection}  connection
+     * @return {null}
+     */
+    compileDropColumn(blueprint: Blueprint, command: Fluent, connection: Connection): null;
+    /**
+     * Compile a rename column command.
+     *
+     * The table is rebuilt by the "alter" command that follows it.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  command
+     * @param  {Connection}  connection
+     * @return {null}
+     */
+    compileRenameColumn(blueprint: Blueprint, command: Fluent, connection: Connection): null;
+    /**
+     * Compile a drop unique key command.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  command
+     * @return {String}
+     */
+    compileDropUnique(blueprint: Blueprint, command: Fluent): string;
+    /**
+     * Compile a drop index command.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  command
+     * @return {String}
+     */
+    compileDropIndex(blueprint: Blueprint, command: Fluent): string;
+    /**
+     * Compile a rename table command.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  command
+     * @return {String}
+     */
+    compileRename(blueprint: Blueprint, command: Fluent): string;
+    /**
+     * Compile a pragma reading (or setting) a setting of the database.
+     *
+     * @param  {String}  key
+     * @param  {*}  value
+     * @return {String}
+     */
+    pragma(key: string, value?: any): string;
+    /**
+     * Compile the query listing the rows that violate their foreign key constraints.
+     *
+     * @return {String}
+     */
+    compileForeignKeyCheck(): string;
+    /**
+     * Compile the command to enable foreign key constraints.
+     *
+     * @return {String}
+     */
+    compileEnableForeignKeyConstraints(): string;
+    /**
+     * Compile the command to disable foreign key constraints.
+     *
+     * @return {String}
+     */
+    compileDisableForeignKeyConstraints(): string;
+    /**
+     * Create the column definition of a column read from the table.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeRaw(column: Fluent): string;
+    /**
+     * Create the column definition for a char type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeChar(column: Fluent): string;
+    /**
+     * Create the column definition for a string type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeString(column: Fluent): string;
+    /**
+     * Create the column definition for a text type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeText(column: Fluent): string;
+    /**
+     * Create the column definition for a medium text type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeMediumText(column: Fluent): string;
+    /**
+     * Create the column definition for a long text type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeLongText(column: Fluent): string;
+    /**
+     * Create the column definition for a integer type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeInteger(column: Fluent): string;
+    /**
+     * Create the column definition for a big integer type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeBigInteger(column: Fluent): string;
+    /**
+     * Create the column definition for a medium integer type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeMediumInteger(column: Fluent): string;
+    /**
+     * Create the column definition for a tiny integer type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeTinyInteger(column: Fluent): string;
+    /**
+     * Create the column definition for a small integer type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeSmallInteger(column: Fluent): string;
+    /**
+     * Create the column definition for a float type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeFloat(column: Fluent): string;
+    /**
+     * Create the column definition for a double type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeDouble(column: Fluent): string;
+    /**
+     * Create the column definition for a decimal type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeDecimal(column: Fluent): string;
+    /**
+     * Create the column definition for a boolean type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeBoolean(column: Fluent): string;
+    /**
+     * Create the column definition for an enumeration type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeEnum(column: Fluent): string;
+    /**
+     * Create the column definition for a json type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeJson(column: Fluent): string;
+    /**
+     * Create the column definition for a date type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeDate(column: Fluent): string;
+    /**
+     * Create the column definition for a date-time type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeDateTime(column: Fluent): string;
+    /**
+     * Create the column definition for a time type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeTime(column: Fluent): string;
+    /**
+     * Create the column definition for a timestamp type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeTimestamp(column: Fluent): string;
+    /**
+     * Create the column definition for a year type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeYear(column: Fluent): string;
+    /**
+     * Create the column definition for a binary type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeBinary(column: Fluent): string;
+    /**
+     * Create the column definition for a uuid type.
+     *
+     * @param  {Fluent}  column
+     * @return {String}
+     */
+    _typeUuid(column: Fluent): string;
+    /**
+     * Get the SQL for a generated virtual column modifier.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  column
+     * @return {String|null}
+     */
+    _modifyVirtualAs(blueprint: Blueprint, column: Fluent): string | null;
+    /**
+     * Get the SQL for a generated stored column modifier.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  column
+     * @return {String|null}
+     */
+    _modifyStoredAs(blueprint: Blueprint, column: Fluent): string | null;
+    /**
+     * Get the SQL for a nullable column modifier.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  column
+     * @return {String|null}
+     */
+    _modifyNullable(blueprint: Blueprint, column: Fluent): string | null;
+    /**
+     * Get the SQL for a default column modifier.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  column
+     * @return {String|null}
+     */
+    _modifyDefault(blueprint: Blueprint, column: Fluent): string | null;
+    /**
+     * Get the SQL for an auto-increment column modifier.
+     *
+     * @param  {Blueprint}  blueprint
+     * @param  {Fluent}  column
+     * @return {String|null}
+     */
+    _modifyIncrement(blueprint: Blueprint, column: Fluent): string | null;
+}
@@ -0,0 +1,798 @@
+import _ from 'lodash'
+import Grammar from './Grammar'
+
+class SQLiteGrammar extends Grammar
+{
+  /**
+   * The possible column modifiers.
+   *
+   * @var {Array<String>}
+   */
+  _modifiers = ['VirtualAs', 'StoredAs', 'Nullable', 'Default', 'Increment'];
+
+  /**
+   * The columns available as serials.
+   *
+   * @var {Array<String>}
+   */
+  _serials = ['bigInteger', 'integer', 'mediumInteger', 'smallInteger', 'tinyInteger'];
+
+  /**
+   * The commands SQLite can't run in place, which are run by rebuilding the table.
+   *
+   * @var {Array<String>}
+   */
+  _alterCommands = ['change', 'dropColumn', 'renameColumn'];
+
+  /**
+   * If this Grammar supports schema changes wrapped in a transaction.
+   *
+   * @var {Boolean}
+   */
+  _transactions = true;
+
+  /**
+   * Compile the query to determine if a table exists.
+   *
+   * @return {String}
+   */
+  compileTableExists()
+  {
+    return "select * from sqlite_master where type = 'table' and name = ?";
+  }
+
+  /**
+   * Compile the query to determine the list of columns.
+   *
+   * @param  {String}  table
+   * @return {String}
+   */
+  compileColumnListing(table)
+  {
+    return 'pragma table_info(' + this.wrap(table.replace(/\./g, '__')) + ')';
+  }
+
+  /**
+   * Compile the query to determine the names of all tables.
+   *
+   * @return {String}
+   */
+  compileGetAllTables()
+  {
+    return "select name from sqlite_master where type = 'table' and name not like 'sqlite_%'";
+  }
+
+  /**
+   * Compile the query to determine the indexes of a table.
+   *
+   * @param  {String}  table
+   * @return {String}
+   */
+  compileIndexes(table)
+  {
+    return 'pragma index_list(' + this.wrap(table.replace(/\./g, '__')) + ')';
+  }
+
+  /**
+   * Compile the query to determine the columns of an index.
+   *
+   * @param  {String}  index
+   * @return {String}
+   */
+  compileIndexColumns(index)
+  {
+    return 'pragma index_info(' + this.wrap(index) + ')';
+  }
+
+  /**
+   * Compile the query to determine the foreign keys of a table.
+   *
+   * @param  {String}  table
+   * @return {String}
+   */
+  compileForeignKeys(table)
+  {
+    return 'pragma foreign_key_list(' + this.wrap(table.replace(/\./g, '__')) + ')';
+  }
+
+  /**
+   * Compile the query to determine the triggers of a table.
+   *
+   * @return {String}
+   */
+  compileTriggers()
+  {
+    return "select sql from sqlite_master where type = 'trigger' and tbl_name = ?";
+  }
+
+  /**
+   * Compile a create table command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {String}
+   */
+  compileCreate(blueprint, command)
+  {
+    return `${blueprint.isTemporary() ? 'create temporary' : 'create'} table ${this.wrapTable(blueprint)} (` +
+      this._getColumns(blueprint).join(', ') +
+      this._addForeignKeys(this._getCommandsByName(blueprint, 'foreign')) +
+      this._addPrimaryKeys(this._getCommandByName(blueprint, 'primary')) +
+      ')';
+  }
+
+  /**
+   * Compile the statements rebuilding a table to the blueprint's state.
+   *
+   * This is how SQLite recommends making the schema changes it can't do in place:
+   * the rows are copied into a new table which then replaces the old one, after
+   * which the indexes and triggers dropped along with the old table are created.
+   * The blueprint runs them in a transaction, with the foreign keys turned off.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {Array<String>}
+   *
+   * @throws Error
+   */
+  compileAlter(blueprint, command)
+  {
+    let state = blueprint.getState();
+
+    if (state == null) {
+      throw new Error(`The state of table [${blueprint.getTable()}] must be loaded before altering it.`);
+    }
+
+    let table = this.wrapTable(blueprint);
+    let tempTable = this.wrapTable('__temp__' + blueprint.getTable());
+
+    let columnNames = [];
+    let sourceNames = [];
+    let autoIncrement = false;
+
+    let columns = state.getColumns().map((column) => {
+      autoIncrement = autoIncrement || !! column.get('autoIncrement');
+
+      // Generated columns compute their own values, so they are left out of the copy.
+      if (column.get('virtualAs') == null && column.get('storedAs') == null) {
+        columnNames.push(this.wrap(column));
+        sourceNames.push(this.wrap(state.getSource(column.get('name'))));
+      }
+
+      return this._addModifiers(this.wrap(column) + ' ' + this._getType(column), blueprint, column);
+    });
+
+    let indexes = state.getIndexes().map((index) => {
+      return this['compile' + _.upperFirst(index.get('name'))](blueprint, index);
+    });
+
+    return [
+      `create table ${tempTable} (` +
+        columns.join(', ') +
+        this._addForeignKeys(state.getForeignKeys()) +
+        (autoIncrement ? '' : this._addPrimaryKeys(state.getPrimaryKey())) +
+        ')',
+      `insert into ${tempTable} (${columnNames.join(', ')}) select ${sourceNames.join(', ')} from ${table}`,
+      `drop table ${table}`,
+      `alter table ${tempTable} rename to ${table}`,
+      ...indexes,
+      ...state.getTriggers(),
+    ];
+  }
+
+  /**
+   * Get the foreign key syntax for a table creation statement.
+   *
+   * @param  {Array<Fluent>}  foreigns
+   * @return {String}
+   */
+  _addForeignKeys(foreigns)
+  {
+    return foreigns.reduce((sql, foreign) => {
+      // Once we have all the foreign key commands for the table creation statement
+      // we'll loop through each of them and add them to the create table SQL we
+      // are building, since SQLite needs foreign keys on the tables creation.
+      sql += this._getForeignKey(foreign);
+
+      if (foreign.get('onDelete') != null) {
+        sql += ` on delete ${foreign.get('onDelete')}`;
+      }
+
+      // If this foreign key specifies the action to be taken on update we will add
+      // that to the statement here. We'll append it to this SQL and then return
+      // the SQL so we can keep adding any other foreign constraints onto this.
+      if (foreign.get('onUpdate') != null) {
+        sql += ` on update ${foreign.get('onUpdate')}`;
+      }
+
+      return sql;
+    }, '');
+  }
+
+  /**
+   * Get the SQL for the foreign key.
+   *
+   * @param  {Fluent}  foreign
+   * @return {String}
+   */
+  _getForeignKey(foreign)
+  {
+    // We need to columnize the columns that the foreign key is being defined for
+    // so that it is a properly formatted list. Once we have done this, we can
+    // return the foreign key SQL declaration to the calling method for use.
+    let references = _.compact(_.castArray(foreign.get('references')));
+
+    // Without referenced columns, the key references the primary key of the table.
+    return `, foreign key(${this.columnize(foreign.get('columns'))}) references ${this.wrapTable(foreign.get('on'))}` +
+      (references.length > 0 ? `(${this.columnize(references)})` : '');
+  }
+
+  /**
+   * Get the primary key syntax for a table creation statement.
+   *
+   * @param  {Fluent|null}  primary
+   * @return {String}
+   */
+  _addPrimaryKeys(primary)
+  {
+    if (primary != null) {
+      return `, primary key (${this.columnize(primary.get('columns'))})`;
+    }
+
+    return '';
+  }
+
+  /**
+   * Compile alter table commands for adding columns.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {Array<String>}
+   */
+  compileAdd(blueprint, command)
+  {
+    let columns = this._prefixArray('add column', this._getColumns(blueprint));
+
+    return columns.map((column) => 'alter table ' + this.wrapTable(blueprint) + ' ' + column);
+  }
+
+  /**
+   * Compile a unique key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {String}
+   */
+  compileUnique(blueprint, command)
+  {
+    return `create unique index ${this.wrap(command.get('index'))} on ` +
+      `${this.wrapTable(blueprint)} (${this.columnize(command.get('columns'))})`;
+  }
+
+  /**
+   * Compile a plain index key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {String}
+   */
+  compileIndex(blueprint, command)
+  {
+    return `create index ${this.wrap(command.get('index'))} on ` +
+      `${this.wrapTable(blueprint)} (${this.columnize(command.get('columns'))})`;
+  }
+
+  /**
+   * Compile a foreign key command.
+   *
+   * Handled on table creation, as SQLite can't add them to an existing table.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {null}
+   */
+  compileForeign(blueprint, command)
+  {
+    return null;
+  }
+
+  /**
+   * Compile a drop table command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {String}
+   */
+  compileDrop(blueprint, command)
+  {
+    return 'drop table ' + this.wrapTable(blueprint);
+  }
+
+  /**
+   * Compile a drop table (if exists) command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {String}
+   */
+  compileDropIfExists(blueprint, command)
+  {
+    return 'drop table if exists ' + this.wrapTable(blueprint);
+  }
+
+  /**
+   * Compile a change column command.
+   *
+   * The table is rebuilt by the "alter" command that follows it.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @param  {Connection}  connection
+   * @return {null}
+   */
+  compileChange(blueprint, command, connection)
+  {
+    return null;
+  }
+
+  /**
+   * Compile a drop column command.
+   *
+   * The table is rebuilt by the "alter" command that follows it.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @param  {Connection}  connection
+   * @return {null}
+   */
+  compileDropColumn(blueprint, command, connection)
+  {
+    return null;
+  }
+
+  /**
+   * Compile a rename column command.
+   *
+   * The table is rebuilt by the "alter" command that follows it.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @param  {Connection}  connection
+   * @return {null}
+   */
+  compileRenameColumn(blueprint, command, connection)
+  {
+    return null;
+  }
+
+  /**
+   * Compile a drop unique key command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {String}
+   */
+  compileDropUnique(blueprint, command)
+  {
+    return 'drop index ' + this.wrap(command.get('index'));
+  }
+
+  /**
+   * Compile a drop index command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {String}
+   */
+  compileDropIndex(blueprint, command)
+  {
+    return 'drop index ' + this.wrap(command.get('index'));
+  }
+
+  /**
+   * Compile a rename table command.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  command
+   * @return {String}
+   */
+  compileRename(blueprint, command)
+  {
+    return `alter table ${this.wrapTable(blueprint)} rename to ${this.wrapTable(command.get('to'))}`;
+  }
+
+  /**
+   * Compile a pragma reading (or setting) a setting of the database.
+   *
+   * @param  {String}  key
+   * @param  {*}  value
+   * @return {String}
+   */
+  pragma(key, value = null)
+  {
+    return `pragma ${key}` + (value == null ? '' : ` = ${value}`);
+  }
+
+  /**
+   * Compile the query listing the rows that violate their foreign key constraints.
+   *
+   * @return {String}
+   */
+  compileForeignKeyCheck()
+  {
+    return 'pragma foreign_key_check';
+  }
+
+  /**
+   * Compile the command to enable foreign key constraints.
+   *
+   * @return {String}
+   */
+  compileEnableForeignKeyConstraints()
+  {
+    return 'PRAGMA foreign_keys = ON;';
+  }
+
+  /**
+   * Compile the command to disable foreign key constraints.
+   *
+   * @return {String}
+   */
+  compileDisableForeignKeyConstraints()
+  {
+    return 'PRAGMA foreign_keys = OFF;';
+  }
+
+  /**
+   * Create the column definition of a column read from the table.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeRaw(column)
+  {
+    return column.get('definition');
+  }
+
+  /**
+   * Create the column definition for a char type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeChar(column)
+  {
+    return 'varchar';
+  }
+
+  /**
+   * Create the column definition for a string type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeString(column)
+  {
+    return 'varchar';
+  }
+
+  /**
+   * Create the column definition for a text type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeText(column)
+  {
+    return 'text';
+  }
+
+  /**
+   * Create the column definition for a medium text type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeMediumText(column)
+  {
+    return 'text';
+  }
+
+  /**
+   * Create the column definition for a long text type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeLongText(column)
+  {
+    return 'text';
+  }
+
+  /**
+   * Create the column definition for a integer type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeInteger(column)
+  {
+    return 'integer';
+  }
+
+  /**
+   * Create the column definition for a big integer type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeBigInteger(column)
+  {
+    return 'integer';
+  }
+
+  /**
+   * Create the column definition for a medium integer type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeMediumInteger(column)
+  {
+    return 'integer';
+  }
+
+  /**
+   * Create the column definition for a tiny integer type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeTinyInteger(column)
+  {
+    return 'integer';
+  }
+
+  /**
+   * Create the column definition for a small integer type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeSmallInteger(column)
+  {
+    return 'integer';
+  }
+
+  /**
+   * Create the column definition for a float type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeFloat(column)
+  {
+    return 'float';
+  }
+
+  /**
+   * Create the column definition for a double type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeDouble(column)
+  {
+    return 'float';
+  }
+
+  /**
+   * Create the column definition for a decimal type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeDecimal(column)
+  {
+    return 'numeric';
+  }
+
+  /**
+   * Create the column definition for a boolean type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeBoolean(column)
+  {
+    return 'tinyint(1)';
+  }
+
+  /**
+   * Create the column definition for an enumeration type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeEnum(column)
+  {
+    return `varchar check (${this.wrap(column)} in (${this.quoteString(column.get('allowed'))}))`;
+  }
+
+  /**
+   * Create the column definition for a json type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeJson(column)
+  {
+    return 'text';
+  }
+
+  /**
+   * Create the column definition for a date type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeDate(column)
+  {
+    return 'date';
+  }
+
+  /**
+   * Create the column definition for a date-time type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeDateTime(column)
+  {
+    return 'datetime';
+  }
+
+  /**
+   * Create the column definition for a time type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeTime(column)
+  {
+    return 'time';
+  }
+
+  /**
+   * Create the column definition for a timestamp type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeTimestamp(column)
+  {
+    return column.get('useCurrent') ? 'datetime default CURRENT_TIMESTAMP' : 'datetime';
+  }
+
+  /**
+   * Create the column definition for a year type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeYear(column)
+  {
+    return this._typeInteger(column);
+  }
+
+  /**
+   * Create the column definition for a binary type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeBinary(column)
+  {
+    return 'blob';
+  }
+
+  /**
+   * Create the column definition for a uuid type.
+   *
+   * @param  {Fluent}  column
+   * @return {String}
+   */
+  _typeUuid(column)
+  {
+    return 'varchar';
+  }
+
+  /**
+   * Get the SQL for a generated virtual column modifier.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {String|null}
+   */
+  _modifyVirtualAs(blueprint, column)
+  {
+    if (column.get('virtualAs') != null) {
+      return ` as (${column.get('virtualAs')})`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the SQL for a generated stored column modifier.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {String|null}
+   */
+  _modifyStoredAs(blueprint, column)
+  {
+    if (column.get('storedAs') != null) {
+      return ` as (${column.get('storedAs')}) stored`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the SQL for a nullable column modifier.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {String|null}
+   */
+  _modifyNullable(blueprint, column)
+  {
+    if (column.get('virtualAs') == null && column.get('storedAs') == null) {
+      return column.get('nullable') ? ' null' : ' not null';
+    }
+
+    if (column.get('nullable') === false) {
+      return ' not null';
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the SQL for a default column modifier.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {String|null}
+   */
+  _modifyDefault(blueprint, column)
+  {
+    if (column.get('default') != null && column.get('virtualAs') == null && column.get('storedAs') == null) {
+      return ' default ' + this._getDefaultValue(column.get('default'));
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the SQL for an auto-increment column modifier.
+   *
+   * @param  {Blueprint}  blueprint
+   * @param  {Fluent}  column
+   * @return {String|null}
+   */
+  _modifyIncrement(blueprint, column)
+  {
+    let type = column.get('type');
+
+    if ((this._serials.includes(type) || type === 'raw') && column.get('autoIncrement')) {
+      return ' primary key autoincrement';
+    }
+
+    return null;
+  }
+}
+
+export { SQLiteGrammar }
+export default SQLiteGrammar